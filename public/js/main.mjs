@@ -19,14 +19,22 @@ import { initActivityTracking } from './modules/activity.mjs';
 // User Interface & Layout Management
 import { initSidebar, initLayout, initTabs, initHistory, initResizer } from './modules/ui.mjs';
 
-// Core Functionality (Markdown Editor)
+// Core Functionality (Markdown Editor, PDF Reader, Translation Pane)
 import { initEditor } from './modules/editor.mjs';
+import { initReader } from './modules/reader.mjs';
+import { initTranslation } from './modules/translation.mjs';
 
 // Data Synchronization (Notes, Favorites)
 import { initDataManager } from './modules/data.mjs';
 
-// AI Integration (RAG Chat)
+// AI Integration (RAG Chat, Document Overview)
 import { initChat } from './modules/chat.mjs';
+import { initOverview } from './modules/overview.mjs';
+
+// Study Tools (Flashcards, Quizzes)
+import { initFlashcards } from './modules/flashcards.mjs';
+import { initQuiz } from './modules/quiz.mjs';
+import { initGlossary } from './modules/glossary.mjs';
 
 // --- 2. DEBUGGING ---
 // Log initialization start for debugging purposes
@@ -49,12 +57,15 @@ document.addEventListener('DOMContentLoaded', () => {
   initResizer();
 
   // ==========================================================================
-  // PHASE 2: CORE COMPONENTS (EDITOR)
+  // PHASE 2: CORE COMPONENTS (EDITOR, READER)
   // ==========================================================================
   // Initializes the EasyMDE Markdown editor.
   // NOTE: Returns null if we are not on a 'Reader' page (file view).
   const easyMDE = initEditor();
 
+  // Renders the PDF with a selectable text layer (loads asynchronously, no-op elsewhere).
+  initReader();
+
   // ==========================================================================
   // PHASE 3: INTERACTIVE TOOLS
   // ==========================================================================
@@ -71,6 +82,26 @@ document.addEventListener('DOMContentLoaded', () => {
   // Initializes the RAG (Retrieval-Augmented Generation) chat interface.
   initChat();
 
+  // 3.4. Document Overview
+  // Loads the AI abstract, outline and key takeaways when the Overview tab is opened.
+  initOverview();
+
+  // 3.5. Flashcards
+  // Deck of the document: reviews of due cards, new cards (note selection, snippets) and AI generation.
+  initFlashcards(easyMDE);
+
+  // 3.6. Quizzes
+  // Generates quizzes from the document (or a page range), then grades and scores the answers.
+  initQuiz();
+
+  // 3.7. Course Glossaries
+  // Filters the terms of a glossary page, and adds, edits or deletes entries.
+  initGlossary();
+
+  // 3.8. Translation Pane
+  // Shows the translation of the page being read next to the PDF, in the chosen language.
+  initTranslation();
+
   // ==========================================================================
   // PHASE 4: BACKGROUND SERVICES
   // ==========================================================================
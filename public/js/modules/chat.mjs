@@ -6,14 +6,53 @@
  * chat interface. It handles message rendering, input sanitization, API communication,
  * and conversation lifecycle management.
  *
+ * Two scopes share this module:
+ * - Document chat (Reader tools panel, '#meta-path'): /api/v1/chat
+ * - Library chat (Library page, '#meta-scope'): /api/v1/library/chat, with sources
+ *
+ * Document answers carry page-level citations rendered as clickable chips that
+ * jump the PDF viewer to the cited page. They are streamed over Server-Sent Events
+ * (/api/v1/chat/stream): tokens render as they arrive and the send button turns
+ * into a stop button while the answer is being generated.
+ *
+ * Document chats are organized in named threads (/api/v1/chat/threads), picked
+ * from the switcher above the history; each thread may answer with a prompt
+ * template (/api/v1/prompt-templates), send the user's notes and snippets
+ * along with each question and answer in a chosen language, all chosen below the
+ * switcher (the translation pane picks the language too, with a 'chat:answer-language'
+ * event, see translation.mjs). The last answer can be regenerated
+ * (Shift+click picks another model) and previous questions edited; alternative
+ * versions are kept and paged through with the arrows under each message.
+ * Answers can be rated (thumbs up/down, with an optional comment on a thumbs down). Long threads keep a rolling summary of
+ * their older turns, viewable and resettable from the notebook button
+ * (/api/v1/chat/summary).
+ * Passages selected in the PDF reader (see reader.mjs) are sent with a question
+ * as a quoted block: quick actions (explain, summarize, translate, define) ask
+ * right away, "Ask" attaches the passage to the next question typed.
+ *
  * @author Sacha Pastor
  * @environment Browser (Client-side JS)
- * @dependencies utils.mjs
+ * @dependencies utils.mjs, ui.mjs, reader.mjs
  * ==============================================================================
  */
 
 // --- 1. IMPORTS ---
 import { postJSON } from './utils.mjs';
+import { openToolsTab } from './ui.mjs';
+import { showPage } from './reader.mjs';
+
+// --- 2. CONFIGURATION ---
+
+// Questions asked by the quick actions of the reader's selection menu
+const SELECTION_QUESTIONS = {
+  explain: () => 'Explain this passage.',
+  summarize: () => 'Summarize this passage.',
+  translate: (language) => `Translate this passage into ${language}.`,
+  define: () => 'Define the key terms of this passage.'
+};
+
+// Longest passage accepted by the server (characters)
+const MAX_SELECTION_CHARS = 4000;
 
 /**
  * Initializes the AI Chat subsystem.
@@ -26,10 +65,20 @@ export function initChat() {
 
   // Context Metadata
   const metaPath = document.getElementById('meta-path')?.value;
+  const metaScope = document.getElementById('meta-scope')?.value;
   const chatContainer = document.getElementById('tab-ai');
 
-  // Guard Clause: Exit if the chat interface or file path is missing
-  if (!chatContainer || !metaPath) return;
+  // Guard Clause: Exit if the chat interface or its context (file or folder) is missing
+  if (!chatContainer || (!metaPath && !metaScope)) return;
+
+  // Endpoint & Query Resolution (Library scope takes precedence on the Library page)
+  const endpoint = metaScope ? '/api/v1/library/chat' : '/api/v1/chat';
+  const contextQuery = metaScope
+    ? `scope=${encodeURIComponent(metaScope)}`
+    : `path=${encodeURIComponent(metaPath)}`;
+  const emptyLabel = metaScope
+    ? 'Ask a question across every document of this folder.'
+    : 'Chat about this document.';
 
   // UI Elements
   const dom = {
@@ -37,6 +86,21 @@ export function initChat() {
     input: document.getElementById('chatInput'),
     sendBtn: document.getElementById('chatSend'),
     resetBtn: document.getElementById('chatReset'),
+    summaryToggle: document.getElementById('chatSummaryToggle'),
+    summaryPanel: document.getElementById('chatSummary'),
+    summaryText: document.getElementById('chatSummaryText'),
+    summaryMeta: document.getElementById('chatSummaryMeta'),
+    summaryReset: document.getElementById('chatSummaryReset'),
+    threadBar: document.getElementById('chatThreads'),
+    threadSelect: document.getElementById('chatThreadSelect'),
+    threadNew: document.getElementById('chatThreadNew'),
+    threadRename: document.getElementById('chatThreadRename'),
+    threadArchive: document.getElementById('chatThreadArchive'),
+    threadDelete: document.getElementById('chatThreadDelete'),
+    templateSelect: document.getElementById('chatTemplateSelect'),
+    notesSelect: document.getElementById('chatNotesSelect'),
+    languageSelect: document.getElementById('chatLanguageSelect'),
+    quote: document.getElementById('chatQuote'),
     loadingIndicator: document.getElementById('chatLoading')
   };
 
@@ -47,6 +111,14 @@ export function initChat() {
   // AbortController to handle request cancellation (e.g., page navigation)
   let abortController = null;
 
+  // Document scope: current thread (null until the first question creates one)
+  let threadId = null;
+  let threads = [];
+  let templates = [];
+
+  // Passage selected in the reader, attached to the next question ({ text, page })
+  let pendingSelection = null;
+
   // ==========================================================================
   // 2. HELPER FUNCTIONS (UTILITIES)
   // ==========================================================================
@@ -105,30 +177,125 @@ export function initChat() {
     }
   }
 
+  /**
+   * Switches the send button between "Send" and "Stop" while an answer streams.
+   * @param {boolean} isStreaming - True while tokens are being received.
+   */
+  function setStopMode(isStreaming) {
+    if (!dom.sendBtn) return;
+
+    dom.sendBtn.disabled = false;
+    dom.sendBtn.classList.toggle('is-stop', isStreaming);
+    dom.sendBtn.title = isStreaming ? 'Stop' : 'Send';
+    dom.sendBtn.innerHTML = isStreaming
+      ? '<i class="ph ph-stop"></i>'
+      : '<i class="ph ph-paper-plane-right"></i>';
+  }
+
+  /**
+   * Reads a Server-Sent Events body and dispatches each event.
+   * @param {ReadableStream} body - The fetch response body.
+   * @param {Function} onEvent - Called with (eventName, parsedData).
+   */
+  async function readEventStream(body, onEvent) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+      buffer += decoder.decode(chunk.value, { stream: true });
+
+      // Events are separated by a blank line
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        let eventName = 'message';
+        let data = '';
+        rawEvent.split('\n').forEach((line) => {
+          if (line.startsWith('event:')) eventName = line.slice(6).trim();
+          else if (line.startsWith('data:')) data += line.slice(5).trim();
+        });
+
+        if (data) onEvent(eventName, JSON.parse(data));
+      }
+    }
+  }
+
+  /**
+   * Builds the query string of the current document thread.
+   * @returns {string} e.g. 'path=...&thread_id=3'
+   */
+  function threadQuery() {
+    return threadId ? `${contextQuery}&thread_id=${threadId}` : contextQuery;
+  }
+
+  /**
+   * Returns the placeholder markup displayed while the conversation is empty.
+   * @returns {string} HTML string.
+   */
+  function emptyStateHTML() {
+    return `
+                    <div class="chat-empty-state">
+                        <i class="ph ph-robot" style="font-size: 24px; color: var(--text-light); margin-bottom: 8px;"></i>
+                        <p style="font-size: 13px; color: var(--text-muted);">${emptyLabel}</p>
+                    </div>`;
+  }
+
+  /**
+   * Opens a cited page.
+   * Same document: scrolls the reader. Other document: navigates to its reader.
+   * @param {string} docPath - The cited document path.
+   * @param {number} page - The cited page number.
+   */
+  function openCitation(docPath, page) {
+    if (docPath === metaPath && showPage(page)) return;
+
+    window.location.href = `/file/${docPath}?page=${page}`;
+  }
+
+  /**
+   * Returns the markup of a passage selected in the reader (clicking it opens its page).
+   * @param {{text: string, page: number}} selection - The passage.
+   * @returns {string} HTML string.
+   */
+  function selectionHTML(selection) {
+    return `<blockquote class="chat-quote" data-quote-page="${Number(selection.page)}" title="Show page ${Number(selection.page)}">
+        <span>p. ${Number(selection.page)}</span> ${escapeHTML(selection.text)}
+      </blockquote>`;
+  }
+
+  /**
+   * Displays (or hides) the passage attached to the next question, above the input.
+   */
+  function renderPendingSelection() {
+    if (!dom.quote) return;
+
+    dom.quote.hidden = !pendingSelection;
+    dom.quote.innerHTML = pendingSelection
+      ? `${selectionHTML(pendingSelection)}
+        <button type="button" class="chat-quote-remove" title="Remove the passage"><i class="ph ph-x"></i></button>`
+      : '';
+  }
+
   // ==========================================================================
   // 3. RENDERING LOGIC
   // ==========================================================================
 
   /**
-   * Renders a single chat message into the DOM.
+   * Fills a chat bubble with the formatted content of a message.
    * Handles code block formatting via triple backticks (```).
+   * Called again on the same bubble while a streamed answer grows.
+   * @param {HTMLElement} bubble - The bubble element.
    * @param {Object} message - The message object.
-   * @param {string} message.role - 'user' or 'assistant'.
    * @param {string} message.content - The text content.
+   * @param {Array<Object>} [message.sources] - Library chat attribution ({ path, title, pages }).
+   * @param {Array<Object>} [message.citations] - Page citations ({ n, path, page, quote }).
+   * @param {string} [message.provider] - Provider that answered (with [message.model]).
+   * @param {Object} [message.selection] - Passage the question is about ({ text, page }).
    */
-  function renderMessage({ role, content }) {
-    // Remove "Empty State" placeholder if it exists
-    const emptyState = dom.history.querySelector('.chat-empty-state');
-    if (emptyState) emptyState.remove();
-
-    // Create Container
-    const item = document.createElement('div');
-    item.className = `chat-msg ${role === 'user' ? 'is-user' : 'is-assistant'}`;
-
-    // Create Bubble
-    const bubble = document.createElement('div');
-    bubble.className = 'chat-bubble';
-
+  function fillBubble(bubble, { content, sources, citations, provider, model, selection }) {
     // Content Parsing Strategy:
     // 1. Split content by code blocks (``` ... ```)
     // 2. Escape normal text and convert newlines to <br>
@@ -138,19 +305,196 @@ export function initChat() {
 
     let htmlBuffer = '';
 
+    // Citation lookup by number ([1], [2], ... in the answer text)
+    const citationByNumber = new Map((citations || []).map((c) => [c.n, c]));
+
     for (let i = 0; i < parts.length; i++) {
       if (i % 2 === 0) {
-        // Segment is Normal Text
-        htmlBuffer += escapeHTML(parts[i]).replace(/\n/g, '<br>');
+        // Segment is Normal Text (citation markers become inline references)
+        htmlBuffer += escapeHTML(parts[i])
+          .replace(/\n/g, '<br>')
+          .replace(/\[(\d+)\]/g, (marker, n) => {
+            const citation = citationByNumber.get(Number(n));
+            return citation
+              ? `<button type="button" class="cite-ref" data-cite="${citation.n}" title="Page ${citation.page}">${citation.n}</button>`
+              : marker;
+          });
       } else {
         // Segment is Code
         htmlBuffer += `<pre><code>${escapeHTML(parts[i])}</code></pre>`;
       }
     }
 
-    bubble.innerHTML = htmlBuffer;
+    bubble.innerHTML = (selection ? selectionHTML(selection) : '') + htmlBuffer;
+
+    // Citations: one chip per cited passage (page + quoted span)
+    if (citationByNumber.size > 0) {
+      const list = document.createElement('div');
+      list.className = 'chat-citations';
+
+      citationByNumber.forEach((citation) => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'citation-chip';
+        chip.dataset.cite = citation.n;
+        chip.title = citation.quote || '';
+        chip.innerHTML = `<strong>[${citation.n}]</strong> p. ${escapeHTML(citation.page)}${
+          citation.quote ? ` <span>“${escapeHTML(citation.quote)}”</span>` : ''
+        }`;
+        list.appendChild(chip);
+      });
+
+      bubble.appendChild(list);
+    }
+
+    // Kept on the element for the click handler attached in renderMessage()
+    bubble.citationByNumber = citationByNumber;
+
+    // Attribution: one link per source document with the pages used
+    if (Array.isArray(sources) && sources.length > 0) {
+      const list = document.createElement('div');
+      list.className = 'chat-sources';
+
+      sources.forEach((source) => {
+        const link = document.createElement('a');
+        link.className = 'chat-source';
+        link.href = source.pages?.length
+          ? `/file/${source.path}?page=${source.pages[0]}`
+          : `/file/${source.path}`;
+        link.title = source.path;
+
+        const pages = (source.pages || []).join(', ');
+        link.innerHTML = `<i class="ph ph-file-pdf"></i> ${escapeHTML(source.title)}${
+          pages ? ` <span>p. ${escapeHTML(pages)}</span>` : ''
+        }`;
+        list.appendChild(link);
+      });
+
+      bubble.appendChild(list);
+    }
+
+    // Provider that actually answered (may be a fallback of the configured one)
+    if (provider) {
+      const meta = document.createElement('div');
+      meta.className = 'chat-meta';
+      meta.textContent = model ? `${provider} · ${model}` : provider;
+      bubble.appendChild(meta);
+    }
+  }
+
+  /**
+   * Builds the actions row of a stored document message: pager through its
+   * alternatives, edit (questions), rating and regenerate (answers).
+   * @param {Object} message - The stored message ({ id, role, siblings }).
+   * @param {boolean} isLastAnswer - True for the last answer of the branch.
+   * @returns {HTMLElement|null} The row, or null when no action applies.
+   */
+  function renderMessageActions(message, isLastAnswer) {
+    const siblings = message.siblings || [message.id];
+    const index = siblings.indexOf(message.id);
+    const buttons = [];
+
+    if (siblings.length > 1) {
+      buttons.push(
+        `<button type="button" class="chat-msg-action" data-branch="${siblings[index - 1]}" title="Previous version" ${index === 0 ? 'disabled' : ''}><i class="ph ph-caret-left"></i></button>`,
+        `<span class="chat-msg-pager">${index + 1}/${siblings.length}</span>`,
+        `<button type="button" class="chat-msg-action" data-branch="${siblings[index + 1]}" title="Next version" ${index === siblings.length - 1 ? 'disabled' : ''}><i class="ph ph-caret-right"></i></button>`
+      );
+    }
+    if (message.role === 'user') {
+      buttons.push(
+        '<button type="button" class="chat-msg-action" data-action="edit" title="Edit question"><i class="ph ph-pencil-simple"></i></button>'
+      );
+    } else {
+      const rating = message.feedback?.rating;
+      buttons.push(
+        `<button type="button" class="chat-msg-action${rating === 'up' ? ' is-active' : ''}" data-rating="up" title="Good answer"><i class="ph ph-thumbs-up"></i></button>`,
+        `<button type="button" class="chat-msg-action${rating === 'down' ? ' is-active' : ''}" data-rating="down" title="Bad answer"><i class="ph ph-thumbs-down"></i></button>`
+      );
+    }
+    if (message.role === 'assistant' && isLastAnswer) {
+      buttons.push(
+        '<button type="button" class="chat-msg-action" data-action="regenerate" title="Regenerate (Shift+click: choose the model)"><i class="ph ph-arrow-clockwise"></i></button>'
+      );
+    }
+    if (buttons.length === 0) return null;
+
+    const row = document.createElement('div');
+    row.className = 'chat-msg-actions';
+    row.innerHTML = buttons.join('');
+    return row;
+  }
+
+  /**
+   * Renders a single chat message into the DOM.
+   * @param {Object} message - The message object ({ role, content, sources, citations, provider, model }).
+   *   Stored document messages also carry { id, siblings } and get an actions row.
+   * @param {Object} [options]
+   * @param {boolean} [options.isLastAnswer=false] - True for the last answer of the branch.
+   * @returns {HTMLElement} The bubble element (used to update a streamed answer).
+   */
+  function renderMessage(message, { isLastAnswer = false } = {}) {
+    // Remove "Empty State" placeholder if it exists
+    const emptyState = dom.history.querySelector('.chat-empty-state');
+    if (emptyState) emptyState.remove();
+
+    // Create Container
+    const item = document.createElement('div');
+    item.className = `chat-msg ${message.role === 'user' ? 'is-user' : 'is-assistant'}`;
+
+    // Create Bubble
+    const bubble = document.createElement('div');
+    bubble.className = 'chat-bubble';
+    fillBubble(bubble, message);
+
+    // Jump to the cited page from either the inline reference or the chip (or the quoted passage)
+    bubble.addEventListener('click', (event) => {
+      const quote = event.target.closest('[data-quote-page]');
+      if (quote) return openCitation(metaPath, Number(quote.dataset.quotePage));
+
+      const target = event.target.closest('[data-cite]');
+      const citation = target && bubble.citationByNumber?.get(Number(target.dataset.cite));
+      if (citation) openCitation(citation.path, citation.page);
+    });
+
     item.appendChild(bubble);
+
+    if (!metaScope && message.id) {
+      item.dataset.id = message.id;
+      const actions = renderMessageActions(message, isLastAnswer);
+      if (actions) {
+        actions.addEventListener('click', (event) => {
+          const button = event.target.closest('button');
+          if (!button || button.disabled || isProcessing) return;
+
+          if (button.dataset.branch) selectBranch(Number(button.dataset.branch));
+          else if (button.dataset.rating) rateAnswer(message, button.dataset.rating, actions);
+          else if (button.dataset.action === 'edit') editQuestion(item, message);
+          else if (button.dataset.action === 'regenerate') regenerateAnswer(item, event.shiftKey);
+        });
+        item.appendChild(actions);
+      }
+    }
+
     dom.history.appendChild(item);
+    return bubble;
+  }
+
+  /**
+   * Replaces the displayed conversation.
+   * @param {Array<Object>} messages - The messages, chronological.
+   */
+  function renderHistory(messages) {
+    dom.history.innerHTML = '';
+
+    if (messages && messages.length > 0) {
+      messages.forEach((m, idx) =>
+        renderMessage(m, { isLastAnswer: idx === messages.length - 1 && m.role === 'assistant' })
+      );
+    } else {
+      dom.history.innerHTML = emptyStateHTML();
+    }
+    scrollHistoryToEnd();
   }
 
   // ==========================================================================
@@ -163,30 +507,93 @@ export function initChat() {
    */
   async function loadChat() {
     try {
-      const res = await fetch(`/api/v1/chat?path=${encodeURIComponent(metaPath)}`);
+      const res = await fetch(`${endpoint}?${metaScope ? contextQuery : threadQuery()}`);
       const data = await res.json();
 
-      // Clear current view
-      dom.history.innerHTML = '';
+      if (!metaScope) threadId = data.thread?.id ?? null;
+
+      renderHistory(data.messages);
+    } catch (error) {
+      console.error('[Chat] Load Error:', error);
+    }
+  }
+
+  /**
+   * Streams a document answer (Server-Sent Events): a new question, a regenerated
+   * answer or the answer to an edited question.
+   * The bubble is created on the first token; once the server sends the 'done'
+   * event, the conversation is reloaded with the stored messages and their versions.
+   * @param {string} url - The streaming endpoint (e.g. '/api/v1/chat/stream').
+   * @param {Object} payload - The request body (thread_id is added).
+   */
+  async function streamAnswer(url, payload) {
+    let bubble = null;
+    let streamedText = '';
+    let stored = false;
+
+    // Lock UI, cancel any pending request
+    setLoading(true);
+    if (abortController) abortController.abort();
+    abortController = new AbortController();
+    setStopMode(true);
+
+    try {
+      const res = await postJSON(
+        url,
+        { path: metaPath, thread_id: threadId, ...payload },
+        { signal: abortController.signal }
+      );
+
+      if (!res.ok || !res.body) throw new Error(`HTTP ${res.status}`);
 
-      if (data.messages && data.messages.length > 0) {
-        data.messages.forEach((m) => renderMessage(m));
+      await readEventStream(res.body, (event, data) => {
+        if (event === 'token') {
+          streamedText += data.delta;
+
+          if (!bubble) {
+            // First token: hide the "thinking" indicator, show the growing answer
+            dom.loadingIndicator.hidden = true;
+            bubble = renderMessage({ role: 'assistant', content: streamedText });
+          } else {
+            fillBubble(bubble, { content: streamedText });
+          }
+          scrollHistoryToEnd();
+        } else if (event === 'done') {
+          if (!bubble) bubble = renderMessage(data.message);
+          else fillBubble(bubble, data.message);
+          stored = true;
+
+          // First question of a new thread: it now exists and is named after the question
+          if (data.thread) {
+            threadId = data.thread.id;
+            loadThreads();
+          }
+        } else if (event === 'error') {
+          renderMessage({ role: 'assistant', content: data.error });
+        }
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        // Stopped by the user: keep the partial answer on screen (the server stores it too)
+        if (bubble) fillBubble(bubble, { content: `${streamedText} …` });
       } else {
-        // Render Empty State
-        dom.history.innerHTML = `
-                    <div class="chat-empty-state">
-                        <i class="ph ph-robot" style="font-size: 24px; color: var(--text-light); margin-bottom: 8px;"></i>
-                        <p style="font-size: 13px; color: var(--text-muted);">Chat about this document.</p>
-                    </div>`;
+        console.error('[Chat] Stream Error:', error);
+        renderMessage({ role: 'assistant', content: 'Network error.' });
       }
+    } finally {
+      setStopMode(false);
+      setLoading(false);
+      abortController = null;
       scrollHistoryToEnd();
-    } catch (error) {
-      console.error('[Chat] Load Error:', error);
     }
+
+    // Message IDs and versions (pager, edit and regenerate actions)
+    if (stored) await loadChat();
   }
 
   /**
    * Sends the user's message to the backend API.
+   * Document questions are streamed; library questions use a single JSON response.
    * Handles the AbortController for request cancellation.
    */
   async function sendChatMessage() {
@@ -196,11 +603,21 @@ export function initChat() {
     if (!text || isProcessing) return;
 
     // 1. Optimistic UI Update: Show user message immediately
-    renderMessage({ role: 'user', content: text });
+    const selection = metaScope ? null : pendingSelection;
+    renderMessage({ role: 'user', content: text, selection });
     dom.input.value = '';
     dom.input.style.height = 'auto'; // Reset textarea height
+    pendingSelection = null;
+    renderPendingSelection();
     scrollHistoryToEnd();
 
+    if (!metaScope) {
+      return streamAnswer('/api/v1/chat/stream', {
+        content: text,
+        selection: selection || undefined
+      });
+    }
+
     // 2. Lock UI & Show Loader
     setLoading(true);
 
@@ -211,9 +628,13 @@ export function initChat() {
 
     try {
       // API Call
+      const payload = metaScope
+        ? { scope: metaScope, content: text }
+        : { path: metaPath, content: text };
+
       const res = await postJSON(
-        '/api/v1/chat',
-        { path: metaPath, content: text },
+        endpoint,
+        payload,
         { signal: abortController.signal } // Pass abort signal
       );
 
@@ -226,7 +647,11 @@ export function initChat() {
         // Render assistant responses
         data.messages.filter((m) => m.role === 'assistant').forEach((m) => renderMessage(m));
       } else {
-        renderMessage({ role: 'assistant', content: 'Error: Unable to retrieve a response.' });
+        // e.g. 502 when every provider of the fallback chain failed
+        renderMessage({
+          role: 'assistant',
+          content: data.error || 'Error: Unable to retrieve a response.'
+        });
       }
     } catch (error) {
       // Error Handling
@@ -246,6 +671,269 @@ export function initChat() {
     }
   }
 
+  /**
+   * Regenerates the last answer of the branch, optionally with another model.
+   * @param {HTMLElement} item - The message element of the last answer.
+   * @param {boolean} chooseModel - True to ask for the model to use.
+   */
+  function regenerateAnswer(item, chooseModel) {
+    const model = chooseModel ? prompt('Model to use (empty: the configured one):', '') : '';
+    if (model === null) return;
+
+    item.remove();
+    streamAnswer('/api/v1/chat/regenerate/stream', { model: model.trim() || undefined });
+  }
+
+  /**
+   * Turns a question into an inline editor. Saving asks the edited question from
+   * the same point of the conversation (a new branch; the original one is kept).
+   * @param {HTMLElement} item - The message element of the question.
+   * @param {Object} message - The stored question ({ id, content }).
+   */
+  function editQuestion(item, message) {
+    const editor = document.createElement('div');
+    editor.className = 'chat-edit';
+    editor.innerHTML = `
+      <textarea>${escapeHTML(message.content)}</textarea>
+      <div class="chat-edit-actions">
+        <button type="button" class="btn-secondary" data-edit="cancel">Cancel</button>
+        <button type="button" class="btn-primary" data-edit="save">Send</button>
+      </div>`;
+
+    const original = [...item.children];
+    item.replaceChildren(editor);
+    const textarea = editor.querySelector('textarea');
+    textarea.focus();
+
+    editor.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-edit]');
+      if (!button) return;
+
+      if (button.dataset.edit === 'cancel') {
+        item.replaceChildren(...original);
+        return;
+      }
+
+      const content = textarea.value.trim();
+      if (!content || isProcessing) return;
+
+      // Everything after the edited question belongs to the other branch
+      while (item.nextElementSibling) item.nextElementSibling.remove();
+      item.remove();
+      renderMessage({ role: 'user', content, selection: message.selection });
+      streamAnswer('/api/v1/chat/edit/stream', { message_id: message.id, content });
+    });
+  }
+
+  /**
+   * Rates an answer; clicking the current rating again removes it.
+   * A thumbs down asks for an optional comment.
+   * @param {Object} message - The stored answer ({ id, feedback }).
+   * @param {'up'|'down'} rating - The clicked rating.
+   * @param {HTMLElement} row - The actions row of the answer.
+   */
+  async function rateAnswer(message, rating, row) {
+    const url = `/api/v1/chat/messages/${message.id}/feedback`;
+
+    try {
+      if (message.feedback?.rating === rating) {
+        await fetch(url, { method: 'DELETE' });
+        message.feedback = null;
+      } else {
+        const comment =
+          rating === 'down' ? prompt('What was wrong with this answer? (optional)', '') : '';
+        if (comment === null) return;
+
+        const res = await postJSON(url, { rating, comment }, { method: 'PUT' });
+        const data = await res.json();
+        if (!res.ok) return alert(data.error || 'Unable to save the rating.');
+        message.feedback = data.feedback;
+      }
+
+      row.querySelectorAll('[data-rating]').forEach((btn) => {
+        btn.classList.toggle('is-active', btn.dataset.rating === message.feedback?.rating);
+      });
+    } catch (error) {
+      console.error('[Chat] Feedback Error:', error);
+    }
+  }
+
+  /**
+   * Displays another version of a message (and the conversation that followed it).
+   * @param {number} messageId - The ID of the version to display.
+   */
+  async function selectBranch(messageId) {
+    try {
+      const res = await postJSON('/api/v1/chat/branch', {
+        path: metaPath,
+        thread_id: threadId,
+        message_id: messageId
+      });
+      const data = await res.json();
+      if (!res.ok) return console.error('[Chat] Branch Error:', data.error);
+
+      renderHistory(data.messages);
+    } catch (error) {
+      console.error('[Chat] Branch Error:', error);
+    }
+  }
+
+  /**
+   * Fetches the threads of the document (archived ones included) and fills the switcher.
+   */
+  async function loadThreads() {
+    try {
+      const res = await fetch(`/api/v1/chat/threads?${contextQuery}&archived=1`);
+      threads = (await res.json()).threads || [];
+      renderThreads();
+    } catch (error) {
+      console.error('[Chat] Threads Load Error:', error);
+    }
+  }
+
+  /**
+   * Renders the thread switcher: active threads first, archived ones in their own group.
+   */
+  function renderThreads() {
+    const option = (thread) =>
+      `<option value="${thread.id}">${escapeHTML(thread.title || 'New conversation')}</option>`;
+    const active = threads.filter((t) => !t.archived);
+    const archived = threads.filter((t) => t.archived);
+
+    dom.threadSelect.innerHTML =
+      (threadId ? '' : '<option value="">New conversation</option>') +
+      active.map(option).join('') +
+      (archived.length
+        ? `<optgroup label="Archived">${archived.map(option).join('')}</optgroup>`
+        : '');
+    dom.threadSelect.value = threadId ? String(threadId) : '';
+
+    const current = threads.find((t) => t.id === threadId);
+    [dom.threadRename, dom.threadArchive, dom.threadDelete].forEach((btn) => {
+      btn.disabled = !current;
+    });
+    dom.threadArchive.title = current?.archived ? 'Unarchive thread' : 'Archive thread';
+    dom.threadArchive.innerHTML = current?.archived
+      ? '<i class="ph ph-tray-arrow-up"></i>'
+      : '<i class="ph ph-archive"></i>';
+
+    renderTemplates();
+  }
+
+  /**
+   * Fetches the prompt templates available to the user (own and shared).
+   */
+  async function loadTemplates() {
+    try {
+      const res = await fetch('/api/v1/prompt-templates');
+      templates = (await res.json()).templates || [];
+      renderTemplates();
+    } catch (error) {
+      console.error('[Chat] Templates Load Error:', error);
+    }
+  }
+
+  /**
+   * Renders the template picker and selects the template, notes scope and answer language
+   * of the current thread.
+   */
+  function renderTemplates() {
+    const current = threads.find((t) => t.id === threadId);
+    if (dom.notesSelect) dom.notesSelect.value = current?.notesContext || 'none';
+    if (dom.languageSelect) dom.languageSelect.value = current?.answerLanguage || '';
+    if (!dom.templateSelect) return;
+
+    const option = (template) =>
+      `<option value="${template.id}">${escapeHTML(template.name)}</option>`;
+    const own = templates.filter((t) => !t.shared);
+    const shared = templates.filter((t) => t.shared);
+
+    dom.templateSelect.innerHTML =
+      '<option value="">Default prompt</option>' +
+      own.map(option).join('') +
+      (shared.length ? `<optgroup label="Shared">${shared.map(option).join('')}</optgroup>` : '');
+
+    dom.templateSelect.value = current?.templateId ? String(current.templateId) : '';
+  }
+
+  /**
+   * Changes the prompt template, notes scope or answer language of the current thread
+   * (a thread is created if none exists yet).
+   * @param {Object} changes - { template_id } (null: default prompt), { notes_context } and/or
+   *   { answer_language } (null: language of the question).
+   */
+  async function setThreadOptions(changes) {
+    try {
+      const res = threadId
+        ? await postJSON(`/api/v1/chat/threads/${threadId}`, changes, { method: 'PATCH' })
+        : await postJSON('/api/v1/chat/threads', { path: metaPath, ...changes });
+      const data = await res.json();
+      if (!res.ok) {
+        renderTemplates();
+        return alert(data.error || 'Unable to change the thread options.');
+      }
+
+      if (threadId) return loadThreads();
+      threads.unshift(data.thread);
+      await switchThread(data.thread.id);
+    } catch (error) {
+      console.error('[Chat] Thread Options Error:', error);
+    }
+  }
+
+  /**
+   * Switches to another thread (null: the most recently active one, if any).
+   * @param {number|null} id - The thread ID.
+   */
+  async function switchThread(id) {
+    if (isProcessing) return;
+
+    threadId = id;
+    await loadChat();
+    renderThreads();
+    if (dom.summaryPanel && !dom.summaryPanel.hidden) loadSummary();
+  }
+
+  /**
+   * Renames or archives the current thread.
+   * @param {Object} changes - { title } and/or { archived }.
+   */
+  async function updateCurrentThread(changes) {
+    try {
+      const res = await postJSON(`/api/v1/chat/threads/${threadId}`, changes, { method: 'PATCH' });
+      const data = await res.json();
+      if (!res.ok) return alert(data.error || 'Unable to update the thread.');
+      await loadThreads();
+    } catch (error) {
+      console.error('[Chat] Thread Update Error:', error);
+    }
+  }
+
+  /**
+   * Fetches and displays the rolling summary of the document conversation.
+   */
+  async function loadSummary() {
+    try {
+      const res = await fetch(`/api/v1/chat/summary?${threadQuery()}`);
+      const { summary } = await res.json();
+
+      if (summary) {
+        dom.summaryText.textContent = summary.content;
+        dom.summaryMeta.textContent = `${summary.messageCount} earlier message(s) summarized${
+          summary.model ? ` by ${summary.model}` : ''
+        } · ${new Date(summary.updatedAt + 'Z').toLocaleString()}`;
+        dom.summaryReset.hidden = false;
+      } else {
+        dom.summaryText.textContent =
+          'No summary yet. Older messages are summarized once the conversation gets long.';
+        dom.summaryMeta.textContent = '';
+        dom.summaryReset.hidden = true;
+      }
+    } catch (error) {
+      console.error('[Chat] Summary Load Error:', error);
+    }
+  }
+
   // ==========================================================================
   // 5. EVENT LISTENERS
   // ==========================================================================
@@ -260,9 +948,15 @@ export function initChat() {
     }
   });
 
-  // B. Interaction: Send Button
+  // B. Interaction: Send Button (acts as "Stop" while an answer is streaming)
   if (dom.sendBtn) {
-    dom.sendBtn.addEventListener('click', sendChatMessage);
+    dom.sendBtn.addEventListener('click', () => {
+      if (isProcessing && abortController) {
+        abortController.abort();
+        return;
+      }
+      sendChatMessage();
+    });
   }
 
   // C. Interaction: Input Area
@@ -285,26 +979,176 @@ export function initChat() {
   // D. Interaction: Reset Conversation
   if (dom.resetBtn) {
     dom.resetBtn.addEventListener('click', async () => {
+      // Document scope: clears the current thread only
+      if (!metaScope && !threadId) return;
       if (!confirm('Reset conversation?')) return;
 
       try {
-        const res = await fetch(`/api/v1/chat?path=${encodeURIComponent(metaPath)}`, {
+        const res = await fetch(`${endpoint}?${metaScope ? contextQuery : threadQuery()}`, {
           method: 'DELETE'
         });
         const data = await res.json();
 
         if (data.success) {
           // Restore Empty State
-          dom.history.innerHTML = `
-                        <div class="chat-empty-state">
-                            <i class="ph ph-robot" style="font-size: 24px; color: var(--text-light); margin-bottom: 8px;"></i>
-                            <p style="font-size: 13px; color: var(--text-muted);">Chat about this document.</p>
-                        </div>`;
+          dom.history.innerHTML = emptyStateHTML();
           setLoading(false);
+          if (dom.summaryPanel && !dom.summaryPanel.hidden) loadSummary();
         }
       } catch (error) {
         console.error('[Chat] Reset Error:', error);
       }
     });
   }
+
+  // E. Interaction: Conversation Summary (document scope only)
+  if (dom.summaryToggle && dom.summaryPanel && !metaScope) {
+    dom.summaryToggle.hidden = false;
+
+    dom.summaryToggle.addEventListener('click', () => {
+      dom.summaryPanel.hidden = !dom.summaryPanel.hidden;
+      dom.summaryToggle.classList.toggle('active', !dom.summaryPanel.hidden);
+      if (!dom.summaryPanel.hidden) loadSummary();
+    });
+
+    dom.summaryReset?.addEventListener('click', async () => {
+      if (!confirm('Reset the summary? It will be rebuilt from the messages.')) return;
+
+      try {
+        await fetch(`/api/v1/chat/summary?${threadQuery()}`, { method: 'DELETE' });
+        loadSummary();
+      } catch (error) {
+        console.error('[Chat] Summary Reset Error:', error);
+      }
+    });
+  }
+
+  // F. Interaction: Thread Switcher (document scope only)
+  if (dom.threadBar && dom.threadSelect && !metaScope) {
+    dom.threadBar.hidden = false;
+    loadThreads();
+    loadTemplates();
+
+    dom.threadSelect.addEventListener('change', () => {
+      switchThread(dom.threadSelect.value ? Number(dom.threadSelect.value) : null);
+    });
+
+    dom.threadNew.addEventListener('click', async () => {
+      const title = prompt('Name of the new thread (optional):', '');
+      if (title === null) return;
+
+      // The new thread keeps the prompt template, notes scope and answer language of the current one
+      const current = threads.find((t) => t.id === threadId);
+
+      try {
+        const res = await postJSON('/api/v1/chat/threads', {
+          path: metaPath,
+          title,
+          template_id: current?.templateId ?? null,
+          notes_context: current?.notesContext || 'none',
+          answer_language: current?.answerLanguage ?? null
+        });
+        const data = await res.json();
+        if (!res.ok) return alert(data.error || 'Unable to create the thread.');
+
+        threads.unshift(data.thread);
+        await switchThread(data.thread.id);
+      } catch (error) {
+        console.error('[Chat] Thread Create Error:', error);
+      }
+    });
+
+    dom.templateSelect?.addEventListener('change', () => {
+      setThreadOptions({
+        template_id: dom.templateSelect.value ? Number(dom.templateSelect.value) : null
+      });
+    });
+
+    dom.notesSelect?.addEventListener('change', () => {
+      setThreadOptions({ notes_context: dom.notesSelect.value });
+    });
+
+    dom.languageSelect?.addEventListener('change', () => {
+      setThreadOptions({ answer_language: dom.languageSelect.value || null });
+    });
+
+    // Language picked in the translation pane: the current thread answers in it
+    document.addEventListener('chat:answer-language', ({ detail }) => {
+      openToolsTab('ai');
+      const current = threads.find((t) => t.id === threadId);
+      if ((current?.answerLanguage ?? null) !== detail.language) {
+        setThreadOptions({ answer_language: detail.language });
+      }
+    });
+
+    dom.threadRename.addEventListener('click', () => {
+      const current = threads.find((t) => t.id === threadId);
+      const title = current && prompt('Thread name:', current.title || '');
+      if (title) updateCurrentThread({ title });
+    });
+
+    dom.threadArchive.addEventListener('click', () => {
+      const current = threads.find((t) => t.id === threadId);
+      if (current) updateCurrentThread({ archived: !current.archived });
+    });
+
+    dom.threadDelete.addEventListener('click', async () => {
+      if (!threadId || !confirm('Delete this thread and all its messages?')) return;
+
+      try {
+        await fetch(`/api/v1/chat/threads/${threadId}`, { method: 'DELETE' });
+        threads = threads.filter((t) => t.id !== threadId);
+        // Falls back to the most recently active remaining thread
+        await switchThread(null);
+      } catch (error) {
+        console.error('[Chat] Thread Delete Error:', error);
+      }
+    });
+  }
+
+  // G. Interaction: Passages selected in the PDF reader (document scope only)
+  if (!metaScope) {
+    document.addEventListener('reader:selection', ({ detail }) => {
+      if (detail.action !== 'ask' && !SELECTION_QUESTIONS[detail.action]) return; // e.g. snippets
+      if (detail.text.length > MAX_SELECTION_CHARS) {
+        return alert(`Select a shorter passage (at most ${MAX_SELECTION_CHARS} characters).`);
+      }
+
+      openToolsTab('ai');
+      pendingSelection = { text: detail.text, page: detail.page };
+
+      // "Ask" (or an answer still streaming): the passage waits for the next question
+      if (detail.action === 'ask' || isProcessing) {
+        renderPendingSelection();
+        dom.input?.focus();
+        return;
+      }
+
+      let language = '';
+      if (detail.action === 'translate') {
+        const browserLanguage = new Intl.DisplayNames(['en'], { type: 'language' }).of(
+          navigator.language.split('-')[0]
+        );
+        language = prompt('Translate into:', browserLanguage || 'English');
+        if (!language?.trim()) {
+          pendingSelection = null;
+          return;
+        }
+      }
+
+      dom.input.value = SELECTION_QUESTIONS[detail.action](language.trim());
+      sendChatMessage();
+    });
+
+    dom.quote?.addEventListener('click', (event) => {
+      if (event.target.closest('.chat-quote-remove')) {
+        pendingSelection = null;
+        renderPendingSelection();
+        return;
+      }
+
+      const quote = event.target.closest('[data-quote-page]');
+      if (quote) openCitation(metaPath, Number(quote.dataset.quotePage));
+    });
+  }
 }
@@ -8,12 +8,13 @@
  *
  * @author Sacha Pastor
  * @environment Browser (Client-side JS)
- * @dependencies utils.mjs
+ * @dependencies utils.mjs, ui.mjs
  * ==============================================================================
  */
 
 // --- 1. IMPORTS ---
 import { debounce, postJSON } from './utils.mjs';
+import { openToolsTab } from './ui.mjs';
 
 // --- 2. STATE & CONFIGURATION ---
 
@@ -61,6 +62,12 @@ function renderSnippets() {
                         title="Copy to Clipboard">
                     <i class="ph ph-copy"></i>
                 </button>
+
+                <button class="btn-action-snip" 
+                        onclick="window.snippetToFlashcard(${idx})" 
+                        title="Make a Flashcard">
+                    <i class="ph ph-cards"></i>
+                </button>
                 
                 <button class="btn-action-snip btn-delete" 
                         onclick="window.deleteSnippet(${idx})" 
@@ -188,6 +195,15 @@ export async function initDataManager(easyMDE) {
     }
   };
 
+  // Prefills a new card of the Cards tab with the snippet (see flashcards.mjs)
+  window.snippetToFlashcard = function (index) {
+    document.dispatchEvent(
+      new CustomEvent('flashcards:draft', {
+        detail: { text: currentData.snippets[index].code, source: 'snippet' }
+      })
+    );
+  };
+
   // Bind Add Button
   if (domElements.btnAddSnippet) {
     domElements.btnAddSnippet.addEventListener('click', () => {
@@ -209,6 +225,19 @@ export async function initDataManager(easyMDE) {
     });
   }
 
+  // Passages saved from the PDF reader's selection menu (see reader.mjs)
+  document.addEventListener('reader:selection', ({ detail }) => {
+    if (detail.action !== 'snippet') return;
+
+    currentData.snippets.push({
+      code: `${detail.text}\n\n(p. ${detail.page})`,
+      timestamp: Date.now()
+    });
+    renderSnippets();
+    saveData();
+    openToolsTab('snippets');
+  });
+
   // --- STEP 4: BIND FAVORITES LOGIC ---
   if (domElements.btnFav) {
     domElements.btnFav.addEventListener('click', async () => {
@@ -0,0 +1,379 @@
+/**
+ * ==============================================================================
+ * MODULE: FLASHCARDS
+ * ==============================================================================
+ * @fileoverview Flashcard deck of the current document in the "Cards" tab of
+ * the Tools Panel: review of the cards due today, new cards (typed, taken from
+ * the note selection or from a snippet) and AI generation from the document.
+ *
+ * The deck is fetched the first time the tab is opened. Following a deck of the
+ * dashboard's "Due today" queue (?review=1) opens the tab in review mode.
+ *
+ * @author Sacha Pastor
+ * @environment Browser (Client-side JS)
+ * @dependencies utils.mjs, ui.mjs, reader.mjs
+ * ==============================================================================
+ */
+
+// --- 1. IMPORTS ---
+import { postJSON } from './utils.mjs';
+import { openToolsTab } from './ui.mjs';
+import { showPage } from './reader.mjs';
+
+// --- 2. STATE & CONFIGURATION ---
+
+const metaPath = document.getElementById('meta-path')?.value;
+
+const dom = {
+  tab: document.querySelector('.tools-tab[data-tab="flashcards"]'),
+  summary: document.getElementById('flashcardsSummary'),
+  btnReview: document.getElementById('btnReviewCards'),
+  review: document.getElementById('flashcardReview'),
+  front: document.getElementById('flashcardFront'),
+  back: document.getElementById('flashcardBack'),
+  btnShowAnswer: document.getElementById('btnShowAnswer'),
+  grades: document.getElementById('flashcardGrades'),
+  newFront: document.getElementById('newCardFront'),
+  newBack: document.getElementById('newCardBack'),
+  btnFromNote: document.getElementById('btnCardFromNote'),
+  btnAdd: document.getElementById('btnAddCard'),
+  btnGenerate: document.getElementById('btnGenerateCards'),
+  status: document.getElementById('flashcardsStatus'),
+  list: document.getElementById('flashcardList')
+};
+
+let loaded = false;
+
+// Cards of the deck, and the cards left to review in the current session
+let cards = [];
+let queue = [];
+
+// Origin of the card being written ('manual', 'note' or 'snippet')
+let draftSource = 'manual';
+
+/**
+ * ==============================================================================
+ * 3. HELPER FUNCTIONS (Internal Logic)
+ * ==============================================================================
+ */
+
+/**
+ * Creates an element with a class name and text content.
+ *
+ * @param {string} tag - The tag name.
+ * @param {string} className - The class name ('' for none).
+ * @param {string} [text] - The text content.
+ * @returns {HTMLElement}
+ */
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * Sends a JSON request and returns the parsed body.
+ *
+ * @param {string} url - The endpoint URL.
+ * @param {Object} data - The body.
+ * @param {string} [method='POST'] - The HTTP method.
+ * @returns {Promise<Object>} The response body.
+ * @throws {Error} With the API error message if the request failed.
+ */
+async function sendJSON(url, data, method = 'POST') {
+  const res = await postJSON(url, data, { method });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(body.error || res.statusText);
+  return body;
+}
+
+/**
+ * Tells whether a card is due today (same rule as the server: UTC days).
+ *
+ * @param {Object} card - A card returned by the API.
+ * @returns {boolean}
+ */
+function isDue(card) {
+  return card.dueAt.slice(0, 10) <= new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Shows a short status message under the generate button.
+ *
+ * @param {string} message - The message ('' to clear it).
+ */
+function setStatus(message) {
+  dom.status.textContent = message;
+}
+
+/**
+ * Renders the deck summary and the list of cards.
+ */
+function renderDeck() {
+  const due = cards.filter(isDue).length;
+
+  dom.summary.textContent =
+    cards.length === 0
+      ? 'No flashcards for this document yet.'
+      : `${cards.length} card${cards.length === 1 ? '' : 's'} · ${due} due today`;
+  dom.btnReview.hidden = due === 0 || !dom.review.hidden;
+
+  dom.list.replaceChildren(
+    ...cards.map((card) => {
+      const item = createElement('div', 'flashcard-item');
+      const meta = createElement('div', 'flashcard-meta');
+
+      if (card.page) {
+        const pageLink = createElement('button', 'flashcard-page', `p. ${card.page}`);
+        pageLink.type = 'button';
+        pageLink.addEventListener('click', () => showPage(card.page));
+        meta.append(pageLink);
+      }
+      meta.append(
+        createElement('span', '', isDue(card) ? 'Due today' : `Next: ${card.dueAt.slice(0, 10)}`)
+      );
+
+      const btnDelete = createElement('button', 'btn-action-snip btn-delete');
+      btnDelete.type = 'button';
+      btnDelete.title = 'Delete Card';
+      btnDelete.append(createElement('i', 'ph ph-trash'));
+      btnDelete.addEventListener('click', () => removeCard(card));
+      meta.append(btnDelete);
+
+      item.append(
+        createElement('div', 'flashcard-item-front', card.front),
+        createElement('div', 'flashcard-item-back', card.back),
+        meta
+      );
+      return item;
+    })
+  );
+}
+
+/**
+ * Fetches the deck of the document and renders it.
+ */
+async function loadDeck() {
+  try {
+    const res = await fetch(`/api/v1/flashcards?path=${encodeURIComponent(metaPath)}`);
+    const body = await res.json();
+    if (!res.ok) throw new Error(body.error || res.statusText);
+    cards = body.cards;
+  } catch (error) {
+    dom.summary.textContent = `Unable to load the flashcards: ${error.message}`;
+    return;
+  }
+  renderDeck();
+}
+
+/**
+ * Deletes a card after confirmation.
+ *
+ * @param {Object} card - The card.
+ */
+async function removeCard(card) {
+  if (!confirm('Are you sure you want to delete this card?')) return;
+
+  try {
+    await sendJSON(`/api/v1/flashcards/${card.id}`, {}, 'DELETE');
+  } catch (error) {
+    setStatus(`Unable to delete the card: ${error.message}`);
+    return;
+  }
+  cards = cards.filter((c) => c.id !== card.id);
+  queue = queue.filter((c) => c.id !== card.id);
+  renderDeck();
+}
+
+/**
+ * ==============================================================================
+ * 4. REVIEW SESSION
+ * ==============================================================================
+ */
+
+/**
+ * Shows the front of the next card of the session, or ends the session.
+ */
+function showNextCard() {
+  dom.back.hidden = true;
+  dom.grades.hidden = true;
+
+  if (queue.length === 0) {
+    dom.front.textContent = 'Review complete: no more cards due today.';
+    dom.btnShowAnswer.hidden = true;
+    setTimeout(() => {
+      dom.review.hidden = true;
+      renderDeck();
+    }, 2000);
+    return;
+  }
+
+  dom.front.textContent = queue[0].front;
+  dom.back.textContent = queue[0].back;
+  dom.btnShowAnswer.hidden = false;
+}
+
+/**
+ * Starts reviewing the cards of the deck due today.
+ */
+function startReview() {
+  queue = cards.filter(isDue);
+  if (queue.length === 0) return;
+
+  dom.review.hidden = false;
+  dom.btnReview.hidden = true;
+  showNextCard();
+}
+
+/**
+ * Records the answer to the current card and moves to the next one.
+ * Forgotten cards ('again') are due at once: they come back at the end of the session.
+ *
+ * @param {string} grade - 'again', 'hard', 'good' or 'easy'.
+ */
+async function gradeCard(grade) {
+  const current = queue[0];
+  dom.grades.hidden = true;
+
+  let card;
+  try {
+    ({ card } = await sendJSON(`/api/v1/flashcards/${current.id}/review`, { grade }));
+  } catch (error) {
+    setStatus(`Unable to save the review: ${error.message}`);
+    dom.grades.hidden = false;
+    return;
+  }
+
+  cards = cards.map((c) => (c.id === card.id ? card : c));
+  queue.shift();
+  if (grade === 'again') queue.push(card);
+  showNextCard();
+}
+
+/**
+ * ==============================================================================
+ * 5. NEW CARDS
+ * ==============================================================================
+ */
+
+/**
+ * Prefills the answer of a new card and focuses its question.
+ *
+ * @param {string} text - The answer.
+ * @param {string} source - Origin of the card ('note' or 'snippet').
+ */
+function draftCard(text, source) {
+  dom.newBack.value = text.trim();
+  draftSource = source;
+  dom.newFront.focus();
+}
+
+/**
+ * Adds the card written in the form to the deck.
+ */
+async function addCard() {
+  const front = dom.newFront.value.trim();
+  const back = dom.newBack.value.trim();
+  if (!front || !back) {
+    setStatus('Write a question and an answer.');
+    return;
+  }
+
+  try {
+    const body = await sendJSON('/api/v1/flashcards', {
+      path: metaPath,
+      front,
+      back,
+      source: draftSource
+    });
+    cards.push(...body.cards);
+  } catch (error) {
+    setStatus(`Unable to add the card: ${error.message}`);
+    return;
+  }
+
+  dom.newFront.value = '';
+  dom.newBack.value = '';
+  draftSource = 'manual';
+  setStatus('');
+  renderDeck();
+}
+
+/**
+ * Asks the AI to write cards from the document and adds them to the deck.
+ */
+async function generateCards() {
+  dom.btnGenerate.disabled = true;
+  setStatus('Writing flashcards from this document…');
+
+  try {
+    const body = await sendJSON('/api/v1/flashcards/generate', { path: metaPath });
+    cards.push(...body.cards);
+    setStatus(`${body.cards.length} card${body.cards.length === 1 ? '' : 's'} added.`);
+    renderDeck();
+  } catch (error) {
+    setStatus(`Unable to generate flashcards: ${error.message}`);
+  } finally {
+    dom.btnGenerate.disabled = false;
+  }
+}
+
+/**
+ * ==============================================================================
+ * 6. MODULE EXPORTS
+ * ==============================================================================
+ */
+
+/**
+ * Initializes the Cards tab of the Reader page.
+ * The deck is loaded the first time the tab is opened (at once with ?review=1).
+ *
+ * @param {Object} easyMDE - The EasyMDE editor instance (source of "From note").
+ */
+export function initFlashcards(easyMDE) {
+  // Guard Clause: Exit if not on a Reader page
+  if (!dom.tab || !dom.list || !metaPath) return;
+
+  dom.tab.addEventListener('click', () => {
+    if (loaded) return;
+    loaded = true;
+    loadDeck();
+  });
+
+  dom.btnReview.addEventListener('click', startReview);
+  dom.btnShowAnswer.addEventListener('click', () => {
+    dom.back.hidden = false;
+    dom.grades.hidden = false;
+    dom.btnShowAnswer.hidden = true;
+  });
+  dom.grades.querySelectorAll('[data-grade]').forEach((button) => {
+    button.addEventListener('click', () => gradeCard(button.dataset.grade));
+  });
+
+  dom.btnAdd.addEventListener('click', addCard);
+  dom.btnGenerate.addEventListener('click', generateCards);
+
+  dom.btnFromNote.addEventListener('click', () => {
+    const selection = easyMDE?.codemirror.getSelection() || '';
+    if (!selection.trim()) {
+      setStatus('Select some text in your note first.');
+      return;
+    }
+    setStatus('');
+    draftCard(selection, 'note');
+  });
+
+  // "Make a flashcard" action of the snippet cards (see data.mjs)
+  document.addEventListener('flashcards:draft', ({ detail }) => {
+    openToolsTab('flashcards');
+    draftCard(detail.text, detail.source);
+  });
+
+  // Link of the dashboard's "Due today" queue
+  if (new URLSearchParams(window.location.search).has('review')) {
+    loaded = true;
+    openToolsTab('flashcards');
+    loadDeck().then(startReview);
+  }
+}
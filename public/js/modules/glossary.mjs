@@ -0,0 +1,181 @@
+/**
+ * ==============================================================================
+ * MODULE: GLOSSARY
+ * ==============================================================================
+ * @fileoverview Glossary page of a course folder: filtering of the terms, and
+ * adding, editing and deleting entries (shared by every user).
+ *
+ * Entries are rendered by the server; edits update them in place, new terms
+ * reload the page (alphabetical order).
+ *
+ * @author Sacha Pastor
+ * @environment Browser (Client-side JS)
+ * @dependencies utils.mjs
+ * ==============================================================================
+ */
+
+// --- 1. IMPORTS ---
+import { postJSON } from './utils.mjs';
+
+// --- 2. STATE & CONFIGURATION ---
+
+const dom = {
+  page: document.getElementById('glossaryPage'),
+  search: document.getElementById('glossarySearch'),
+  addForm: document.getElementById('glossaryAddForm'),
+  status: document.getElementById('glossaryStatus'),
+  list: document.getElementById('glossaryList')
+};
+
+/**
+ * ==============================================================================
+ * 3. HELPER FUNCTIONS (Internal Logic)
+ * ==============================================================================
+ */
+
+/**
+ * Sends a JSON request and returns the parsed body.
+ *
+ * @param {string} url - The endpoint URL.
+ * @param {Object} data - The body.
+ * @param {string} [method='POST'] - The HTTP method.
+ * @returns {Promise<Object>} The response body.
+ * @throws {Error} With the API error message if the request failed.
+ */
+async function sendJSON(url, data, method = 'POST') {
+  const res = await postJSON(url, data, { method });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(body.error || res.statusText);
+  return body;
+}
+
+/**
+ * Hides the entries whose term and definition do not contain the search.
+ */
+function filterEntries() {
+  const query = dom.search.value.trim().toLowerCase();
+
+  dom.list.querySelectorAll('.glossary-entry').forEach((entry) => {
+    const text = `${entry.querySelector('.glossary-term').textContent} ${
+      entry.querySelector('.glossary-definition').textContent
+    }`.toLowerCase();
+    entry.hidden = Boolean(query) && !text.includes(query);
+  });
+}
+
+/**
+ * Adds the term of the form to the glossary.
+ *
+ * @param {SubmitEvent} event - The submit event.
+ */
+async function addTerm(event) {
+  event.preventDefault();
+  const form = dom.addForm;
+
+  try {
+    await sendJSON('/api/v1/glossary/terms', {
+      category: dom.page.dataset.category,
+      term: form.elements.term.value,
+      definition: form.elements.definition.value
+    });
+    window.location.reload();
+  } catch (error) {
+    dom.status.textContent = `Unable to add the term: ${error.message}`;
+  }
+}
+
+/**
+ * Replaces the definition of an entry by an edit form.
+ *
+ * @param {HTMLElement} entry - The '.glossary-entry' element.
+ */
+function editEntry(entry) {
+  if (entry.querySelector('form')) return;
+
+  const termEl = entry.querySelector('.glossary-term');
+  const definitionEl = entry.querySelector('.glossary-definition');
+
+  const form = document.createElement('form');
+  form.className = 'glossary-edit';
+  const termInput = document.createElement('input');
+  termInput.className = 'form-input';
+  termInput.maxLength = 120;
+  termInput.value = termEl.textContent;
+  const definitionInput = document.createElement('textarea');
+  definitionInput.className = 'snippet-input';
+  definitionInput.maxLength = 1500;
+  definitionInput.value = definitionEl.textContent;
+  const btnSave = document.createElement('button');
+  btnSave.type = 'submit';
+  btnSave.className = 'btn-small';
+  btnSave.textContent = 'Save';
+  const btnCancel = document.createElement('button');
+  btnCancel.type = 'button';
+  btnCancel.className = 'quiz-delete';
+  btnCancel.textContent = 'Cancel';
+  btnCancel.addEventListener('click', () => form.remove());
+  form.append(termInput, definitionInput, btnCancel, btnSave);
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    try {
+      const { term } = await sendJSON(
+        `/api/v1/glossary/terms/${entry.dataset.id}`,
+        { term: termInput.value, definition: definitionInput.value },
+        'PATCH'
+      );
+      termEl.textContent = term.term;
+      definitionEl.textContent = term.definition;
+      form.remove();
+    } catch (error) {
+      alert(`Unable to save the term: ${error.message}`);
+    }
+  });
+
+  definitionEl.after(form);
+  definitionInput.focus();
+}
+
+/**
+ * Deletes an entry after confirmation.
+ *
+ * @param {HTMLElement} entry - The '.glossary-entry' element.
+ */
+async function deleteEntry(entry) {
+  const term = entry.querySelector('.glossary-term').textContent;
+  if (!confirm(`Delete "${term}" from the glossary?`)) return;
+
+  try {
+    await sendJSON(`/api/v1/glossary/terms/${entry.dataset.id}`, {}, 'DELETE');
+    entry.remove();
+  } catch (error) {
+    alert(`Unable to delete the term: ${error.message}`);
+  }
+}
+
+/**
+ * ==============================================================================
+ * 4. MODULE EXPORTS
+ * ==============================================================================
+ */
+
+/**
+ * Initializes the Glossary page.
+ */
+export function initGlossary() {
+  // Guard Clause: Exit if not on a Glossary page
+  if (!dom.page || !dom.list) return;
+
+  dom.search.addEventListener('input', filterEntries);
+  dom.addForm.addEventListener('submit', addTerm);
+
+  // Event delegation: edit and delete buttons of the entries
+  dom.list.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    const entry = button.closest('.glossary-entry');
+    if (button.dataset.action === 'edit') editEntry(entry);
+    else deleteEntry(entry);
+  });
+}
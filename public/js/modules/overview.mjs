@@ -0,0 +1,157 @@
+/**
+ * ==============================================================================
+ * MODULE: DOCUMENT OVERVIEW
+ * ==============================================================================
+ * @fileoverview Displays the AI overview of the current document (abstract,
+ * outline and key takeaways) in the "Overview" tab of the Tools Panel.
+ *
+ * The overview is fetched the first time the tab is opened. While it is being
+ * generated in the background, the API is polled until it is complete or failed.
+ * Outline entries open their page in the reader.
+ *
+ * @author Sacha Pastor
+ * @environment Browser (Client-side JS)
+ * @dependencies reader.mjs
+ * ==============================================================================
+ */
+
+// --- 1. IMPORTS ---
+import { showPage } from './reader.mjs';
+
+// --- 2. STATE & CONFIGURATION ---
+
+// Delay between two status checks while the overview is generated
+const POLL_INTERVAL_MS = 5000;
+
+const metaPath = document.getElementById('meta-path')?.value;
+
+const dom = {
+  tab: document.querySelector('.tools-tab[data-tab="overview"]'),
+  status: document.getElementById('overviewStatus'),
+  content: document.getElementById('overviewContent')
+};
+
+let loaded = false;
+
+/**
+ * ==============================================================================
+ * 3. HELPER FUNCTIONS (Internal Logic)
+ * ==============================================================================
+ */
+
+/**
+ * Creates an element with a class name and text content.
+ *
+ * @param {string} tag - The tag name.
+ * @param {string} className - The class name ('' for none).
+ * @param {string} [text] - The text content.
+ * @returns {HTMLElement}
+ */
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * Renders a complete overview.
+ *
+ * @param {Object} overview - The overview returned by the API.
+ */
+function renderOverview(overview) {
+  const nodes = [createElement('p', 'overview-abstract', overview.abstract)];
+
+  if (overview.outline.length > 0) {
+    const list = createElement('ol', 'overview-outline');
+
+    overview.outline.forEach((section) => {
+      const item = createElement('li', '');
+      const title = createElement(section.page ? 'button' : 'span', 'overview-section-title');
+      title.textContent = section.title;
+
+      if (section.page) {
+        title.type = 'button';
+        title.title = `Go to page ${section.page}`;
+        title.append(createElement('span', 'overview-page', `p. ${section.page}`));
+        title.addEventListener('click', () => showPage(section.page));
+      }
+
+      item.append(title);
+      if (section.summary) item.append(createElement('p', '', section.summary));
+      list.append(item);
+    });
+
+    nodes.push(createElement('h4', '', 'Outline'), list);
+  }
+
+  if (overview.takeaways.length > 0) {
+    const list = createElement('ul', 'overview-takeaways');
+    overview.takeaways.forEach((takeaway) => list.append(createElement('li', '', takeaway)));
+    nodes.push(createElement('h4', '', 'Key takeaways'), list);
+  }
+
+  nodes.push(
+    createElement(
+      'p',
+      'overview-meta',
+      `Generated by AI${overview.model ? ` (${overview.model})` : ''}: check important points in the document.`
+    )
+  );
+
+  dom.content.replaceChildren(...nodes);
+  dom.content.hidden = false;
+  dom.status.hidden = true;
+}
+
+/**
+ * Fetches the overview and renders it, or its status (polling until it is final).
+ */
+async function loadOverview() {
+  let overview;
+  try {
+    const res = await fetch(`/api/v1/documents/overview?path=${encodeURIComponent(metaPath)}`);
+    overview = await res.json();
+    if (!res.ok) throw new Error(overview.error || res.statusText);
+  } catch (error) {
+    dom.status.textContent = `Unable to load the overview: ${error.message}`;
+    return;
+  }
+
+  if (overview.status === 'complete') {
+    renderOverview(overview);
+    return;
+  }
+
+  if (overview.status === 'failed') {
+    dom.status.textContent = `The overview could not be generated: ${overview.error || 'unknown error'}`;
+    return;
+  }
+
+  dom.status.textContent =
+    overview.status === 'processing'
+      ? 'Summarizing this document…'
+      : 'The overview is queued: it is generated once the text of the document is extracted…';
+  setTimeout(loadOverview, POLL_INTERVAL_MS);
+}
+
+/**
+ * ==============================================================================
+ * 4. MODULE EXPORTS
+ * ==============================================================================
+ */
+
+/**
+ * Initializes the Overview tab of the Reader page.
+ * The overview is loaded the first time the tab is opened.
+ */
+export function initOverview() {
+  // Guard Clause: Exit if not on a Reader page
+  if (!dom.tab || !dom.content || !metaPath) return;
+
+  dom.tab.addEventListener('click', () => {
+    if (loaded) return;
+    loaded = true;
+    loadOverview();
+  });
+}
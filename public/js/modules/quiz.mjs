@@ -0,0 +1,350 @@
+/**
+ * ==============================================================================
+ * MODULE: QUIZ
+ * ==============================================================================
+ * @fileoverview Quizzes of the current document in the "Quiz" tab of the Tools
+ * Panel: generation (whole document or a page range), taking a quiz, and its
+ * results (short answers are graded by the AI against the source passages).
+ *
+ * The quizzes are fetched the first time the tab is opened.
+ *
+ * @author Sacha Pastor
+ * @environment Browser (Client-side JS)
+ * @dependencies utils.mjs, reader.mjs
+ * ==============================================================================
+ */
+
+// --- 1. IMPORTS ---
+import { postJSON } from './utils.mjs';
+import { showPage } from './reader.mjs';
+
+// --- 2. STATE & CONFIGURATION ---
+
+const metaPath = document.getElementById('meta-path')?.value;
+
+const dom = {
+  tab: document.querySelector('.tools-tab[data-tab="quiz"]'),
+  pageStart: document.getElementById('quizPageStart'),
+  pageEnd: document.getElementById('quizPageEnd'),
+  count: document.getElementById('quizCount'),
+  btnGenerate: document.getElementById('btnGenerateQuiz'),
+  status: document.getElementById('quizStatus'),
+  form: document.getElementById('quizForm'),
+  list: document.getElementById('quizList')
+};
+
+let loaded = false;
+
+/**
+ * ==============================================================================
+ * 3. HELPER FUNCTIONS (Internal Logic)
+ * ==============================================================================
+ */
+
+/**
+ * Creates an element with a class name and text content.
+ *
+ * @param {string} tag - The tag name.
+ * @param {string} className - The class name ('' for none).
+ * @param {string} [text] - The text content.
+ * @returns {HTMLElement}
+ */
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * Creates a button.
+ *
+ * @param {string} className - The class name.
+ * @param {string} text - The label.
+ * @param {Function} onClick - The click handler.
+ * @returns {HTMLButtonElement}
+ */
+function createButton(className, text, onClick) {
+  const button = createElement('button', className, text);
+  button.type = 'button';
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Creates a link opening a page in the reader.
+ *
+ * @param {number} page - The page number.
+ * @returns {HTMLButtonElement}
+ */
+function createPageLink(page) {
+  return createButton('quiz-page', `p. ${page}`, () => showPage(page));
+}
+
+/**
+ * Sends a JSON request and returns the parsed body.
+ *
+ * @param {string} url - The endpoint URL.
+ * @param {Object} data - The body.
+ * @param {string} [method='POST'] - The HTTP method.
+ * @returns {Promise<Object>} The response body.
+ * @throws {Error} With the API error message if the request failed.
+ */
+async function sendJSON(url, data, method = 'POST') {
+  const res = await postJSON(url, data, { method });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(body.error || res.statusText);
+  return body;
+}
+
+/**
+ * Describes the pages a quiz covers.
+ *
+ * @param {Object} quiz - A quiz returned by the API.
+ * @returns {string}
+ */
+function describePages(quiz) {
+  return quiz.pageStart === quiz.pageEnd
+    ? `page ${quiz.pageStart}`
+    : `pages ${quiz.pageStart}–${quiz.pageEnd}`;
+}
+
+/**
+ * Fetches the quizzes of the document and renders them.
+ */
+async function loadQuizzes() {
+  let quizzes;
+  try {
+    const res = await fetch(`/api/v1/quizzes?path=${encodeURIComponent(metaPath)}`);
+    const body = await res.json();
+    if (!res.ok) throw new Error(body.error || res.statusText);
+    quizzes = body.quizzes;
+  } catch (error) {
+    dom.status.textContent = `Unable to load the quizzes: ${error.message}`;
+    return;
+  }
+
+  dom.list.replaceChildren(
+    ...quizzes.map((quiz) => {
+      const item = createElement('div', 'quiz-item');
+      const scores =
+        quiz.attempts > 0
+          ? `Best ${quiz.bestScore}% · last ${quiz.lastScore}% (${quiz.attempts} attempt${quiz.attempts === 1 ? '' : 's'})`
+          : 'Not taken yet';
+
+      item.append(
+        createElement(
+          'div',
+          'quiz-item-title',
+          `${quiz.questions.length} questions · ${describePages(quiz)}`
+        ),
+        createElement('div', 'quiz-item-meta', `${quiz.createdAt.slice(0, 10)} · ${scores}`),
+        createButton('btn-small', quiz.attempts > 0 ? 'Retake' : 'Take', () => takeQuiz(quiz)),
+        createButton('quiz-delete', 'Delete', () => removeQuiz(quiz))
+      );
+      return item;
+    })
+  );
+}
+
+/**
+ * Deletes a quiz and its attempts after confirmation.
+ *
+ * @param {Object} quiz - The quiz.
+ */
+async function removeQuiz(quiz) {
+  if (!confirm('Delete this quiz and its scores?')) return;
+
+  try {
+    await sendJSON(`/api/v1/quizzes/${quiz.id}`, {}, 'DELETE');
+  } catch (error) {
+    dom.status.textContent = `Unable to delete the quiz: ${error.message}`;
+    return;
+  }
+  loadQuizzes();
+}
+
+/**
+ * ==============================================================================
+ * 4. TAKING A QUIZ
+ * ==============================================================================
+ */
+
+/**
+ * Renders a quiz as a form.
+ *
+ * @param {Object} quiz - The quiz (without answers).
+ */
+function takeQuiz(quiz) {
+  const fields = quiz.questions.map((question, index) => {
+    const fieldset = createElement('fieldset', 'quiz-question');
+    const legend = createElement('legend', '', `${index + 1}. ${question.question}`);
+    if (question.page) legend.append(' ', createPageLink(question.page));
+    fieldset.append(legend);
+
+    if (question.type === 'mcq') {
+      question.choices.forEach((choice, choiceIndex) => {
+        const label = createElement('label', 'quiz-choice');
+        const input = createElement('input', '');
+        input.type = 'radio';
+        input.name = `question-${index}`;
+        input.value = choiceIndex;
+        label.append(input, ` ${choice}`);
+        fieldset.append(label);
+      });
+    } else {
+      const textarea = createElement('textarea', 'snippet-input');
+      textarea.name = `question-${index}`;
+      textarea.placeholder = 'Your answer...';
+      fieldset.append(textarea);
+    }
+    return fieldset;
+  });
+
+  const actions = createElement('div', 'quiz-actions');
+  const btnSubmit = createElement('button', 'btn-small', 'Submit answers');
+  btnSubmit.type = 'submit';
+  actions.append(
+    createButton('quiz-delete', 'Cancel', () => {
+      dom.form.hidden = true;
+    }),
+    btnSubmit
+  );
+
+  dom.form.replaceChildren(
+    createElement('h4', '', `Quiz · ${describePages(quiz)}`),
+    ...fields,
+    actions
+  );
+  dom.form.onsubmit = (event) => {
+    event.preventDefault();
+    submitQuiz(quiz, btnSubmit);
+  };
+  dom.form.hidden = false;
+  dom.form.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Submits the answers of the form and renders the results.
+ *
+ * @param {Object} quiz - The quiz being taken.
+ * @param {HTMLButtonElement} btnSubmit - The submit button (disabled while grading).
+ */
+async function submitQuiz(quiz, btnSubmit) {
+  const answers = quiz.questions.map((question, index) => {
+    const name = `question-${index}`;
+    if (question.type === 'mcq') {
+      const checked = dom.form.querySelector(`input[name="${name}"]:checked`);
+      return checked ? Number(checked.value) : null;
+    }
+    return dom.form.elements[name].value.trim() || null;
+  });
+
+  btnSubmit.disabled = true;
+  dom.status.textContent = 'Grading your answers…';
+
+  try {
+    const { attempt } = await sendJSON(`/api/v1/quizzes/${quiz.id}/attempts`, { answers });
+    dom.status.textContent = '';
+    renderResults(attempt);
+    loadQuizzes();
+  } catch (error) {
+    dom.status.textContent = `Unable to grade the quiz: ${error.message}`;
+    btnSubmit.disabled = false;
+  }
+}
+
+/**
+ * Renders the results of an attempt: score, then each question with the answer
+ * given, the expected one, the feedback and the explanation.
+ *
+ * @param {Object} attempt - The attempt returned by the API (with the quiz and its answers).
+ */
+function renderResults(attempt) {
+  const { quiz } = attempt;
+
+  const items = quiz.questions.map((question, index) => {
+    const result = attempt.results[index];
+    const given = attempt.answers[index];
+    const state = result.correct ? 'correct' : result.score > 0 ? 'partial' : 'wrong';
+    const item = createElement('div', `quiz-result ${state}`);
+
+    const title = createElement(
+      'div',
+      'quiz-result-question',
+      `${index + 1}. ${question.question}`
+    );
+    if (question.page) title.append(' ', createPageLink(question.page));
+
+    const answered = question.type === 'mcq' ? question.choices[given] : given;
+    const expected = question.type === 'mcq' ? question.choices[question.answer] : question.answer;
+    item.append(
+      title,
+      createElement('div', '', `Your answer: ${answered ?? '(none)'}`),
+      createElement('div', '', `Expected: ${expected}`)
+    );
+    if (result.feedback) item.append(createElement('div', 'quiz-feedback', result.feedback));
+    if (question.explanation) {
+      item.append(createElement('div', 'quiz-explanation', question.explanation));
+    }
+    return item;
+  });
+
+  dom.form.replaceChildren(
+    createElement('h4', 'quiz-score', `Score: ${attempt.score}%`),
+    ...items,
+    createButton('btn-small', 'Close', () => {
+      dom.form.hidden = true;
+    })
+  );
+  dom.form.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Generates a quiz from the document (or the chosen page range) and opens it.
+ */
+async function generateQuiz() {
+  const optionalNumber = (input) => (input.value ? Number(input.value) : undefined);
+
+  dom.btnGenerate.disabled = true;
+  dom.status.textContent = 'Writing a quiz from this document…';
+
+  try {
+    const { quiz } = await sendJSON('/api/v1/quizzes/generate', {
+      path: metaPath,
+      count: optionalNumber(dom.count),
+      page_start: optionalNumber(dom.pageStart),
+      page_end: optionalNumber(dom.pageEnd)
+    });
+    dom.status.textContent = '';
+    loadQuizzes();
+    takeQuiz(quiz);
+  } catch (error) {
+    dom.status.textContent = `Unable to generate a quiz: ${error.message}`;
+  } finally {
+    dom.btnGenerate.disabled = false;
+  }
+}
+
+/**
+ * ==============================================================================
+ * 5. MODULE EXPORTS
+ * ==============================================================================
+ */
+
+/**
+ * Initializes the Quiz tab of the Reader page.
+ * The quizzes are loaded the first time the tab is opened.
+ */
+export function initQuiz() {
+  // Guard Clause: Exit if not on a Reader page
+  if (!dom.tab || !dom.list || !metaPath) return;
+
+  dom.tab.addEventListener('click', () => {
+    if (loaded) return;
+    loaded = true;
+    loadQuizzes();
+  });
+
+  dom.btnGenerate.addEventListener('click', generateQuiz);
+}
@@ -0,0 +1,321 @@
+/**
+ * ==============================================================================
+ * MODULE: PDF READER
+ * ==============================================================================
+ * @fileoverview Renders the document of the Reader page with pdf.js: one canvas
+ * per page plus a text layer, so passages can be selected. Pages are rendered
+ * lazily around the visible area and re-rendered when the viewer is resized.
+ *
+ * Selecting text shows a small menu (ask, explain, summarize, translate, define,
+ * save as snippet). Choosing an action dispatches a 'reader:selection' event on
+ * the document, with { action, text, page }, handled by chat.mjs (questions) and
+ * data.mjs (snippets). Scrolling to another page dispatches 'reader:page', with
+ * { page } (translation pane, see translation.mjs).
+ *
+ * @author Sacha Pastor
+ * @environment Browser (Client-side JS)
+ * @dependencies utils.mjs, pdf.js (public/vendor/pdfjs)
+ * ==============================================================================
+ */
+
+// --- 1. IMPORTS ---
+import { debounce } from './utils.mjs';
+
+// --- 2. STATE & CONFIGURATION ---
+
+// Vendored pdf.js build (pdfjs-dist 5.4.449: library, worker, character maps, standard fonts)
+const PDFJS_ROOT = '/public/vendor/pdfjs';
+
+// Space around and between pages (px), and the largest zoom when fitting the width
+const PAGE_GAP = 16;
+const MAX_SCALE = 2.5;
+
+// Pages rendered beyond the visible area (in viewer heights, above and below)
+const RENDER_MARGIN = 1;
+
+let pdfjsLib = null;
+let pdfDoc = null;
+
+// One entry per page: { number, element, rendered, baseWidth, baseHeight } (size at scale 1, once known)
+let pageViews = [];
+let currentPage = 1;
+
+// Incremented on every layout change: renders started before it are dropped
+let layoutVersion = 0;
+
+const dom = {
+  viewer: document.getElementById('pdfViewer'),
+  status: document.getElementById('pdfStatus'),
+  pageInfo: document.getElementById('pdfPageInfo'),
+  menu: document.getElementById('selectionMenu')
+};
+
+/**
+ * ==============================================================================
+ * 3. HELPER FUNCTIONS (Internal Logic)
+ * ==============================================================================
+ */
+
+/**
+ * Computes the scale that fits a page to the width of the viewer.
+ *
+ * @param {Object} page - A pdf.js page.
+ * @returns {number} The scale.
+ */
+function fitWidthScale(page) {
+  const { width } = page.getViewport({ scale: 1 });
+  return Math.min(MAX_SCALE, (dom.viewer.clientWidth - 2 * PAGE_GAP) / width);
+}
+
+/**
+ * Clears the rendered pages and sizes their placeholders for the current width.
+ * Pages never rendered are assumed to have the size of the first one.
+ */
+async function layoutPages() {
+  layoutVersion++;
+  const firstPage = await pdfDoc.getPage(1);
+  const scale = fitWidthScale(firstPage);
+  const first = firstPage.getViewport({ scale: 1 });
+
+  pageViews.forEach((view) => {
+    view.rendered = false;
+    view.element.replaceChildren();
+    view.element.style.width = `${(view.baseWidth || first.width) * scale}px`;
+    view.element.style.height = `${(view.baseHeight || first.height) * scale}px`;
+  });
+}
+
+/**
+ * Renders a page: its canvas (at the device pixel ratio) and its text layer.
+ *
+ * @param {Object} view - The page entry of 'pageViews'.
+ */
+async function renderPage(view) {
+  const version = layoutVersion;
+  view.rendered = true;
+
+  const page = await pdfDoc.getPage(view.number);
+  const viewport = page.getViewport({ scale: fitWidthScale(page) });
+  if (version !== layoutVersion) return;
+
+  const outputScale = window.devicePixelRatio || 1;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.floor(viewport.width * outputScale);
+  canvas.height = Math.floor(viewport.height * outputScale);
+
+  const textLayer = document.createElement('div');
+  textLayer.className = 'textLayer';
+
+  view.baseWidth = viewport.width / viewport.scale;
+  view.baseHeight = viewport.height / viewport.scale;
+  view.element.style.width = `${viewport.width}px`;
+  view.element.style.height = `${viewport.height}px`;
+  view.element.style.setProperty('--scale-factor', viewport.scale);
+  view.element.replaceChildren(canvas, textLayer);
+
+  await page.render({
+    canvasContext: canvas.getContext('2d'),
+    viewport,
+    transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+  }).promise;
+
+  await new pdfjsLib.TextLayer({
+    textContentSource: page.streamTextContent(),
+    container: textLayer,
+    viewport
+  }).render();
+}
+
+/**
+ * Renders the pages around the visible area and updates the page indicator.
+ */
+function updateVisiblePages() {
+  const top = dom.viewer.scrollTop;
+  const height = dom.viewer.clientHeight;
+  let current = pageViews[0];
+
+  pageViews.forEach((view) => {
+    const start = view.element.offsetTop;
+    const end = start + view.element.offsetHeight;
+
+    // The current page is the last one starting above the upper third of the viewer
+    if (start <= top + height / 3) current = view;
+
+    const isNear =
+      end >= top - RENDER_MARGIN * height && start <= top + (1 + RENDER_MARGIN) * height;
+    if (isNear && !view.rendered) {
+      renderPage(view).catch((error) => {
+        view.rendered = false;
+        console.error(`[Reader] Page ${view.number} render error:`, error);
+      });
+    }
+  });
+
+  if (current.number !== currentPage) {
+    currentPage = current.number;
+    document.dispatchEvent(new CustomEvent('reader:page', { detail: { page: currentPage } }));
+  }
+  if (dom.pageInfo) dom.pageInfo.textContent = `${currentPage} / ${pageViews.length}`;
+}
+
+/**
+ * Shows the selection menu above the selected text of the reader, or hides it.
+ */
+function updateSelectionMenu() {
+  const selection = window.getSelection();
+  const text = selection?.toString().trim();
+  const pageElement =
+    selection?.rangeCount > 0 &&
+    selection.getRangeAt(0).startContainer.parentElement?.closest('.pdf-page');
+
+  if (!text || !pageElement || !dom.viewer.contains(pageElement)) {
+    dom.menu.hidden = true;
+    return;
+  }
+
+  const rect = selection.getRangeAt(0).getBoundingClientRect();
+  dom.menu.hidden = false;
+  dom.menu.dataset.page = pageElement.dataset.page;
+
+  // Centered above the selection, kept inside the window (below it when there is no room)
+  const left = Math.min(
+    Math.max(8, rect.left + rect.width / 2 - dom.menu.offsetWidth / 2),
+    window.innerWidth - dom.menu.offsetWidth - 8
+  );
+  const above = rect.top - dom.menu.offsetHeight - 8;
+  dom.menu.style.left = `${left}px`;
+  dom.menu.style.top = `${above > 8 ? above : rect.bottom + 8}px`;
+}
+
+/**
+ * Displays why the document could not be rendered, with a link to the raw file.
+ *
+ * @param {string} rawUrl - The URL of the PDF file.
+ */
+function showLoadError(rawUrl) {
+  const link = document.createElement('a');
+  link.href = rawUrl;
+  link.target = '_blank';
+  link.rel = 'noopener';
+  link.textContent = 'Open the PDF';
+
+  dom.status.hidden = false;
+  dom.status.replaceChildren('Unable to display this document. ', link);
+}
+
+/**
+ * ==============================================================================
+ * 4. MODULE EXPORTS
+ * ==============================================================================
+ */
+
+/**
+ * Returns the page currently read (the last one starting above the upper third of the viewer).
+ *
+ * @returns {number} The page number (1 until the document is loaded).
+ */
+export function getCurrentPage() {
+  return currentPage;
+}
+
+/**
+ * Scrolls the reader to a page.
+ *
+ * @param {number} pageNumber - The page number (clamped to the document).
+ * @returns {boolean} False if the reader is not displayed (no document loaded).
+ */
+export function showPage(pageNumber) {
+  if (!dom.viewer || pageViews.length === 0) return false;
+
+  const number = Math.min(Math.max(1, Number(pageNumber) || 1), pageViews.length);
+  dom.viewer.scrollTop = pageViews[number - 1].element.offsetTop - PAGE_GAP;
+  updateVisiblePages();
+  return true;
+}
+
+/**
+ * Initializes the PDF reader of the Reader page.
+ * Loads pdf.js and the document, lays out the pages and binds the selection menu.
+ */
+export async function initReader() {
+  // Guard Clause: Exit if not on a PDF Reader page
+  if (!dom.viewer) return;
+
+  const rawUrl = dom.viewer.dataset.src;
+
+  // --- STEP 1: LOAD PDF.JS AND THE DOCUMENT ---
+  try {
+    pdfjsLib = await import(`${PDFJS_ROOT}/pdf.min.mjs`);
+    pdfjsLib.GlobalWorkerOptions.workerSrc = `${PDFJS_ROOT}/pdf.worker.min.mjs`;
+
+    pdfDoc = await pdfjsLib.getDocument({
+      url: rawUrl,
+      cMapUrl: `${PDFJS_ROOT}/cmaps/`,
+      standardFontDataUrl: `${PDFJS_ROOT}/standard_fonts/`,
+      isEvalSupported: false // Content Security Policy: no eval
+    }).promise;
+  } catch (error) {
+    console.error('[Reader] Load error:', error);
+    showLoadError(rawUrl);
+    return;
+  }
+
+  // --- STEP 2: PAGE PLACEHOLDERS ---
+  dom.status.hidden = true;
+
+  pageViews = Array.from({ length: pdfDoc.numPages }, (_, idx) => {
+    const element = document.createElement('div');
+    element.className = 'pdf-page';
+    element.dataset.page = idx + 1;
+    dom.viewer.appendChild(element);
+    return { number: idx + 1, element, rendered: false, baseWidth: 0, baseHeight: 0 };
+  });
+
+  await layoutPages();
+  showPage(Number(dom.viewer.dataset.page));
+
+  // --- STEP 3: LAZY RENDERING ---
+  dom.viewer.addEventListener('scroll', () => {
+    dom.menu.hidden = true;
+    window.requestAnimationFrame(updateVisiblePages);
+  });
+
+  // Tools panel resized or toggled, Zen mode...: fit the new width, stay on the same page
+  let lastWidth = dom.viewer.clientWidth;
+  const relayout = debounce(async () => {
+    if (dom.viewer.clientWidth === lastWidth) return;
+    lastWidth = dom.viewer.clientWidth;
+
+    const page = currentPage;
+    await layoutPages();
+    showPage(page);
+  }, 200);
+  new ResizeObserver(relayout).observe(dom.viewer);
+
+  // --- STEP 4: SELECTION MENU ---
+  if (!dom.menu) return;
+
+  document.addEventListener('selectionchange', debounce(updateSelectionMenu, 150));
+
+  // Keep the selection when a menu button is pressed
+  dom.menu.addEventListener('mousedown', (e) => e.preventDefault());
+
+  dom.menu.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-selection-action]');
+    const text = window.getSelection()?.toString().replace(/\s+/g, ' ').trim();
+    if (!button || !text) return;
+
+    document.dispatchEvent(
+      new CustomEvent('reader:selection', {
+        detail: {
+          action: button.dataset.selectionAction,
+          text,
+          page: Number(dom.menu.dataset.page)
+        }
+      })
+    );
+
+    window.getSelection().removeAllRanges();
+    dom.menu.hidden = true;
+  });
+}
@@ -0,0 +1,182 @@
+/**
+ * ==============================================================================
+ * MODULE: TRANSLATION PANE
+ * ==============================================================================
+ * @fileoverview Side-by-side translation of the Reader page: the pane next to the
+ * PDF shows the translation of the page being read (/api/v1/translations) and
+ * follows the reader as it scrolls ('reader:page' events, see reader.mjs).
+ *
+ * The language is remembered in the browser (the browser's language by default).
+ * "Chat in <language>" makes the chat of the document answer in it, whatever the
+ * language of the document ('chat:answer-language' event, see chat.mjs).
+ *
+ * @author Sacha Pastor
+ * @environment Browser (Client-side JS)
+ * @dependencies utils.mjs, reader.mjs
+ * ==============================================================================
+ */
+
+// --- 1. IMPORTS ---
+import { debounce } from './utils.mjs';
+import { getCurrentPage } from './reader.mjs';
+
+// --- 2. STATE & CONFIGURATION ---
+
+const LANGUAGE_STORAGE_KEY = 'kb_translation_lang_v1';
+
+// Delay before a page the reader scrolled to is translated (skips pages scrolled past)
+const PAGE_DELAY = 400;
+
+// Delay before asking again for a page that is still being extracted
+const PENDING_RETRY_DELAY = 3000;
+
+const dom = {
+  pane: document.getElementById('translationPane'),
+  toggle: document.getElementById('btnTranslate'),
+  close: document.getElementById('translationClose'),
+  language: document.getElementById('translationLanguage'),
+  page: document.getElementById('translationPage'),
+  status: document.getElementById('translationStatus'),
+  text: document.getElementById('translationText'),
+  chat: document.getElementById('translationChat'),
+  chatLabel: document.getElementById('translationChatLabel')
+};
+
+const docPath = document.getElementById('meta-path')?.value;
+
+// Translations already fetched, keyed by 'page|language'
+const translations = new Map();
+
+// Incremented on every request: answers to older ones are dropped
+let requestVersion = 0;
+let retryTimer = null;
+
+/**
+ * ==============================================================================
+ * 3. HELPER FUNCTIONS (Internal Logic)
+ * ==============================================================================
+ */
+
+/**
+ * Picks the initial language: the last one used, else the browser's, else English.
+ *
+ * @returns {string} A language code offered by the picker.
+ */
+function initialLanguage() {
+  const offered = [...dom.language.options].map((o) => o.value);
+  const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+  const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+
+  return [saved, browser, 'en'].find((code) => offered.includes(code)) || offered[0];
+}
+
+/**
+ * Displays a status message in place of the translation.
+ *
+ * @param {string} message - The message ('' hides the status).
+ */
+function showStatus(message) {
+  dom.status.textContent = message;
+  dom.status.hidden = !message;
+  if (message) dom.text.textContent = '';
+}
+
+/**
+ * Displays the translation of the page being read, fetching it if needed.
+ */
+async function translateCurrentPage() {
+  if (dom.pane.hidden) return;
+
+  clearTimeout(retryTimer);
+  const page = getCurrentPage();
+  const language = dom.language.value;
+  const key = `${page}|${language}`;
+  const version = ++requestVersion;
+
+  dom.page.textContent = `Page ${page}`;
+
+  if (translations.has(key)) {
+    showStatus('');
+    dom.text.textContent = translations.get(key);
+    return;
+  }
+
+  showStatus('Translating...');
+
+  try {
+    const params = new URLSearchParams({ path: docPath, page, lang: language });
+    const res = await fetch(`/api/v1/translations?${params}`);
+    const data = await res.json().catch(() => ({}));
+    if (version !== requestVersion) return; // Another page or language was asked meanwhile
+
+    if (!res.ok) return showStatus(data.error || 'Unable to translate this page.');
+
+    if (data.status === 'pending') {
+      showStatus('The text of this page is being extracted...');
+      retryTimer = setTimeout(translateCurrentPage, PENDING_RETRY_DELAY);
+      return;
+    }
+    if (data.status === 'empty') return showStatus('This page has no text to translate.');
+
+    translations.set(key, data.content);
+    showStatus('');
+    dom.text.textContent = data.content;
+  } catch (error) {
+    console.error('[Translation] Load Error:', error);
+    if (version === requestVersion) showStatus('Unable to translate this page.');
+  }
+}
+
+/**
+ * Updates the label of the chat button with the selected language.
+ */
+function renderChatLabel() {
+  const name = dom.language.selectedOptions[0]?.textContent || '';
+  dom.chatLabel.textContent = `Chat in ${name}`;
+}
+
+/**
+ * Shows or hides the pane.
+ *
+ * @param {boolean} open - True to show it.
+ */
+function setOpen(open) {
+  dom.pane.hidden = !open;
+  dom.toggle.classList.toggle('active', open);
+  if (open) translateCurrentPage();
+  else clearTimeout(retryTimer);
+}
+
+/**
+ * ==============================================================================
+ * 4. MODULE EXPORTS
+ * ==============================================================================
+ */
+
+/**
+ * Initializes the translation pane of the Reader page.
+ */
+export function initTranslation() {
+  // Guard Clause: Exit if not on a PDF Reader page
+  if (!dom.pane || !dom.toggle || !docPath) return;
+
+  dom.language.value = initialLanguage();
+  renderChatLabel();
+
+  dom.toggle.addEventListener('click', () => setOpen(dom.pane.hidden));
+  dom.close.addEventListener('click', () => setOpen(false));
+
+  dom.language.addEventListener('change', () => {
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, dom.language.value);
+    renderChatLabel();
+    translateCurrentPage();
+  });
+
+  document.addEventListener('reader:page', debounce(translateCurrentPage, PAGE_DELAY));
+
+  dom.chat.addEventListener('click', () => {
+    document.dispatchEvent(
+      new CustomEvent('chat:answer-language', { detail: { language: dom.language.value } })
+    );
+  });
+}
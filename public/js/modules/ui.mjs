@@ -128,9 +128,29 @@ export function initLayout() {
   }
 }
 
+/**
+ * Opens the Tools Panel (if closed) on one of its tabs.
+ * Used by features sending content to the panel (e.g. the PDF reader's selection menu).
+ * @param {string} tabName - The tab to activate ('notes', 'snippets', 'ai', 'overview',
+ *   'flashcards' or 'quiz').
+ */
+export function openToolsTab(tabName) {
+  const appContainer = document.querySelector('.app');
+  const toolsPanel = document.getElementById('toolsPanel');
+
+  // Same open state as the toggle of initLayout(): overlay on mobile, layout shift on desktop
+  const isOpen =
+    window.innerWidth <= 768
+      ? toolsPanel?.classList.contains('open')
+      : appContainer?.classList.contains('tools-open');
+  if (!isOpen) document.getElementById('btnTools')?.click();
+
+  document.querySelector(`.tools-tab[data-tab="${tabName}"]`)?.click();
+}
+
 /**
  * Initializes the Tab System within the Tools Panel.
- * Handles switching between Notes, Snippets, and AI.
+ * Handles switching between Notes, Snippets, AI, Overview, Cards and Quiz.
  * * @param {Object} easyMDE - The EasyMDE editor instance (optional).
  * Required to refresh CodeMirror layout upon tab switch.
  */
@@ -62,7 +62,7 @@ function _getCsrfToken() {
 }
 
 /**
- * Wrapper to send JSON POST requests via the Fetch API or Beacon API.
+ * Wrapper to send JSON requests (POST by default) via the Fetch API or Beacon API.
  * Automatically handles JSON serialization, Content-Type headers, and CSRF injection.
  *
  * @param {string} url - The endpoint URL.
@@ -70,9 +70,10 @@ function _getCsrfToken() {
  * @param {Object} [options] - Configuration options.
  * @param {boolean} [options.beacon=false] - If true, attempts to use navigator.sendBeacon (ideal for page unload).
  * @param {AbortSignal} [options.signal=null] - Signal object to allow request cancellation.
+ * @param {string} [options.method='POST'] - HTTP method (e.g. 'PUT', 'PATCH'; Beacon is POST only).
  * @returns {Promise<Response|void>} The Fetch Promise, or a resolved Promise if Beacon is used.
  */
-export function postJSON(url, data, { beacon = false, signal = null } = {}) {
+export function postJSON(url, data, { beacon = false, signal = null, method = 'POST' } = {}) {
   // 1. BEACON STRATEGY (Analytics / Page Unload)
   // If enabled and supported, send data asynchronously without blocking the thread.
   // This is "fire-and-forget", so we return a resolved promise immediately.
@@ -105,7 +106,7 @@ export function postJSON(url, data, { beacon = false, signal = null } = {}) {
 
   // Execute Request
   return fetch(url, {
-    method: 'POST',
+    method,
     headers: headers,
     body: JSON.stringify(data),
 
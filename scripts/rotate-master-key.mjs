@@ -0,0 +1,80 @@
+/**
+ * ==============================================================================
+ * SCRIPT: ROTATE SECRETS MASTER KEY
+ * ==============================================================================
+ * @fileoverview Re-encrypts every stored secret under a new master key.
+ *
+ * Usage (stop the server first):
+ *   SECRETS_MASTER_KEY=<current> NEW_SECRETS_MASTER_KEY=<new> npm run secrets:rotate
+ *
+ * Data keys are re-wrapped in a single transaction: either every secret moves
+ * to the new key, or nothing changes. Plaintext secrets are encrypted on the way.
+ * Once done, replace SECRETS_MASTER_KEY with the new key and restart the server.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js
+ * ==============================================================================
+ */
+
+import 'dotenv/config';
+import crypto from 'node:crypto';
+import db, { SECRET_COLUMNS } from '../src/config/database.mjs';
+import { parseMasterKey, rewrapSecret } from '../src/utils/secretBox.mjs';
+
+// --- 1. KEYS ---
+if (!process.env.NEW_SECRETS_MASTER_KEY) {
+  console.error('NEW_SECRETS_MASTER_KEY is not set. Example of a new key:');
+  console.error(`  NEW_SECRETS_MASTER_KEY=${crypto.randomBytes(32).toString('base64')}`);
+  process.exit(1);
+}
+
+let oldKey = null;
+let newKey;
+try {
+  oldKey = process.env.SECRETS_MASTER_KEY ? parseMasterKey(process.env.SECRETS_MASTER_KEY) : null;
+  newKey = parseMasterKey(process.env.NEW_SECRETS_MASTER_KEY);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+// --- 2. RE-ENCRYPTION ---
+const existingTables = new Set(
+  db
+    .prepare("SELECT name FROM sqlite_master WHERE type = 'table'")
+    .all()
+    .map((t) => t.name)
+);
+
+try {
+  const counts = db.transaction(() => {
+    const result = {};
+
+    for (const { table, key, column } of SECRET_COLUMNS) {
+      if (!existingTables.has(table)) continue;
+
+      const rows = db
+        .prepare(
+          `SELECT ${key} AS rowKey, ${column} AS value FROM ${table} WHERE ${column} IS NOT NULL AND ${column} != ''`
+        )
+        .all();
+      const update = db.prepare(`UPDATE ${table} SET ${column} = ? WHERE ${key} = ?`);
+
+      for (const { rowKey, value } of rows) {
+        update.run(rewrapSecret(value, oldKey, newKey), rowKey);
+      }
+      result[`${table}.${column}`] = rows.length;
+    }
+    return result;
+  })();
+
+  for (const [name, count] of Object.entries(counts)) {
+    console.log(`✅ ${name}: ${count} secret(s)`);
+  }
+  console.log('Done. Set SECRETS_MASTER_KEY to the new key and restart the server.');
+} catch (error) {
+  console.error(`❌ Rotation aborted, nothing was changed: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
@@ -25,6 +25,9 @@ import { fileURLToPath } from 'node:url';
 // 2.1. CONFIGURATION & SERVICES (Application Foundations)
 import { initDB } from './src/config/database.mjs'; // Initializes database connection and runs necessary migrations
 import { startWebhookWorker } from './src/services/webhookService.mjs'; // Starts the background worker process for asynchronous webhook processing
+import { startExtractionWorker } from './src/services/extractionService.mjs'; // Resumes background PDF text extraction jobs interrupted by a restart
+import { startOverviewWorker } from './src/services/overviewService.mjs'; // Queues AI overviews of the documents that have none yet
+import { startGlossaryWorker } from './src/services/glossaryService.mjs'; // Extracts glossary terms of the documents of each course folder
 
 // 2.2. GLOBAL MIDDLEWARES (Security, Utilities, and Request Pre-processing)
 import { setupCoreMiddlewares } from './src/middlewares/coreMiddleware.mjs'; // Essential Express setup: sessions, body parsers, view engine, static paths
@@ -63,6 +66,9 @@ try {
   // Only start the worker if NOT in test mode to prevent Jest from hanging due to active intervals
   if (process.env.NODE_ENV !== 'test') {
     startWebhookWorker(); // Initiates the background process for tasks like processing webhooks asynchronously
+    startExtractionWorker(); // Resumes PDF extractions left unfinished by a previous run
+    startOverviewWorker(); // Summarizes new and changed documents (after their extraction)
+    startGlossaryWorker(); // Rebuilds course glossaries and extracts terms of new documents
   }
 } catch (error) {
   // Log error and exit process if critical initialization fails
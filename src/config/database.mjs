@@ -20,6 +20,7 @@ import path from 'node:path';
 import fs from 'node:fs';
 import { fileURLToPath } from 'node:url';
 // import crypto from 'node:crypto'; // Unused in this specific file, but kept if needed for future extensions.
+import { isSealed, sealSecret } from '../utils/secretBox.mjs';
 
 // --- 2. PATH CONFIGURATION ---
 
@@ -45,13 +46,20 @@ if (!fs.existsSync(DATA_DIR)) {
 // --- 3. DATABASE INITIALIZATION ---
 
 // Initialize Database connection
-// stored in 'data/knowledge.db'
-const db = new Database(path.join(DATA_DIR, 'knowledge.db'));
+// stored in 'data/knowledge.db' (DATABASE_FILE overrides it, e.g. ':memory:' in tests)
+const db = new Database(
+  process.env.DATABASE_FILE === ':memory:'
+    ? ':memory:'
+    : path.resolve(ROOT_DIR, process.env.DATABASE_FILE || 'data/knowledge.db')
+);
 
 // Performance Tuning: Enable Write-Ahead Logging (WAL)
 // This allows simultaneous readers and writers, preventing locking issues in basic multi-user scenarios.
 db.pragma('journal_mode = WAL');
 
+// Foreign keys are declared but not enforced (SQLite's default): services delete
+// child rows themselves when they remove a parent (chunks, threads, ...).
+
 // --- 4. SCHEMA DEFINITION ---
 
 /**
@@ -109,24 +117,215 @@ const schema = `
   -- ==========================================
 
   -- Document Text Cache (Optimizes RAG performance to avoid re-parsing PDFs)
+  -- 'content' holds the full joined text once extraction status is 'complete'.
   CREATE TABLE IF NOT EXISTS document_cache (
       path TEXT PRIMARY KEY,
       content TEXT,
+      status TEXT,                       -- 'processing', 'complete', 'failed' (NULL = legacy row)
+      page_count INTEGER,
+      pages_extracted INTEGER DEFAULT 0,
+      text_source TEXT,                  -- 'native', 'ocr' or 'none' (no readable text)
+      ocr_langs TEXT,                    -- OCR language packs requested (NULL = OCR_LANGS default)
+      file_size INTEGER,                 -- Fingerprint of the extracted file (revalidated on read)
+      file_mtime INTEGER,                -- Modification time (ms)
+      content_hash TEXT,                 -- SHA-256 of the file, compared when size/mtime change
       extracted_at DATETIME DEFAULT CURRENT_TIMESTAMP
   );
 
-  -- Chat History (Contextual per user and document)
+  -- Extracted Pages (One row per PDF page, filled incrementally by the extraction job)
+  CREATE TABLE IF NOT EXISTS document_pages (
+      path TEXT NOT NULL,
+      page_number INTEGER NOT NULL,
+      content TEXT,
+      source TEXT DEFAULT 'native',      -- 'native' (PDF text layer) or 'ocr'
+      confidence REAL,                   -- OCR mean word confidence (0-100), NULL for native text
+      PRIMARY KEY (path, page_number)
+  );
+
+  -- OCR Results (Cached per language set, so a scan can be re-read with other language packs)
+  CREATE TABLE IF NOT EXISTS document_ocr_pages (
+      path TEXT NOT NULL,
+      langs TEXT NOT NULL,               -- e.g. 'eng', 'eng+fra'
+      page_number INTEGER NOT NULL,
+      content TEXT,
+      confidence REAL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (path, langs, page_number)
+  );
+
+  -- Document Chunks (Page-aware slices of the cached text used for retrieval)
+  CREATE TABLE IF NOT EXISTS document_chunks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      path TEXT NOT NULL,
+      chunk_index INTEGER NOT NULL,
+      page_start INTEGER,
+      page_end INTEGER,
+      content TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(path, chunk_index)
+  );
+
+  -- Chunk Embeddings (One vector per chunk and embedding model, stored as Float32 BLOB)
+  CREATE TABLE IF NOT EXISTS chunk_embeddings (
+      chunk_id INTEGER NOT NULL,
+      model TEXT NOT NULL, -- 'provider:model', e.g. 'ollama:nomic-embed-text'
+      vector BLOB NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (chunk_id, model),
+      FOREIGN KEY(chunk_id) REFERENCES document_chunks(id)
+  );
+
+  -- Document Overviews (AI abstract, outline and key takeaways, shared by every user)
+  -- 'content_hash' is the document_cache fingerprint of the text that was summarized:
+  -- an overview whose hash no longer matches is regenerated (see overviewService).
+  CREATE TABLE IF NOT EXISTS document_overviews (
+      path TEXT PRIMARY KEY,
+      status TEXT,                       -- 'processing', 'complete', 'failed'
+      abstract TEXT,
+      outline TEXT,                      -- JSON list of sections: [{ title, page, summary }]
+      takeaways TEXT,                    -- JSON list of strings
+      content_hash TEXT,
+      provider TEXT,
+      model TEXT,
+      error TEXT,                        -- Reason of the last failure
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Glossary Sources (terms defined in a document, extracted by the AI, see glossaryService)
+  -- Merged per category into 'glossary_terms'. 'content_hash' works as for overviews.
+  CREATE TABLE IF NOT EXISTS glossary_sources (
+      path TEXT PRIMARY KEY,
+      category TEXT NOT NULL,            -- Top-level folder, e.g. 'courses/biology'
+      status TEXT,                       -- 'processing', 'complete', 'failed'
+      terms TEXT,                        -- JSON list: [{ term, definition, page }]
+      content_hash TEXT,
+      provider TEXT,
+      model TEXT,
+      error TEXT,                        -- Reason of the last failure
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE INDEX IF NOT EXISTS idx_glossary_sources_category ON glossary_sources(category);
+
+  -- Page Translations (translated on demand, shared by every user, see translationService)
+  -- 'source_hash' fingerprints the translated page text: a page read again (OCR) is retranslated.
+  CREATE TABLE IF NOT EXISTS document_translations (
+      path TEXT NOT NULL,
+      page INTEGER NOT NULL,
+      language TEXT NOT NULL,            -- ISO 639-1 code of the target language (see utils/translation)
+      content TEXT NOT NULL,
+      source_hash TEXT NOT NULL,
+      provider TEXT,
+      model TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (path, page, language)
+  );
+
+  -- Chat Threads (named conversations of a user about a document)
+  -- 'title' is NULL until set, or until the first question names the thread.
+  -- Messages form a tree (regenerated answers, edited questions): 'leaf_id' is the
+  -- last message of the branch currently displayed.
+  CREATE TABLE IF NOT EXISTS chat_threads (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      path TEXT NOT NULL,
+      title TEXT,
+      archived INTEGER DEFAULT 0,
+      leaf_id INTEGER, -- chat_messages.id (NULL while the thread is empty)
+      template_id INTEGER, -- prompt_templates.id (NULL = default system prompt)
+      notes_context TEXT DEFAULT 'none', -- User notes added to prompts: 'none', 'document' or 'folder'
+      answer_language TEXT, -- Language answers are written in (ISO 639-1, NULL = the question's)
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP, -- Last exchange
+      FOREIGN KEY(user_id) REFERENCES users(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_chat_threads_user_path ON chat_threads(user_id, path, updated_at);
+
+  -- Chat History (Contextual per user and document, grouped in threads)
   CREATE TABLE IF NOT EXISTS chat_messages (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id INTEGER NOT NULL,
       path TEXT NOT NULL,
+      thread_id INTEGER, -- chat_threads.id
+      parent_id INTEGER, -- Previous message of the branch (NULL for a first question)
       role TEXT NOT NULL CHECK(role IN ('user','assistant')),
       content TEXT NOT NULL,
+      selection TEXT, -- JSON { text, page }: passage selected in the reader the question is about (user only)
+      citations TEXT, -- JSON list of { n, path, page, pageStart, pageEnd, quote } (assistant only)
+      provider TEXT, -- Provider that actually answered (assistant only, may be a fallback)
+      model TEXT,
+      chunks TEXT, -- JSON list of retrieved passages { id, pageStart, pageEnd, score } (assistant only)
+      latency_ms INTEGER, -- Time taken to answer (assistant only)
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY(user_id) REFERENCES users(id)
   );
   -- Index for faster retrieval of chat history
   CREATE INDEX IF NOT EXISTS idx_chat_user_path_created ON chat_messages(user_id, path, created_at);
+  CREATE INDEX IF NOT EXISTS idx_chat_thread_created ON chat_messages(thread_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_chat_parent ON chat_messages(thread_id, parent_id);
+
+  -- Rolling summary of the older turns of a chat thread (see chatSummaryService)
+  -- 'covered_until' is the ID of the last chat_messages row folded into the summary.
+  CREATE TABLE IF NOT EXISTS chat_summaries (
+      thread_id INTEGER PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      path TEXT NOT NULL,
+      content TEXT NOT NULL,
+      covered_until INTEGER NOT NULL,
+      message_count INTEGER DEFAULT 0, -- Number of messages summarized so far
+      provider TEXT,
+      model TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(thread_id) REFERENCES chat_threads(id),
+      FOREIGN KEY(user_id) REFERENCES users(id)
+  );
+
+  -- Answer Feedback (thumbs up/down on document chat answers, see feedbackService)
+  -- The prompt metadata is copied from the answer, so ratings outlive cleared chats.
+  CREATE TABLE IF NOT EXISTS chat_feedback (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id INTEGER NOT NULL UNIQUE, -- chat_messages.id (may have been deleted since)
+      user_id INTEGER NOT NULL,
+      path TEXT NOT NULL,
+      rating INTEGER NOT NULL CHECK(rating IN (-1, 1)),
+      comment TEXT,
+      provider TEXT,
+      model TEXT,
+      chunks TEXT, -- JSON list of retrieved passages (see chat_messages.chunks)
+      latency_ms INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(user_id) REFERENCES users(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_chat_feedback_created ON chat_feedback(created_at);
+
+  -- System Prompt Templates (picked per chat thread, see promptTemplateService)
+  -- Rows with a NULL user_id are shared templates published by administrators.
+  CREATE TABLE IF NOT EXISTS prompt_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      name TEXT NOT NULL,
+      content TEXT NOT NULL, -- May use {{CONTEXT}}, {{DOCUMENT_TITLE}}, {{CATEGORY}}, {{USER_NOTES}}
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(user_id) REFERENCES users(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_prompt_templates_user ON prompt_templates(user_id, name);
+
+  -- Library Chat History (Per user and folder scope, e.g. 'courses' or 'courses/math')
+  -- 'sources' holds the JSON list of documents and pages the answer was built from.
+  CREATE TABLE IF NOT EXISTS library_chat_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      scope TEXT NOT NULL,
+      role TEXT NOT NULL CHECK(role IN ('user','assistant')),
+      content TEXT NOT NULL,
+      sources TEXT,
+      provider TEXT,
+      model TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(user_id) REFERENCES users(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_library_chat_user_scope ON library_chat_messages(user_id, scope, created_at);
 
   -- ==========================================
   -- D. ANALYTICS & ACTIVITY TRACKING
@@ -175,7 +374,7 @@ const schema = `
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id INTEGER NOT NULL,
       url TEXT NOT NULL,
-      secret TEXT NOT NULL,
+      secret TEXT NOT NULL, -- Encrypted at rest (secretBox)
       events TEXT NOT NULL, -- CSV string of subscribed events
       active INTEGER DEFAULT 1,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -199,16 +398,325 @@ const schema = `
   -- ==========================================
   CREATE TABLE IF NOT EXISTS user_ai_config (
       user_id INTEGER PRIMARY KEY,
-      provider TEXT DEFAULT 'ollama', -- 'ollama', 'openai', 'mistral', etc.
+      provider TEXT DEFAULT 'ollama', -- Registry id ('ollama', 'openai', ...). NULL fields inherit server defaults
       model TEXT,                     -- 'gpt-4', 'llama3', etc.
       api_url TEXT,                   -- Uniquement pour Ollama/Custom endpoints
-      api_key TEXT,                   -- Stocké en clair (Simple) ou chiffré (Mieux)
+      api_key TEXT,                   -- Chiffré au repos (secretBox, 'enc:v1:...')
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(user_id) REFERENCES users(id)
+  );
+
+  -- Server AI Defaults (single row, managed by administrators)
+  -- Resolution order per field: user_ai_config, then this row, then environment variables.
+  CREATE TABLE IF NOT EXISTS server_ai_config (
+      id INTEGER PRIMARY KEY CHECK(id = 1),
+      provider TEXT,
+      model TEXT,
+      api_url TEXT,
+      api_key TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Model Context Windows (managed by administrators, override the built-in table)
+  -- 'model' is an exact model name or a 'prefix*' pattern (e.g. 'llama3.1*').
+  CREATE TABLE IF NOT EXISTS model_context_windows (
+      model TEXT PRIMARY KEY,
+      context_tokens INTEGER NOT NULL,
+      max_output_tokens INTEGER,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- AI Fallback Chains (tried in 'position' order when the primary provider fails)
+  -- Rows with a NULL user_id form the server chain defined by administrators,
+  -- used by every user who has not defined a chain of their own.
+  CREATE TABLE IF NOT EXISTS ai_fallbacks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      position INTEGER NOT NULL,
+      provider TEXT NOT NULL,
+      model TEXT,
+      api_url TEXT,
+      api_key TEXT,
+      FOREIGN KEY(user_id) REFERENCES users(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_ai_fallbacks_user ON ai_fallbacks(user_id, position);
+
+  -- ==========================================
+  -- G. STUDY TOOLS
+  -- ==========================================
+
+  -- Flashcards (one deck per user and document, reviewed with SM-2, see utils/flashcards)
+  CREATE TABLE IF NOT EXISTS flashcards (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      path TEXT NOT NULL,
+      front TEXT NOT NULL,
+      back TEXT NOT NULL,
+      page INTEGER,                      -- Page the card comes from, when known
+      source TEXT DEFAULT 'manual',      -- 'ai', 'manual', 'note' or 'snippet'
+      ease REAL DEFAULT 2.5,
+      interval_days INTEGER DEFAULT 0,
+      repetitions INTEGER DEFAULT 0,     -- Successful reviews in a row
+      lapses INTEGER DEFAULT 0,
+      due_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_reviewed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY(user_id) REFERENCES users(id)
   );
+  CREATE INDEX IF NOT EXISTS idx_flashcards_user_due ON flashcards(user_id, due_at);
+  CREATE INDEX IF NOT EXISTS idx_flashcards_user_path ON flashcards(user_id, path);
+
+  -- Flashcard Review Log (one row per answer)
+  CREATE TABLE IF NOT EXISTS flashcard_reviews (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      card_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      grade TEXT NOT NULL,               -- 'again', 'hard', 'good' or 'easy'
+      interval_days INTEGER,             -- Interval scheduled by this review
+      reviewed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(user_id) REFERENCES users(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_flashcard_reviews_user ON flashcard_reviews(user_id, reviewed_at);
+
+  -- Quizzes (generated from a document or a page range of it)
+  CREATE TABLE IF NOT EXISTS quizzes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      path TEXT NOT NULL,
+      page_start INTEGER,                -- Pages the questions were written from
+      page_end INTEGER,
+      questions TEXT NOT NULL,           -- JSON: [{type, question, choices?, answer, explanation, page}]
+      provider TEXT,
+      model TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(user_id) REFERENCES users(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_quizzes_user_path ON quizzes(user_id, path);
+
+  -- Quiz Attempts (answers, per-question results and score of every submission)
+  CREATE TABLE IF NOT EXISTS quiz_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      quiz_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      answers TEXT NOT NULL,             -- JSON: choice index or text per question
+      results TEXT NOT NULL,             -- JSON: [{score, correct, feedback}]
+      score INTEGER NOT NULL,            -- Percentage of points earned (0-100)
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(user_id) REFERENCES users(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_quiz_attempts_user ON quiz_attempts(user_id, created_at);
+
+  -- Glossary Terms (one glossary per category, shared by every user)
+  -- AI entries are rebuilt from 'glossary_sources'; entries edited by a user keep their
+  -- definition, and deleted AI entries stay 'hidden' so that rebuilds do not bring them back.
+  CREATE TABLE IF NOT EXISTS glossary_terms (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      category TEXT NOT NULL,
+      term_key TEXT NOT NULL,            -- Lower-case term the entry was created for (kept on rename)
+      term TEXT NOT NULL,
+      definition TEXT NOT NULL,
+      refs TEXT,                         -- JSON list of pages defining the term: [{ path, page }]
+      origin TEXT DEFAULT 'ai',          -- 'ai' or 'manual'
+      hidden INTEGER DEFAULT 0,
+      edited_by INTEGER,                 -- Last user who edited the entry
+      edited_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(category, term_key)
+  );
 `;
 
-// --- 5. EXPORTED FUNCTIONS ---
+// --- 5. INCREMENTAL MIGRATIONS ---
+
+/**
+ * Columns added to existing tables after their first release.
+ * 'CREATE TABLE IF NOT EXISTS' never alters an existing table, so these are
+ * applied with 'ALTER TABLE ... ADD COLUMN' when missing.
+ */
+const columnMigrations = [
+  { table: 'document_cache', column: 'status', definition: 'TEXT' },
+  { table: 'document_cache', column: 'page_count', definition: 'INTEGER' },
+  { table: 'document_cache', column: 'pages_extracted', definition: 'INTEGER DEFAULT 0' },
+  { table: 'document_cache', column: 'text_source', definition: 'TEXT' },
+  { table: 'document_cache', column: 'ocr_langs', definition: 'TEXT' },
+  { table: 'document_cache', column: 'file_size', definition: 'INTEGER' },
+  { table: 'document_cache', column: 'file_mtime', definition: 'INTEGER' },
+  { table: 'document_cache', column: 'content_hash', definition: 'TEXT' },
+  { table: 'document_pages', column: 'source', definition: "TEXT DEFAULT 'native'" },
+  { table: 'document_pages', column: 'confidence', definition: 'REAL' },
+  { table: 'chat_messages', column: 'citations', definition: 'TEXT' },
+  { table: 'chat_messages', column: 'provider', definition: 'TEXT' },
+  { table: 'chat_messages', column: 'model', definition: 'TEXT' },
+  { table: 'chat_messages', column: 'thread_id', definition: 'INTEGER' },
+  { table: 'chat_messages', column: 'parent_id', definition: 'INTEGER' },
+  { table: 'chat_messages', column: 'chunks', definition: 'TEXT' },
+  { table: 'chat_messages', column: 'latency_ms', definition: 'INTEGER' },
+  { table: 'chat_messages', column: 'selection', definition: 'TEXT' },
+  { table: 'chat_threads', column: 'leaf_id', definition: 'INTEGER' },
+  { table: 'chat_threads', column: 'template_id', definition: 'INTEGER' },
+  { table: 'chat_threads', column: 'notes_context', definition: "TEXT DEFAULT 'none'" },
+  { table: 'chat_threads', column: 'answer_language', definition: 'TEXT' },
+  { table: 'library_chat_messages', column: 'provider', definition: 'TEXT' },
+  { table: 'library_chat_messages', column: 'model', definition: 'TEXT' }
+];
+
+/**
+ * Adds any missing column listed in 'columnMigrations'.
+ */
+function applyColumnMigrations() {
+  for (const { table, column, definition } of columnMigrations) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (columns.length > 0 && !columns.some((col) => col.name === column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      console.log(`✅ [DB INIT] Added column ${table}.${column}`);
+    }
+  }
+}
+
+/**
+ * Drops the per-document chat summaries stored before threads existed (keyed by
+ * user and path). Summaries are derived data: they are rebuilt per thread from
+ * the messages when needed.
+ */
+function dropLegacyChatSummaries() {
+  const columns = db.prepare('PRAGMA table_info(chat_summaries)').all();
+  if (columns.length > 0 && !columns.some((col) => col.name === 'thread_id')) {
+    db.exec('DROP TABLE chat_summaries');
+    console.log('✅ [DB INIT] Dropped legacy chat summaries (rebuilt per thread)');
+  }
+}
+
+/**
+ * Moves messages written before threads existed into one thread per user and document.
+ */
+function assignChatThreads() {
+  const orphans = db
+    .prepare(
+      `
+        SELECT user_id, path, MIN(created_at) AS created_at, MAX(created_at) AS updated_at
+        FROM chat_messages
+        WHERE thread_id IS NULL
+        GROUP BY user_id, path
+    `
+    )
+    .all();
+  if (orphans.length === 0) return;
+
+  const insertThread = db.prepare(
+    'INSERT INTO chat_threads (user_id, path, title, created_at, updated_at) VALUES (?, ?, ?, ?, ?)'
+  );
+  const assign = db.prepare(
+    'UPDATE chat_messages SET thread_id = ? WHERE user_id = ? AND path = ? AND thread_id IS NULL'
+  );
+
+  db.transaction(() => {
+    for (const { user_id, path: docPath, created_at, updated_at } of orphans) {
+      const { lastInsertRowid } = insertThread.run(
+        user_id,
+        docPath,
+        'Conversation',
+        created_at,
+        updated_at
+      );
+      assign.run(lastInsertRowid, user_id, docPath);
+    }
+  })();
+
+  console.log(`✅ [DB INIT] Moved chat history into ${orphans.length} thread(s)`);
+}
+
+/**
+ * Chains the messages of threads written before branching existed (each message
+ * follows the previous one) and selects their last message as the active branch.
+ */
+function linkChatBranches() {
+  const threads = db
+    .prepare(
+      `
+        SELECT t.id FROM chat_threads t
+        WHERE t.leaf_id IS NULL AND EXISTS (SELECT 1 FROM chat_messages m WHERE m.thread_id = t.id)
+    `
+    )
+    .all();
+  if (threads.length === 0) return;
+
+  const listMessages = db.prepare(
+    'SELECT id FROM chat_messages WHERE thread_id = ? ORDER BY created_at ASC, id ASC'
+  );
+  const setParent = db.prepare('UPDATE chat_messages SET parent_id = ? WHERE id = ?');
+  const setLeaf = db.prepare('UPDATE chat_threads SET leaf_id = ? WHERE id = ?');
+
+  db.transaction(() => {
+    for (const { id } of threads) {
+      let previous = null;
+      for (const message of listMessages.all(id)) {
+        setParent.run(previous, message.id);
+        previous = message.id;
+      }
+      setLeaf.run(previous, id);
+    }
+  })();
+
+  console.log(`✅ [DB INIT] Linked the messages of ${threads.length} chat thread(s)`);
+}
+
+/**
+ * Columns holding secrets, encrypted at rest with the master key (see secretBox).
+ * 'key' is the column identifying a row.
+ */
+export const SECRET_COLUMNS = [
+  { table: 'user_ai_config', key: 'user_id', column: 'api_key' },
+  { table: 'server_ai_config', key: 'id', column: 'api_key' },
+  { table: 'ai_fallbacks', key: 'id', column: 'api_key' },
+  { table: 'webhooks', key: 'id', column: 'secret' }
+];
+
+/**
+ * Encrypts secrets still stored in plaintext (rows written before encryption
+ * was enabled, or while SECRETS_MASTER_KEY was not set).
+ */
+function sealPlaintextSecrets() {
+  if (!process.env.SECRETS_MASTER_KEY) return;
+
+  let sealed = 0;
+  db.transaction(() => {
+    for (const { table, key, column } of SECRET_COLUMNS) {
+      const rows = db
+        .prepare(
+          `SELECT ${key} AS rowKey, ${column} AS value FROM ${table} WHERE ${column} IS NOT NULL AND ${column} != ''`
+        )
+        .all();
+      const update = db.prepare(`UPDATE ${table} SET ${column} = ? WHERE ${key} = ?`);
+
+      for (const { rowKey, value } of rows) {
+        if (isSealed(value)) continue;
+        update.run(sealSecret(value), rowKey);
+        sealed++;
+      }
+    }
+  })();
+
+  if (sealed > 0) console.log(`✅ [DB INIT] Encrypted ${sealed} stored secret(s)`);
+}
+
+// --- 6. EXPORTED FUNCTIONS ---
+
+/**
+ * Parses a JSON list column (e.g. 'document_overviews.outline'), falling back to an
+ * empty list for NULL or malformed values.
+ *
+ * @param {string|null} value - The stored JSON.
+ * @returns {Array} The list.
+ */
+export function parseJsonList(value) {
+  try {
+    const list = JSON.parse(value || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
 
 /**
  * Initializes the database tables and performs basic migration checks.
@@ -245,10 +753,19 @@ export function initDB() {
     console.error('❌ [DB INIT] Migration check failed:', error);
   }
 
-  // 2. Execute Schema Creation
+  // 2. Column Migrations (must run before the schema so new indexes find their columns)
+  applyColumnMigrations();
+  dropLegacyChatSummaries();
+
+  // 3. Execute Schema Creation
   // This is safe to run every time due to "IF NOT EXISTS" clauses
   db.exec(schema);
 
+  // 4. Data Migrations: encrypt secrets left in plaintext, thread and link legacy chat history
+  sealPlaintextSecrets();
+  assignChatThreads();
+  linkChatBranches();
+
   console.log('✅ [DB INIT] Database initialized & Schema verified.');
 }
 
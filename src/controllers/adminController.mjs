@@ -23,6 +23,37 @@ import { fileTypeFromFile } from 'file-type';
 import db from '../config/database.mjs';
 import { scanCourses } from '../utils/fileExplorer.mjs';
 import { apiKeysListForUser, insertApiKey } from '../services/authService.mjs';
+import { getProvider } from '../utils/aiManager.mjs';
+import { sealSecret } from '../utils/secretBox.mjs';
+import { pruneDocumentCache, requestOcr } from '../services/extractionService.mjs';
+import { enqueueAllOverviews, enqueueOverview } from '../services/overviewService.mjs';
+import { enqueueGlossaries, isGlossaryCategory } from '../services/glossaryService.mjs';
+import {
+  getServerAIConfig,
+  listFallbacks,
+  maskFallbacks,
+  maskKey,
+  saveFallbacks,
+  saveServerAIConfig,
+  validateFallbacks
+} from '../services/aiConfigService.mjs';
+import {
+  deleteContextWindow,
+  listContextWindows,
+  resolveContextWindow,
+  saveContextWindow,
+  validateContextWindow
+} from '../services/contextWindowService.mjs';
+import { BUILTIN_CONTEXT_WINDOWS, DEFAULT_CONTEXT_WINDOW } from '../utils/tokenBudget.mjs';
+import { getFeedbackReport } from '../services/feedbackService.mjs';
+import {
+  createTemplate,
+  deleteTemplate,
+  isTemplateNameTaken,
+  listSharedTemplates,
+  updateTemplate,
+  validateTemplate
+} from '../services/promptTemplateService.mjs';
 
 // --- 4. CONFIGURATION ---
 const __filename = fileURLToPath(import.meta.url);
@@ -40,6 +71,13 @@ const ALLOWED_WEBHOOK_EVENTS = [
   'site.stopped'
 ];
 
+// Error messages of the dashboard (?error=...), set by form redirects
+const DASHBOARD_ERRORS = {
+  upload_failed: 'Error during upload.',
+  bad_template: 'Invalid prompt template: a name, a content and supported variables only.',
+  name_taken: 'A shared prompt template with this name already exists.'
+};
+
 // --- 5. HELPER FUNCTIONS ---
 
 /**
@@ -65,7 +103,7 @@ export const getAdminDashboard = (req, res) => {
   const { categories } = loadCoursesData();
 
   // 2. Parse Feedback Messages (Query Params)
-  const error = req.query.error === 'upload_failed' ? 'Error during upload.' : null;
+  const error = DASHBOARD_ERRORS[req.query.error] || null;
   const success = req.query.success === 'true' ? 'Course added successfully!' : null;
 
   // 3. User Management Data
@@ -89,7 +127,11 @@ export const getAdminDashboard = (req, res) => {
         .all(selectedUser.id)
     : [];
 
-  // 4. Render View
+  // 4. Answer Quality (ratings of the period, ?days=...) and shared prompt templates
+  const feedbackReport = getFeedbackReport({ days: req.query.days });
+  const promptTemplates = listSharedTemplates();
+
+  // 5. Render View
   res.render('layout', {
     page: 'pages/admin',
     title: 'Admin Panel',
@@ -105,7 +147,9 @@ export const getAdminDashboard = (req, res) => {
     users,
     selectedUser,
     userKeys,
-    userWebhooks
+    userWebhooks,
+    feedbackReport,
+    promptTemplates
   });
 };
 
@@ -267,7 +311,7 @@ export const createUserWebhook = (req, res) => {
             INSERT INTO webhooks (user_id, url, secret, events, active, created_at) 
             VALUES (?, ?, ?, ?, 1, CURRENT_TIMESTAMP)
         `
-    ).run(userId, url, secret, validEvents.join(','));
+    ).run(userId, url, sealSecret(secret), validEvents.join(','));
   } catch (e) {
     /* Ignore constraint errors */
   }
@@ -323,13 +367,26 @@ export const deleteUser = (req, res) => {
       'snippets',
       'reading_sessions',
       'site_sessions',
-      'chat_messages' // Ensure chat history is wiped
+      'chat_messages', // Ensure chat history is wiped
+      'library_chat_messages',
+      'chat_summaries',
+      'chat_threads',
+      'chat_feedback',
+      'prompt_templates',
+      'ai_fallbacks',
+      'flashcards',
+      'flashcard_reviews',
+      'quizzes',
+      'quiz_attempts'
     ];
 
     tables.forEach((table) => {
       db.prepare(`DELETE FROM ${table} WHERE user_id = ?`).run(userId);
     });
 
+    // Glossaries are shared: the user's edits stay, without their name
+    db.prepare('UPDATE glossary_terms SET edited_by = NULL WHERE edited_by = ?').run(userId);
+
     // 2. Delete User Record
     db.prepare('DELETE FROM users WHERE id = ?').run(userId);
 
@@ -346,3 +403,274 @@ export const deleteUser = (req, res) => {
   }
   res.redirect('/admin');
 };
+
+/**
+ * ==============================================================================
+ * V. SERVER AI DEFAULTS & FALLBACK CHAIN
+ * ==============================================================================
+ * Server defaults fill every field a user leaves empty, and take precedence over
+ * the AI_* environment variables. The server fallback chain is used by every
+ * user who has not defined one of their own.
+ */
+
+/**
+ * Formats the server defaults for API responses (key masked).
+ * @private
+ */
+const _serverConfigPayload = () => {
+  const conf = getServerAIConfig();
+  return {
+    provider: conf?.provider || null,
+    model: conf?.model || null,
+    api_url: conf?.api_url || null,
+    api_key: maskKey(conf?.api_key)
+  };
+};
+
+/**
+ * GET: Retrieve the server AI defaults (key masked).
+ */
+export const getServerAIDefaults = (req, res) => {
+  res.json(_serverConfigPayload());
+};
+
+/**
+ * PUT: Replace the server AI defaults. Empty fields fall back to the environment.
+ */
+export const saveServerAIDefaults = (req, res) => {
+  const { provider, model, api_url, api_key } = req.body || {};
+
+  if (provider && !getProvider(provider)) {
+    return res.status(400).json({ error: 'Invalid provider.', code: 'bad_provider' });
+  }
+
+  saveServerAIConfig({ provider, model, api_url, api_key });
+  res.json({ success: true, config: _serverConfigPayload() });
+};
+
+/**
+ * GET: Retrieve the server fallback chain (keys masked).
+ */
+export const getServerAIFallbacks = (req, res) => {
+  res.json({ fallbacks: maskFallbacks(listFallbacks(null)) });
+};
+
+/**
+ * PUT: Replace the server fallback chain.
+ */
+export const saveServerAIFallbacks = (req, res) => {
+  const fallbacks = req.body?.fallbacks;
+
+  const error = validateFallbacks(fallbacks);
+  if (error) {
+    return res.status(400).json({ error, code: 'bad_fallbacks' });
+  }
+
+  saveFallbacks(null, fallbacks);
+  res.json({ success: true, fallbacks: maskFallbacks(listFallbacks(null)) });
+};
+
+/**
+ * GET: List the model context windows (admin entries, built-in table, default).
+ * With ?model=..., also reports the window that model resolves to.
+ */
+export const getModelContextWindows = (req, res) => {
+  res.json({
+    windows: listContextWindows(),
+    builtin: BUILTIN_CONTEXT_WINDOWS,
+    defaultContextTokens: DEFAULT_CONTEXT_WINDOW,
+    ...(req.query.model ? { resolved: resolveContextWindow(String(req.query.model)) } : {})
+  });
+};
+
+/**
+ * PUT: Create or replace the context window of a model or model family.
+ * Body: { model: 'llama3.1:70b' | 'llama3.1*', contextTokens, maxOutputTokens? }
+ */
+export const saveModelContextWindow = (req, res) => {
+  const entry = req.body || {};
+
+  const error = validateContextWindow(entry);
+  if (error) {
+    return res.status(400).json({ error, code: 'bad_context_window' });
+  }
+
+  saveContextWindow(entry);
+  res.json({ success: true, windows: listContextWindows() });
+};
+
+/**
+ * DELETE: Remove the admin entry of a model (?model=...); the built-in value applies again.
+ */
+export const deleteModelContextWindow = (req, res) => {
+  const model = String(req.query.model || '');
+
+  if (!deleteContextWindow(model)) {
+    return res.status(404).json({ error: 'No context window for this model.', code: 'not_found' });
+  }
+  res.json({ success: true, windows: listContextWindows() });
+};
+
+/**
+ * ==============================================================================
+ * VI. DOCUMENTS
+ * ==============================================================================
+ */
+
+/**
+ * POST: Re-read a scanned document with other OCR language packs.
+ * Body: { path: 'courses/...pdf', langs: 'eng+fra', force?: boolean }
+ */
+export const rerunDocumentOcr = (req, res) => {
+  const { path: docPath, langs, force } = req.body || {};
+
+  try {
+    const job = requestOcr(String(docPath || ''), langs, { force: Boolean(force) });
+    res.status(202).json({ success: true, path: docPath, langs: job.langs, status: 'queued' });
+  } catch (error) {
+    const conflict = /already running|not needed/.test(error.message);
+    res.status(conflict ? 409 : 400).json({
+      error: error.message,
+      code: conflict ? 'conflict' : 'bad_request'
+    });
+  }
+};
+
+/**
+ * POST: Drop cached text, chunks and embeddings of documents deleted from 'courses/'.
+ * (Also done when the server starts.)
+ */
+export const pruneDocuments = (req, res) => {
+  res.json({ success: true, pruned: pruneDocumentCache() });
+};
+
+/**
+ * POST: Queue the AI overview of one document, or of every document without a current one.
+ * Body: { path?: 'courses/...pdf', force?: boolean } (force: regenerate current overviews)
+ */
+export const regenerateDocumentOverviews = (req, res) => {
+  const { path: docPath, force } = req.body || {};
+
+  if (docPath === undefined) {
+    return res.status(202).json({
+      success: true,
+      queued: enqueueAllOverviews({ force: Boolean(force) })
+    });
+  }
+
+  try {
+    const job = enqueueOverview(String(docPath), { force: Boolean(force) });
+    res.status(202).json({ success: true, path: docPath, queued: job ? 1 : 0 });
+  } catch (error) {
+    res.status(400).json({ error: error.message, code: 'bad_request' });
+  }
+};
+
+/**
+ * POST: Queue the term extraction of the documents of a category (or of every category)
+ * without current terms. Body: { category?: 'courses/...', force?: boolean }
+ * (force: extract current terms again; edited entries are kept)
+ */
+export const regenerateGlossaries = (req, res) => {
+  const { category, force } = req.body || {};
+
+  if (category !== undefined && !isGlossaryCategory(category)) {
+    return res.status(400).json({ error: 'Unknown category', code: 'bad_request' });
+  }
+
+  res.status(202).json({
+    success: true,
+    queued: enqueueGlossaries({ category, force: Boolean(force) })
+  });
+};
+
+/**
+ * ==============================================================================
+ * VII. ANSWER QUALITY
+ * ==============================================================================
+ */
+
+/**
+ * GET: Answer ratings aggregated per document and per model (?days=30).
+ */
+export const getFeedbackQualityReport = (req, res) => {
+  res.json(getFeedbackReport({ days: req.query.days }));
+};
+
+/**
+ * ==============================================================================
+ * VIII. SHARED PROMPT TEMPLATES
+ * ==============================================================================
+ * Templates published to every user (picked per chat thread). Like the user
+ * resources above, these methods answer JSON to API calls and redirect forms.
+ */
+
+/**
+ * Sends the outcome of a template change: JSON for API calls, a redirect for forms.
+ * @private
+ */
+const _templateResponse = (req, res, status, payload) => {
+  if (req.xhr || req.headers.accept?.includes('json') || req.apiUser) {
+    return res.status(status).json(payload);
+  }
+  res.redirect(payload.code ? `/admin?error=${payload.code}` : '/admin#prompt-templates');
+};
+
+/**
+ * GET: List the shared prompt templates.
+ */
+export const getSharedPromptTemplates = (req, res) => {
+  res.json({ templates: listSharedTemplates() });
+};
+
+/**
+ * POST: Publish a shared prompt template. Body: { name, content }
+ */
+export const createSharedPromptTemplate = (req, res) => {
+  const error = validateTemplate(req.body);
+  if (error) {
+    return _templateResponse(req, res, 400, { error, code: 'bad_template' });
+  }
+  if (isTemplateNameTaken(null, req.body.name)) {
+    return _templateResponse(req, res, 409, {
+      error: 'A shared template with this name exists.',
+      code: 'name_taken'
+    });
+  }
+
+  _templateResponse(req, res, 201, { success: true, template: createTemplate(null, req.body) });
+};
+
+/**
+ * PATCH (API) / POST (form): Rename and/or rewrite a shared prompt template.
+ * Body: { name?, content? }
+ */
+export const updateSharedPromptTemplate = (req, res) => {
+  const error = validateTemplate(req.body, { partial: true });
+  if (error) {
+    return _templateResponse(req, res, 400, { error, code: 'bad_template' });
+  }
+  if (req.body.name !== undefined && isTemplateNameTaken(null, req.body.name, req.params.id)) {
+    return _templateResponse(req, res, 409, {
+      error: 'A shared template with this name exists.',
+      code: 'name_taken'
+    });
+  }
+
+  const template = updateTemplate(null, req.params.id, req.body);
+  if (!template) {
+    return _templateResponse(req, res, 404, { error: 'Template not found.', code: 'not_found' });
+  }
+  _templateResponse(req, res, 200, { success: true, template });
+};
+
+/**
+ * DELETE (API) / POST (form): Withdraw a shared prompt template. Threads using it go
+ * back to the default prompt.
+ */
+export const deleteSharedPromptTemplate = (req, res) => {
+  if (!deleteTemplate(null, req.params.id)) {
+    return _templateResponse(req, res, 404, { error: 'Template not found.', code: 'not_found' });
+  }
+  _templateResponse(req, res, 200, { success: true });
+};
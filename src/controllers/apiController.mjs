@@ -9,7 +9,8 @@
  *
  * @author Sacha Pastor
  * @environment Node.js (ES Modules)
- * @dependencies database, fileExplorer, webhookService, authService
+ * @dependencies database, fileExplorer, webhookService, authService, extractionService,
+ *   overviewService
  * ==============================================================================
  */
 
@@ -23,6 +24,25 @@ import db from '../config/database.mjs';
 import { scanCourses } from '../utils/fileExplorer.mjs';
 import { dispatchWebhook } from '../services/webhookService.mjs';
 import { apiKeysListForUser, insertApiKey } from '../services/authService.mjs';
+import { getProvider, listModels, listProviders, testConnection } from '../utils/aiManager.mjs';
+import { sealSecret } from '../utils/secretBox.mjs';
+import {
+  getUserAIConfig,
+  listFallbacks,
+  maskFallbacks,
+  maskKey,
+  resolveEffectiveAIConfig,
+  saveFallbacks,
+  saveUserAIConfig,
+  validateFallbacks
+} from '../services/aiConfigService.mjs';
+import {
+  getExtractedPages,
+  getExtractionStatus,
+  getOcrConfidence,
+  warmDocument
+} from '../services/extractionService.mjs';
+import { getOverview, requestOverview } from '../services/overviewService.mjs';
 
 // --- 2. CONFIGURATION ---
 
@@ -73,12 +93,43 @@ function resolveSafePath(relativePath) {
   const absolutePath = path.resolve(ROOT_DIR, relativePath);
   const coursesRoot = path.join(ROOT_DIR, 'courses');
 
-  // Security Check: Must start with the approved root path
-  if (!absolutePath.startsWith(coursesRoot)) return null;
+  // Security Check: Must be the approved root path or inside it
+  if (absolutePath !== coursesRoot && !absolutePath.startsWith(coursesRoot + path.sep)) return null;
 
   return absolutePath;
 }
 
+/**
+ * Validates the document a document endpoint is about: a PDF file of 'courses/'.
+ * @returns {{absolutePath: string}|{status: number, error: string, code: string}}
+ *   The absolute path, or the error to answer.
+ */
+function resolvePdfPath(relativePath) {
+  const absolutePath = resolveSafePath(relativePath);
+  if (!absolutePath || !relativePath.toLowerCase().endsWith('.pdf')) {
+    return { status: 400, error: 'Invalid path or access denied', code: 'bad_path' };
+  }
+
+  const stat = fs.statSync(absolutePath, { throwIfNoEntry: false });
+  if (!stat) return { status: 404, error: 'File not found', code: 'not_found' };
+  if (!stat.isFile()) return { status: 400, error: 'Not a PDF file', code: 'bad_path' };
+
+  return { absolutePath };
+}
+
+/**
+ * Extracts unsaved AI settings (Settings form) from a query string or body.
+ * @returns {Object|undefined} The draft, or undefined when no field is present (use stored settings).
+ */
+function getAIDraft(source = {}) {
+  const fields = ['provider', 'model', 'api_url', 'api_key'];
+  if (!fields.some((field) => typeof source[field] === 'string')) return undefined;
+
+  return Object.fromEntries(
+    fields.map((field) => [field, typeof source[field] === 'string' ? source[field] : undefined])
+  );
+}
+
 /**
  * Loads the course directory structure.
  */
@@ -149,6 +200,78 @@ export const getFileMetadata = (req, res) => {
   });
 };
 
+/**
+ * GET /api/v1/documents/status?path=...
+ * Returns the background extraction progress of a PDF.
+ * Queues the extraction if the document has never been processed, or changed on disk.
+ */
+export const getDocumentStatus = async (req, res) => {
+  const relativePath = (req.query.path || '').toString();
+  const { status: errorStatus, error, code } = resolvePdfPath(relativePath);
+
+  if (error) {
+    return jsonError(res, errorStatus, error, code);
+  }
+
+  await warmDocument(relativePath);
+  const status = getExtractionStatus(relativePath);
+
+  res.json({
+    path: relativePath,
+    status: status?.status || 'queued',
+    pageCount: status?.page_count ?? null,
+    pagesExtracted: status?.pages_extracted || 0,
+    textSource: status?.text_source || null,
+    ocr:
+      status?.text_source === 'ocr'
+        ? { langs: status.ocr_langs || null, confidence: getOcrConfidence(relativePath) }
+        : null
+  });
+};
+
+/**
+ * GET /api/v1/documents/pages?path=...&page=...
+ * Returns the extracted text of every stored page, or of a single page,
+ * with its source ('native' or 'ocr') and OCR confidence.
+ */
+export const getDocumentPages = (req, res) => {
+  const relativePath = (req.query.path || '').toString();
+  const { status, error, code } = resolvePdfPath(relativePath);
+
+  if (error) {
+    return jsonError(res, status, error, code);
+  }
+
+  const pages = getExtractedPages(relativePath);
+
+  if (req.query.page !== undefined) {
+    const pageNumber = parseInt(req.query.page, 10);
+    const page = pages.find((p) => p.page === pageNumber);
+    if (!page) return jsonError(res, 404, 'Page not extracted', 'not_found');
+    return res.json({ path: relativePath, ...page });
+  }
+
+  res.json({ path: relativePath, items: pages });
+};
+
+/**
+ * GET /api/v1/documents/overview?path=...
+ * Returns the AI overview of a document (abstract, outline, key takeaways).
+ * A document without a current overview is queued (see requestOverview): poll until the
+ * status is 'complete' or 'failed'.
+ */
+export const getDocumentOverview = (req, res) => {
+  const relativePath = (req.query.path || '').toString();
+  const { status, error, code } = resolvePdfPath(relativePath);
+
+  if (error) {
+    return jsonError(res, status, error, code);
+  }
+
+  requestOverview(relativePath);
+  res.json(getOverview(relativePath));
+};
+
 /**
  * ==============================================================================
  * IV. USER DATA PERSISTENCE (Favorites, Notes, Snippets)
@@ -541,7 +664,7 @@ export const createWebhook = (req, res) => {
         INSERT INTO webhooks (user_id, url, secret, events, active, created_at) 
         VALUES (?, ?, ?, ?, 1, CURRENT_TIMESTAMP)
     `
-  ).run(userId, url, secret, validEvents.join(','));
+  ).run(userId, url, sealSecret(secret), validEvents.join(','));
 
   if (isBrowserRequest) res.redirect('/settings');
   else res.json({ success: true });
@@ -604,78 +727,122 @@ export const revokeKey = (req, res) => {
 
 /**
  * GET /api/v1/config/ai
- * Retrieves the current user's AI configuration (Provider, Model, URL).
+ * Retrieves the current user's own AI settings (Provider, Model, URL).
+ * Unset fields (null) inherit the server defaults; see /config/ai/effective.
  * NOTE: The API Key is partially masked for security.
  */
 export const getAIConfig = (req, res) => {
   const userId = getUserId(req);
 
-  const conf = db
-    .prepare('SELECT provider, model, api_url, api_key FROM user_ai_config WHERE user_id = ?')
-    .get(userId);
+  const conf = getUserAIConfig(userId);
 
-  if (conf) {
+  res.json({
+    provider: conf?.provider || null,
+    model: conf?.model || null,
+    api_url: conf?.api_url || null,
     // Security: Never return the full key. Show "sk-..." or nothing.
-    const maskedKey = conf.api_key ? `sk-...${conf.api_key.slice(-4)}` : '';
+    api_key: maskKey(conf?.api_key)
+  });
+};
 
-    res.json({
-      provider: conf.provider,
-      model: conf.model,
-      api_url: conf.api_url,
-      api_key: maskedKey
-    });
-  } else {
-    // Default fallback state
-    res.json({
-      provider: 'ollama',
-      model: '',
-      api_url: ''
-    });
+/**
+ * GET /api/v1/config/ai/effective
+ * Returns the configuration that will actually answer the user's questions,
+ * merged from their settings, the server defaults and the environment,
+ * with the layer each field comes from. The API Key is masked.
+ */
+export const getEffectiveAIConfig = (req, res) => {
+  const effective = resolveEffectiveAIConfig(getUserId(req));
+
+  if (!effective) {
+    return res.json({ configured: false, config: null, sources: null });
+  }
+
+  const { provider, model, apiUrl, apiKey } = effective.config;
+  res.json({
+    configured: true,
+    config: { provider, model, api_url: apiUrl, api_key: maskKey(apiKey) },
+    sources: {
+      provider: effective.sources.provider,
+      model: effective.sources.model,
+      api_url: effective.sources.apiUrl,
+      api_key: effective.sources.apiKey
+    }
+  });
+};
+
+/**
+ * GET /api/v1/config/ai/providers
+ * Lists the AI providers that can be selected (driven by the provider registry).
+ */
+export const getAIProviders = (req, res) => {
+  res.json({ providers: listProviders() });
+};
+
+/**
+ * GET /api/v1/config/ai/models
+ * Lists the models offered by the provider the user would use.
+ * Optional query fields (provider, api_url) describe unsaved Settings form values;
+ * the API key is never read from the query string (the stored key applies).
+ */
+export const getAIModels = async (req, res) => {
+  const draft = getAIDraft(req.query);
+  if (draft?.provider && !getProvider(draft.provider)) {
+    return jsonError(res, 400, 'Invalid provider.', 'bad_provider');
+  }
+  if (draft) draft.api_key = undefined;
+
+  const effective = resolveEffectiveAIConfig(getUserId(req), draft);
+  if (!effective) return jsonError(res, 400, 'No AI provider is configured.', 'ai_not_configured');
+
+  try {
+    const models = await listModels(effective.config);
+    res.json({ provider: effective.config.provider, models });
+  } catch (error) {
+    const status = ['config', 'unsupported'].includes(error.kind) ? 400 : 502;
+    res.status(status).json({ error: error.message, code: `ai_${error.kind}` });
   }
 };
 
+/**
+ * POST /api/v1/config/ai/test
+ * Sends a tiny prompt with the user's configuration and reports latency and the exact error.
+ * The body may hold unsaved Settings form values ({ provider, model, api_url, api_key });
+ * a masked key ("sk-...") uses the stored key.
+ */
+export const testAIConfig = async (req, res) => {
+  const draft = getAIDraft(req.body);
+  if (draft?.provider && !getProvider(draft.provider)) {
+    return jsonError(res, 400, 'Invalid provider.', 'bad_provider');
+  }
+
+  const effective = resolveEffectiveAIConfig(getUserId(req), draft);
+  if (!effective) return jsonError(res, 400, 'No AI provider is configured.', 'ai_not_configured');
+
+  res.json(await testConnection(effective.config));
+};
+
 /**
  * POST /api/v1/config/ai
  * Updates or creates the AI configuration for the authenticated user.
+ * Empty fields are stored as NULL and inherit the server defaults,
+ * so a user can override only the model, or only the key.
  */
 export const saveAIConfig = (req, res) => {
   const userId = getUserId(req);
   const { provider, model, api_url, api_key } = req.body;
 
-  // 1. Validation - ALLOWED: gemini
-  if (!['ollama', 'openai', 'gemini'].includes(provider)) {
-    return jsonError(
-      res,
-      400,
-      'Invalid provider. Must be "ollama", "openai" or "gemini".',
-      'bad_provider'
-    );
+  // 1. Validation - Empty (inherit) or any provider registered in the AI Manager
+  if (provider && !getProvider(provider)) {
+    const allowed = listProviders()
+      .map((p) => `"${p.id}"`)
+      .join(', ');
+    return jsonError(res, 400, `Invalid provider. Must be one of ${allowed}.`, 'bad_provider');
   }
 
   try {
-    // 2. Key Handling Logic
-    // If the user sends a masked key ("sk-..."), it means they didn't change it.
-    // In that case, we keep the existing key from the database.
-    let finalKey = api_key;
-    const existing = db.prepare('SELECT api_key FROM user_ai_config WHERE user_id = ?').get(userId);
-
-    if (api_key && api_key.startsWith('sk-...') && existing) {
-      finalKey = existing.api_key;
-    }
-
-    // 3. Upsert (Insert or Update)
-    db.prepare(
-      `
-            INSERT INTO user_ai_config (user_id, provider, model, api_url, api_key)
-            VALUES (?, ?, ?, ?, ?)
-            ON CONFLICT(user_id) DO UPDATE SET
-                provider = excluded.provider,
-                model = excluded.model,
-                api_url = excluded.api_url,
-                api_key = excluded.api_key,
-                updated_at = CURRENT_TIMESTAMP
-        `
-    ).run(userId, provider, model || null, api_url || null, finalKey || null);
+    // 2. Upsert (a masked key "sk-..." keeps the stored key)
+    saveUserAIConfig(userId, { provider, model, api_url, api_key });
 
     res.json({ success: true });
   } catch (err) {
@@ -683,3 +850,36 @@ export const saveAIConfig = (req, res) => {
     res.status(500).json({ error: 'Failed to save settings' });
   }
 };
+
+/**
+ * GET /api/v1/config/ai/fallbacks
+ * Retrieves the user's fallback chain (keys masked). When empty, the server chain applies.
+ */
+export const getAIFallbacks = (req, res) => {
+  const userId = getUserId(req);
+  res.json({
+    fallbacks: maskFallbacks(listFallbacks(userId)),
+    server: listFallbacks(null).map(({ provider, model }) => ({ provider, model }))
+  });
+};
+
+/**
+ * PUT /api/v1/config/ai/fallbacks
+ * Replaces the user's fallback chain. Send an empty list to use the server chain.
+ * Masked keys ("sk-...") keep the key stored at the same position.
+ */
+export const saveAIFallbacks = (req, res) => {
+  const userId = getUserId(req);
+  const fallbacks = req.body?.fallbacks;
+
+  const error = validateFallbacks(fallbacks);
+  if (error) return jsonError(res, 400, error, 'bad_fallbacks');
+
+  try {
+    saveFallbacks(userId, fallbacks);
+    res.json({ success: true, fallbacks: maskFallbacks(listFallbacks(userId)) });
+  } catch (err) {
+    console.error('[API] Failed to save AI fallbacks:', err);
+    res.status(500).json({ error: 'Failed to save settings' });
+  }
+};
@@ -5,31 +5,598 @@
  * @fileoverview Manages the Retrieval-Augmented Generation (RAG) chat interface.
  * Handles fetching history, posting user messages, invoking the AI service,
  * and storing the resulting conversation.
+ * Two scopes exist: a single document (chat_messages) and a library folder
+ * (library_chat_messages), each with its own history. Document chats are
+ * grouped in named threads (chat_threads); requests without 'thread_id' use the
+ * most recently active thread. Long threads also keep a rolling summary of
+ * their older turns (chat_summaries).
+ * Answers can be regenerated (optionally with another model: any model on the
+ * user's own key or endpoint, a model listed by the provider on the server's) and questions
+ * edited: both keep the previous version as a sibling, and editing forks a new
+ * branch of the thread. Every kind of turn has a JSON and a streaming (SSE) route.
+ * Answers store their prompt metadata (retrieved passages, latency) and can be
+ * rated by their author (chat_feedback, see feedbackService).
+ * Threads may answer with a prompt template (the user's own or a shared one,
+ * see promptTemplateService) instead of the default system prompt, and opt in to
+ * the user's notes and snippets as extra context (see notesContextService).
+ * A question may be about a passage selected in the PDF reader ('selection'):
+ * it is stored with the question and put first in the prompt.
  *
  * @author Sacha Pastor
  * @environment Node.js (ES Modules)
- * @dependencies database, aiService (RAG)
+ * @dependencies database, aiService (RAG), aiConfigService, chatThreadService, chatSummaryService,
+ *   feedbackService, promptTemplateService
  * ==============================================================================
  */
 
 // --- 1. CORE IMPORTS ---
+import fs from 'node:fs';
 import db from '../config/database.mjs';
 
 // Import the RAG orchestration service
 // Note: Ensure this file exists at the specified path.
-import { generateAIResponse } from '../services/aiService.mjs'; // Updated path based on previous context (was aiService)
+import {
+  generateAIResponse,
+  streamAIResponse,
+  generateLibraryResponse,
+  normalizeLibraryScope
+} from '../services/aiService.mjs'; // Updated path based on previous context (was aiService)
+import { resolveEffectiveAIConfig } from '../services/aiConfigService.mjs';
+import { deleteChatSummary, getChatSummary } from '../services/chatSummaryService.mjs';
+import {
+  clearThread,
+  createThread,
+  deleteThread,
+  getActiveBranch,
+  getThread,
+  getThreadMessage,
+  listThreads,
+  resolveThread,
+  selectBranch,
+  touchThread,
+  updateThread
+} from '../services/chatThreadService.mjs';
+import {
+  deleteFeedback,
+  getFeedback,
+  saveFeedback,
+  validateFeedback
+} from '../services/feedbackService.mjs';
+import {
+  createTemplate,
+  deleteTemplate,
+  getTemplate,
+  isTemplateNameTaken,
+  listTemplates,
+  updateTemplate,
+  validateTemplate
+} from '../services/promptTemplateService.mjs';
+import { NOTES_CONTEXT_SCOPES } from '../services/notesContextService.mjs';
+import { resolveDocumentPath } from '../services/extractionService.mjs';
+import { AIProviderError, AIChainError, listModels } from '../utils/aiManager.mjs';
+import { isSupportedLanguage } from '../utils/translation.mjs';
+
+// --- 2. CONSTANTS ---
+
+// Returned (never stored) when no provider of the fallback chain could answer.
+const AI_UNAVAILABLE_MESSAGE = 'Sorry, the AI service is temporarily unavailable.';
+
+// Upper bound of a model name requested for a regeneration
+const MAX_MODEL_NAME_LENGTH = 200;
+
+// Upper bound of a passage selected in the reader and asked about (characters)
+const MAX_SELECTION_LENGTH = 4000;
+
+/**
+ * ==============================================================================
+ * 3. HELPERS
+ * ==============================================================================
+ */
+
+/**
+ * Tells whether an error comes from the AI providers (as opposed to a server bug).
+ *
+ * @param {Error} error - The caught error.
+ * @returns {boolean}
+ */
+function isAIFailure(error) {
+  return error instanceof AIChainError || error instanceof AIProviderError;
+}
+
+/**
+ * Builds the JSON payload describing an AI failure (failed attempts included).
+ *
+ * @param {AIChainError|AIProviderError} error - The AI failure.
+ * @returns {{error: string, code: string, attempts: Array<Object>}}
+ */
+function aiFailurePayload(error) {
+  return {
+    error: AI_UNAVAILABLE_MESSAGE,
+    code: 'ai_unavailable',
+    attempts: error instanceof AIChainError ? error.attempts : [error.toJSON()]
+  };
+}
+
+/**
+ * Tells whether a user may regenerate an answer with another model of their primary
+ * provider: any model runs on the user's own key or endpoint, but on the server's only
+ * a model the provider lists.
+ *
+ * @param {number} userId - The user ID.
+ * @param {string} model - The requested model.
+ * @returns {Promise<boolean>}
+ */
+async function isModelAllowed(userId, model) {
+  const effective = resolveEffectiveAIConfig(userId);
+  if (!effective) return false;
+
+  const { config, sources } = effective;
+  if (sources.apiKey === 'user' || sources.apiUrl === 'user' || model === config.model) {
+    return true;
+  }
+
+  try {
+    return (await listModels(config)).includes(model);
+  } catch (error) {
+    console.warn(`[ChatController] Models of ${config.provider} not listed: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Stores an exchange in 'chat_messages' (single transaction) and makes it the end
+ * of the thread's active branch. The question is only inserted when it is new
+ * (a regenerated answer is attached to the existing question), and a draft thread
+ * is created with its first exchange.
+ *
+ * @param {number} userId - The user ID.
+ * @param {Object} turn - The turn being answered (see the turn resolvers below).
+ * @param {{content: string, citations: Array<Object>, chunks: Array<Object>, provider: string|null, model: string|null}} answer
+ * @param {number} latencyMs - Time taken to answer.
+ * @returns {{threadId: number, questionId: number, answerId: number}} The IDs of the thread
+ *   and of the stored messages.
+ */
+function saveExchange(userId, turn, answer, latencyMs) {
+  const { thread } = turn;
+  const insert = db.prepare(
+    `
+            INSERT INTO chat_messages (user_id, path, thread_id, parent_id, role, content, selection, citations, provider, model, chunks, latency_ms) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `
+  );
+
+  return db.transaction(() => {
+    const threadId = thread.id ?? createThread(userId, thread.path).id;
+
+    const questionId =
+      turn.questionId ??
+      insert.run(
+        userId,
+        thread.path,
+        threadId,
+        turn.parentId,
+        'user',
+        turn.question,
+        turn.selection ? JSON.stringify(turn.selection) : null,
+        null,
+        null,
+        null,
+        null,
+        null
+      ).lastInsertRowid;
+
+    const answerId = insert.run(
+      userId,
+      thread.path,
+      threadId,
+      questionId,
+      'assistant',
+      answer.content,
+      null,
+      JSON.stringify(answer.citations || []),
+      answer.provider,
+      answer.model,
+      JSON.stringify(answer.chunks || []),
+      latencyMs
+    ).lastInsertRowid;
+
+    touchThread(threadId, turn.question, answerId);
+    return { threadId, questionId, answerId };
+  })();
+}
+
+/**
+ * Formats stored messages for API responses (parsed selection, citations and passages,
+ * the author's rating of each answer).
+ *
+ * @param {Array<Object>} rows - 'chat_messages' rows.
+ * @returns {Array<Object>}
+ */
+function formatMessages(rows) {
+  const feedback = getFeedback(rows.filter((r) => r.role === 'assistant').map((r) => r.id));
+
+  return rows.map((row) => ({
+    ...row,
+    selection: row.selection ? JSON.parse(row.selection) : null,
+    citations: row.citations ? JSON.parse(row.citations) : [],
+    chunks: row.chunks ? JSON.parse(row.chunks) : [],
+    feedback: feedback.get(row.id) || null
+  }));
+}
+
+/**
+ * Reads the optional thread ID of a request (query string or JSON body).
+ *
+ * @param {Object} req - Express request object.
+ * @returns {string|number|null}
+ */
+function requestedThreadId(req) {
+  return req.query.thread_id ?? req.body?.thread_id ?? null;
+}
+
+/**
+ * Resolves the prompt template submitted for a thread ('template_id' of the body).
+ *
+ * @param {number} userId - The user ID.
+ * @param {*} value - The submitted ID (null or '' restores the default prompt).
+ * @returns {{templateId: number|null|undefined}|{error: string}} undefined when not submitted,
+ *   or an error if the template is not usable by the user.
+ */
+function requestedTemplateId(userId, value) {
+  if (value === undefined) return { templateId: undefined };
+  if (value === null || value === '') return { templateId: null };
+
+  const template = getTemplate(userId, value);
+  return template ? { templateId: template.id } : { error: 'Prompt template not found' };
+}
+
+/**
+ * Checks the notes scope submitted for a thread ('notes_context' of the body).
+ *
+ * @param {*} value - The submitted scope (undefined when not submitted).
+ * @returns {boolean} True if absent or one of NOTES_CONTEXT_SCOPES.
+ */
+function isValidNotesContext(value) {
+  return value === undefined || NOTES_CONTEXT_SCOPES.includes(value);
+}
+
+/**
+ * Resolves the answer language submitted for a thread ('answer_language' of the body).
+ *
+ * @param {*} value - The submitted code (null or '' answers in the language of the question).
+ * @returns {{answerLanguage: string|null|undefined}|{error: string}} undefined when not
+ *   submitted, or an error if the language is not offered (see utils/translation).
+ */
+function requestedAnswerLanguage(value) {
+  if (value === undefined) return { answerLanguage: undefined };
+  if (value === null || value === '') return { answerLanguage: null };
+
+  return isSupportedLanguage(value)
+    ? { answerLanguage: value }
+    : { error: 'answer_language must be a supported language code' };
+}
+
+/**
+ * Validates the passage a question is about ('selection' of the body): text selected
+ * in the reader and the page it was selected on.
+ *
+ * @param {*} value - The submitted selection ({ text, page }, undefined/null when none).
+ * @returns {{selection: {text: string, page: number}|null}|{error: string}}
+ */
+function requestedSelection(value) {
+  if (value == null) return { selection: null };
+
+  const text = typeof value.text === 'string' ? value.text.replace(/\s+/g, ' ').trim() : '';
+  const page = Number(value.page);
+  if (!text || text.length > MAX_SELECTION_LENGTH || !Number.isInteger(page) || page < 1) {
+    return {
+      error: `selection must be { text, page } with at most ${MAX_SELECTION_LENGTH} characters of text and a page number`
+    };
+  }
+  return { selection: { text, page } };
+}
+
+/**
+ * ==============================================================================
+ * 3.1. TURN RESOLVERS
+ * ==============================================================================
+ * Each resolver validates a request and describes the turn to answer:
+ * { thread, question, selection, parentId, questionId?, model? }, or an error
+ * { status, error, code } sent before any generation starts (possibly as a promise).
+ */
+
+/**
+ * A new question, appended to the active branch. Body: { path, thread_id?, content, selection? }
+ *
+ * @param {Object} req - Express request object.
+ * @param {number} userId - The user ID.
+ * @returns {{turn: Object}|{status: number, error: string, code?: string}}
+ */
+function newQuestionTurn(req, userId) {
+  const { path: docPath, content } = req.body || {};
+  const question = (content || '').toString().trim();
+  if (!docPath || !question) {
+    return { status: 400, error: 'Missing required fields: path or content' };
+  }
+
+  try {
+    if (!fs.statSync(resolveDocumentPath(docPath), { throwIfNoEntry: false })?.isFile()) {
+      return { status: 404, error: 'Document not found', code: 'not_found' };
+    }
+  } catch {
+    return { status: 400, error: 'Invalid document path', code: 'bad_path' };
+  }
+
+  const { selection, error } = requestedSelection(req.body.selection);
+  if (error) return { status: 400, error, code: 'bad_selection' };
+
+  // Stored with the first answer (see saveExchange)
+  const thread = resolveThread(userId, docPath, requestedThreadId(req), { draft: true });
+  if (!thread) return { status: 404, error: 'Thread not found', code: 'not_found' };
+
+  return { turn: { thread, question, selection, parentId: thread.leafId } };
+}
+
+/**
+ * A new answer to the last question of the active branch. Body: { path, thread_id?, model? }
+ *
+ * @param {Object} req - Express request object.
+ * @param {number} userId - The user ID.
+ * @returns {Promise<{turn: Object}|{status: number, error: string, code?: string}>}
+ */
+async function regenerateTurn(req, userId) {
+  const { path: docPath, model } = req.body || {};
+  if (!docPath) return { status: 400, error: 'Missing required field: path' };
+
+  const requestedModel = model == null ? '' : String(model).trim();
+  if (requestedModel.length > MAX_MODEL_NAME_LENGTH) {
+    return { status: 400, error: 'Invalid model name', code: 'bad_model' };
+  }
+
+  const thread = resolveThread(userId, docPath, requestedThreadId(req));
+  if (!thread) return { status: 404, error: 'Thread not found', code: 'not_found' };
+
+  const lastAnswer = thread.leafId && getThreadMessage(thread.id, thread.leafId);
+  const question =
+    lastAnswer?.role === 'assistant' && getThreadMessage(thread.id, lastAnswer.parent_id);
+  if (!question) {
+    return { status: 409, error: 'No answer to regenerate', code: 'nothing_to_regenerate' };
+  }
+
+  if (requestedModel && !(await isModelAllowed(userId, requestedModel))) {
+    return { status: 403, error: 'This model is not available', code: 'model_not_allowed' };
+  }
+
+  return {
+    turn: {
+      thread,
+      question: question.content,
+      selection: question.selection ? JSON.parse(question.selection) : null,
+      questionId: question.id,
+      parentId: question.parent_id,
+      model: requestedModel || undefined
+    }
+  };
+}
+
+/**
+ * An edited version of a previous question, forking a new branch from the point
+ * where it was asked (about the same selected passage, if any).
+ * Body: { path, thread_id?, message_id, content }
+ *
+ * @param {Object} req - Express request object.
+ * @param {number} userId - The user ID.
+ * @returns {{turn: Object}|{status: number, error: string, code?: string}}
+ */
+function editTurn(req, userId) {
+  const { path: docPath, message_id: messageId, content } = req.body || {};
+  const question = (content || '').toString().trim();
+  if (!docPath || messageId == null || !question) {
+    return { status: 400, error: 'Missing required fields: path, message_id or content' };
+  }
+
+  const thread = resolveThread(userId, docPath, requestedThreadId(req));
+  if (!thread) return { status: 404, error: 'Thread not found', code: 'not_found' };
+
+  const original = getThreadMessage(thread.id, messageId);
+  if (!original || original.role !== 'user') {
+    return { status: 404, error: 'Question not found', code: 'not_found' };
+  }
+
+  return {
+    turn: {
+      thread,
+      question,
+      selection: original.selection ? JSON.parse(original.selection) : null,
+      parentId: original.parent_id
+    }
+  };
+}
+
+/**
+ * ==============================================================================
+ * 3.2. TURN EXECUTION
+ * ==============================================================================
+ */
+
+/**
+ * Answers a turn with a single JSON response.
+ * If every provider fails, nothing is stored and a 502 describes the failed attempts.
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} resolveTurn - One of the turn resolvers.
+ * @returns {Promise<void>}
+ */
+async function answerTurn(req, res, resolveTurn) {
+  // 1. Identity Resolution
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const userId = userObj.id;
+
+  try {
+    // 2. Input Validation & Thread Resolution
+    const { turn, status, error, code } = await resolveTurn(req, userId);
+    if (!turn) {
+      return res.status(status).json({ error, code });
+    }
+
+    // 3. AI Processing (RAG Service)
+    // Orchestrate the RAG flow: Context retrieval -> Prompting -> LLM Generation -> Citations
+    const startedAt = Date.now();
+    let answer;
+    try {
+      answer = await generateAIResponse(userId, turn.thread.path, turn.question, turn);
+    } catch (aiError) {
+      if (!isAIFailure(aiError)) throw aiError;
+
+      // Provider failures are reported, never stored as an assistant message
+      console.error('⚠️ [ChatController] AI Service Failure:', aiError.message);
+      return res.status(502).json(aiFailurePayload(aiError));
+    }
+
+    // 4. Persistence: Save the exchange (answer with its citations and actual provider)
+    const { threadId, questionId, answerId } = saveExchange(
+      userId,
+      turn,
+      answer,
+      Date.now() - startedAt
+    );
+
+    // 5. Response
+    res.status(201).json({
+      success: true,
+      thread: getThread(userId, threadId),
+      messages: [
+        {
+          id: answerId,
+          parent_id: questionId,
+          role: 'assistant',
+          content: answer.content,
+          citations: answer.citations,
+          provider: answer.provider,
+          model: answer.model
+        }
+      ]
+    });
+  } catch (error) {
+    console.error('[ChatController] Critical Flow Error:', error);
+    res.status(500).json({
+      error: 'Server Logic Error',
+      messages: [{ role: 'assistant', content: 'Critical server error occurred.' }]
+    });
+  }
+}
+
+/**
+ * Answers a turn as Server-Sent Events.
+ * Events:
+ * - 'token': { delta } for every generated text fragment.
+ * - 'done':  { thread, message: { id, parent_id, role, content, citations, provider, model } } once the answer is stored.
+ * - 'error': { error, code, attempts? } if generation fails (nothing is stored).
+ * Closing the connection cancels the upstream generation; the partial answer is still stored.
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} resolveTurn - One of the turn resolvers.
+ * @returns {Promise<void>} Writes a text/event-stream response.
+ */
+async function streamTurn(req, res, resolveTurn) {
+  // 1. Identity Resolution
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const userId = userObj.id;
+
+  // 2. Input Validation (regular JSON errors, before switching to SSE)
+  const { turn, status, error: inputError, code } = await resolveTurn(req, userId);
+  if (!turn) {
+    return res.status(status).json({ error: inputError, code });
+  }
+
+  // 3. Switch to Server-Sent Events
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    if (!res.writableEnded && !res.destroyed)
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Client cancellation: abort the upstream generation when the connection drops
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) abortController.abort();
+  });
+
+  try {
+    // 4. AI Processing (Streaming RAG, falls back until a provider starts answering)
+    const startedAt = Date.now();
+    const answer = await streamAIResponse(userId, turn.thread.path, turn.question, {
+      ...turn,
+      signal: abortController.signal,
+      onToken: (delta) => sendEvent('token', { delta })
+    });
+
+    // Cancelled before the first token: nothing worth storing
+    if (abortController.signal.aborted && !answer.content.trim()) return;
+
+    // 5. Persistence: Save the exchange
+    const { threadId, questionId, answerId } = saveExchange(
+      userId,
+      turn,
+      answer,
+      Date.now() - startedAt
+    );
+
+    sendEvent('done', {
+      thread: getThread(userId, threadId),
+      message: {
+        id: answerId,
+        parent_id: questionId,
+        role: 'assistant',
+        content: answer.content,
+        citations: answer.citations,
+        provider: answer.provider,
+        model: answer.model
+      }
+    });
+  } catch (error) {
+    if (isAIFailure(error)) {
+      console.error('⚠️ [ChatController] AI Stream Failure:', error.message);
+      sendEvent('error', aiFailurePayload(error));
+    } else {
+      console.error('[ChatController] Stream Flow Error:', error);
+      sendEvent('error', { error: AI_UNAVAILABLE_MESSAGE, code: 'server_error' });
+    }
+  } finally {
+    res.end();
+  }
+}
 
 /**
  * ==============================================================================
- * 2. CONTROLLER METHODS
+ * 4. CONTROLLER METHODS
  * ==============================================================================
  */
 
 /**
- * Retrieves the full conversation history for a specific document context.
+ * Retrieves the conversation history of a document thread (?thread_id=..., defaults
+ * to the most recently active thread): the messages of its displayed branch, each
+ * with the IDs of its alternatives ('siblings').
  * * @param {Object} req - Express request object.
  * @param {Object} res - Express response object.
- * @returns {void} Returns JSON { messages: [] }
+ * @returns {void} Returns JSON { thread, messages: [] } (thread is null before the first question)
  */
 export const getChatHistory = (req, res) => {
   // 1. Identity Resolution (Hybrid Auth)
@@ -49,21 +616,19 @@ export const getChatHistory = (req, res) => {
   }
 
   try {
-    // 3. Data Retrieval
-    // Fetch messages strictly for this user and document path.
-    // Ordered chronologically (ASC) so the frontend renders them top-to-bottom.
-    const rows = db
-      .prepare(
-        `
-            SELECT id, user_id, path, role, content, created_at 
-            FROM chat_messages 
-            WHERE user_id = ? AND path = ? 
-            ORDER BY created_at ASC, id ASC
-        `
-      )
-      .all(userId, docPath);
+    // 3. Thread Resolution (requested thread, or the most recently active one)
+    const threadId = requestedThreadId(req);
+    const thread = resolveThread(userId, docPath, threadId);
 
-    res.json({ messages: rows });
+    if (!thread && threadId != null) {
+      return res.status(404).json({ error: 'Thread not found', code: 'not_found' });
+    }
+    if (!thread) {
+      return res.json({ thread: null, messages: [] });
+    }
+
+    // 4. Data Retrieval: the displayed branch, chronological (rendered top-to-bottom)
+    res.json({ thread, messages: formatMessages(getActiveBranch(thread)) });
   } catch (error) {
     console.error('[ChatController] Get History Error:', error);
     res.status(500).json({ error: 'Internal Server Error' });
@@ -72,85 +637,94 @@ export const getChatHistory = (req, res) => {
 
 /**
  * Handles the main Chat RAG loop:
- * 1. Saves User Message.
- * 2. Calls AI Service (with context).
- * 3. Saves Assistant Response.
+ * 1. Calls AI Service (with context and the provider fallback chain).
+ * 2. Saves the User Message and the Assistant Response together.
+ * If every provider fails, nothing is stored and a 502 describes the failed attempts.
  * * @param {Object} req - Express request object.
  * @param {Object} res - Express response object.
  * @returns {Promise<void>} Returns JSON with the assistant's response.
  */
-export const postChat = async (req, res) => {
-  // 1. Identity Resolution
+export const postChat = (req, res) => answerTurn(req, res, newQuestionTurn);
+
+/**
+ * Streaming variant of postChat (Server-Sent Events, see streamTurn).
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Writes a text/event-stream response.
+ */
+export const postChatStream = (req, res) => streamTurn(req, res, newQuestionTurn);
+
+/**
+ * Regenerates the last answer of the active branch, optionally with another model
+ * of the primary provider. The previous answer is kept as a sibling.
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Returns JSON with the new answer (409 if the branch has none).
+ */
+export const regenerateChatAnswer = (req, res) => answerTurn(req, res, regenerateTurn);
+
+/**
+ * Streaming variant of regenerateChatAnswer (Server-Sent Events).
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Writes a text/event-stream response.
+ */
+export const regenerateChatAnswerStream = (req, res) => streamTurn(req, res, regenerateTurn);
+
+/**
+ * Edits a previous question: the new version is asked from the same point of the
+ * conversation and starts a new branch; the original branch is kept as a sibling.
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Returns JSON with the answer to the edited question.
+ */
+export const editChatMessage = (req, res) => answerTurn(req, res, editTurn);
+
+/**
+ * Streaming variant of editChatMessage (Server-Sent Events).
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Writes a text/event-stream response.
+ */
+export const editChatMessageStream = (req, res) => streamTurn(req, res, editTurn);
+
+/**
+ * Displays another branch of a thread. Body: { path, thread_id?, message_id } where
+ * 'message_id' is one of the siblings of a displayed message; the branch continues
+ * with its most recent follow-up.
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns JSON { thread, messages: [] } like getChatHistory.
+ */
+export const selectChatBranch = (req, res) => {
   const userObj = req.user || req.apiUser;
   if (!userObj) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
-  const userId = userObj.id;
-  const { path: docPath, content } = req.body || {};
-
-  // 2. Input Validation
-  if (!docPath || !content) {
-    return res.status(400).json({ error: 'Missing required fields: path or content' });
+  const { path: docPath, message_id: messageId } = req.body || {};
+  if (!docPath || messageId == null) {
+    return res.status(400).json({ error: 'Missing required fields: path or message_id' });
   }
 
   try {
-    // 2.1. Sanitize User Input
-    const userMsg = content.trim();
-    if (!userMsg) {
-      return res.status(400).json({ error: 'Message content cannot be empty' });
-    }
-
-    // 3. Persistence: Save User Message
-    db.prepare(
-      `
-            INSERT INTO chat_messages (user_id, path, role, content) 
-            VALUES (?, ?, ?, ?)
-        `
-    ).run(userId, docPath, 'user', userMsg);
-
-    // 4. AI Processing (RAG Service)
-    let aiResponseText;
-
-    try {
-      // Orchestrate the RAG flow: Context retrieval -> Prompting -> LLM Generation
-      aiResponseText = await generateAIResponse(userId, docPath, userMsg);
-    } catch (aiError) {
-      // Fail Gracefully: Log the error but don't crash the request.
-      // Return a fallback message to the user.
-      console.error('⚠️ [ChatController] AI Service Failure:', aiError);
-      aiResponseText = 'Sorry, the AI service is temporarily unavailable.';
-    }
-
-    // Safety check for empty AI response
-    if (!aiResponseText) {
-      aiResponseText = 'The AI returned no response.';
+    const thread = resolveThread(userObj.id, docPath, requestedThreadId(req));
+    if (!thread || selectBranch(thread.id, messageId) == null) {
+      return res.status(404).json({ error: 'Message not found', code: 'not_found' });
     }
 
-    // 5. Persistence: Save Assistant Response
-    db.prepare(
-      `
-            INSERT INTO chat_messages (user_id, path, role, content) 
-            VALUES (?, ?, ?, ?)
-        `
-    ).run(userId, docPath, 'assistant', aiResponseText);
-
-    // 6. Response
-    res.status(201).json({
-      success: true,
-      messages: [{ role: 'assistant', content: aiResponseText }]
-    });
+    const updated = getThread(userObj.id, thread.id);
+    res.json({ thread: updated, messages: formatMessages(getActiveBranch(updated)) });
   } catch (error) {
-    console.error('[ChatController] Critical Flow Error:', error);
-    res.status(500).json({
-      error: 'Server Logic Error',
-      messages: [{ role: 'assistant', content: 'Critical server error occurred.' }]
-    });
+    console.error('[ChatController] Select Branch Error:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
   }
 };
 
 /**
- * Clears the conversation history for a specific document context.
+ * Clears the conversation history of a document.
+ * With ?thread_id=..., only the messages (and summary) of that thread are cleared
+ * and the thread is kept. Without it, every thread of the document is deleted.
  * * @param {Object} req - Express request object.
  * @param {Object} res - Express response object.
  * @returns {void} Returns success JSON.
@@ -171,15 +745,31 @@ export const deleteChatHistory = (req, res) => {
   }
 
   try {
-    // 3. Execution: Bulk Delete
-    const result = db
-      .prepare(
-        `
+    const threadId = requestedThreadId(req);
+
+    // 3.a. Single thread: clear its messages and summary
+    if (threadId != null) {
+      const thread = resolveThread(userId, docPath, threadId);
+      if (!thread) {
+        return res.status(404).json({ error: 'Thread not found', code: 'not_found' });
+      }
+
+      return res.json({ success: true, deleted: clearThread(thread.id) });
+    }
+
+    // 3.b. Whole document: bulk delete of every thread, summary and message
+    const result = db.transaction(() => {
+      db.prepare('DELETE FROM chat_summaries WHERE user_id = ? AND path = ?').run(userId, docPath);
+      db.prepare('DELETE FROM chat_threads WHERE user_id = ? AND path = ?').run(userId, docPath);
+      return db
+        .prepare(
+          `
             DELETE FROM chat_messages 
             WHERE user_id = ? AND path = ?
         `
-      )
-      .run(userId, docPath);
+        )
+        .run(userId, docPath);
+    })();
 
     res.json({ success: true, deleted: result.changes });
   } catch (error) {
@@ -187,3 +777,497 @@ export const deleteChatHistory = (req, res) => {
     res.status(500).json({ error: 'Internal Server Error' });
   }
 };
+
+/**
+ * Returns the rolling summary of the older turns of a document thread.
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns JSON { summary: { content, messageCount, provider, model, updatedAt } | null }
+ */
+export const getConversationSummary = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const docPath = req.query.path;
+  if (!docPath) {
+    return res.status(400).json({ error: 'Missing parameter: path' });
+  }
+
+  try {
+    const thread = resolveThread(userObj.id, docPath, requestedThreadId(req));
+    const summary = thread && getChatSummary(thread.id);
+
+    res.json({
+      summary: summary
+        ? {
+            content: summary.content,
+            messageCount: summary.message_count,
+            provider: summary.provider,
+            model: summary.model,
+            updatedAt: summary.updated_at
+          }
+        : null
+    });
+  } catch (error) {
+    console.error('[ChatController] Get Summary Error:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+};
+
+/**
+ * Resets the summary of a document thread (messages are kept).
+ * It is rebuilt from the stored messages when the history next exceeds its budget.
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns success JSON.
+ */
+export const resetConversationSummary = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const docPath = req.query.path;
+  if (!docPath) {
+    return res.status(400).json({ error: 'Missing parameter: path' });
+  }
+
+  try {
+    const thread = resolveThread(userObj.id, docPath, requestedThreadId(req));
+    res.json({ success: true, deleted: thread ? deleteChatSummary(thread.id) : false });
+  } catch (error) {
+    console.error('[ChatController] Delete Summary Error:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+};
+
+/**
+ * ==============================================================================
+ * 5. CHAT THREADS (DOCUMENT SCOPE)
+ * ==============================================================================
+ */
+
+/**
+ * Lists the threads of a document (?archived=1 includes archived threads).
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns JSON { threads: [] }, most recently active first.
+ */
+export const getChatThreads = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const docPath = req.query.path;
+  if (!docPath) {
+    return res.status(400).json({ error: 'Missing parameter: path' });
+  }
+
+  const includeArchived = ['1', 'true'].includes(String(req.query.archived));
+  res.json({ threads: listThreads(userObj.id, docPath, { includeArchived }) });
+};
+
+/**
+ * Creates a thread. Body: { path, title?, template_id?, notes_context?, answer_language? }
+ * (untitled threads are named after their first question).
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns JSON { success, thread } with status 201.
+ */
+export const postChatThread = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { path: docPath, title, template_id, notes_context, answer_language } = req.body || {};
+  if (!docPath) {
+    return res.status(400).json({ error: 'Missing required field: path' });
+  }
+
+  const template = requestedTemplateId(userObj.id, template_id);
+  if (template.error) {
+    return res.status(400).json({ error: template.error, code: 'bad_template' });
+  }
+  if (!isValidNotesContext(notes_context)) {
+    return res.status(400).json({
+      error: `notes_context must be one of: ${NOTES_CONTEXT_SCOPES.join(', ')}`,
+      code: 'bad_notes_context'
+    });
+  }
+  const language = requestedAnswerLanguage(answer_language);
+  if (language.error) {
+    return res.status(400).json({ error: language.error, code: 'bad_language' });
+  }
+
+  try {
+    const thread = createThread(userObj.id, docPath, {
+      title,
+      templateId: template.templateId ?? null,
+      notesContext: notes_context,
+      answerLanguage: language.answerLanguage ?? null
+    });
+    res.status(201).json({ success: true, thread });
+  } catch (error) {
+    res.status(400).json({ error: error.message, code: 'bad_title' });
+  }
+};
+
+/**
+ * Renames, archives and/or changes the prompt template, notes scope or answer language of
+ * a thread. Body: { title?, archived?, template_id?, notes_context?, answer_language? }
+ * (template_id null: default prompt; answer_language null: language of the question)
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns JSON { success, thread }.
+ */
+export const patchChatThread = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { title, archived, template_id, notes_context, answer_language } = req.body || {};
+  if (
+    [title, archived, template_id, notes_context, answer_language].every((v) => v === undefined)
+  ) {
+    return res.status(400).json({
+      error: 'Nothing to update: title, archived, template_id, notes_context or answer_language',
+      code: 'empty'
+    });
+  }
+
+  const template = requestedTemplateId(userObj.id, template_id);
+  if (template.error) {
+    return res.status(400).json({ error: template.error, code: 'bad_template' });
+  }
+  if (!isValidNotesContext(notes_context)) {
+    return res.status(400).json({
+      error: `notes_context must be one of: ${NOTES_CONTEXT_SCOPES.join(', ')}`,
+      code: 'bad_notes_context'
+    });
+  }
+  const language = requestedAnswerLanguage(answer_language);
+  if (language.error) {
+    return res.status(400).json({ error: language.error, code: 'bad_language' });
+  }
+
+  let thread;
+  try {
+    thread = updateThread(userObj.id, req.params.id, {
+      title,
+      archived,
+      templateId: template.templateId,
+      notesContext: notes_context,
+      answerLanguage: language.answerLanguage
+    });
+  } catch (error) {
+    return res.status(400).json({ error: error.message, code: 'bad_title' });
+  }
+
+  if (!thread) {
+    return res.status(404).json({ error: 'Thread not found', code: 'not_found' });
+  }
+  res.json({ success: true, thread });
+};
+
+/**
+ * Deletes a thread with its messages and summary.
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns success JSON.
+ */
+export const deleteChatThread = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!deleteThread(userObj.id, req.params.id)) {
+    return res.status(404).json({ error: 'Thread not found', code: 'not_found' });
+  }
+  res.json({ success: true });
+};
+
+/**
+ * ==============================================================================
+ * 6. LIBRARY CHAT (FOLDER SCOPE)
+ * ==============================================================================
+ */
+
+/**
+ * Retrieves the library conversation history for a folder scope.
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns JSON { scope, messages: [] } (each message has parsed 'sources').
+ */
+export const getLibraryChatHistory = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized: No valid user found.' });
+  }
+
+  const scope = normalizeLibraryScope(req.query.scope);
+  if (!scope) {
+    return res.status(400).json({ error: 'Missing or invalid parameter: scope' });
+  }
+
+  try {
+    const rows = db
+      .prepare(
+        `
+            SELECT id, user_id, scope, role, content, sources, provider, model, created_at 
+            FROM library_chat_messages 
+            WHERE user_id = ? AND scope = ? 
+            ORDER BY created_at ASC, id ASC
+        `
+      )
+      .all(userObj.id, scope);
+
+    const messages = rows.map((row) => ({
+      ...row,
+      sources: row.sources ? JSON.parse(row.sources) : []
+    }));
+
+    res.json({ scope, messages });
+  } catch (error) {
+    console.error('[ChatController] Get Library History Error:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+};
+
+/**
+ * Handles a library question: retrieves passages across every document of the
+ * scope, answers with per-document attribution and stores both messages.
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Returns JSON with the assistant's response and its sources.
+ */
+export const postLibraryChat = async (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const userId = userObj.id;
+  const scope = normalizeLibraryScope(req.body?.scope);
+  const userMsg = (req.body?.content || '').toString().trim();
+
+  if (!scope || !userMsg) {
+    return res.status(400).json({ error: 'Missing required fields: scope or content' });
+  }
+
+  try {
+    // 1. AI Processing (Library RAG)
+    let answer;
+    try {
+      answer = await generateLibraryResponse(userId, scope, userMsg);
+    } catch (aiError) {
+      if (!isAIFailure(aiError)) throw aiError;
+
+      console.error('⚠️ [ChatController] Library AI Service Failure:', aiError.message);
+      return res.status(502).json(aiFailurePayload(aiError));
+    }
+
+    const { content, provider, model } = answer;
+    const sources = answer.sources || [];
+
+    // 2. Persistence: Save the exchange (answer with its sources and actual provider)
+    const insert = db.prepare(
+      `
+            INSERT INTO library_chat_messages (user_id, scope, role, content, sources, provider, model) 
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `
+    );
+    db.transaction(() => {
+      insert.run(userId, scope, 'user', userMsg, null, null, null);
+      insert.run(userId, scope, 'assistant', content, JSON.stringify(sources), provider, model);
+    })();
+
+    res.status(201).json({
+      success: true,
+      messages: [{ role: 'assistant', content, sources, provider, model }]
+    });
+  } catch (error) {
+    console.error('[ChatController] Library Flow Error:', error);
+    res.status(500).json({
+      error: 'Server Logic Error',
+      messages: [{ role: 'assistant', content: 'Critical server error occurred.', sources: [] }]
+    });
+  }
+};
+
+/**
+ * Clears the library conversation history for a folder scope.
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns success JSON.
+ */
+export const deleteLibraryChatHistory = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const scope = normalizeLibraryScope(req.query.scope);
+  if (!scope) {
+    return res.status(400).json({ error: 'Missing or invalid parameter: scope' });
+  }
+
+  try {
+    const result = db
+      .prepare('DELETE FROM library_chat_messages WHERE user_id = ? AND scope = ?')
+      .run(userObj.id, scope);
+
+    res.json({ success: true, deleted: result.changes });
+  } catch (error) {
+    console.error('[ChatController] Delete Library History Error:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+};
+
+/**
+ * ==============================================================================
+ * 7. ANSWER FEEDBACK (DOCUMENT SCOPE)
+ * ==============================================================================
+ */
+
+/**
+ * Rates an answer. Body: { rating: 'up'|'down', comment? } (rating again replaces it).
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns JSON { success, feedback }.
+ */
+export const putMessageFeedback = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const invalid = validateFeedback(req.body);
+  if (invalid) {
+    return res.status(400).json({ error: invalid, code: 'bad_feedback' });
+  }
+
+  try {
+    const feedback = saveFeedback(userObj.id, req.params.id, req.body);
+    if (!feedback) {
+      return res.status(404).json({ error: 'Answer not found', code: 'not_found' });
+    }
+    res.json({ success: true, feedback });
+  } catch (error) {
+    console.error('[ChatController] Save Feedback Error:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+};
+
+/**
+ * Removes the rating of an answer.
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns JSON { success, deleted }.
+ */
+export const deleteMessageFeedback = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  res.json({ success: true, deleted: deleteFeedback(userObj.id, req.params.id) });
+};
+
+/**
+ * ==============================================================================
+ * 8. PROMPT TEMPLATES
+ * ==============================================================================
+ */
+
+/**
+ * Lists the prompt templates of the user, then the shared ones.
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns JSON { templates: [] } ('shared' marks templates published by admins).
+ */
+export const getPromptTemplates = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  res.json({ templates: listTemplates(userObj.id) });
+};
+
+/**
+ * Saves a prompt template. Body: { name, content } (content may use {{CONTEXT}},
+ * {{DOCUMENT_TITLE}}, {{CATEGORY}} and {{USER_NOTES}}).
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns JSON { success, template } with status 201.
+ */
+export const postPromptTemplate = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const invalid = validateTemplate(req.body);
+  if (invalid) {
+    return res.status(400).json({ error: invalid, code: 'bad_template' });
+  }
+  if (isTemplateNameTaken(userObj.id, req.body.name)) {
+    return res.status(409).json({ error: 'A template with this name exists', code: 'name_taken' });
+  }
+
+  res.status(201).json({ success: true, template: createTemplate(userObj.id, req.body) });
+};
+
+/**
+ * Renames and/or rewrites a prompt template of the user. Body: { name?, content? }
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns JSON { success, template }.
+ */
+export const patchPromptTemplate = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const invalid = validateTemplate(req.body, { partial: true });
+  if (invalid) {
+    return res.status(400).json({ error: invalid, code: 'bad_template' });
+  }
+  if (
+    req.body.name !== undefined &&
+    isTemplateNameTaken(userObj.id, req.body.name, req.params.id)
+  ) {
+    return res.status(409).json({ error: 'A template with this name exists', code: 'name_taken' });
+  }
+
+  const template = updateTemplate(userObj.id, req.params.id, req.body);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found', code: 'not_found' });
+  }
+  res.json({ success: true, template });
+};
+
+/**
+ * Deletes a prompt template of the user (threads using it go back to the default prompt).
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns success JSON.
+ */
+export const deletePromptTemplate = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!deleteTemplate(userObj.id, req.params.id)) {
+    return res.status(404).json({ error: 'Template not found', code: 'not_found' });
+  }
+  res.json({ success: true });
+};
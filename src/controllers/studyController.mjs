@@ -0,0 +1,733 @@
+/**
+ * ==============================================================================
+ * CONTROLLER: STUDY TOOLS
+ * ==============================================================================
+ * @fileoverview Handles the flashcard endpoints: decks per document, cards
+ * written by hand or by scripts, cards generated by the AI from the document
+ * text, and spaced repetition reviews (see flashcardService).
+ * Also handles quizzes: generated from a document or a page range of it, taken
+ * in the reader, graded (short answers by the AI) and scored (see quizService).
+ * And the course glossaries: one per category, built in the background and
+ * edited by users (see glossaryService), and the page translations of the
+ * reader (see translationService).
+ *
+ * Authentication: Supports hybrid access (Session for UI, API Key for scripts).
+ *
+ * @author Sacha Pastor
+ * @environment Node.js (ES Modules)
+ * @dependencies flashcardService, quizService, glossaryService, translationService,
+ *   aiConfigService, extractionService
+ * ==============================================================================
+ */
+
+// --- 1. CORE IMPORTS ---
+import fs from 'node:fs';
+
+// --- 2. MODULE IMPORTS ---
+import {
+  DEFAULT_GENERATED_CARDS,
+  MAX_GENERATED_CARDS,
+  createCards,
+  deleteCard,
+  generateCards,
+  listCards,
+  listDecks,
+  reviewCard,
+  updateCard,
+  validateCard
+} from '../services/flashcardService.mjs';
+import {
+  DEFAULT_QUIZ_QUESTIONS,
+  MAX_QUIZ_QUESTIONS,
+  deleteQuiz,
+  generateQuiz,
+  getQuiz,
+  getQuizStats,
+  listAttempts,
+  listQuizzes,
+  needsGrading,
+  submitAttempt,
+  validateAnswers
+} from '../services/quizService.mjs';
+import {
+  createTerm,
+  deleteTerm,
+  findTerm,
+  getGlossary,
+  getTerm,
+  isGlossaryCategory,
+  listGlossaries,
+  updateTerm,
+  validateTerm
+} from '../services/glossaryService.mjs';
+import { translatePage } from '../services/translationService.mjs';
+import { resolveProviderChain } from '../services/aiConfigService.mjs';
+import { resolveDocumentPath } from '../services/extractionService.mjs';
+import { REVIEW_GRADES } from '../utils/flashcards.mjs';
+import { AIProviderError, AIChainError } from '../utils/aiManager.mjs';
+import { isSupportedLanguage } from '../utils/translation.mjs';
+
+// --- 3. CONSTANTS ---
+
+// Returned when no provider of the fallback chain could answer.
+const AI_UNAVAILABLE_MESSAGE = 'Sorry, the AI service is temporarily unavailable.';
+
+// Most cards added in a single request
+const MAX_CARDS_PER_REQUEST = 100;
+
+/**
+ * ==============================================================================
+ * 4. HELPERS
+ * ==============================================================================
+ */
+
+/**
+ * Resolves a document path of the request.
+ *
+ * @param {*} docPath - The submitted path (relative, e.g. 'courses/...').
+ * @returns {string|null} The absolute path, or null if the path is missing or outside 'courses/'.
+ */
+function resolveRequestedPath(docPath) {
+  if (typeof docPath !== 'string' || !docPath) return null;
+  try {
+    return resolveDocumentPath(docPath);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parses an optional positive integer (query string or JSON body).
+ *
+ * @param {*} value - The submitted value.
+ * @returns {number|null|undefined} The integer, undefined if absent, null if invalid.
+ */
+function optionalPositiveInt(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * Reads a generation request (flashcards or quiz): a PDF of 'courses/' and options.
+ * Body: { path, count?, page_start?, page_end? }
+ *
+ * @param {Object} body - The request body.
+ * @param {Object} limits
+ * @param {number} limits.maxCount - Largest 'count' accepted.
+ * @param {number} limits.defaultCount - 'count' when omitted.
+ * @returns {{docPath: string, options: Object}|{status: number, error: string, code: string}}
+ *   The document and generation options, or the error to answer.
+ */
+function readGenerationRequest(body, { maxCount, defaultCount }) {
+  const { path: docPath, count, page_start, page_end } = body || {};
+  const absolutePath = resolveRequestedPath(docPath);
+  if (!absolutePath || !docPath.toLowerCase().endsWith('.pdf')) {
+    return { status: 400, error: 'Invalid path or access denied', code: 'bad_path' };
+  }
+  if (!fs.existsSync(absolutePath)) {
+    return { status: 404, error: 'File not found', code: 'not_found' };
+  }
+
+  const options = {
+    count: optionalPositiveInt(count),
+    pageStart: optionalPositiveInt(page_start),
+    pageEnd: optionalPositiveInt(page_end)
+  };
+  if (Object.values(options).includes(null) || options.count > maxCount) {
+    return {
+      status: 400,
+      error: `count (1-${maxCount}, default ${defaultCount}), page_start and page_end must be positive integers`,
+      code: 'bad_request'
+    };
+  }
+
+  return { docPath, options };
+}
+
+/**
+ * Tells whether an error comes from the AI providers (as opposed to a server bug).
+ *
+ * @param {Error} error - The caught error.
+ * @returns {boolean}
+ */
+function isAIFailure(error) {
+  return error instanceof AIChainError || error instanceof AIProviderError;
+}
+
+/**
+ * Builds the JSON payload describing an AI failure (failed attempts included).
+ *
+ * @param {AIChainError|AIProviderError} error - The AI failure.
+ * @returns {{error: string, code: string, attempts: Array<Object>}}
+ */
+function aiFailurePayload(error) {
+  return {
+    error: AI_UNAVAILABLE_MESSAGE,
+    code: 'ai_unavailable',
+    attempts: error instanceof AIChainError ? error.attempts : [error.toJSON()]
+  };
+}
+
+/**
+ * ==============================================================================
+ * 5. FLASHCARDS
+ * ==============================================================================
+ */
+
+/**
+ * Lists the user's cards (?path=... for one deck, ?due=1 for the cards due today).
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns JSON { cards: [] } (due cards: most overdue first).
+ */
+export const getFlashcards = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const dueOnly = ['1', 'true'].includes(String(req.query.due));
+  res.json({ cards: listCards(userObj.id, { path: req.query.path || undefined, dueOnly }) });
+};
+
+/**
+ * Lists the user's decks (one per document) with their number of cards due today.
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns JSON { due, decks: [{ path, title, total, due }] }.
+ */
+export const getFlashcardDecks = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const decks = listDecks(userObj.id);
+  res.json({ due: decks.reduce((sum, deck) => sum + deck.due, 0), decks });
+};
+
+/**
+ * Adds cards to the deck of a document.
+ * Body: { path, front, back, page?, source? } or { path, cards: [{ front, back, page?, source? }] }
+ * (source: 'manual', 'note' or 'snippet').
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns JSON { success, cards } with status 201.
+ */
+export const postFlashcards = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { path: docPath, cards } = req.body || {};
+  if (!resolveRequestedPath(docPath)) {
+    return res.status(400).json({ error: 'Invalid path or access denied', code: 'bad_path' });
+  }
+
+  const submitted = cards === undefined ? [req.body] : cards;
+  if (!Array.isArray(submitted) || submitted.length === 0) {
+    return res.status(400).json({ error: 'cards must be a non-empty list', code: 'bad_card' });
+  }
+  if (submitted.length > MAX_CARDS_PER_REQUEST) {
+    return res.status(400).json({
+      error: `At most ${MAX_CARDS_PER_REQUEST} cards per request`,
+      code: 'too_many_cards'
+    });
+  }
+
+  for (const [index, card] of submitted.entries()) {
+    const invalid = validateCard(card);
+    if (invalid) {
+      const error = cards === undefined ? invalid : `Card ${index + 1}: ${invalid}`;
+      return res.status(400).json({ error, code: 'bad_card' });
+    }
+  }
+
+  res.status(201).json({ success: true, cards: createCards(userObj.id, docPath, submitted) });
+};
+
+/**
+ * Rewrites a card of the user (its schedule is kept). Body: { front?, back?, page? }
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns JSON { success, card }.
+ */
+export const patchFlashcard = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const invalid = validateCard(req.body, { partial: true });
+  if (invalid) {
+    return res.status(400).json({ error: invalid, code: 'bad_card' });
+  }
+
+  const card = updateCard(userObj.id, req.params.id, req.body);
+  if (!card) {
+    return res.status(404).json({ error: 'Card not found', code: 'not_found' });
+  }
+  res.json({ success: true, card });
+};
+
+/**
+ * Deletes a card of the user with its review log.
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns success JSON.
+ */
+export const deleteFlashcard = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!deleteCard(userObj.id, req.params.id)) {
+    return res.status(404).json({ error: 'Card not found', code: 'not_found' });
+  }
+  res.json({ success: true });
+};
+
+/**
+ * Records a review of a card and schedules the next one.
+ * Body: { grade } ('again', 'hard', 'good' or 'easy').
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns JSON { success, card } (card.dueAt: next review).
+ */
+export const postFlashcardReview = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const grade = req.body?.grade;
+  if (!REVIEW_GRADES.includes(grade)) {
+    return res.status(400).json({
+      error: `grade must be one of: ${REVIEW_GRADES.join(', ')}`,
+      code: 'bad_grade'
+    });
+  }
+
+  const card = reviewCard(userObj.id, req.params.id, grade);
+  if (!card) {
+    return res.status(404).json({ error: 'Card not found', code: 'not_found' });
+  }
+  res.json({ success: true, card });
+};
+
+/**
+ * Generates cards from the text of a document with the user's AI configuration.
+ * Body: { path, count?, page_start?, page_end? }
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Returns JSON { success, cards, provider, model } with status 201.
+ */
+export const postGenerateFlashcards = async (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const request = readGenerationRequest(req.body, {
+    maxCount: MAX_GENERATED_CARDS,
+    defaultCount: DEFAULT_GENERATED_CARDS
+  });
+  if (request.error) {
+    return res.status(request.status).json({ error: request.error, code: request.code });
+  }
+
+  try {
+    const result = await generateCards(userObj.id, request.docPath, request.options);
+    if (!result) {
+      return res.status(400).json({
+        error: 'No AI provider is configured',
+        code: 'ai_not_configured'
+      });
+    }
+    if (result.cards.length === 0) {
+      return res.status(422).json({
+        error: 'No flashcards could be written from the text of these pages',
+        code: 'no_cards'
+      });
+    }
+
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    if (isAIFailure(error)) {
+      console.error('⚠️ [StudyController] Flashcard generation failed:', error.message);
+      return res.status(502).json(aiFailurePayload(error));
+    }
+
+    console.error('[StudyController] Flashcard generation error:', error);
+    res.status(500).json({ error: 'Server Logic Error' });
+  }
+};
+
+/**
+ * ==============================================================================
+ * 6. QUIZZES
+ * ==============================================================================
+ */
+
+/**
+ * Lists the user's quizzes (?path=... for one document) with their attempts and scores.
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns JSON { quizzes: [] } (without answers), newest first.
+ */
+export const getQuizzes = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  res.json({ quizzes: listQuizzes(userObj.id, req.query.path || undefined) });
+};
+
+/**
+ * Returns the user's quiz statistics over the last 30 days.
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns JSON { attempts, averageScore, trend }.
+ */
+export const getQuizStatistics = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  res.json(getQuizStats(userObj.id));
+};
+
+/**
+ * Returns a quiz of the user, without its answers.
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns JSON { quiz }.
+ */
+export const getQuizById = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const quiz = getQuiz(userObj.id, req.params.id);
+  if (!quiz) {
+    return res.status(404).json({ error: 'Quiz not found', code: 'not_found' });
+  }
+  res.json({ quiz });
+};
+
+/**
+ * Generates a quiz from the text of a document (or a page range of it) with the user's
+ * AI configuration. Body: { path, count?, page_start?, page_end? }
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Returns JSON { success, quiz } (without answers) with status 201.
+ */
+export const postGenerateQuiz = async (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const request = readGenerationRequest(req.body, {
+    maxCount: MAX_QUIZ_QUESTIONS,
+    defaultCount: DEFAULT_QUIZ_QUESTIONS
+  });
+  if (request.error) {
+    return res.status(request.status).json({ error: request.error, code: request.code });
+  }
+
+  try {
+    const quiz = await generateQuiz(userObj.id, request.docPath, request.options);
+    if (!quiz) {
+      return res.status(400).json({
+        error: 'No AI provider is configured',
+        code: 'ai_not_configured'
+      });
+    }
+    if (quiz.questions.length === 0) {
+      return res.status(422).json({
+        error: 'No quiz could be written from the text of these pages',
+        code: 'no_questions'
+      });
+    }
+
+    res.status(201).json({ success: true, quiz });
+  } catch (error) {
+    if (isAIFailure(error)) {
+      console.error('⚠️ [StudyController] Quiz generation failed:', error.message);
+      return res.status(502).json(aiFailurePayload(error));
+    }
+
+    console.error('[StudyController] Quiz generation error:', error);
+    res.status(500).json({ error: 'Server Logic Error' });
+  }
+};
+
+/**
+ * Deletes a quiz of the user with its attempts.
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns success JSON.
+ */
+export const deleteQuizById = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!deleteQuiz(userObj.id, req.params.id)) {
+    return res.status(404).json({ error: 'Quiz not found', code: 'not_found' });
+  }
+  res.json({ success: true });
+};
+
+/**
+ * Lists the user's attempts at a quiz, newest first.
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns JSON { attempts: [] }.
+ */
+export const getQuizAttempts = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const attempts = listAttempts(userObj.id, req.params.id);
+  if (!attempts) {
+    return res.status(404).json({ error: 'Quiz not found', code: 'not_found' });
+  }
+  res.json({ attempts });
+};
+
+/**
+ * Grades and stores an attempt at a quiz. Short answers are graded by the AI against
+ * the source passages. Body: { answers } (in question order: choice index for
+ * multiple-choice questions, text for short answers, null when skipped).
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Returns JSON { success, attempt } with status 201 (attempt.quiz
+ *   holds the answers and explanations).
+ */
+export const postQuizAttempt = async (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const quiz = getQuiz(userObj.id, req.params.id);
+  if (!quiz) {
+    return res.status(404).json({ error: 'Quiz not found', code: 'not_found' });
+  }
+
+  const answers = req.body?.answers;
+  const invalid = validateAnswers(quiz, answers);
+  if (invalid) {
+    return res.status(400).json({ error: invalid, code: 'bad_answers' });
+  }
+  if (needsGrading(quiz, answers) && resolveProviderChain(userObj.id).length === 0) {
+    return res.status(400).json({
+      error: 'No AI provider is configured to grade short answers',
+      code: 'ai_not_configured'
+    });
+  }
+
+  try {
+    const attempt = await submitAttempt(userObj.id, quiz.id, answers);
+    res.status(201).json({ success: true, attempt });
+  } catch (error) {
+    if (isAIFailure(error)) {
+      console.error('⚠️ [StudyController] Quiz grading failed:', error.message);
+      return res.status(502).json(aiFailurePayload(error));
+    }
+
+    console.error('[StudyController] Quiz grading error:', error);
+    res.status(500).json({ error: 'Server Logic Error' });
+  }
+};
+
+/**
+ * ==============================================================================
+ * 7. GLOSSARIES
+ * ==============================================================================
+ */
+
+/**
+ * Lists the glossaries: one per category (top-level folder of 'courses/').
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns JSON { glossaries: [{ category, label, terms, documents, pending }] }.
+ */
+export const getGlossaries = (req, res) => {
+  res.json({ glossaries: listGlossaries() });
+};
+
+/**
+ * Returns the glossary of a category (?category=courses/..., ?q= to search the terms
+ * and definitions).
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns JSON { category, pending, terms: [] } (alphabetical order).
+ */
+export const getGlossaryTerms = (req, res) => {
+  const { category, q } = req.query;
+  if (!isGlossaryCategory(category)) {
+    return res.status(400).json({
+      error: 'category must be a folder of courses/ (see GET /glossary)',
+      code: 'bad_category'
+    });
+  }
+
+  res.json(getGlossary(category, { query: q }));
+};
+
+/**
+ * Adds a term to a glossary. Body: { category, term, definition }
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns JSON { success, term } with status 201.
+ */
+export const postGlossaryTerm = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { category } = req.body || {};
+  if (!isGlossaryCategory(category)) {
+    return res.status(400).json({
+      error: 'category must be a folder of courses/ (see GET /glossary)',
+      code: 'bad_category'
+    });
+  }
+
+  const invalid = validateTerm(req.body);
+  if (invalid) {
+    return res.status(400).json({ error: invalid, code: 'bad_term' });
+  }
+  if (findTerm(category, req.body.term)) {
+    return res
+      .status(409)
+      .json({ error: 'This term is already in the glossary', code: 'conflict' });
+  }
+
+  res.status(201).json({ success: true, term: createTerm(userObj.id, category, req.body) });
+};
+
+/**
+ * Edits a glossary entry (its definition is then kept when the glossary is rebuilt).
+ * Body: { term?, definition? }
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns JSON { success, term }.
+ */
+export const patchGlossaryTerm = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const invalid = validateTerm(req.body, { partial: true });
+  if (invalid) {
+    return res.status(400).json({ error: invalid, code: 'bad_term' });
+  }
+
+  const entry = getTerm(req.params.id);
+  if (!entry || entry.hidden) {
+    return res.status(404).json({ error: 'Term not found', code: 'not_found' });
+  }
+  const duplicate = req.body.term !== undefined && findTerm(entry.category, req.body.term);
+  if (duplicate && duplicate !== entry.id) {
+    return res
+      .status(409)
+      .json({ error: 'This term is already in the glossary', code: 'conflict' });
+  }
+
+  res.json({ success: true, term: updateTerm(userObj.id, entry.id, req.body) });
+};
+
+/**
+ * Deletes a glossary entry (entries extracted by the AI are not extracted again).
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Returns success JSON.
+ */
+export const deleteGlossaryTerm = (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!deleteTerm(userObj.id, req.params.id)) {
+    return res.status(404).json({ error: 'Term not found', code: 'not_found' });
+  }
+  res.json({ success: true });
+};
+
+/**
+ * ==============================================================================
+ * 8. TRANSLATIONS
+ * ==============================================================================
+ */
+
+/**
+ * Query: ?path=...&page=...&lang=... (ISO 639-1 code, see utils/translation).
+ * A page not extracted yet answers 202 { status: 'pending' }: retry later.
+ * * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Returns JSON { path, page, language, status, content, provider, model, cached }.
+ */
+export const getPageTranslation = async (req, res) => {
+  const userObj = req.user || req.apiUser;
+  if (!userObj) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const docPath = (req.query.path || '').toString();
+  const absolutePath = resolveRequestedPath(docPath);
+  if (!absolutePath || !docPath.toLowerCase().endsWith('.pdf')) {
+    return res.status(400).json({ error: 'Invalid path or access denied', code: 'bad_path' });
+  }
+  if (!fs.existsSync(absolutePath)) {
+    return res.status(404).json({ error: 'File not found', code: 'not_found' });
+  }
+
+  const page = optionalPositiveInt(req.query.page);
+  if (!page) {
+    return res.status(400).json({ error: 'page must be a positive integer', code: 'bad_page' });
+  }
+  if (!isSupportedLanguage(req.query.lang)) {
+    return res
+      .status(400)
+      .json({ error: 'lang must be a supported language code', code: 'bad_language' });
+  }
+
+  try {
+    const result = await translatePage(userObj.id, docPath, page, req.query.lang);
+    if (!result) {
+      return res.status(400).json({
+        error: 'No AI provider is configured',
+        code: 'ai_not_configured'
+      });
+    }
+    if (result.status === 'out_of_range') {
+      return res.status(404).json({ error: 'The document has no such page', code: 'not_found' });
+    }
+
+    res.status(result.status === 'pending' ? 202 : 200).json(result);
+  } catch (error) {
+    if (isAIFailure(error)) {
+      console.error('⚠️ [StudyController] Translation failed:', error.message);
+      return res.status(502).json(aiFailurePayload(error));
+    }
+
+    console.error('[StudyController] Translation error:', error);
+    res.status(500).json({ error: 'Server Logic Error' });
+  }
+};
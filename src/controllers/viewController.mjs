@@ -7,7 +7,8 @@
  *
  * @author Sacha Pastor
  * @environment Node.js (ES Modules)
- * @dependencies db, fileExplorer, authService
+ * @dependencies db, fileExplorer, authService, extractionService, overviewService,
+ *   glossaryService, aiService
  * ==============================================================================
  */
 
@@ -19,6 +20,18 @@ import { fileURLToPath } from 'node:url';
 import db from '../config/database.mjs';
 import { scanCourses, buildBreadcrumbs } from '../utils/fileExplorer.mjs';
 import { apiKeysListForUser } from '../services/authService.mjs';
+import { warmDocument } from '../services/extractionService.mjs';
+import { getOverviewAbstracts, requestOverview } from '../services/overviewService.mjs';
+import {
+  getGlossary,
+  listGlossaries,
+  requestGlossarySource
+} from '../services/glossaryService.mjs';
+import { listDecks } from '../services/flashcardService.mjs';
+import { getQuizStats } from '../services/quizService.mjs';
+import { listLibraryDocuments, normalizeLibraryScope } from '../services/aiService.mjs';
+import { listProviders } from '../utils/aiManager.mjs';
+import { LANGUAGES } from '../utils/translation.mjs';
 
 // --- 3. CONFIGURATION & CONSTANTS ---
 
@@ -185,7 +198,13 @@ export const getDashboard = (req, res) => {
         ? 100
         : 0;
 
-  // 5. Render View
+  // E. Quiz Scores (average of the last 30 days, change since the 30 days before)
+  const quizStats = getQuizStats(userId);
+
+  // 5. Flashcard Decks ("Due today" queue)
+  const decks = listDecks(userId);
+
+  // 6. Render View
   res.render('layout', {
     page: 'pages/index',
     title: 'Knowledge Base',
@@ -197,7 +216,14 @@ export const getDashboard = (req, res) => {
     stats: {
       coursesRead,
       readingTimeLabel: formatDuration(readingSeconds),
-      productivity
+      productivity,
+      quizScore: quizStats.averageScore,
+      quizTrend: quizStats.trend
+    },
+    flashcards: {
+      hasCards: decks.length > 0,
+      due: decks.reduce((sum, deck) => sum + deck.due, 0),
+      decks: decks.filter((deck) => deck.due > 0)
     }
   });
 };
@@ -239,15 +265,19 @@ export const getBrowse = (req, res) => {
     .all(req.session.userId);
 
   // 3. Prepare Card Models
+  // Documents already summarized show the abstract of their AI overview
+  const abstracts = getOverviewAbstracts(filteredFiles.map((c) => c.path));
   const cards = filteredFiles.map((c, idx) => ({
     title: c.name,
     category: c.categories.join(' · ') || 'general',
     tone: CARD_COLORS[idx % CARD_COLORS.length],
     type: 'course',
-    path: c.path
+    path: c.path,
+    abstract: abstracts.get(c.path) || null
   }));
 
   // 4. Render View
+  const segments = safePath.split('/').filter(Boolean);
   res.render('layout', {
     page: 'pages/browse',
     title: safePath === 'courses' ? 'All courses' : safePath.split('/').pop(),
@@ -257,7 +287,79 @@ export const getBrowse = (req, res) => {
     showTree: true,
     tree: sidebarTree,
     contextTitle,
-    favorites
+    favorites,
+    libraryScope: safePath,
+    // Glossary of the category (top-level folder) being browsed, all glossaries at the root
+    glossaryLink: segments.length > 1 ? `/glossary/${segments.slice(0, 2).join('/')}` : '/glossary'
+  });
+};
+
+/**
+ * Renders the course glossaries: the list of glossaries (one per category) at /glossary,
+ * the terms of one of them at /glossary/courses/<category>.
+ */
+export const getGlossaryPage = (req, res) => {
+  // 1. Glossary Selection
+  const glossaries = listGlossaries();
+  const requested = req.params[0] ? decodeURIComponent(req.params[0]) : null;
+  const current = requested ? glossaries.find((g) => g.category === requested) : null;
+  if (requested && !current) return res.redirect('/glossary');
+
+  // 2. Context Retrieval
+  const scope = current ? current.category : 'courses';
+  const { tree } = loadCoursesData();
+  const { sidebarTree, contextTitle } = getContextTree(tree, scope);
+
+  // 3. Render View
+  res.render('layout', {
+    page: 'pages/glossary',
+    title: current ? `${current.label} glossary` : 'Glossaries',
+    glossaries,
+    glossary: current ? { ...current, ...getGlossary(current.category) } : null,
+    breadcrumbs: buildBreadcrumbs(scope),
+    showTree: true,
+    tree: sidebarTree,
+    contextTitle,
+    favorites: db
+      .prepare('SELECT * FROM favorites WHERE user_id = ? ORDER BY created_at DESC')
+      .all(req.session.userId)
+  });
+};
+
+/**
+ * Redirects the root /library URL to the whole 'courses' library.
+ */
+export const redirectLibrary = (req, res) => res.redirect('/library/courses');
+
+/**
+ * Renders the Library Chat view.
+ * The chat is scoped to a folder (or the whole 'courses/' root) and searches every PDF inside it.
+ */
+export const getLibraryChat = (req, res) => {
+  // 1. Scope Validation
+  const scope = normalizeLibraryScope(
+    req.params[0] ? decodeURIComponent(req.params[0]) : 'courses'
+  );
+  if (!scope) return res.redirect('/library/courses');
+
+  // 2. Context Retrieval
+  const { tree } = loadCoursesData();
+  const { sidebarTree, contextTitle } = getContextTree(tree, scope);
+  const documents = listLibraryDocuments(scope);
+
+  // 3. Render View
+  res.render('layout', {
+    page: 'pages/library',
+    title: scope === 'courses' ? 'the whole library' : scope.split('/').pop(),
+    libraryScope: scope, // Not 'scope': reserved by EJS as a render option
+    documentCount: documents.length,
+    breadcrumbs: buildBreadcrumbs(scope),
+    showTree: true,
+    tree: sidebarTree,
+    contextTitle,
+    favorites: db
+      .prepare('SELECT * FROM favorites WHERE user_id = ? ORDER BY created_at DESC')
+      .all(req.session.userId)
   });
 };
 
@@ -274,6 +376,21 @@ export const getFileViewer = (req, res) => {
     return res.redirect('/');
   }
 
+  // Warm the extraction queue so the AI assistant has the full text by the time it is used,
+  // then queue the overview and glossary terms if the document has none for its current text
+  // and the background workers run (see requestOverview / requestGlossarySource)
+  // (runs in the background: a changed file is re-hashed without delaying the page)
+  if (safeRel.toLowerCase().endsWith('.pdf')) {
+    warmDocument(safeRel)
+      .then(() => {
+        requestOverview(safeRel);
+        requestGlossarySource(safeRel);
+      })
+      .catch((error) => {
+        console.warn(`[Viewer] Extraction not queued for ${safeRel}: ${error.message}`);
+      });
+  }
+
   // 2. Context Retrieval
   const { tree } = loadCoursesData();
   const { sidebarTree, contextTitle } = getContextTree(tree, safeRel);
@@ -282,6 +399,9 @@ export const getFileViewer = (req, res) => {
   // Removes 'courses' prefix to match the mount point of static assets if needed
   const rawUrl = '/raw' + safeRel.substring('courses'.length);
 
+  // Optional page to open (e.g., when following a citation: /file/...?page=12)
+  const initialPage = parseInt(req.query.page, 10) > 0 ? parseInt(req.query.page, 10) : null;
+
   // 3. User State (Favorites)
   const userId = req.session.userId;
 
@@ -301,13 +421,15 @@ export const getFileViewer = (req, res) => {
     title: path.basename(safeRel, '.pdf'),
     filePath: safeRel,
     rawUrl,
+    initialPage,
     breadcrumbs: buildBreadcrumbs(safeRel),
     showTree: true,
     tree: sidebarTree,
     contextTitle,
     isReaderMode: true,
     isFav: !!favEntry,
-    favorites
+    favorites,
+    languages: LANGUAGES
   });
 };
 
@@ -334,6 +456,8 @@ export const getSettings = (req, res) => {
     webhooks: db
       .prepare('SELECT id, url, events, active, created_at FROM webhooks WHERE user_id = ?')
       .all(req.session.userId),
+    // Selectable AI providers (drives the AI Configuration form)
+    aiProviders: listProviders(),
     lastCreatedKey
   });
 };
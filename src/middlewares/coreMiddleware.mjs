@@ -80,7 +80,7 @@ export function setupCoreMiddlewares(app) {
   app.set('view engine', 'ejs');
   app.set('views', path.join(ROOT_DIR, 'src/views'));
 
-  // Serve public static files (CSS, JS, Fonts)
+  // Serve public static files (CSS, JS, Fonts, vendored libraries such as pdf.js)
   app.use('/public', express.static(path.join(ROOT_DIR, 'public')));
 
   // ===========================================================================
@@ -76,4 +76,62 @@ router.delete('/users/:id/webhooks/:hookId', adminController.deleteUserWebhook);
 // CAUTION: This action is destructive and typically irreversible.
 router.post('/users/:id/delete', adminController.deleteUser);
 
+/**
+ * ==============================================================================
+ * V. AI CONFIGURATION
+ * ==============================================================================
+ */
+
+// GET/PUT: Server AI defaults (inherited field by field by users, override AI_* env vars)
+router.get('/ai/config', adminController.getServerAIDefaults);
+router.put('/ai/config', adminController.saveServerAIDefaults);
+
+// GET/PUT: Server-wide AI fallback chain (tried when a user's primary provider fails)
+router.get('/ai/fallbacks', adminController.getServerAIFallbacks);
+router.put('/ai/fallbacks', adminController.saveServerAIFallbacks);
+
+// GET/PUT/DELETE: Context window per model (token budget of prompts)
+router.get('/ai/context-windows', adminController.getModelContextWindows);
+router.put('/ai/context-windows', adminController.saveModelContextWindow);
+router.delete('/ai/context-windows', adminController.deleteModelContextWindow);
+
+/**
+ * ==============================================================================
+ * VI. DOCUMENTS
+ * ==============================================================================
+ */
+
+// POST: Re-run OCR on a scanned document with other language packs
+router.post('/documents/ocr', adminController.rerunDocumentOcr);
+
+// POST: Drop cached data of documents removed from disk
+router.post('/documents/prune', adminController.pruneDocuments);
+
+// POST: Queue AI overviews (one document, or all those without a current overview)
+router.post('/documents/overviews', adminController.regenerateDocumentOverviews);
+
+// POST: Queue glossary term extraction (one category, or all of them)
+router.post('/documents/glossaries', adminController.regenerateGlossaries);
+
+/**
+ * ==============================================================================
+ * VII. ANSWER QUALITY
+ * ==============================================================================
+ */
+
+// Ratings of chat answers per document and per model (?days=30)
+router.get('/ai/feedback', adminController.getFeedbackQualityReport);
+
+/**
+ * ==============================================================================
+ * VIII. SHARED PROMPT TEMPLATES
+ * ==============================================================================
+ */
+
+// System prompt templates published to every user (picked per chat thread)
+router.get('/ai/prompt-templates', adminController.getSharedPromptTemplates);
+router.post('/ai/prompt-templates', adminController.createSharedPromptTemplate);
+router.patch('/ai/prompt-templates/:id', adminController.updateSharedPromptTemplate);
+router.delete('/ai/prompt-templates/:id', adminController.deleteSharedPromptTemplate);
+
 export default router;
@@ -9,7 +9,7 @@
  * 1. Browser: Uses standard Session cookies (req.session).
  * 2. Headless/Scripts: Uses API Keys (x-api-key header).
  *
- * @dependencies express, apiController, chatController, authMiddleware
+ * @dependencies express, apiController, chatController, studyController, authMiddleware
  * ==============================================================================
  */
 
@@ -19,6 +19,7 @@ import express from 'express';
 // Controllers
 import * as apiController from '../controllers/apiController.mjs';
 import * as chatController from '../controllers/chatController.mjs';
+import * as studyController from '../controllers/studyController.mjs';
 
 // Middlewares
 import { requireApiKey, chatLimiter } from '../middlewares/authMiddleware.mjs';
@@ -80,6 +81,13 @@ router.get('/me', requireSessionOrKey(['read:all']), apiController.getMe);
  */
 router.get('/courses', requireSessionOrKey(['read:all']), apiController.getCourses);
 router.get('/files', requireSessionOrKey(['read:all']), apiController.getFileMetadata);
+router.get('/documents/status', requireSessionOrKey(['read:all']), apiController.getDocumentStatus);
+router.get('/documents/pages', requireSessionOrKey(['read:all']), apiController.getDocumentPages);
+router.get(
+  '/documents/overview',
+  requireSessionOrKey(['read:all']),
+  apiController.getDocumentOverview
+);
 
 /**
  * ==============================================================================
@@ -115,6 +123,50 @@ router.get('/chat', chatLimiter, requireSessionOrKey(['read:all']), chatControll
 
 router.post('/chat', chatLimiter, requireSessionOrKey(['write:self']), chatController.postChat);
 
+// Streaming variant (Server-Sent Events)
+router.post(
+  '/chat/stream',
+  chatLimiter,
+  requireSessionOrKey(['write:self']),
+  chatController.postChatStream
+);
+
+// Alternate answers and edited questions (kept as siblings, paged through by the client)
+router.post(
+  '/chat/regenerate',
+  chatLimiter,
+  requireSessionOrKey(['write:self']),
+  chatController.regenerateChatAnswer
+);
+
+router.post(
+  '/chat/regenerate/stream',
+  chatLimiter,
+  requireSessionOrKey(['write:self']),
+  chatController.regenerateChatAnswerStream
+);
+
+router.post(
+  '/chat/edit',
+  chatLimiter,
+  requireSessionOrKey(['write:self']),
+  chatController.editChatMessage
+);
+
+router.post(
+  '/chat/edit/stream',
+  chatLimiter,
+  requireSessionOrKey(['write:self']),
+  chatController.editChatMessageStream
+);
+
+router.post(
+  '/chat/branch',
+  chatLimiter,
+  requireSessionOrKey(['write:self']),
+  chatController.selectChatBranch
+);
+
 router.delete(
   '/chat',
   chatLimiter,
@@ -122,6 +174,87 @@ router.delete(
   chatController.deleteChatHistory
 );
 
+// Named threads of a document chat (messages and summaries accept ?thread_id=...)
+router.get(
+  '/chat/threads',
+  chatLimiter,
+  requireSessionOrKey(['read:all']),
+  chatController.getChatThreads
+);
+
+router.post(
+  '/chat/threads',
+  chatLimiter,
+  requireSessionOrKey(['write:self']),
+  chatController.postChatThread
+);
+
+router.patch(
+  '/chat/threads/:id',
+  chatLimiter,
+  requireSessionOrKey(['write:self']),
+  chatController.patchChatThread
+);
+
+router.delete(
+  '/chat/threads/:id',
+  chatLimiter,
+  requireSessionOrKey(['write:self']),
+  chatController.deleteChatThread
+);
+
+// Ratings of document chat answers (quality report: /admin/ai/feedback)
+router.put(
+  '/chat/messages/:id/feedback',
+  chatLimiter,
+  requireSessionOrKey(['write:self']),
+  chatController.putMessageFeedback
+);
+
+router.delete(
+  '/chat/messages/:id/feedback',
+  chatLimiter,
+  requireSessionOrKey(['write:self']),
+  chatController.deleteMessageFeedback
+);
+
+// Rolling summary of the older turns of a document chat thread
+router.get(
+  '/chat/summary',
+  chatLimiter,
+  requireSessionOrKey(['read:all']),
+  chatController.getConversationSummary
+);
+
+router.delete(
+  '/chat/summary',
+  chatLimiter,
+  requireSessionOrKey(['write:self']),
+  chatController.resetConversationSummary
+);
+
+// Library Chat (Folder scope, across every PDF of the folder)
+router.get(
+  '/library/chat',
+  chatLimiter,
+  requireSessionOrKey(['read:all']),
+  chatController.getLibraryChatHistory
+);
+
+router.post(
+  '/library/chat',
+  chatLimiter,
+  requireSessionOrKey(['write:self']),
+  chatController.postLibraryChat
+);
+
+router.delete(
+  '/library/chat',
+  chatLimiter,
+  requireSessionOrKey(['write:self']),
+  chatController.deleteLibraryChatHistory
+);
+
 /**
  * ==============================================================================
  * VI. ANALYTICS & ACTIVITY TRACKING
@@ -154,6 +287,137 @@ router.post('/keys/:id/revoke', requireSessionOrKey(['write:self']), apiControll
  * Endpoints for managing user-specific AI provider settings.
  */
 router.get('/config/ai', requireSessionOrKey(['read:all']), apiController.getAIConfig);
+router.get(
+  '/config/ai/effective',
+  requireSessionOrKey(['read:all']),
+  apiController.getEffectiveAIConfig
+);
+router.get('/config/ai/providers', requireSessionOrKey(['read:all']), apiController.getAIProviders);
 router.post('/config/ai', requireSessionOrKey(['write:self']), apiController.saveAIConfig);
+// Discovery calls reach the provider, so they share the chat rate limit
+router.get(
+  '/config/ai/models',
+  chatLimiter,
+  requireSessionOrKey(['read:all']),
+  apiController.getAIModels
+);
+router.post(
+  '/config/ai/test',
+  chatLimiter,
+  requireSessionOrKey(['read:all']),
+  apiController.testAIConfig
+);
+router.get('/config/ai/fallbacks', requireSessionOrKey(['read:all']), apiController.getAIFallbacks);
+router.put(
+  '/config/ai/fallbacks',
+  requireSessionOrKey(['write:self']),
+  apiController.saveAIFallbacks
+);
+
+// System prompt templates picked per chat thread (own + shared, see /admin/ai/prompt-templates)
+router.get(
+  '/prompt-templates',
+  requireSessionOrKey(['read:all']),
+  chatController.getPromptTemplates
+);
+router.post(
+  '/prompt-templates',
+  requireSessionOrKey(['write:self']),
+  chatController.postPromptTemplate
+);
+router.patch(
+  '/prompt-templates/:id',
+  requireSessionOrKey(['write:self']),
+  chatController.patchPromptTemplate
+);
+router.delete(
+  '/prompt-templates/:id',
+  requireSessionOrKey(['write:self']),
+  chatController.deletePromptTemplate
+);
+
+/**
+ * ==============================================================================
+ * IX. STUDY TOOLS (Flashcards, Quizzes, Glossaries, Translations)
+ * ==============================================================================
+ * One deck per document; generation and grading are rate limited like the chat (LLM calls).
+ * Glossaries are shared: one per category, built in the background.
+ * Page translations (reader pane) are shared too, and rate limited like the chat.
+ */
+router.get('/flashcards', requireSessionOrKey(['read:all']), studyController.getFlashcards);
+router.get(
+  '/flashcards/decks',
+  requireSessionOrKey(['read:all']),
+  studyController.getFlashcardDecks
+);
+router.post('/flashcards', requireSessionOrKey(['write:self']), studyController.postFlashcards);
+router.post(
+  '/flashcards/generate',
+  chatLimiter,
+  requireSessionOrKey(['write:self']),
+  studyController.postGenerateFlashcards
+);
+router.patch(
+  '/flashcards/:id',
+  requireSessionOrKey(['write:self']),
+  studyController.patchFlashcard
+);
+router.delete(
+  '/flashcards/:id',
+  requireSessionOrKey(['write:self']),
+  studyController.deleteFlashcard
+);
+router.post(
+  '/flashcards/:id/review',
+  requireSessionOrKey(['write:self']),
+  studyController.postFlashcardReview
+);
+
+router.get('/quizzes', requireSessionOrKey(['read:all']), studyController.getQuizzes);
+router.get('/quizzes/stats', requireSessionOrKey(['read:all']), studyController.getQuizStatistics);
+router.post(
+  '/quizzes/generate',
+  chatLimiter,
+  requireSessionOrKey(['write:self']),
+  studyController.postGenerateQuiz
+);
+router.get('/quizzes/:id', requireSessionOrKey(['read:all']), studyController.getQuizById);
+router.delete('/quizzes/:id', requireSessionOrKey(['write:self']), studyController.deleteQuizById);
+router.get(
+  '/quizzes/:id/attempts',
+  requireSessionOrKey(['read:all']),
+  studyController.getQuizAttempts
+);
+router.post(
+  '/quizzes/:id/attempts',
+  chatLimiter,
+  requireSessionOrKey(['write:self']),
+  studyController.postQuizAttempt
+);
+
+router.get('/glossary', requireSessionOrKey(['read:all']), studyController.getGlossaries);
+router.get('/glossary/terms', requireSessionOrKey(['read:all']), studyController.getGlossaryTerms);
+router.post(
+  '/glossary/terms',
+  requireSessionOrKey(['write:self']),
+  studyController.postGlossaryTerm
+);
+router.patch(
+  '/glossary/terms/:id',
+  requireSessionOrKey(['write:self']),
+  studyController.patchGlossaryTerm
+);
+router.delete(
+  '/glossary/terms/:id',
+  requireSessionOrKey(['write:self']),
+  studyController.deleteGlossaryTerm
+);
+
+router.get(
+  '/translations',
+  chatLimiter,
+  requireSessionOrKey(['read:all']),
+  studyController.getPageTranslation
+);
 
 export default router;
@@ -64,6 +64,14 @@ router.get(/^\/browse\/(.*)/, viewController.getBrowse);
 // PDF File Viewer (Reader Mode)
 router.get(/^\/file\/(.*)/, viewController.getFileViewer);
 
+// Course Glossaries (one per top-level folder)
+router.get('/glossary', viewController.getGlossaryPage);
+router.get(/^\/glossary\/(.*)/, viewController.getGlossaryPage);
+
+// Library Chat (Folder-scoped AI assistant)
+router.get('/library', viewController.redirectLibrary);
+router.get(/^\/library\/(.*)/, viewController.getLibraryChat);
+
 /**
  * ==============================================================================
  * IV. SETTINGS ACTIONS (Self-Service)
@@ -121,4 +129,17 @@ router.post(
 // Critical Action: Delete User Account
 router.post('/admin/users/:id/delete', requireAdmin, adminController.deleteUser);
 
+// D. Shared Prompt Templates (published to every user)
+router.post('/admin/prompt-templates', requireAdmin, adminController.createSharedPromptTemplate);
+router.post(
+  '/admin/prompt-templates/:id',
+  requireAdmin,
+  adminController.updateSharedPromptTemplate
+);
+router.post(
+  '/admin/prompt-templates/:id/delete',
+  requireAdmin,
+  adminController.deleteSharedPromptTemplate
+);
+
 export default router;
@@ -0,0 +1,408 @@
+/**
+ * ==============================================================================
+ * SERVICE: AI CONFIGURATION RESOLUTION
+ * ==============================================================================
+ * @fileoverview Resolves which AI provider(s) answer a given user:
+ * the primary configuration (user settings, server defaults and environment,
+ * merged field by field), followed by an ordered fallback chain.
+ *
+ * API keys are encrypted at rest (see secretBox): functions of this module
+ * take and return plaintext keys.
+ *
+ * Fallback chains live in 'ai_fallbacks'. A user's own chain takes precedence
+ * over the server chain (rows with a NULL user_id, managed by administrators).
+ *
+ * @author Sacha Pastor
+ * @environment Node.js
+ * @dependencies database, aiManager, secretBox
+ * ==============================================================================
+ */
+
+// --- 1. MODULE IMPORTS ---
+import db from '../config/database.mjs';
+import { getProvider, listProviders } from '../utils/aiManager.mjs';
+import { openSecret, sealSecret } from '../utils/secretBox.mjs';
+import { applyChainWindow } from './contextWindowService.mjs';
+
+// --- 2. CONFIGURATION CONSTANTS ---
+
+// Upper bound on the number of fallbacks in a chain (each one may add a full timeout).
+export const MAX_FALLBACKS = 5;
+
+// Logged once: keys that cannot be decrypted are ignored
+let warnedUnreadableKey = false;
+
+/**
+ * ==============================================================================
+ * I. PRIMARY CONFIGURATION
+ * ==============================================================================
+ * Each field is resolved separately, from the most specific layer to the least:
+ * 1. 'user'    - the user's BYOK settings (user_ai_config).
+ * 2. 'server'  - the defaults set by administrators (server_ai_config).
+ * 3. 'env'     - AI_PROVIDER, AI_MODEL, AI_API_URL, AI_API_KEY.
+ * 4. 'default' - the provider's default model (model only).
+ *
+ * Two rules keep inheritance safe:
+ * - model, URL and key are only inherited from a layer configured for the same
+ *   provider (or for no provider at all): an Ollama model never reaches OpenAI.
+ * - a key is never inherited by a URL from a more specific layer, so a user
+ *   cannot point the server key at an endpoint of their choosing.
+ */
+
+// Layer names, most specific first.
+const LAYERS = ['user', 'server', 'env'];
+
+/**
+ * Reads the configuration layers applicable to a user.
+ *
+ * @param {number} userId - The user ID.
+ * @param {Object} [draft] - Unsaved user settings replacing the stored ones (see resolveEffectiveAIConfig).
+ * @returns {Array<{source: string, provider: string|null, model: string|null, apiUrl: string|null, apiKey: string|null}>}
+ * @private
+ */
+function _readLayers(userId, draft) {
+  let user = getUserAIConfig(userId);
+
+  if (draft) {
+    // Same semantics as saveUserAIConfig(), except that an absent key keeps the stored one
+    const keepKey = draft.api_key === undefined || draft.api_key.startsWith('sk-...');
+    user = {
+      provider: draft.provider,
+      model: draft.model,
+      api_url: draft.api_url,
+      api_key: keepKey ? user?.api_key : draft.api_key
+    };
+  }
+  const server = getServerAIConfig();
+
+  const fromRow = (row) => ({
+    provider: row?.provider || null,
+    model: row?.model || null,
+    apiUrl: row?.api_url || null,
+    apiKey: row?.api_key || null
+  });
+
+  return [
+    { source: 'user', ...fromRow(user) },
+    { source: 'server', ...fromRow(server) },
+    {
+      source: 'env',
+      provider: process.env.AI_PROVIDER || null,
+      model: process.env.AI_MODEL || null,
+      apiUrl: process.env.AI_API_URL || null,
+      apiKey: process.env.AI_API_KEY || null // Optional global key
+    }
+  ];
+}
+
+/**
+ * Masks a key for API responses: "sk-...abcd", or '' when unset.
+ * Clients send the masked value back to mean "unchanged".
+ *
+ * @param {string|null} key - The stored key.
+ * @returns {string} The masked key.
+ */
+export function maskKey(key) {
+  return key ? `sk-...${key.slice(-4)}` : '';
+}
+
+/**
+ * Decrypts the key of a stored configuration row. A key that cannot be decrypted
+ * (SECRETS_MASTER_KEY missing or changed) is treated as unset, so the other layers
+ * still apply.
+ * @private
+ */
+function _openRow(row) {
+  if (!row) return null;
+
+  try {
+    return { ...row, api_key: openSecret(row.api_key) };
+  } catch (error) {
+    if (!warnedUnreadableKey) {
+      console.warn(`⚠️  [AI Config] Stored API keys are ignored: ${error.message}`);
+      warnedUnreadableKey = true;
+    }
+    return { ...row, api_key: null };
+  }
+}
+
+/**
+ * Reads the AI settings of a user (empty fields inherit the server defaults).
+ *
+ * @param {number} userId - The user ID.
+ * @returns {{provider: string|null, model: string|null, api_url: string|null, api_key: string|null}|null}
+ */
+export function getUserAIConfig(userId) {
+  return _openRow(
+    db
+      .prepare('SELECT provider, model, api_url, api_key FROM user_ai_config WHERE user_id = ?')
+      .get(userId)
+  );
+}
+
+/**
+ * Replaces the AI settings of a user. Empty fields are stored as NULL (inherit).
+ * A masked key ("sk-...") keeps the stored key.
+ *
+ * @param {number} userId - The user ID.
+ * @param {{provider?: string, model?: string, api_url?: string, api_key?: string}} values
+ */
+export function saveUserAIConfig(userId, values) {
+  let apiKey = values.api_key || null;
+  if (apiKey?.startsWith('sk-...')) apiKey = getUserAIConfig(userId)?.api_key || null;
+
+  db.prepare(
+    `
+        INSERT INTO user_ai_config (user_id, provider, model, api_url, api_key)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(user_id) DO UPDATE SET
+            provider = excluded.provider,
+            model = excluded.model,
+            api_url = excluded.api_url,
+            api_key = excluded.api_key,
+            updated_at = CURRENT_TIMESTAMP
+    `
+  ).run(
+    userId,
+    values.provider || null,
+    values.model || null,
+    values.api_url || null,
+    sealSecret(apiKey)
+  );
+}
+
+/**
+ * Reads the server defaults row (administrator settings).
+ *
+ * @returns {{provider: string|null, model: string|null, api_url: string|null, api_key: string|null}|null}
+ */
+export function getServerAIConfig() {
+  return _openRow(
+    db.prepare('SELECT provider, model, api_url, api_key FROM server_ai_config WHERE id = 1').get()
+  );
+}
+
+/**
+ * Replaces the server defaults. Empty fields are stored as NULL (inherit from env).
+ * A masked key ("sk-...") keeps the stored key.
+ *
+ * @param {{provider?: string, model?: string, api_url?: string, api_key?: string}} values
+ */
+export function saveServerAIConfig(values) {
+  let apiKey = values.api_key || null;
+  if (apiKey?.startsWith('sk-...')) apiKey = getServerAIConfig()?.api_key || null;
+
+  db.prepare(
+    `
+        INSERT INTO server_ai_config (id, provider, model, api_url, api_key)
+        VALUES (1, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+            provider = excluded.provider,
+            model = excluded.model,
+            api_url = excluded.api_url,
+            api_key = excluded.api_key,
+            updated_at = CURRENT_TIMESTAMP
+    `
+  ).run(values.provider || null, values.model || null, values.api_url || null, sealSecret(apiKey));
+}
+
+/**
+ * Resolves the effective AI configuration of a user, field by field.
+ *
+ * @param {number} userId - The ID of the user making the request.
+ * @param {{provider?: string, model?: string, api_url?: string, api_key?: string}} [draft]
+ *   Unsaved settings to use instead of the stored user settings (Settings form
+ *   "test" actions). The inheritance rules still apply, so a draft URL never
+ *   receives a server key.
+ * @returns {{config: {provider: string, model: string|null, apiUrl: string|null, apiKey: string|null}, sources: Object}|null}
+ *   The configuration and, for each field, the layer it came from
+ *   ('user' | 'server' | 'env' | 'default', or null when unset).
+ *   Null when no layer names a provider.
+ */
+export function resolveEffectiveAIConfig(userId, draft) {
+  const layers = _readLayers(userId, draft);
+
+  // 1. Provider: first layer that names one
+  const providerLayer = layers.find((layer) => layer.provider);
+  if (!providerLayer) return null;
+  const provider = providerLayer.provider;
+
+  // 2. Other fields: only from layers compatible with the resolved provider
+  const compatible = layers.filter((layer) => !layer.provider || layer.provider === provider);
+  const pick = (field, candidates = compatible) => {
+    const layer = candidates.find((l) => l[field]);
+    return layer ? { value: layer[field], source: layer.source } : { value: null, source: null };
+  };
+
+  const model = pick('model');
+  const apiUrl = pick('apiUrl');
+
+  // A key never travels to a URL set by a more specific layer
+  const urlRank = apiUrl.source ? LAYERS.indexOf(apiUrl.source) : LAYERS.length;
+  const apiKey = pick(
+    'apiKey',
+    compatible.filter((layer) => LAYERS.indexOf(layer.source) <= urlRank)
+  );
+
+  if (!model.value) {
+    model.value = getProvider(provider)?.defaultModel || null;
+    model.source = model.value ? 'default' : null;
+  }
+
+  return {
+    config: { provider, model: model.value, apiUrl: apiUrl.value, apiKey: apiKey.value },
+    sources: {
+      provider: providerLayer.source,
+      model: model.source,
+      apiUrl: apiUrl.source,
+      apiKey: apiKey.source
+    }
+  };
+}
+
+/**
+ * Resolves the AI configuration applicable to a user (see resolveEffectiveAIConfig).
+ *
+ * @param {number} userId - The ID of the user making the request.
+ * @returns {Object|null} The AI configuration ({ provider, model, apiUrl, apiKey }),
+ *   or null if no provider is configured (caller answers with a setup instruction).
+ */
+export function resolveAIConfig(userId) {
+  return resolveEffectiveAIConfig(userId)?.config || null;
+}
+
+/**
+ * ==============================================================================
+ * II. FALLBACK CHAINS
+ * ==============================================================================
+ */
+
+/**
+ * Reads the stored fallbacks of a user, or the server chain.
+ *
+ * @param {number|null} userId - The user ID, or null for the server chain.
+ * @returns {Array<{provider: string, model: string|null, api_url: string|null, api_key: string|null}>}
+ *   Rows in chain order.
+ */
+export function listFallbacks(userId) {
+  const rows = db
+    .prepare(
+      `
+        SELECT provider, model, api_url, api_key
+        FROM ai_fallbacks
+        WHERE user_id IS ?
+        ORDER BY position ASC, id ASC
+    `
+    )
+    .all(userId ?? null);
+
+  return rows.map(_openRow);
+}
+
+/**
+ * Validates a fallback chain submitted by a client.
+ *
+ * @param {*} entries - The submitted value (expected: array of { provider, model, api_url, api_key }).
+ * @returns {string|null} An error message, or null if the chain is valid.
+ */
+export function validateFallbacks(entries) {
+  if (!Array.isArray(entries)) return 'fallbacks must be an array.';
+  if (entries.length > MAX_FALLBACKS) return `At most ${MAX_FALLBACKS} fallbacks are allowed.`;
+
+  for (const entry of entries) {
+    if (!getProvider(entry?.provider)) {
+      const allowed = listProviders()
+        .map((p) => `"${p.id}"`)
+        .join(', ');
+      return `Invalid fallback provider. Must be one of ${allowed}.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Replaces the fallback chain of a user (or the server chain).
+ * A masked key ("sk-...") keeps the key previously stored at the same position
+ * for the same provider, mirroring the primary configuration form.
+ *
+ * @param {number|null} userId - The user ID, or null for the server chain.
+ * @param {Array<Object>} entries - A chain accepted by validateFallbacks().
+ */
+export function saveFallbacks(userId, entries) {
+  const ownerId = userId ?? null;
+  const previous = listFallbacks(ownerId);
+
+  const insert = db.prepare(
+    `
+        INSERT INTO ai_fallbacks (user_id, position, provider, model, api_url, api_key)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `
+  );
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM ai_fallbacks WHERE user_id IS ?').run(ownerId);
+
+    entries.forEach((entry, position) => {
+      let apiKey = entry.api_key || null;
+      if (apiKey?.startsWith('sk-...') && previous[position]?.provider === entry.provider) {
+        apiKey = previous[position].api_key;
+      }
+
+      insert.run(
+        ownerId,
+        position,
+        entry.provider,
+        entry.model || null,
+        entry.api_url || null,
+        sealSecret(apiKey)
+      );
+    });
+  })();
+}
+
+/**
+ * Masks the keys of stored fallbacks for API responses.
+ *
+ * @param {Array<Object>} rows - Output of listFallbacks().
+ * @returns {Array<Object>} Rows with 'api_key' replaced by "sk-...abcd" (or '').
+ */
+export function maskFallbacks(rows) {
+  return rows.map((row) => ({ ...row, api_key: maskKey(row.api_key) }));
+}
+
+/**
+ * Resolves the ordered list of configurations to try for a user:
+ * the primary configuration, then the user's chain (or the server chain).
+ * Exact duplicates of an earlier entry are skipped.
+ *
+ * @param {number} userId - The ID of the user making the request.
+ * @returns {Array<Object>} AI configurations ({ provider, model, apiUrl, apiKey }, with the
+ *   limits of the chain, see applyChainWindow). Empty when no primary provider is configured.
+ */
+export function resolveProviderChain(userId) {
+  const primary = resolveAIConfig(userId);
+  if (!primary) return [];
+
+  const own = listFallbacks(userId);
+  const rows = own.length > 0 ? own : listFallbacks(null);
+
+  const chain = [primary];
+  for (const row of rows) {
+    const config = {
+      provider: row.provider,
+      model: row.model,
+      apiUrl: row.api_url,
+      apiKey: row.api_key
+    };
+
+    const duplicate = chain.some(
+      (c) =>
+        c.provider === config.provider &&
+        (c.model || null) === (config.model || null) &&
+        (c.apiUrl || null) === (config.apiUrl || null)
+    );
+    if (!duplicate) chain.push(config);
+  }
+
+  return applyChainWindow(chain);
+}
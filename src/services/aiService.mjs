@@ -4,10 +4,18 @@
  * ==============================================================================
  * @fileoverview Core service responsible for bridging document content with AI.
  * It handles:
- * 1. Context Retrieval (Caching vs. Fresh Extraction).
+ * 1. Context Retrieval (Cache or background extraction, see extractionService).
  * 2. Security Validation (Path traversal protection).
- * 3. Prompt Engineering (Injecting context and history).
- * 4. AI Execution via the AI Manager.
+ * 3. Passage Retrieval (Chunk index + embeddings, see embeddingService).
+ * 4. Prompt Engineering (Injecting context, conversation summary, history and,
+ *    when the thread opted in, the user's notes into the default prompt or the
+ *    thread's prompt template), within a token budget derived from the model's
+ *    context window. A passage selected in the reader comes first, before the
+ *    retrieved ones. Threads with an answer language get their answers in it.
+ * 5. AI Execution via the AI Manager (with the user's provider fallback chain).
+ *
+ * Two scopes are supported: a single document, and a library (a folder of
+ * 'courses/' or the whole root) with per-document attribution.
  *
  * @author Sacha Pastor
  * @environment Node.js
@@ -20,23 +28,396 @@ import { fileURLToPath } from 'node:url';
 
 // --- 2. MODULE IMPORTS ---
 import db from '../config/database.mjs';
-import { extractPdfText } from '../utils/pdfHandler.mjs';
-import { askAI } from '../utils/aiManager.mjs';
+import { askAIWithFallback, streamAIWithFallback } from '../utils/aiManager.mjs';
+import { scanCourses } from '../utils/fileExplorer.mjs';
+import { extractCitations } from '../utils/citations.mjs';
+import { estimateMessageTokens, estimateTokens, planContextBudget } from '../utils/tokenBudget.mjs';
+import { renderPromptTemplate, usesVariable } from '../utils/promptTemplate.mjs';
+import {
+  enqueueIndexing,
+  ensureChunks,
+  isDocumentIndexed,
+  retrieveRelevantChunks,
+  retrieveAcrossDocuments
+} from './embeddingService.mjs';
+import { enqueueExtraction, getDocumentText, getExtractionStatus } from './extractionService.mjs';
+import { resolveProviderChain } from './aiConfigService.mjs';
+import { HISTORY_TOKEN_BUDGET, loadConversationMemory } from './chatSummaryService.mjs';
+import { applyChainWindow, resolveChainWindow } from './contextWindowService.mjs';
+import { getTemplate } from './promptTemplateService.mjs';
+import { loadNotesContext } from './notesContextService.mjs';
+import { languageName } from '../utils/translation.mjs';
 
 // --- 3. CONFIGURATION CONSTANTS ---
 
 // File system resolution setup
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const ROOT_DIR = path.resolve(__dirname, '../../');
+const COURSES_ROOT = path.resolve(__dirname, '../../courses');
 
-// Limits for context window management to prevent token overflow
-const MAX_CONTEXT_CHARS = 15000; // Approx. 3000-4000 tokens
-const HISTORY_LIMIT = 6; // Number of past messages to retain for context
+// Limits for context window management (token budgets: see planPromptBudget)
+const HISTORY_LIMIT = 6; // Number of past messages to retain for library chats (documents: see chatSummaryService)
+const RETRIEVAL_TOP_K = 10; // Maximum number of passages injected into the prompt
+const LIBRARY_TOP_K = 14; // Maximum number of passages injected when searching a whole folder
 
 // Default System Prompt (English translation of the original french prompt)
 const DEFAULT_SYSTEM_PROMPT = `You are a helpful and concise educational assistant. Answer the user's question using ONLY the following context. If the answer is not in the context, state it clearly.\n\nDOCUMENT CONTEXT:\n{{CONTEXT}}`;
 
+// Introduces the user's notes and snippets (threads that opted in, see notesContextService)
+const NOTES_INSTRUCTIONS = `STUDENT'S NOTES AND SNIPPETS (written by the student, may contain mistakes): use them to understand what the student means and to connect the answer to their notes, but base facts on the document context. Never cite them with an [S] label.`;
+
+// Upper bound of the prompt share left by the history that the notes may take
+const NOTES_SHARE = 0.3;
+
+// Added when the question is about a passage selected in the reader (always labelled S1)
+const SELECTION_INSTRUCTIONS = `The student selected passage [S1] in the document and is asking about it: answer about this passage first, and use the other passages only to complement it.`;
+
+// Added when the thread has an answer language (see utils/translation)
+const ANSWER_LANGUAGE_INSTRUCTIONS = `Always answer in {{LANGUAGE}}, whatever the language of the document and of the question. Keep quotes from the document in their original language.`;
+
+// Appended to prompt templates that do not place the context themselves
+const CONTEXT_SECTION = `\n\nDOCUMENT CONTEXT:\n{{CONTEXT}}`;
+
+// Longest part of the user's notes filled into {{USER_NOTES}} (characters)
+const MAX_TEMPLATE_NOTES_CHARS = 4000;
+
+// Appended to the document prompt so answers can be traced back to pages (see utils/citations)
+const CITATION_INSTRUCTIONS = `Each passage of the context starts with a label such as [S1 | Page 3]. After every statement, cite the passage(s) it relies on with their label id only, e.g. [S1] or [S1, S3]. Never invent a label.`;
+
+// System Prompt used when the scope is a whole folder of documents
+const LIBRARY_SYSTEM_PROMPT = `You are a helpful and concise educational assistant. Answer the user's question using ONLY the following passages, taken from several course documents. Each passage is labelled with its document and page. Always name the document(s) your answer comes from (e.g. "According to <document>, page 3, ..."). If the answer is not in the passages, state it clearly.\n\nLIBRARY PASSAGES:\n{{CONTEXT}}`;
+
+// Returned instead of an answer when no provider is configured
+const AI_NOT_CONFIGURED_MESSAGE =
+  '⚠️ AI is not configured. Please go to Settings to set up your AI provider.';
+
+/**
+ * ==============================================================================
+ * I. HELPER FUNCTIONS
+ * ==============================================================================
+ */
+
+/**
+ * Formats the page range of a passage ('Page 3' or 'Pages 3-4').
+ */
+function formatPageRange(passage) {
+  return passage.pageStart === passage.pageEnd
+    ? `Page ${passage.pageStart}`
+    : `Pages ${passage.pageStart}-${passage.pageEnd}`;
+}
+
+/**
+ * Finds the page of a multi-page passage on which a quoted span actually appears.
+ * Falls back to the first page of the passage when the quote cannot be located.
+ *
+ * @param {string} docPath - Relative document path.
+ * @param {string} quote - The quoted span.
+ * @param {number} pageStart - First page of the passage.
+ * @param {number} pageEnd - Last page of the passage.
+ * @returns {number} The page number.
+ */
+function locateQuotePage(docPath, quote, pageStart, pageEnd) {
+  if (pageStart === pageEnd) return pageStart;
+
+  const normalize = (text) => String(text).replace(/\s+/g, ' ').trim();
+  const needle = normalize(quote.replace(/…$/, '')).slice(0, 80);
+
+  const pages = db
+    .prepare(
+      'SELECT page_number, content FROM document_pages WHERE path = ? AND page_number BETWEEN ? AND ? ORDER BY page_number'
+    )
+    .all(docPath, pageStart, pageEnd);
+
+  const match = pages.find((p) => normalize(p.content).includes(needle));
+  return match ? match.page_number : pageStart;
+}
+
+/**
+ * Describes the passages of a prompt ({ id, pageStart, pageEnd, score }), stored with
+ * the answer for quality tracking.
+ */
+function describePassages(passages) {
+  return passages.map((p) => ({
+    id: p.id,
+    pageStart: p.pageStart,
+    pageEnd: p.pageEnd,
+    score: Math.round(p.score * 1000) / 1000
+  }));
+}
+
+/**
+ * Returns the display title of a document (file name without extension).
+ */
+function documentTitle(docPath) {
+  return path.basename(docPath).replace(/\.pdf$/i, '');
+}
+
+/**
+ * Returns the values of the document variables of a prompt template
+ * (see utils/promptTemplate), {{CONTEXT}} excepted.
+ *
+ * @param {number} userId - The user ID.
+ * @param {string} docPath - Relative document path.
+ * @returns {{DOCUMENT_TITLE: string, CATEGORY: string, USER_NOTES: string}}
+ */
+function templateVariables(userId, docPath) {
+  // Top-level folder of 'courses/' (the categories of scanCourses), empty at the root
+  const [, category = ''] = docPath.split('/').slice(0, -1);
+
+  const note = db
+    .prepare('SELECT content FROM notes WHERE user_id = ? AND path = ?')
+    .get(userId, docPath);
+  const notes = String(note?.content || '').trim();
+
+  return {
+    DOCUMENT_TITLE: documentTitle(docPath),
+    CATEGORY: category,
+    USER_NOTES:
+      notes.length > MAX_TEMPLATE_NOTES_CHARS
+        ? `${notes.slice(0, MAX_TEMPLATE_NOTES_CHARS)}…`
+        : notes || '(none)'
+  };
+}
+
+/**
+ * Plans the token budget of a prompt, for the smallest context window of the provider
+ * chain (see resolveChainWindow).
+ *
+ * @param {Array<Object>} chain - The provider chain (primary first).
+ * @param {number} fixedTokens - Instructions and question (always sent).
+ * @param {number} historyLimit - Upper bound of the history budget.
+ * @returns {Object} The plan (see planContextBudget) with the 'window' it was based on.
+ */
+function planPromptBudget(chain, fixedTokens, historyLimit) {
+  const window = resolveChainWindow(chain);
+
+  return {
+    window,
+    ...planContextBudget({
+      contextWindow: window.contextTokens,
+      maxOutputTokens: window.maxOutputTokens,
+      fixedTokens,
+      historyLimit
+    })
+  };
+}
+
+/**
+ * Logs how the token budget of a prompt was spent.
+ *
+ * @param {string} label - The chat scope (document or library path).
+ * @param {Object} budget - The plan from planPromptBudget().
+ * @param {{history: number, notes?: number, context: number}} used - Tokens actually used.
+ */
+function logBudget(label, budget, used) {
+  const { window } = budget;
+  const notes = used.notes || 0;
+  const unused = budget.available - used.history - notes - used.context;
+
+  console.log(
+    `[RAG Service] Token budget for ${label} (${window.model || 'default'}, ${window.contextTokens} tokens, ${window.source}): ` +
+      `fixed ${budget.fixed}, history ${used.history}/${budget.history}, ${notes ? `notes ${notes}, ` : ''}` +
+      `context ${used.context}/${budget.available - used.history - notes}, answer ${budget.answer}, unused ${unused}`
+  );
+}
+
+/**
+ * ==============================================================================
+ * II. DOCUMENT CHAT
+ * ==============================================================================
+ */
+
+/**
+ * Builds the RAG prompt of a document chat: context retrieval, passage selection,
+ * history and system instructions. Shared by the blocking and streaming flows.
+ *
+ * @param {number} userId - The ID of the user making the request.
+ * @param {string} docPath - Relative path to the course file.
+ * @param {string} userContent - The question asked by the user.
+ * @param {Object} [options]
+ * @param {Object} [options.thread] - The chat thread providing the history (none if omitted).
+ * @param {number|null} [options.parentId] - Message the question follows (defaults to the
+ *   end of the thread's active branch; null: first question of a new branch).
+ * @param {string} [options.model] - Model replacing the primary provider's one.
+ * @param {{text: string, page: number}|null} [options.selection] - Passage selected in the
+ *   reader the question is about (sent as passage S1, before the retrieved ones).
+ * @returns {Promise<{chain: Array<Object>, aiMessages: Array<Object>, passages: Array<Object>}>}
+ *   The provider chain (primary first, empty when no provider is configured), the prompt
+ *   and the labelled passages.
+ * @throws {Error} If the document path is invalid or attempts directory traversal.
+ * @private
+ */
+async function _prepareDocumentChat(userId, docPath, userContent, options = {}) {
+  const { thread, parentId, model, selection } = options;
+
+  // --- STEP 0: DETERMINE AI CONFIGURATION ---
+  // Primary provider first, then fallbacks. Embeddings always use the configured primary
+  // provider, even when another model is requested for the answer.
+  const configured = resolveProviderChain(userId);
+  if (configured.length === 0) return { chain: configured, aiMessages: [], passages: [] };
+  const aiConfig = configured[0];
+  const chain = model
+    ? applyChainWindow([{ ...aiConfig, model }, ...configured.slice(1)])
+    : configured;
+
+  // --- STEP 1: CONTEXT RETRIEVAL (CACHE-FIRST STRATEGY) ---
+
+  // Complete documents come straight from the cache. Otherwise the extraction
+  // service validates the path (directory traversal protection), queues a
+  // background job and returns as soon as the first pages are available.
+  const { text: contextText, partial, status } = await getDocumentText(docPath);
+
+  if (partial) {
+    console.log(`[RAG Service] Answering from a partially extracted document: ${docPath}`);
+  }
+
+  // --- STEP 2: TOKEN BUDGET ---
+
+  // Inject the specific document context into the system instructions: the thread's
+  // prompt template if it has one, else the environment override (prompt tuning without
+  // code changes), else the default prompt. Citation instructions are always kept.
+  const template = thread?.templateId ? getTemplate(userId, thread.templateId) : null;
+  let systemPromptTemplate =
+    template?.content || process.env.AI_SYSTEM_PROMPT || DEFAULT_SYSTEM_PROMPT;
+  if (!usesVariable(systemPromptTemplate, 'CONTEXT')) systemPromptTemplate += CONTEXT_SECTION;
+
+  const variables = templateVariables(userId, docPath);
+  const instructions =
+    renderPromptTemplate(systemPromptTemplate, { ...variables, CONTEXT: '' }) +
+    '\n\n' +
+    CITATION_INSTRUCTIONS;
+
+  // The selected passage is always sent, whatever the retrieval finds
+  const selected = selection
+    ? {
+        id: null,
+        path: docPath,
+        pageStart: selection.page,
+        pageEnd: selection.page,
+        content: selection.text,
+        score: 1
+      }
+    : null;
+
+  const answerLanguage = languageName(thread?.answerLanguage);
+  const languageInstructions = answerLanguage
+    ? ANSWER_LANGUAGE_INSTRUCTIONS.replace('{{LANGUAGE}}', answerLanguage)
+    : '';
+
+  const budget = planPromptBudget(
+    chain,
+    estimateMessageTokens([
+      { content: instructions },
+      { content: userContent },
+      { content: selected ? SELECTION_INSTRUCTIONS : '' },
+      { content: languageInstructions }
+    ]),
+    HISTORY_TOKEN_BUDGET
+  );
+
+  // --- STEP 3: CONVERSATION MEMORY ---
+
+  // Recent messages verbatim, older turns as a rolling summary (condensed by the model
+  // once the history exceeds its token budget).
+  const memory = thread
+    ? await loadConversationMemory(userId, thread, chain, {
+        budget: budget.history,
+        leafId: parentId
+      })
+    : { summary: null, history: [] };
+  const history = memory.history
+    // Citation numbers of past answers refer to past passages: drop them
+    .map((m) => ({ role: m.role, content: m.content.replace(/\[\d+\]/g, '') }));
+
+  const historyTokens = estimateMessageTokens(history) + estimateTokens(memory.summary);
+
+  // --- STEP 3b: USER NOTES (OPT-IN PER THREAD) ---
+
+  // The user's note and snippets on the document (and their notes on the other documents
+  // of the folder), capped to a share of what the history left (none if it left nothing).
+  const notes = loadNotesContext(
+    userId,
+    docPath,
+    thread?.notesContext,
+    Math.max(0, Math.floor((budget.available - historyTokens) * NOTES_SHARE))
+  );
+
+  // --- STEP 4: PASSAGE RETRIEVAL ---
+
+  // Instead of truncating the document, select the chunks most relevant to the question,
+  // within the tokens left once the history and notes are in. Chunks are built at once;
+  // embedding runs in the background and the chunks are ranked lexically until it is done
+  // (a document still being extracted is embedded once complete).
+  // Each passage is labelled [S<n> | Page x] so the model can cite it. A selected passage
+  // is S1 and also steers the retrieval towards its neighbourhood.
+  let safeContext =
+    status?.text_source === 'none'
+      ? 'The document has no readable text (scanned or image-only PDF that OCR could not read).'
+      : 'Content unavailable or empty.';
+  let passages = [];
+
+  if (contextText) {
+    ensureChunks(docPath, contextText);
+    if (!partial && !isDocumentIndexed(docPath, aiConfig)) enqueueIndexing(docPath, aiConfig);
+
+    const query = selected ? `${userContent}\n${selected.content}` : userContent;
+    passages = await retrieveRelevantChunks(docPath, query, aiConfig, {
+      topK: selected ? RETRIEVAL_TOP_K - 1 : RETRIEVAL_TOP_K,
+      // The selected passage is part of the context budget (labelled like the others)
+      maxTokens:
+        budget.available -
+        historyTokens -
+        notes.tokens -
+        (selected ? estimateTokens(`[S1 | ${formatPageRange(selected)}]\n${selected.content}`) : 0)
+    });
+  }
+
+  if (selected) passages = [selected, ...passages];
+
+  if (passages.length > 0) {
+    safeContext = passages
+      .map((p, idx) => `[S${idx + 1} | ${formatPageRange(p)}]\n${p.content}`)
+      .join('\n\n');
+  }
+
+  logBudget(docPath, budget, {
+    history: historyTokens,
+    notes: notes.tokens,
+    context: estimateTokens(safeContext)
+  });
+
+  // --- STEP 5: PROMPT ENGINEERING ---
+
+  let finalSystemPrompt =
+    renderPromptTemplate(systemPromptTemplate, { ...variables, CONTEXT: safeContext }) +
+    '\n\n' +
+    CITATION_INSTRUCTIONS;
+
+  if (selected) finalSystemPrompt += `\n${SELECTION_INSTRUCTIONS}`;
+  if (languageInstructions) finalSystemPrompt += `\n${languageInstructions}`;
+
+  // Labelled apart from the passages: they are the student's words, not the document's
+  if (notes.sections.length > 0) {
+    finalSystemPrompt +=
+      `\n\n${NOTES_INSTRUCTIONS}\n` +
+      notes.sections.map((n) => `[${n.label}]\n${n.content}`).join('\n\n');
+  }
+
+  // Kept in the single system message: some providers only accept one
+  if (memory.summary) {
+    finalSystemPrompt += `\n\nSUMMARY OF THE EARLIER CONVERSATION:\n${memory.summary}`;
+  }
+
+  // Construct the final message payload for the AI Manager
+  const aiMessages = [
+    { role: 'system', content: finalSystemPrompt }, // Instructions + Data
+    ...history, // Past conversation
+    { role: 'user', content: userContent } // Current Question
+  ];
+
+  return { chain, aiMessages, passages };
+}
+
 /**
  * Orchestrates the full RAG workflow: Retrieves document context, builds the prompt,
  * and queries the AI model.
@@ -44,125 +425,252 @@ const DEFAULT_SYSTEM_PROMPT = `You are a helpful and concise educational assista
  * @param {number} userId - The ID of the user making the request.
  * @param {string} docPath - Relative path to the course file (e.g., 'courses/math/algebra.pdf').
  * @param {string} userContent - The specific question asked by the user.
- * @returns {Promise<string>} The generated text response from the AI.
+ * @param {Object} [options]
+ * @param {Object} [options.thread] - The chat thread (see chatThreadService) whose history is used.
+ * @param {number|null} [options.parentId] - Message the question follows (default: end of
+ *   the active branch).
+ * @param {string} [options.model] - Model replacing the primary provider's one (regeneration).
+ * @param {{text: string, page: number}|null} [options.selection] - Passage selected in the reader
+ *   the question is about.
+ * @returns {Promise<{content: string, citations: Array<Object>, chunks: Array<Object>, provider: string|null, model: string|null}>}
+ *   The generated answer, its page-level citations ({ n, path, page, pageStart, pageEnd, quote },
+ *   see utils/citations), the passages of the prompt ({ id, pageStart, pageEnd, score })
+ *   and the provider/model that actually answered.
  * @throws {Error} If the document path is invalid or attempts directory traversal.
+ * @throws {AIChainError} If every provider of the chain failed.
  */
-export async function generateAIResponse(userId, docPath, userContent) {
-  // --- STEP 0: DETERMINE AI CONFIGURATION ---
-  // Strategy:
-  // 1. Check if global environment variables are set (Admin Override).
-  // 2. If not, check user-specific configuration in the database.
-  // 3. If neither, return a setup instruction.
-
-  let aiConfig = {};
-
-  if (process.env.AI_PROVIDER) {
-    // A. Environment Override (Admin/Server Level)
-    aiConfig = {
-      provider: process.env.AI_PROVIDER,
-      model: process.env.AI_MODEL,
-      apiUrl: process.env.AI_API_URL,
-      apiKey: process.env.AI_API_KEY // Optional global key
+export async function generateAIResponse(userId, docPath, userContent, options = {}) {
+  const { chain, aiMessages, passages } = await _prepareDocumentChat(
+    userId,
+    docPath,
+    userContent,
+    options
+  );
+  if (chain.length === 0) {
+    return {
+      content: AI_NOT_CONFIGURED_MESSAGE,
+      citations: [],
+      chunks: [],
+      provider: null,
+      model: null
     };
-  } else {
-    // B. User Preference (Database Level)
-    const userConfig = db
-      .prepare('SELECT provider, model, api_url, api_key FROM user_ai_config WHERE user_id = ?')
-      .get(userId);
-
-    if (userConfig) {
-      aiConfig = {
-        provider: userConfig.provider,
-        model: userConfig.model,
-        apiUrl: userConfig.api_url,
-        apiKey: userConfig.api_key
-      };
-    } else {
-      // C. Missing Configuration
-      return '⚠️ AI is not configured. Please go to Settings to set up your AI provider (Ollama or OpenAI).';
-    }
   }
 
-  // --- STEP 1: CONTEXT RETRIEVAL (CACHE-FIRST STRATEGY) ---
+  // --- STEP 6: AI EXECUTION ---
 
-  let contextText = '';
+  // Delegate the actual API call to the agnostic AI Manager, trying each provider in turn
+  const answer = await askAIWithFallback(aiMessages, chain);
 
-  // 1.1. Check Database Cache
-  const cachedRecord = db.prepare('SELECT content FROM document_cache WHERE path = ?').get(docPath);
+  // --- STEP 7: CITATIONS ---
 
-  if (cachedRecord) {
-    // console.log(`[RAG Service] Cache hit for: ${docPath}`);
-    contextText = cachedRecord.content;
-  } else {
-    console.log(`[RAG Service] Cache miss. Extracting content for: ${docPath}`);
+  // Convert [S<n>] markers into numbered, structured citations (path, page, quoted span)
+  return {
+    ...extractCitations(answer.content, passages, { locatePage: locateQuotePage }),
+    chunks: describePassages(passages),
+    provider: answer.provider,
+    model: answer.model
+  };
+}
+
+/**
+ * Streaming variant of generateAIResponse(): relays text deltas as they are generated.
+ * Deltas contain the raw [S<n>] markers; the returned value holds the final answer
+ * with renumbered markers and structured citations.
+ *
+ * @param {number} userId - The ID of the user making the request.
+ * @param {string} docPath - Relative path to the course file.
+ * @param {string} userContent - The question asked by the user.
+ * @param {Object} [options] - Streaming options.
+ * @param {Object} [options.thread] - The chat thread whose history is used.
+ * @param {number|null} [options.parentId] - Message the question follows.
+ * @param {string} [options.model] - Model replacing the primary provider's one.
+ * @param {{text: string, page: number}|null} [options.selection] - Passage selected in the reader.
+ * @param {Function} [options.onToken] - Called with each text delta.
+ * @param {AbortSignal} [options.signal] - Cancels the generation (client disconnected).
+ * @returns {Promise<{content: string, citations: Array<Object>, chunks: Array<Object>, provider: string|null, model: string|null}>}
+ *   The final answer (the partial answer if the generation was cancelled).
+ * @throws {Error} If the path is invalid.
+ * @throws {AIChainError|AIProviderError} If every provider failed, or one failed mid-answer.
+ */
+export async function streamAIResponse(userId, docPath, userContent, options = {}) {
+  const { chain, aiMessages, passages } = await _prepareDocumentChat(
+    userId,
+    docPath,
+    userContent,
+    options
+  );
 
-    // 1.2. Resolve and Validate Path (Security Critical)
-    const absolutePath = path.resolve(ROOT_DIR, docPath);
-    const coursesRoot = path.join(ROOT_DIR, 'courses');
+  if (chain.length === 0) {
+    options.onToken?.(AI_NOT_CONFIGURED_MESSAGE);
+    return {
+      content: AI_NOT_CONFIGURED_MESSAGE,
+      citations: [],
+      chunks: [],
+      provider: null,
+      model: null
+    };
+  }
 
-    // SECURITY CHECK: Prevent Directory Traversal Attacks
-    // Ensures the resolved path is actually inside the intended 'courses' directory.
-    if (!absolutePath.startsWith(coursesRoot)) {
-      console.error(`[Security Alert] Invalid path access attempt: ${absolutePath}`);
-      throw new Error('Invalid document path: Access Denied.');
-    }
+  const answer = await streamAIWithFallback(aiMessages, chain, options);
 
-    // 1.3. Extract Text from PDF (Heavy Operation)
-    // Uses the utility from pdfHandler.mjs
-    contextText = await extractPdfText(absolutePath);
-
-    // 1.4. Update Cache
-    // Only cache if extraction yielded results to avoid caching empty states.
-    if (contextText) {
-      db.prepare('INSERT OR REPLACE INTO document_cache (path, content) VALUES (?, ?)').run(
-        docPath,
-        contextText
-      );
-    }
+  return {
+    ...extractCitations(answer.content, passages, { locatePage: locateQuotePage }),
+    chunks: describePassages(passages),
+    provider: answer.provider,
+    model: answer.model
+  };
+}
+
+/**
+ * ==============================================================================
+ * III. LIBRARY CHAT (Folder Scope)
+ * ==============================================================================
+ */
+
+/**
+ * Validates a library scope and normalizes it (no trailing slash).
+ *
+ * @param {string} scope - 'courses' or a folder below it (e.g., 'courses/math').
+ * @returns {string|null} The normalized scope, or null if invalid.
+ */
+export function normalizeLibraryScope(scope) {
+  const normalized = String(scope || '')
+    .trim()
+    .replace(/\/+$/, '');
+
+  if (normalized !== 'courses' && !normalized.startsWith('courses/')) return null;
+  if (normalized.split('/').includes('..')) return null;
+
+  return normalized;
+}
+
+/**
+ * Lists the PDF documents inside a library scope.
+ *
+ * @param {string} scope - A normalized scope (see normalizeLibraryScope).
+ * @returns {Array<Object>} File nodes from scanCourses ({ name, path, ... }).
+ */
+export function listLibraryDocuments(scope) {
+  const { flat } = scanCourses(COURSES_ROOT, 'courses');
+
+  return flat.filter((doc) => scope === 'courses' || doc.path.startsWith(scope + '/'));
+}
+
+/**
+ * Orchestrates a RAG answer over every document of a folder.
+ * Only documents already extracted and embedded for the user's model are searched; the
+ * others are queued (extraction or embedding) and reported in the answer so the user
+ * knows the scope is partial.
+ *
+ * @param {number} userId - The ID of the user making the request.
+ * @param {string} scope - A normalized scope (e.g., 'courses/math').
+ * @param {string} userContent - The question asked by the user.
+ * @returns {Promise<{content: string, sources: Array<{path: string, title: string, pages: Array<number>}>, provider: string|null, model: string|null}>}
+ *   The answer, the documents (with pages) it was built from and the provider/model that answered.
+ * @throws {AIChainError} If every provider of the chain failed.
+ */
+export async function generateLibraryResponse(userId, scope, userContent) {
+  // --- STEP 0: DETERMINE AI CONFIGURATION ---
+  const chain = resolveProviderChain(userId);
+  if (chain.length === 0) {
+    return { content: AI_NOT_CONFIGURED_MESSAGE, sources: [], provider: null, model: null };
   }
+  const aiConfig = chain[0];
 
-  // --- STEP 2: CONTEXT PREPARATION ---
+  // --- STEP 1: DOCUMENTS IN SCOPE ---
+  const documents = listLibraryDocuments(scope);
+  const searchable = [];
+  let pendingCount = 0;
 
-  // Truncate context to stay within LLM token limits (Context Window)
-  const safeContext = contextText
-    ? contextText.slice(0, MAX_CONTEXT_CHARS)
-    : 'Content unavailable or empty.';
+  // Cached status only: extraction and embedding run in the background, a document not
+  // ready yet is queued and left out of this answer
+  for (const doc of documents) {
+    if (getExtractionStatus(doc.path)?.status !== 'complete') {
+      pendingCount += 1;
+      try {
+        enqueueExtraction(doc.path);
+      } catch (error) {
+        console.warn(`[RAG Service] Extraction not queued for ${doc.path}: ${error.message}`);
+      }
+    } else if (isDocumentIndexed(doc.path, aiConfig)) {
+      searchable.push(doc.path);
+    } else {
+      pendingCount += 1;
+      enqueueIndexing(doc.path, aiConfig);
+    }
+  }
 
-  // --- STEP 3: CONVERSATION HISTORY (SHORT-TERM MEMORY) ---
+  // --- STEP 2: TOKEN BUDGET & CONVERSATION HISTORY ---
+  const budget = planPromptBudget(
+    chain,
+    estimateMessageTokens([{ content: LIBRARY_SYSTEM_PROMPT }, { content: userContent }]),
+    HISTORY_TOKEN_BUDGET
+  );
 
-  // Fetch the last N messages to allow the AI to understand follow-up questions.
-  // We reverse the result because SQL 'DESC' gives newest first, but LLMs need chronological order.
   const history = db
     .prepare(
       `
         SELECT role, content 
-        FROM chat_messages 
-        WHERE user_id = ? AND path = ? 
-        ORDER BY created_at DESC 
+        FROM library_chat_messages 
+        WHERE user_id = ? AND scope = ? 
+        ORDER BY created_at DESC, id DESC 
         LIMIT ?
     `
     )
-    .all(userId, docPath, HISTORY_LIMIT)
+    .all(userId, scope, HISTORY_LIMIT)
     .reverse();
 
-  // --- STEP 4: PROMPT ENGINEERING ---
+  // Oldest messages go first when the history does not fit its budget
+  while (history.length > 0 && estimateMessageTokens(history) > budget.history) {
+    history.shift();
+  }
+  const historyTokens = estimateMessageTokens(history);
 
-  // Inject the specific document context into the system instructions.
-  // Allows environment variable override for prompt tuning without code changes.
-  const systemPromptTemplate = process.env.AI_SYSTEM_PROMPT || DEFAULT_SYSTEM_PROMPT;
-  const finalSystemPrompt = systemPromptTemplate.replace('{{CONTEXT}}', safeContext);
+  // --- STEP 3: PASSAGE RETRIEVAL (ACROSS DOCUMENTS) ---
+  const passages = await retrieveAcrossDocuments(searchable, userContent, aiConfig, {
+    topK: LIBRARY_TOP_K,
+    maxTokens: budget.available - historyTokens
+  });
 
-  // Construct the final message payload for the AI Manager
+  const safeContext =
+    passages.length > 0
+      ? passages
+          .map((p) => `[Document: ${documentTitle(p.path)} | ${formatPageRange(p)}]\n${p.content}`)
+          .join('\n\n')
+      : 'No relevant passage found in this library.';
+
+  logBudget(scope, budget, { history: historyTokens, context: estimateTokens(safeContext) });
+
+  // --- STEP 4: PROMPT ENGINEERING & EXECUTION ---
   const aiMessages = [
-    { role: 'system', content: finalSystemPrompt }, // Instructions + Data
-    ...history, // Past conversation
-    { role: 'user', content: userContent } // Current Question
+    { role: 'system', content: LIBRARY_SYSTEM_PROMPT.replace('{{CONTEXT}}', safeContext) },
+    ...history,
+    { role: 'user', content: userContent }
   ];
 
-  // --- STEP 5: AI EXECUTION ---
+  const answer = await askAIWithFallback(aiMessages, chain);
+  let content = answer.content;
+
+  if (pendingCount > 0) {
+    content += `\n\n(${pendingCount} document(s) in this folder are still being processed and were not searched.)`;
+  }
+
+  // --- STEP 5: ATTRIBUTION ---
+  // One entry per document, listing every page the injected passages came from.
+  const sourcesByPath = new Map();
+  for (const p of passages) {
+    if (!sourcesByPath.has(p.path)) {
+      sourcesByPath.set(p.path, { path: p.path, title: documentTitle(p.path), pages: new Set() });
+    }
+    for (let page = p.pageStart; page <= p.pageEnd; page++) {
+      sourcesByPath.get(p.path).pages.add(page);
+    }
+  }
 
-  // Delegate the actual API call to the agnostic AI Manager, passing the resolved config
-  const aiResponseText = await askAI(aiMessages, aiConfig);
+  const sources = [...sourcesByPath.values()].map((source) => ({
+    ...source,
+    pages: [...source.pages].sort((a, b) => a - b)
+  }));
 
-  return aiResponseText;
+  return { content, sources, provider: answer.provider, model: answer.model };
 }
@@ -0,0 +1,181 @@
+/**
+ * ==============================================================================
+ * SERVICE: CONVERSATION MEMORY (ROLLING SUMMARIES)
+ * ==============================================================================
+ * @fileoverview Keeps long document chats coherent without replaying them in full.
+ *
+ * @architecture
+ * - Recent messages are replayed verbatim, within a token budget (CHAT_HISTORY_TOKENS,
+ *   lowered by the prompt builder for models with a small context window).
+ * - When the messages not yet summarized exceed that budget, the oldest ones are
+ *   condensed by the model, together with the previous summary, into a single
+ *   summary stored per chat thread in 'chat_summaries'.
+ * - 'covered_until' is the ID of the last message folded into the summary: later
+ *   messages are the verbatim part of the memory. Only the branch being answered
+ *   counts (see chatThreadService): a summary covering a message outside of it
+ *   is ignored, and replaced if the branch needs one.
+ * - Summarization failures never block a chat: the oldest messages are then
+ *   simply dropped from the prompt, and summarization is retried on the next turn.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js
+ * @dependencies database, aiManager, tokenBudget, conversationMemory, chatThreadService
+ * ==============================================================================
+ */
+
+// --- 1. MODULE IMPORTS ---
+import db from '../config/database.mjs';
+import { askAIWithFallback } from '../utils/aiManager.mjs';
+import { estimateMessageTokens } from '../utils/tokenBudget.mjs';
+import { resumeFromSummary, splitByBudget } from '../utils/conversationMemory.mjs';
+import { getBranch } from './chatThreadService.mjs';
+
+// --- 2. CONFIGURATION CONSTANTS ---
+
+// Token budget of the verbatim history; above it, older turns are summarized
+export const HISTORY_TOKEN_BUDGET = Number(process.env.CHAT_HISTORY_TOKENS) || 2000;
+
+// After summarizing, the verbatim history is brought back under this share of the budget,
+// so a summary is not regenerated on every single turn
+const RECENT_SHARE = 0.5;
+
+const SUMMARY_PROMPT = `You maintain the memory of a study conversation between a student and an assistant about a course document. Merge the previous summary (if any) and the new messages into one concise summary, in the language of the conversation. Keep what later questions may rely on: topics covered, definitions and explanations given, the student's goals, difficulties and preferences, and open questions. Do not add information that is not in the conversation. Reply with the summary only, at most 250 words.`;
+
+/**
+ * ==============================================================================
+ * I. HELPERS
+ * ==============================================================================
+ */
+
+/**
+ * Condenses messages into a new summary with the model.
+ *
+ * @param {string|null} previous - The current summary.
+ * @param {Array<{role: string, content: string}>} messages - Messages to fold in.
+ * @param {Array<Object>} chain - Provider chain (primary first).
+ * @returns {Promise<{content: string, provider: string, model: string}>}
+ * @throws {AIChainError} If every provider failed.
+ * @private
+ */
+async function _summarize(previous, messages, chain) {
+  const transcript = messages
+    .map((m) => `${m.role === 'user' ? 'Student' : 'Assistant'}: ${m.content}`)
+    .join('\n\n');
+
+  const answer = await askAIWithFallback(
+    [
+      { role: 'system', content: SUMMARY_PROMPT },
+      {
+        role: 'user',
+        content: `PREVIOUS SUMMARY:\n${previous || '(none)'}\n\nNEW MESSAGES:\n${transcript}`
+      }
+    ],
+    chain
+  );
+
+  return { ...answer, content: answer.content.trim() };
+}
+
+/**
+ * ==============================================================================
+ * II. PUBLIC API
+ * ==============================================================================
+ */
+
+/**
+ * Returns the stored summary of a chat thread.
+ *
+ * @param {number} threadId - The thread ID.
+ * @returns {{content: string, covered_until: number, message_count: number, provider: string|null, model: string|null, updated_at: string}|null}
+ */
+export function getChatSummary(threadId) {
+  return (
+    db
+      .prepare(
+        `
+          SELECT content, covered_until, message_count, provider, model, updated_at
+          FROM chat_summaries
+          WHERE thread_id = ?
+      `
+      )
+      .get(threadId) || null
+  );
+}
+
+/**
+ * Deletes the summary of a chat thread. The next question rebuilds it from the
+ * stored messages.
+ *
+ * @param {number} threadId - The thread ID.
+ * @returns {boolean} True if a summary existed.
+ */
+export function deleteChatSummary(threadId) {
+  return db.prepare('DELETE FROM chat_summaries WHERE thread_id = ?').run(threadId).changes > 0;
+}
+
+/**
+ * Builds the conversation memory injected in a document prompt, summarizing
+ * older turns first when the verbatim history exceeds its token budget.
+ *
+ * @param {number} userId - The user ID.
+ * @param {{id: number, path: string, leafId: number|null}} thread - The chat thread.
+ * @param {Array<Object>} chain - Provider chain used for summarization.
+ * @param {Object} [options]
+ * @param {number} [options.budget=HISTORY_TOKEN_BUDGET] - Token budget of the verbatim history.
+ * @param {number|null} [options.leafId=thread.leafId] - Last message of the branch to
+ *   remember (e.g. the previous question's parent when an edited question is answered).
+ * @returns {Promise<{summary: string|null, history: Array<{role: string, content: string}>}>}
+ *   The summary of earlier turns and the recent messages (chronological).
+ */
+export async function loadConversationMemory(userId, thread, chain, options = {}) {
+  const budget = options.budget ?? HISTORY_TOKEN_BUDGET;
+  const branch = getBranch(
+    thread.id,
+    options.leafId !== undefined ? options.leafId : thread.leafId
+  );
+
+  // The stored summary only applies if it covers the start of this branch
+  const { previous, messages } = resumeFromSummary(branch, getChatSummary(thread.id));
+
+  if (estimateMessageTokens(messages) <= budget) {
+    return { summary: previous?.content || null, history: messages };
+  }
+
+  const { older, recent } = splitByBudget(messages, budget * RECENT_SHARE);
+  if (older.length === 0) {
+    return { summary: previous?.content || null, history: recent };
+  }
+
+  try {
+    const summary = await _summarize(previous?.content, older, chain);
+
+    db.prepare(
+      `
+        INSERT INTO chat_summaries (thread_id, user_id, path, content, covered_until, message_count, provider, model, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(thread_id) DO UPDATE SET
+            content = excluded.content,
+            covered_until = excluded.covered_until,
+            message_count = excluded.message_count,
+            provider = excluded.provider,
+            model = excluded.model,
+            updated_at = CURRENT_TIMESTAMP
+    `
+    ).run(
+      thread.id,
+      userId,
+      thread.path,
+      summary.content,
+      older[older.length - 1].id,
+      (previous?.message_count || 0) + older.length,
+      summary.provider,
+      summary.model
+    );
+
+    return { summary: summary.content, history: recent };
+  } catch (error) {
+    // The answer matters more than the memory: drop the oldest turns this time
+    console.warn(`[Chat Memory] Summarization failed for thread ${thread.id}: ${error.message}`);
+    return { summary: previous?.content || null, history: recent };
+  }
+}
@@ -0,0 +1,384 @@
+/**
+ * ==============================================================================
+ * SERVICE: CHAT THREADS
+ * ==============================================================================
+ * @fileoverview Named conversations of a user about a document.
+ *
+ * A user may keep several threads per document (e.g. "exam prep" and
+ * "clarifying chapter 3"), each with its own messages and summary.
+ * Archived threads are hidden from the default list but remain readable. A
+ * thread may answer with a prompt template instead of the default system
+ * prompt (see promptTemplateService), and opt in to the user's own notes and
+ * snippets as extra context (see notesContextService). A thread may also ask for
+ * answers in a given language, whatever the language of the document.
+ * Requests that do not name a thread use the most recently active one (created
+ * on first use), which keeps single-conversation API clients working.
+ *
+ * Messages of a thread form a tree: each message points to the previous one
+ * ('parent_id'). Regenerating an answer adds a sibling answer to the same
+ * question; editing a question adds a sibling question, which forks a new branch.
+ * The thread's 'leaf_id' selects the branch that is displayed and replayed to the model.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js
+ * @dependencies database
+ * ==============================================================================
+ */
+
+// --- 1. MODULE IMPORTS ---
+import db from '../config/database.mjs';
+
+// --- 2. CONFIGURATION CONSTANTS ---
+export const MAX_THREAD_TITLE_LENGTH = 100;
+
+// Length of the title derived from the first question of an untitled thread
+const AUTO_TITLE_LENGTH = 60;
+
+// Columns selected for a thread (alias 't'), with its message count
+const THREAD_COLUMNS = `
+  t.id, t.path, t.title, t.archived, t.leaf_id, t.template_id, t.notes_context,
+  t.answer_language,
+  t.created_at, t.updated_at,
+  (SELECT COUNT(*) FROM chat_messages m WHERE m.thread_id = t.id) AS message_count
+`;
+
+/**
+ * ==============================================================================
+ * I. HELPERS
+ * ==============================================================================
+ */
+
+/**
+ * Formats a thread row for API responses.
+ *
+ * @param {Object} row - A 'chat_threads' row (with 'message_count').
+ * @returns {{id: number, path: string, title: string|null, archived: boolean, leafId: number|null, templateId: number|null, notesContext: string, answerLanguage: string|null, messageCount: number, createdAt: string, updatedAt: string}}
+ */
+export function formatThread(row) {
+  return {
+    id: row.id,
+    path: row.path,
+    title: row.title,
+    archived: Boolean(row.archived),
+    leafId: row.leaf_id ?? null,
+    templateId: row.template_id ?? null,
+    notesContext: row.notes_context || 'none',
+    answerLanguage: row.answer_language ?? null,
+    messageCount: row.message_count ?? 0,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Normalizes a thread title.
+ *
+ * @param {*} title - The submitted title.
+ * @returns {string|null} The trimmed title (null if empty).
+ * @throws {Error} If the title is too long.
+ */
+export function normalizeThreadTitle(title) {
+  const value = String(title ?? '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (value.length > MAX_THREAD_TITLE_LENGTH) {
+    throw new Error(`Thread title must be at most ${MAX_THREAD_TITLE_LENGTH} characters.`);
+  }
+  return value || null;
+}
+
+/**
+ * ==============================================================================
+ * II. PUBLIC API
+ * ==============================================================================
+ */
+
+/**
+ * Lists the threads of a user about a document, most recently active first.
+ *
+ * @param {number} userId - The user ID.
+ * @param {string} docPath - The document path.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchived=false] - Include archived threads.
+ * @returns {Array<Object>} Threads (see formatThread).
+ */
+export function listThreads(userId, docPath, { includeArchived = false } = {}) {
+  return db
+    .prepare(
+      `
+        SELECT ${THREAD_COLUMNS}
+        FROM chat_threads t
+        WHERE t.user_id = ? AND t.path = ? ${includeArchived ? '' : 'AND t.archived = 0'}
+        ORDER BY t.updated_at DESC, t.id DESC
+    `
+    )
+    .all(userId, docPath)
+    .map(formatThread);
+}
+
+/**
+ * Returns a thread of a user.
+ *
+ * @param {number} userId - The user ID.
+ * @param {number} threadId - The thread ID.
+ * @returns {Object|null} The thread (see formatThread), or null if not found or not owned.
+ */
+export function getThread(userId, threadId) {
+  const row = db
+    .prepare(`SELECT ${THREAD_COLUMNS} FROM chat_threads t WHERE t.id = ? AND t.user_id = ?`)
+    .get(Number(threadId), userId);
+  return row ? formatThread(row) : null;
+}
+
+/**
+ * Creates a thread.
+ *
+ * @param {number} userId - The user ID.
+ * @param {string} docPath - The document path.
+ * @param {Object} [options]
+ * @param {string|null} [options.title] - The title (named after the first question when empty).
+ * @param {number|null} [options.templateId] - Prompt template (checked by the caller).
+ * @param {string} [options.notesContext='none'] - Notes added to prompts (checked by the caller).
+ * @param {string|null} [options.answerLanguage] - Language of the answers (checked by the caller).
+ * @returns {Object} The thread (see formatThread).
+ * @throws {Error} If the title is too long.
+ */
+export function createThread(
+  userId,
+  docPath,
+  { title = null, templateId = null, notesContext = 'none', answerLanguage = null } = {}
+) {
+  const { lastInsertRowid } = db
+    .prepare(
+      `
+        INSERT INTO chat_threads (user_id, path, title, template_id, notes_context, answer_language)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `
+    )
+    .run(userId, docPath, normalizeThreadTitle(title), templateId, notesContext, answerLanguage);
+  return getThread(userId, lastInsertRowid);
+}
+
+/**
+ * Updates the title, archived state, prompt template, notes scope and/or answer language
+ * of a thread.
+ *
+ * @param {number} userId - The user ID.
+ * @param {number} threadId - The thread ID.
+ * @param {{title?: string, archived?: boolean, templateId?: number|null, notesContext?: string, answerLanguage?: string|null}} changes
+ *   Fields to change (template, notes scope and language are checked by the caller; a null
+ *   template restores the default prompt, a null language answers in the question's).
+ * @returns {Object|null} The updated thread, or null if not found.
+ * @throws {Error} If the title is too long.
+ */
+export function updateThread(
+  userId,
+  threadId,
+  { title, archived, templateId, notesContext, answerLanguage }
+) {
+  const thread = getThread(userId, threadId);
+  if (!thread) return null;
+
+  const nextTitle = title !== undefined ? normalizeThreadTitle(title) : thread.title;
+  const nextArchived = archived !== undefined ? Boolean(archived) : thread.archived;
+  const nextTemplateId = templateId !== undefined ? templateId : thread.templateId;
+  const nextNotesContext = notesContext !== undefined ? notesContext : thread.notesContext;
+  const nextLanguage = answerLanguage !== undefined ? answerLanguage : thread.answerLanguage;
+
+  db.prepare(
+    `
+      UPDATE chat_threads SET title = ?, archived = ?, template_id = ?, notes_context = ?,
+          answer_language = ?
+      WHERE id = ?
+  `
+  ).run(nextTitle, nextArchived ? 1 : 0, nextTemplateId, nextNotesContext, nextLanguage, thread.id);
+  return getThread(userId, thread.id);
+}
+
+/**
+ * Deletes a thread with its messages and summary.
+ *
+ * @param {number} userId - The user ID.
+ * @param {number} threadId - The thread ID.
+ * @returns {boolean} True if the thread existed.
+ */
+export function deleteThread(userId, threadId) {
+  const thread = getThread(userId, threadId);
+  if (!thread) return false;
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM chat_summaries WHERE thread_id = ?').run(thread.id);
+    db.prepare('DELETE FROM chat_messages WHERE thread_id = ?').run(thread.id);
+    db.prepare('DELETE FROM chat_threads WHERE id = ?').run(thread.id);
+  })();
+  return true;
+}
+
+/**
+ * Describes a thread that is not stored yet ('id' null): the first question of a
+ * document is answered in it, and the thread is created with the answer.
+ *
+ * @param {string} docPath - The document path.
+ * @returns {Object} The thread (same shape as formatThread).
+ */
+export function draftThread(docPath) {
+  return formatThread({ id: null, path: docPath, title: null, created_at: null, updated_at: null });
+}
+
+/**
+ * Resolves the thread a chat request applies to.
+ * Without an ID, the most recently active unarchived thread is used; a draft thread
+ * (see draftThread) is returned when 'draft' is set and none exists.
+ *
+ * @param {number} userId - The user ID.
+ * @param {string} docPath - The document path.
+ * @param {number|string|null} threadId - The requested thread ID (optional).
+ * @param {Object} [options]
+ * @param {boolean} [options.draft=false] - Return a draft thread when none exists.
+ * @returns {Object|null} The thread, or null (unknown ID, other document, or none yet).
+ */
+export function resolveThread(userId, docPath, threadId, { draft = false } = {}) {
+  if (threadId != null && threadId !== '') {
+    const thread = getThread(userId, threadId);
+    return thread && thread.path === docPath ? thread : null;
+  }
+
+  const [latest] = listThreads(userId, docPath);
+  if (latest) return latest;
+  return draft ? draftThread(docPath) : null;
+}
+
+/**
+ * Marks a thread as active after a new exchange, selects the branch ending with
+ * it, and names the thread after its first question when it has no title yet.
+ *
+ * @param {number} threadId - The thread ID.
+ * @param {string} question - The question just asked.
+ * @param {number} leafId - The ID of the answer just stored.
+ */
+export function touchThread(threadId, question, leafId) {
+  const excerpt = String(question).replace(/\s+/g, ' ').trim();
+  const autoTitle =
+    excerpt.length > AUTO_TITLE_LENGTH ? `${excerpt.slice(0, AUTO_TITLE_LENGTH - 1)}…` : excerpt;
+
+  db.prepare(
+    `
+      UPDATE chat_threads
+      SET title = COALESCE(title, ?), leaf_id = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+  `
+  ).run(autoTitle || null, leafId, threadId);
+}
+
+/**
+ * Deletes every message of a thread and its summary; the thread itself is kept.
+ *
+ * @param {number} threadId - The thread ID.
+ * @returns {number} The number of deleted messages.
+ */
+export function clearThread(threadId) {
+  return db.transaction(() => {
+    db.prepare('DELETE FROM chat_summaries WHERE thread_id = ?').run(threadId);
+    db.prepare('UPDATE chat_threads SET leaf_id = NULL WHERE id = ?').run(threadId);
+    return db.prepare('DELETE FROM chat_messages WHERE thread_id = ?').run(threadId).changes;
+  })();
+}
+
+/**
+ * ==============================================================================
+ * III. BRANCHES
+ * ==============================================================================
+ */
+
+/**
+ * Returns a message of a thread.
+ *
+ * @param {number} threadId - The thread ID.
+ * @param {number} messageId - The message ID.
+ * @returns {Object|null} The 'chat_messages' row, or null if it belongs to another thread.
+ */
+export function getThreadMessage(threadId, messageId) {
+  return (
+    db
+      .prepare('SELECT * FROM chat_messages WHERE id = ? AND thread_id = ?')
+      .get(Number(messageId), threadId) || null
+  );
+}
+
+/**
+ * Returns the branch ending with a message: the message and its ancestors.
+ *
+ * @param {number} threadId - The thread ID.
+ * @param {number|null} leafId - The last message of the branch (null: empty branch).
+ * @returns {Array<Object>} 'chat_messages' rows, chronological.
+ */
+export function getBranch(threadId, leafId) {
+  if (leafId == null) return [];
+
+  return db
+    .prepare(
+      `
+        WITH RECURSIVE branch(id, depth) AS (
+            SELECT id, 0 FROM chat_messages WHERE id = ? AND thread_id = ?
+            UNION ALL
+            SELECT m.parent_id, b.depth + 1
+            FROM chat_messages m JOIN branch b ON m.id = b.id
+            WHERE m.parent_id IS NOT NULL
+        )
+        SELECT m.* FROM branch b JOIN chat_messages m ON m.id = b.id
+        ORDER BY b.depth DESC
+    `
+    )
+    .all(leafId, threadId);
+}
+
+/**
+ * Returns the displayed branch of a thread, each message with the IDs of its
+ * alternatives (same previous message and role, itself included, oldest first).
+ *
+ * @param {{id: number, leafId: number|null}} thread - The thread.
+ * @returns {Array<Object>} 'chat_messages' rows with 'siblings', chronological.
+ */
+export function getActiveBranch(thread) {
+  const branch = getBranch(thread.id, thread.leafId);
+  if (branch.length === 0) return branch;
+
+  const siblings = new Map();
+  const rows = db
+    .prepare('SELECT id, parent_id, role FROM chat_messages WHERE thread_id = ? ORDER BY id ASC')
+    .all(thread.id);
+  for (const row of rows) {
+    const key = `${row.parent_id}:${row.role}`;
+    if (!siblings.has(key)) siblings.set(key, []);
+    siblings.get(key).push(row.id);
+  }
+
+  return branch.map((m) => ({ ...m, siblings: siblings.get(`${m.parent_id}:${m.role}`) }));
+}
+
+/**
+ * Displays the branch going through a message: the message's most recent
+ * descendant becomes the thread's leaf.
+ *
+ * @param {number} threadId - The thread ID.
+ * @param {number} messageId - A message of the thread (e.g. an alternative answer).
+ * @returns {number|null} The new leaf ID, or null if the message is not in the thread.
+ */
+export function selectBranch(threadId, messageId) {
+  const { leaf } = db
+    .prepare(
+      `
+        WITH RECURSIVE subtree(id) AS (
+            SELECT id FROM chat_messages WHERE id = ? AND thread_id = ?
+            UNION ALL
+            SELECT m.id FROM chat_messages m JOIN subtree s ON m.parent_id = s.id
+        )
+        SELECT MAX(id) AS leaf FROM subtree
+    `
+    )
+    .get(Number(messageId), threadId);
+  if (leaf == null) return null;
+
+  db.prepare('UPDATE chat_threads SET leaf_id = ? WHERE id = ?').run(leaf, threadId);
+  return leaf;
+}
@@ -0,0 +1,179 @@
+/**
+ * ==============================================================================
+ * SERVICE: MODEL CONTEXT WINDOWS
+ * ==============================================================================
+ * @fileoverview Context window sizes per model, used to budget prompts.
+ *
+ * Lookup order: admin entries ('model_context_windows'), then the built-in table
+ * (see utils/tokenBudget), then AI_CONTEXT_WINDOW / 8192 tokens. Entries are
+ * exact model names, or 'prefix*' patterns matching a family of models.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js
+ * @dependencies database, tokenBudget, aiManager
+ * ==============================================================================
+ */
+
+// --- 1. MODULE IMPORTS ---
+import db from '../config/database.mjs';
+import {
+  BUILTIN_CONTEXT_WINDOWS,
+  DEFAULT_CONTEXT_WINDOW,
+  findContextWindow,
+  reserveAnswerTokens
+} from '../utils/tokenBudget.mjs';
+import { getEffectiveModel } from '../utils/aiManager.mjs';
+
+// --- 2. CONFIGURATION CONSTANTS ---
+const MIN_CONTEXT_TOKENS = 1024;
+const MAX_CONTEXT_TOKENS = 10_000_000;
+
+/**
+ * ==============================================================================
+ * I. ADMIN ENTRIES
+ * ==============================================================================
+ */
+
+/**
+ * Lists the context windows defined by admins.
+ *
+ * @returns {Array<{model: string, contextTokens: number, maxOutputTokens: number|null, updatedAt: string}>}
+ */
+export function listContextWindows() {
+  return db
+    .prepare(
+      `
+        SELECT model, context_tokens, max_output_tokens, updated_at
+        FROM model_context_windows
+        ORDER BY model ASC
+    `
+    )
+    .all()
+    .map((row) => ({
+      model: row.model,
+      contextTokens: row.context_tokens,
+      maxOutputTokens: row.max_output_tokens,
+      updatedAt: row.updated_at
+    }));
+}
+
+/**
+ * Validates a context window entry.
+ *
+ * @param {*} entry - The submitted entry ({ model, contextTokens, maxOutputTokens }).
+ * @returns {string|null} An error message, or null if valid.
+ */
+export function validateContextWindow(entry) {
+  const model = String(entry?.model || '').trim();
+  const name = model.endsWith('*') ? model.slice(0, -1) : model;
+  if (!name || name.includes('*') || model.length > 200) {
+    return 'model must be a model name, or a prefix ending with * (e.g. "gpt-4o*").';
+  }
+
+  const { contextTokens, maxOutputTokens } = entry;
+  if (
+    !Number.isInteger(contextTokens) ||
+    contextTokens < MIN_CONTEXT_TOKENS ||
+    contextTokens > MAX_CONTEXT_TOKENS
+  ) {
+    return `contextTokens must be an integer between ${MIN_CONTEXT_TOKENS} and ${MAX_CONTEXT_TOKENS}.`;
+  }
+
+  if (
+    maxOutputTokens != null &&
+    (!Number.isInteger(maxOutputTokens) || maxOutputTokens < 1 || maxOutputTokens >= contextTokens)
+  ) {
+    return 'maxOutputTokens must be a positive integer below contextTokens (or null).';
+  }
+
+  return null;
+}
+
+/**
+ * Creates or replaces the context window of a model (validate first).
+ *
+ * @param {{model: string, contextTokens: number, maxOutputTokens?: number|null}} entry
+ */
+export function saveContextWindow({ model, contextTokens, maxOutputTokens }) {
+  db.prepare(
+    `
+      INSERT INTO model_context_windows (model, context_tokens, max_output_tokens, updated_at)
+      VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(model) DO UPDATE SET
+          context_tokens = excluded.context_tokens,
+          max_output_tokens = excluded.max_output_tokens,
+          updated_at = CURRENT_TIMESTAMP
+  `
+  ).run(String(model).trim(), contextTokens, maxOutputTokens ?? null);
+}
+
+/**
+ * Deletes the admin entry of a model (the built-in value applies again).
+ *
+ * @param {string} model - The model name or pattern.
+ * @returns {boolean} True if an entry was deleted.
+ */
+export function deleteContextWindow(model) {
+  return db.prepare('DELETE FROM model_context_windows WHERE model = ?').run(model).changes > 0;
+}
+
+/**
+ * ==============================================================================
+ * II. RESOLUTION
+ * ==============================================================================
+ */
+
+/**
+ * Returns the context window of a model.
+ *
+ * @param {string|null} model - The model name.
+ * @returns {{model: string|null, contextTokens: number, maxOutputTokens: number|null, source: 'admin'|'builtin'|'default', pattern: string|null}}
+ */
+export function resolveContextWindow(model) {
+  const admin = findContextWindow(model, listContextWindows());
+  if (admin) return { ...admin, model, source: 'admin', pattern: admin.model };
+
+  const builtin = findContextWindow(model, BUILTIN_CONTEXT_WINDOWS);
+  if (builtin) return { ...builtin, model, source: 'builtin', pattern: builtin.model };
+
+  return {
+    model,
+    contextTokens: DEFAULT_CONTEXT_WINDOW,
+    maxOutputTokens: null,
+    source: 'default',
+    pattern: null
+  };
+}
+
+/**
+ * Returns the smallest context window of a provider chain: prompts sized for it can
+ * be sent to any fallback of the chain.
+ *
+ * @param {Array<Object>} chain - The provider chain (primary first, not empty).
+ * @returns {Object} The window (see resolveContextWindow).
+ */
+export function resolveChainWindow(chain) {
+  return chain
+    .map((config) => resolveContextWindow(getEffectiveModel(config)))
+    .reduce((smallest, w) => (w.contextTokens < smallest.contextTokens ? w : smallest));
+}
+
+/**
+ * Gives every configuration of a provider chain the limits its prompts are sized for:
+ * 'contextTokens' (the chain window) and 'answerTokens' (the tokens reserved for the
+ * answer). Adapters forward them where the provider's own defaults are smaller
+ * (Ollama's context window, Anthropic's output limit).
+ *
+ * @param {Array<Object>} chain - The provider chain (primary first).
+ * @returns {Array<Object>} Copies of the configurations, with their limits.
+ */
+export function applyChainWindow(chain) {
+  if (chain.length === 0) return chain;
+
+  const window = resolveChainWindow(chain);
+  const limits = {
+    contextTokens: window.contextTokens,
+    answerTokens: reserveAnswerTokens(window.contextTokens, window.maxOutputTokens)
+  };
+  return chain.map((config) => ({ ...config, ...limits }));
+}
@@ -0,0 +1,453 @@
+/**
+ * ==============================================================================
+ * SERVICE: EMBEDDING INDEX (Chunk Storage & Semantic Retrieval)
+ * ==============================================================================
+ * @fileoverview Maintains the per-document chunk index used by the RAG pipeline.
+ * It handles:
+ * 1. Chunking cached document text into page-aware slices.
+ * 2. Embedding chunks through the configured provider and storing the vectors
+ *    (background queue: one document embedded at a time, after its extraction).
+ * 3. Ranking chunks against a question (cosine similarity, lexical fallback).
+ *
+ * @author Sacha Pastor
+ * @environment Node.js
+ * @dependencies database, aiManager, textChunker, tokenBudget, jobQueue
+ * ==============================================================================
+ */
+
+// --- 1. MODULE IMPORTS ---
+import db from '../config/database.mjs';
+import { embedTexts, getEmbeddingModel } from '../utils/aiManager.mjs';
+import { splitIntoPages, chunkPages } from '../utils/textChunker.mjs';
+import { estimateTokens } from '../utils/tokenBudget.mjs';
+import { createSerialQueue } from '../utils/jobQueue.mjs';
+
+// --- 2. CONFIGURATION CONSTANTS ---
+
+// Number of chunks sent to the embedding provider per request.
+const EMBEDDING_BATCH_SIZE = 16;
+
+// Default number of chunks injected into the prompt.
+const DEFAULT_TOP_K = 8;
+
+// Estimated cost of the label prefixed to each injected passage ('[S1 | Pages 3-4]').
+const PASSAGE_LABEL_TOKENS = 12;
+
+// Delay before retrying a model whose embedding calls failed (avoids hammering a down provider).
+const EMBEDDING_RETRY_COOLDOWN_MS = 5 * 60_000;
+
+// In-flight indexing jobs, keyed by 'path|model', so concurrent chat requests share the work.
+const pendingIndexJobs = new Map();
+
+// Last failure timestamp per embedding model key.
+const failedModels = new Map();
+
+// Background indexing jobs, keyed by 'path|model' (one document embedded at a time).
+const indexJobs = createSerialQueue();
+
+/**
+ * ==============================================================================
+ * I. HELPER FUNCTIONS
+ * ==============================================================================
+ */
+
+/**
+ * Builds the storage key identifying an embedding space ('provider:model').
+ * Vectors from different models are not comparable and are stored separately.
+ *
+ * @param {Object} aiConfig - The resolved AI configuration.
+ * @returns {string} The embedding model key.
+ */
+function embeddingKey(aiConfig) {
+  return `${aiConfig.provider || 'ollama'}:${getEmbeddingModel(aiConfig)}`;
+}
+
+/**
+ * Tells whether a model failed to embed recently (its calls are not retried yet).
+ */
+function inCooldown(model) {
+  const lastFailure = failedModels.get(model);
+  return Boolean(lastFailure && Date.now() - lastFailure < EMBEDDING_RETRY_COOLDOWN_MS);
+}
+
+/**
+ * Serializes a numeric vector into a compact Float32 buffer for SQLite.
+ */
+function toBlob(vector) {
+  return Buffer.from(new Float32Array(vector).buffer);
+}
+
+/**
+ * Deserializes a Float32 buffer read from SQLite.
+ */
+function fromBlob(blob) {
+  return new Float32Array(blob.buffer, blob.byteOffset, blob.byteLength / 4);
+}
+
+/**
+ * Cosine similarity between two vectors of equal length.
+ */
+function cosineSimilarity(a, b) {
+  if (a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+/**
+ * Lowercases and splits text into searchable terms (accents stripped, short words dropped).
+ */
+function tokenize(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length > 2);
+}
+
+/**
+ * Lexical fallback ranking (TF-IDF flavoured term overlap).
+ * Used when embeddings are unavailable (provider down, model not pulled, etc.).
+ *
+ * @param {Array<Object>} chunks - Chunk rows { id, content }.
+ * @param {string} query - The user question.
+ * @returns {Array<number>} A score per chunk, same order as input.
+ */
+function lexicalScores(chunks, query) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) return chunks.map(() => 0);
+
+  const chunkTerms = chunks.map((c) => tokenize(c.content));
+
+  // Document frequency of each query term across chunks
+  const df = new Map(
+    queryTerms.map((term) => [term, chunkTerms.filter((terms) => terms.includes(term)).length])
+  );
+
+  return chunkTerms.map((terms) => {
+    if (terms.length === 0) return 0;
+    let score = 0;
+    for (const term of queryTerms) {
+      const tf = terms.filter((t) => t === term).length;
+      if (tf === 0) continue;
+      const idf = Math.log(1 + chunks.length / df.get(term));
+      score += (tf / terms.length) * idf;
+    }
+    return score;
+  });
+}
+
+/**
+ * ==============================================================================
+ * II. INDEXING
+ * ==============================================================================
+ */
+
+/**
+ * (Re)builds the chunk rows of a document from its extracted text.
+ * Existing chunks and their embeddings are replaced.
+ *
+ * @param {string} docPath - Relative document path (e.g., 'courses/math/algebra.pdf').
+ * @param {string} text - Extracted text with `--- PAGE n ---` markers.
+ * @returns {number} The number of chunks written.
+ */
+export function rebuildChunks(docPath, text) {
+  const chunks = chunkPages(splitIntoPages(text));
+
+  const transaction = db.transaction(() => {
+    db.prepare(
+      'DELETE FROM chunk_embeddings WHERE chunk_id IN (SELECT id FROM document_chunks WHERE path = ?)'
+    ).run(docPath);
+    db.prepare('DELETE FROM document_chunks WHERE path = ?').run(docPath);
+
+    const insert = db.prepare(
+      `
+        INSERT INTO document_chunks (path, chunk_index, page_start, page_end, content)
+        VALUES (?, ?, ?, ?, ?)
+    `
+    );
+    chunks.forEach((c) => insert.run(docPath, c.index, c.pageStart, c.pageEnd, c.content));
+  });
+
+  transaction();
+  return chunks.length;
+}
+
+/**
+ * Builds the chunk rows of a document from the given text if it has none yet.
+ *
+ * @param {string} docPath - Relative document path.
+ * @param {string} text - Extracted document text.
+ */
+export function ensureChunks(docPath, text) {
+  const hasChunks = db.prepare('SELECT 1 FROM document_chunks WHERE path = ? LIMIT 1').get(docPath);
+  if (!hasChunks) rebuildChunks(docPath, text);
+}
+
+/**
+ * Ensures a document is chunked and embedded for the given AI configuration.
+ * Chunking happens once per document; embedding happens once per (document, model).
+ * Embedding errors are logged and swallowed: retrieval then falls back to lexical ranking.
+ *
+ * @param {string} docPath - Relative document path.
+ * @param {string} text - Extracted document text (used only if no chunks exist yet).
+ * @param {Object} aiConfig - The resolved AI configuration.
+ * @returns {Promise<void>}
+ */
+export async function indexDocument(docPath, text, aiConfig) {
+  const model = embeddingKey(aiConfig);
+  const jobKey = `${docPath}|${model}`;
+
+  if (pendingIndexJobs.has(jobKey)) return pendingIndexJobs.get(jobKey);
+
+  const job = (async () => {
+    // 1. Chunking (provider-independent)
+    ensureChunks(docPath, text);
+
+    // 2. Embedding: only chunks missing a vector for this model
+    const missing = db
+      .prepare(
+        `
+          SELECT c.id, c.content
+          FROM document_chunks c
+          LEFT JOIN chunk_embeddings e ON e.chunk_id = c.id AND e.model = ?
+          WHERE c.path = ? AND e.chunk_id IS NULL
+          ORDER BY c.chunk_index ASC
+      `
+      )
+      .all(model, docPath);
+
+    if (missing.length === 0) return;
+
+    if (inCooldown(model)) return;
+
+    console.log(`[Embedding Index] Embedding ${missing.length} chunks of ${docPath} (${model})`);
+
+    const insert = db.prepare(
+      'INSERT OR REPLACE INTO chunk_embeddings (chunk_id, model, vector) VALUES (?, ?, ?)'
+    );
+
+    try {
+      for (let i = 0; i < missing.length; i += EMBEDDING_BATCH_SIZE) {
+        const batch = missing.slice(i, i + EMBEDDING_BATCH_SIZE);
+        const vectors = await embedTexts(
+          batch.map((c) => c.content),
+          aiConfig
+        );
+        db.transaction(() => {
+          batch.forEach((c, idx) => {
+            if (vectors[idx]?.length) insert.run(c.id, model, toBlob(vectors[idx]));
+          });
+        })();
+      }
+      failedModels.delete(model);
+    } catch (error) {
+      failedModels.set(model, Date.now());
+      console.warn(`[Embedding Index] Embedding failed for ${docPath}: ${error.message}`);
+    }
+  })();
+
+  pendingIndexJobs.set(jobKey, job);
+  try {
+    await job;
+  } finally {
+    pendingIndexJobs.delete(jobKey);
+  }
+}
+
+/**
+ * Queues the embedding of a document for the given AI configuration, in the background.
+ * The chunks are built from the cached text if the document has none yet.
+ *
+ * @param {string} docPath - Relative document path (fully extracted).
+ * @param {Object} aiConfig - The resolved AI configuration.
+ * @returns {{done: Promise<void>}} The queued (or already queued) job.
+ */
+export function enqueueIndexing(docPath, aiConfig) {
+  return indexJobs.enqueue(`${docPath}|${embeddingKey(aiConfig)}`, async () => {
+    try {
+      const row = db.prepare('SELECT content FROM document_cache WHERE path = ?').get(docPath);
+      await indexDocument(docPath, row?.content || '', aiConfig);
+    } catch (error) {
+      console.warn(`[Embedding Index] Indexing failed for ${docPath}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Tells whether a document can be searched with the given AI configuration without
+ * waiting: every chunk has a vector for its embedding model, or the model failed to
+ * embed recently (its documents are then ranked lexically).
+ *
+ * @param {string} docPath - Relative document path.
+ * @param {Object} aiConfig - The resolved AI configuration.
+ * @returns {boolean}
+ */
+export function isDocumentIndexed(docPath, aiConfig) {
+  const model = embeddingKey(aiConfig);
+  if (inCooldown(model)) return true;
+
+  const missing = db
+    .prepare(
+      `
+        SELECT 1
+        FROM document_chunks c
+        LEFT JOIN chunk_embeddings e ON e.chunk_id = c.id AND e.model = ?
+        WHERE c.path = ? AND e.chunk_id IS NULL
+        LIMIT 1
+    `
+    )
+    .get(model, docPath);
+
+  return !missing;
+}
+
+/**
+ * ==============================================================================
+ * III. RETRIEVAL
+ * ==============================================================================
+ */
+
+/**
+ * Scores chunk rows against a question and selects the best ones within budget.
+ * Uses semantic similarity when every row has a vector for the active model,
+ * otherwise falls back to lexical scoring (scores of both methods are not comparable).
+ *
+ * @param {Array<Object>} rows - Chunk rows joined with their vector (may be null).
+ * @param {string} query - The user question.
+ * @param {Object} aiConfig - The resolved AI configuration.
+ * @param {Object} options - Retrieval options ({ topK, maxChars, maxTokens }).
+ * @returns {Promise<Array<Object>>} Selected rows with their score, best first.
+ * @private
+ */
+async function _rankChunks(rows, query, aiConfig, options) {
+  const topK = options.topK || DEFAULT_TOP_K;
+
+  // 1. Score chunks
+  let scores = null;
+  const fullyEmbedded = rows.every((r) => r.vector);
+
+  if (fullyEmbedded) {
+    try {
+      const [queryVector] = await embedTexts([query], aiConfig);
+      scores = rows.map((r) => cosineSimilarity(queryVector, fromBlob(r.vector)));
+    } catch (error) {
+      console.warn(`[Embedding Index] Query embedding failed: ${error.message}`);
+    }
+  }
+
+  if (!scores) scores = lexicalScores(rows, query);
+
+  // 2. Select the best chunks within the character budget
+  const ranked = rows
+    .map((r, idx) => ({ row: r, score: scores[idx] }))
+    .sort((a, b) => b.score - a.score);
+
+  const selected = [];
+  let usedChars = 0;
+  let usedTokens = 0;
+  for (const { row, score } of ranked) {
+    if (selected.length >= topK) break;
+    if (options.maxChars && usedChars + row.content.length > options.maxChars) continue;
+
+    // Passage label ('[S1 | Page 3]') included
+    const tokens = estimateTokens(row.content) + PASSAGE_LABEL_TOKENS;
+    if (options.maxTokens != null && usedTokens + tokens > options.maxTokens) continue;
+
+    selected.push({
+      id: row.id,
+      path: row.path,
+      chunkIndex: row.chunk_index,
+      pageStart: row.page_start,
+      pageEnd: row.page_end,
+      content: row.content,
+      score
+    });
+    usedChars += row.content.length;
+    usedTokens += tokens;
+  }
+
+  return selected;
+}
+
+/**
+ * Returns the chunks of a document most relevant to a question.
+ * Uses semantic similarity when every chunk has a vector for the active model,
+ * otherwise falls back to lexical scoring.
+ *
+ * @param {string} docPath - Relative document path.
+ * @param {string} query - The user question.
+ * @param {Object} aiConfig - The resolved AI configuration.
+ * @param {Object} [options] - Retrieval options.
+ * @param {number} [options.topK=8] - Maximum number of chunks to return.
+ * @param {number} [options.maxChars] - Character budget for the returned chunks.
+ * @param {number} [options.maxTokens] - Token budget for the returned chunks (labels included).
+ * @returns {Promise<Array<{id:number, path:string, chunkIndex:number, pageStart:number, pageEnd:number, content:string, score:number}>>}
+ *   Selected chunks in document order.
+ */
+export async function retrieveRelevantChunks(docPath, query, aiConfig, options = {}) {
+  const model = embeddingKey(aiConfig);
+
+  // Load all chunks with their vector for the active model (if any)
+  const rows = db
+    .prepare(
+      `
+        SELECT c.id, c.path, c.chunk_index, c.page_start, c.page_end, c.content, e.vector
+        FROM document_chunks c
+        LEFT JOIN chunk_embeddings e ON e.chunk_id = c.id AND e.model = ?
+        WHERE c.path = ?
+        ORDER BY c.chunk_index ASC
+    `
+    )
+    .all(model, docPath);
+
+  if (rows.length === 0) return [];
+
+  const selected = await _rankChunks(rows, query, aiConfig, options);
+
+  // Restore document order so the model reads passages in sequence
+  return selected.sort((a, b) => a.chunkIndex - b.chunkIndex);
+}
+
+/**
+ * Returns the chunks most relevant to a question across several documents.
+ * Used by the library chat, where the scope is a whole folder.
+ *
+ * @param {Array<string>} docPaths - Relative document paths in scope.
+ * @param {string} query - The user question.
+ * @param {Object} aiConfig - The resolved AI configuration.
+ * @param {Object} [options] - Same options as retrieveRelevantChunks().
+ * @returns {Promise<Array<Object>>} Selected chunks grouped by document, then in page order.
+ */
+export async function retrieveAcrossDocuments(docPaths, query, aiConfig, options = {}) {
+  if (docPaths.length === 0) return [];
+
+  const model = embeddingKey(aiConfig);
+  const placeholders = docPaths.map(() => '?').join(', ');
+
+  const rows = db
+    .prepare(
+      `
+        SELECT c.id, c.path, c.chunk_index, c.page_start, c.page_end, c.content, e.vector
+        FROM document_chunks c
+        LEFT JOIN chunk_embeddings e ON e.chunk_id = c.id AND e.model = ?
+        WHERE c.path IN (${placeholders})
+        ORDER BY c.path ASC, c.chunk_index ASC
+    `
+    )
+    .all(model, ...docPaths);
+
+  if (rows.length === 0) return [];
+
+  const selected = await _rankChunks(rows, query, aiConfig, options);
+
+  return selected.sort((a, b) => a.path.localeCompare(b.path) || a.chunkIndex - b.chunkIndex);
+}
@@ -0,0 +1,616 @@
+/**
+ * ==============================================================================
+ * SERVICE: DOCUMENT EXTRACTION QUEUE
+ * ==============================================================================
+ * @fileoverview Extracts the full text of course PDFs in the background and
+ * stores it page by page ('document_pages'). Once every page is processed, the
+ * joined text is written to 'document_cache', the chunk index is rebuilt and its
+ * embedding is queued with the server AI configuration (see embeddingService).
+ *
+ * Jobs run one at a time (PDF parsing is CPU bound) and yield between pages,
+ * so a 600-page textbook never blocks the request that triggered it.
+ * Interrupted jobs resume where they stopped after a server restart.
+ *
+ * When a document has (almost) no native text (scans, image-only PDFs), its
+ * empty pages are read by OCR. OCR results are cached per language set in
+ * 'document_ocr_pages', so a scan can be re-read with other language packs
+ * without repeating work already done.
+ *
+ * Cached text is tied to a fingerprint of the file (size, mtime, SHA-256) and
+ * revalidated on read: a replaced PDF is extracted again (and its overview,
+ * glossary terms and translations dropped, see overviewService, glossaryService
+ * and translationService). Rows of files that disappeared from 'courses/' are
+ * pruned.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js
+ * @dependencies database, pdfHandler, ocrEngine, embeddingService, aiConfigService,
+ *   fileExplorer, jobQueue
+ * ==============================================================================
+ */
+
+// --- 1. CORE IMPORTS ---
+import path from 'node:path';
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+// --- 2. MODULE IMPORTS ---
+import db from '../config/database.mjs';
+import { extractPdfPages, joinPages, MIN_TEXT_THRESHOLD } from '../utils/pdfHandler.mjs';
+import {
+  DEFAULT_OCR_LANGS,
+  isOcrAvailable,
+  normalizeOcrLangs,
+  ocrPdfPages
+} from '../utils/ocrEngine.mjs';
+import { scanCourses } from '../utils/fileExplorer.mjs';
+import { createSerialQueue } from '../utils/jobQueue.mjs';
+import { enqueueIndexing, rebuildChunks } from './embeddingService.mjs';
+import { resolveProviderChain } from './aiConfigService.mjs';
+
+// --- 3. CONFIGURATION CONSTANTS ---
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.resolve(__dirname, '../../');
+const COURSES_ROOT = path.join(ROOT_DIR, 'courses');
+
+// Number of pages a waiting chat request needs before it can answer from a partial document.
+const INITIAL_PAGES_READY = 10;
+
+// Pages with less native text than this are sent to OCR (scanned pages have none).
+const OCR_PAGE_THRESHOLD = 20;
+
+// Placeholders cached as document text by former versions, instead of an empty text.
+const LEGACY_PLACEHOLDERS = [
+  '[SYSTEM] The document appears to be empty, image-based, or protected. Native extraction failed.',
+  '[ERROR] Unable to read the PDF file due to an internal error.'
+];
+
+// Extraction jobs, keyed by document path (one PDF parsed at a time).
+const jobs = createSerialQueue();
+
+/**
+ * ==============================================================================
+ * I. HELPER FUNCTIONS
+ * ==============================================================================
+ */
+
+/**
+ * Resolves a relative document path and validates it stays inside 'courses/'.
+ *
+ * @param {string} docPath - Relative path (e.g., 'courses/math/algebra.pdf').
+ * @returns {string} The absolute path.
+ * @throws {Error} If the path attempts directory traversal.
+ */
+export function resolveDocumentPath(docPath) {
+  const absolutePath = path.resolve(ROOT_DIR, docPath || '');
+
+  // SECURITY CHECK: Prevent Directory Traversal Attacks
+  if (!absolutePath.startsWith(COURSES_ROOT + path.sep)) {
+    console.error(`[Security Alert] Invalid path access attempt: ${absolutePath}`);
+    throw new Error('Invalid document path: Access Denied.');
+  }
+
+  return absolutePath;
+}
+
+/**
+ * Reads the pages extracted so far for a document.
+ *
+ * @param {string} docPath - Relative document path.
+ * @returns {Array<{page: number, text: string}>} Pages in order.
+ */
+export function getExtractedPages(docPath) {
+  return db
+    .prepare(
+      `
+        SELECT page_number AS page, content AS text, source, confidence
+        FROM document_pages
+        WHERE path = ?
+        ORDER BY page_number ASC
+    `
+    )
+    .all(docPath);
+}
+
+/**
+ * Returns the extraction status row of a document (or null if never queued).
+ *
+ * @param {string} docPath - Relative document path.
+ * @returns {{status: string|null, page_count: number|null, pages_extracted: number, text_source: string|null, ocr_langs: string|null}|null}
+ */
+export function getExtractionStatus(docPath) {
+  return (
+    db
+      .prepare(
+        `
+        SELECT status, page_count, pages_extracted, text_source, ocr_langs, extracted_at
+        FROM document_cache
+        WHERE path = ?
+    `
+      )
+      .get(docPath) || null
+  );
+}
+
+/**
+ * Returns the mean OCR confidence of a document's pages (null if no page was OCR'd).
+ *
+ * @param {string} docPath - Relative document path.
+ * @returns {number|null} Confidence between 0 and 100.
+ */
+export function getOcrConfidence(docPath) {
+  const row = db
+    .prepare("SELECT AVG(confidence) AS mean FROM document_pages WHERE path = ? AND source = 'ocr'")
+    .get(docPath);
+  return row?.mean == null ? null : Math.round(row.mean * 10) / 10;
+}
+
+/**
+ * ==============================================================================
+ * II. CACHE VALIDITY
+ * ==============================================================================
+ */
+
+/**
+ * Computes the SHA-256 of a file (streamed, large PDFs are not loaded in memory).
+ *
+ * @param {string} absolutePath - The file path.
+ * @returns {Promise<string>} The hex digest.
+ * @private
+ */
+function _hashFile(absolutePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(absolutePath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Reads the fingerprint of a document file.
+ *
+ * @param {string} absolutePath - The file path.
+ * @returns {Promise<{size: number, mtime: number, hash: string}>}
+ * @private
+ */
+async function _fingerprint(absolutePath) {
+  const stat = fs.statSync(absolutePath);
+  return { size: stat.size, mtime: Math.trunc(stat.mtimeMs), hash: await _hashFile(absolutePath) };
+}
+
+/**
+ * Deletes everything derived from a document: pages, chunks, embeddings, OCR results,
+ * overview, glossary terms and translations.
+ *
+ * @param {string} docPath - Relative document path.
+ * @param {Object} [options]
+ * @param {boolean} [options.keepCacheRow=false] - Reset the 'document_cache' row instead of
+ *   deleting it (keeps per-document settings such as the OCR languages).
+ * @private
+ */
+function _purgeDocument(docPath, { keepCacheRow = false } = {}) {
+  db.transaction(() => {
+    db.prepare(
+      'DELETE FROM chunk_embeddings WHERE chunk_id IN (SELECT id FROM document_chunks WHERE path = ?)'
+    ).run(docPath);
+    db.prepare('DELETE FROM document_chunks WHERE path = ?').run(docPath);
+    db.prepare('DELETE FROM document_pages WHERE path = ?').run(docPath);
+    db.prepare('DELETE FROM document_ocr_pages WHERE path = ?').run(docPath);
+    db.prepare('DELETE FROM document_overviews WHERE path = ?').run(docPath);
+    db.prepare('DELETE FROM glossary_sources WHERE path = ?').run(docPath);
+    db.prepare('DELETE FROM document_translations WHERE path = ?').run(docPath);
+
+    if (keepCacheRow) {
+      db.prepare(
+        `
+          UPDATE document_cache
+          SET content = NULL, status = NULL, page_count = NULL, pages_extracted = 0,
+              text_source = NULL, file_size = NULL, file_mtime = NULL, content_hash = NULL
+          WHERE path = ?
+      `
+      ).run(docPath);
+    } else {
+      db.prepare('DELETE FROM document_cache WHERE path = ?').run(docPath);
+    }
+  })();
+}
+
+/**
+ * Checks that the cached text of a document still matches the file on disk.
+ * Only size and mtime are compared on the hot path; the file is hashed when they
+ * differ, so a touched but identical file keeps its cache.
+ *
+ * @param {string} docPath - Relative document path.
+ * @returns {Promise<boolean>} True if the cache was stale and has been dropped.
+ */
+export async function revalidateDocument(docPath) {
+  // An extraction in progress records its own fingerprint
+  if (jobs.has(docPath)) return false;
+
+  const row = db
+    .prepare('SELECT file_size, file_mtime, content_hash FROM document_cache WHERE path = ?')
+    .get(docPath);
+  if (!row) return false;
+
+  let stat;
+  const absolutePath = resolveDocumentPath(docPath);
+  try {
+    stat = fs.statSync(absolutePath);
+  } catch {
+    return false; // Missing files are handled by pruneDocumentCache()
+  }
+
+  if (row.file_size === stat.size && row.file_mtime === Math.trunc(stat.mtimeMs)) return false;
+
+  const current = await _fingerprint(absolutePath);
+
+  // Same content (touched file), or a row cached before fingerprints existed: adopt it
+  if (!row.content_hash || row.content_hash === current.hash) {
+    db.prepare(
+      'UPDATE document_cache SET file_size = ?, file_mtime = ?, content_hash = ? WHERE path = ?'
+    ).run(current.size, current.mtime, current.hash, docPath);
+    return false;
+  }
+
+  console.log(`[Extraction] ${docPath} changed on disk, cached text dropped.`);
+  _purgeDocument(docPath, { keepCacheRow: true });
+  return true;
+}
+
+/**
+ * Drops cache, page, chunk, embedding, OCR, overview, glossary and translation rows of
+ * documents that no longer exist in the courses directory.
+ *
+ * @returns {number} The number of documents pruned.
+ */
+export function pruneDocumentCache() {
+  const { tree, flat } = scanCourses(COURSES_ROOT, 'courses');
+  if (!tree) return 0; // Courses directory missing (e.g. unmounted volume): keep everything
+
+  const existing = new Set(flat.map((file) => file.path));
+  const cached = db
+    .prepare(
+      `
+        SELECT path FROM document_cache
+        UNION SELECT path FROM document_pages
+        UNION SELECT path FROM document_chunks
+        UNION SELECT path FROM document_ocr_pages
+        UNION SELECT path FROM document_overviews
+        UNION SELECT path FROM glossary_sources
+        UNION SELECT path FROM document_translations
+    `
+    )
+    .all()
+    .map((row) => row.path);
+
+  const stale = cached.filter((docPath) => !existing.has(docPath) && !jobs.has(docPath));
+  stale.forEach((docPath) => _purgeDocument(docPath));
+
+  if (stale.length > 0) console.log(`[Extraction] Pruned ${stale.length} deleted document(s).`);
+  return stale.length;
+}
+
+/**
+ * ==============================================================================
+ * III. JOB EXECUTION
+ * ==============================================================================
+ */
+
+/**
+ * Replaces the text of pages without native text by OCR results.
+ * Pages already recognized with the same language set are served from the cache.
+ *
+ * @param {string} docPath - Relative document path.
+ * @param {string} absolutePath - Absolute document path.
+ * @param {string} langs - Normalized language set (e.g. 'eng+fra').
+ * @returns {Promise<number>} The number of pages now holding OCR text.
+ * @private
+ */
+async function _runOcr(docPath, absolutePath, langs) {
+  const candidates = getExtractedPages(docPath)
+    .filter((p) => p.source === 'ocr' || (p.text || '').trim().length < OCR_PAGE_THRESHOLD)
+    .map((p) => p.page);
+  if (candidates.length === 0 || !(await isOcrAvailable())) return 0;
+
+  const cached = new Set(
+    db
+      .prepare('SELECT page_number FROM document_ocr_pages WHERE path = ? AND langs = ?')
+      .all(docPath, langs)
+      .map((r) => r.page_number)
+  );
+  const pending = candidates.filter((page) => !cached.has(page));
+
+  if (pending.length > 0) {
+    console.log(`[Extraction] OCR of ${pending.length} page(s) of ${docPath} (${langs}).`);
+    const insert = db.prepare(
+      `
+        INSERT OR REPLACE INTO document_ocr_pages (path, langs, page_number, content, confidence)
+        VALUES (?, ?, ?, ?, ?)
+    `
+    );
+    await ocrPdfPages(absolutePath, {
+      pages: pending,
+      langs,
+      onPage: ({ page, text, confidence }) => insert.run(docPath, langs, page, text, confidence)
+    });
+  }
+
+  // Copy the OCR text of this language set into the document pages
+  const results = db
+    .prepare(
+      'SELECT page_number, content, confidence FROM document_ocr_pages WHERE path = ? AND langs = ?'
+    )
+    .all(docPath, langs)
+    .filter((r) => candidates.includes(r.page_number));
+  const update = db.prepare(
+    `
+      UPDATE document_pages SET content = ?, source = 'ocr', confidence = ?
+      WHERE path = ? AND page_number = ?
+  `
+  );
+  db.transaction(() => {
+    results.forEach((r) => update.run(r.content, r.confidence, docPath, r.page_number));
+  })();
+
+  return results.length;
+}
+
+/**
+ * Runs the extraction of one document, resuming after the last stored page.
+ *
+ * @param {string} docPath - Relative document path.
+ * @param {Object} job - The job record (used to signal readiness).
+ * @private
+ */
+async function _runExtraction(docPath, job) {
+  const absolutePath = resolveDocumentPath(docPath);
+  const current = getExtractionStatus(docPath);
+  const fingerprint = await _fingerprint(absolutePath);
+
+  // Resume only a job that was interrupted mid-way; anything else starts over.
+  let startPage = 1;
+  if (current?.status === 'processing' && current.pages_extracted > 0) {
+    startPage = current.pages_extracted + 1;
+  } else {
+    db.prepare('DELETE FROM document_pages WHERE path = ?').run(docPath);
+  }
+
+  db.prepare(
+    `
+      INSERT INTO document_cache
+          (path, content, status, pages_extracted, file_size, file_mtime, content_hash, extracted_at)
+      VALUES (?, NULL, 'processing', ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(path) DO UPDATE SET
+          status = 'processing',
+          pages_extracted = excluded.pages_extracted,
+          file_size = excluded.file_size,
+          file_mtime = excluded.file_mtime,
+          content_hash = excluded.content_hash,
+          extracted_at = CURRENT_TIMESTAMP
+  `
+  ).run(docPath, startPage - 1, fingerprint.size, fingerprint.mtime, fingerprint.hash);
+
+  const insertPage = db.prepare(
+    `
+      INSERT OR REPLACE INTO document_pages (path, page_number, content, source, confidence)
+      VALUES (?, ?, ?, 'native', NULL)
+  `
+  );
+  const updateProgress = db.prepare(
+    'UPDATE document_cache SET page_count = ?, pages_extracted = ? WHERE path = ?'
+  );
+
+  const { numPages } = await extractPdfPages(absolutePath, {
+    startPage,
+    onPage: ({ page, text, numPages: total }) => {
+      db.transaction(() => {
+        insertPage.run(docPath, page, text);
+        updateProgress.run(total, page, docPath);
+      })();
+
+      if (page >= Math.min(total, INITIAL_PAGES_READY)) job.markReady();
+    }
+  });
+
+  // OCR fallback: the native text layer is missing (scan or image-only PDF)
+  let fullText = joinPages(getExtractedPages(docPath));
+  let textSource = 'native';
+
+  if (fullText.trim().length < MIN_TEXT_THRESHOLD) {
+    console.warn(`[Extraction] Insufficient native text in ${docPath} (${fullText.length} chars).`);
+
+    try {
+      const langs = normalizeOcrLangs(current?.ocr_langs || DEFAULT_OCR_LANGS);
+      if ((await _runOcr(docPath, absolutePath, langs)) > 0) {
+        fullText = joinPages(getExtractedPages(docPath));
+        textSource = 'ocr';
+      }
+    } catch (error) {
+      console.warn(`[Extraction] OCR failed for ${docPath}: ${error.message}`);
+    }
+
+    // Never feed a placeholder to the model as if it were document content
+    if (fullText.trim().length < MIN_TEXT_THRESHOLD) {
+      fullText = '';
+      textSource = 'none';
+    }
+  }
+
+  // Finalize: store the joined text and rebuild the chunk index
+  db.prepare(
+    `
+      UPDATE document_cache
+      SET content = ?, status = 'complete', page_count = ?, pages_extracted = ?,
+          text_source = ?, extracted_at = CURRENT_TIMESTAMP
+      WHERE path = ?
+  `
+  ).run(fullText, numPages, numPages, textSource, docPath);
+
+  rebuildChunks(docPath, fullText);
+  const [serverConfig] = resolveProviderChain(null);
+  if (serverConfig) enqueueIndexing(docPath, serverConfig);
+
+  console.log(`[Extraction] Completed ${docPath} (${numPages} pages, ${textSource} text).`);
+}
+
+/**
+ * ==============================================================================
+ * IV. PUBLIC API
+ * ==============================================================================
+ */
+
+/**
+ * Revalidates a document and queues its extraction unless its cached text is complete.
+ *
+ * @param {string} docPath - Relative document path.
+ * @returns {Promise<void>}
+ * @throws {Error} If the path is outside 'courses/'.
+ */
+export async function warmDocument(docPath) {
+  await revalidateDocument(docPath);
+  if (getExtractionStatus(docPath)?.status !== 'complete') {
+    enqueueExtraction(docPath);
+  }
+}
+
+/**
+ * Queues the full extraction of a document (no-op if already queued or running).
+ *
+ * @param {string} docPath - Relative document path.
+ * @returns {{done: Promise<void>, ready: Promise<void>}} Promises resolved when the
+ *   job completes, and when enough pages exist to answer from a partial document.
+ */
+export function enqueueExtraction(docPath) {
+  if (jobs.has(docPath)) return jobs.get(docPath);
+
+  // Validate before queuing so callers get the security error synchronously
+  resolveDocumentPath(docPath);
+
+  let markReady;
+  const ready = new Promise((resolve) => (markReady = resolve));
+
+  return jobs.enqueue(
+    docPath,
+    (job) =>
+      _runExtraction(docPath, job)
+        .catch((error) => {
+          console.error(`[Extraction] Failed for ${docPath}:`, error.message);
+          db.prepare("UPDATE document_cache SET status = 'failed' WHERE path = ?").run(docPath);
+        })
+        .finally(() => job.markReady()),
+    { ready, markReady }
+  );
+}
+
+/**
+ * Re-reads a scanned document with other OCR language packs.
+ * Pages already recognized with this language set are reused unless `force` is set.
+ *
+ * @param {string} docPath - Relative document path.
+ * @param {string} langs - Language packs (e.g. 'eng+fra').
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Discard cached results for this language set.
+ * @returns {{done: Promise<void>, ready: Promise<void>, langs: string}} The queued job.
+ * @throws {Error} If the path or the language list is invalid, the document has native
+ *   text, or an extraction of the document is already running.
+ */
+export function requestOcr(docPath, langs, { force = false } = {}) {
+  resolveDocumentPath(docPath);
+  const normalized = normalizeOcrLangs(langs);
+
+  const status = getExtractionStatus(docPath);
+  if (status?.text_source === 'native') {
+    throw new Error('This document has a native text layer: OCR is not needed.');
+  }
+  if (jobs.has(docPath)) {
+    throw new Error('An extraction of this document is already running.');
+  }
+
+  if (force) {
+    db.prepare('DELETE FROM document_ocr_pages WHERE path = ? AND langs = ?').run(
+      docPath,
+      normalized
+    );
+  }
+
+  // Reset the status so the next job starts over with the requested languages
+  db.prepare(
+    `
+      INSERT INTO document_cache (path, status, ocr_langs) VALUES (?, NULL, ?)
+      ON CONFLICT(path) DO UPDATE SET status = NULL, ocr_langs = excluded.ocr_langs
+  `
+  ).run(docPath, normalized);
+
+  return { ...enqueueExtraction(docPath), langs: normalized };
+}
+
+/**
+ * Returns the best text currently available for a document.
+ * - The cache is first revalidated against the file on disk.
+ * - Complete documents are served straight from 'document_cache'.
+ * - Otherwise extraction is queued and the call waits only until the first
+ *   pages are stored, then answers from the partial text.
+ *
+ * @param {string} docPath - Relative document path.
+ * @returns {Promise<{text: string, partial: boolean, status: Object|null}>}
+ * @throws {Error} If the document path is invalid.
+ */
+export async function getDocumentText(docPath) {
+  await revalidateDocument(docPath);
+  const status = getExtractionStatus(docPath);
+
+  if (status?.status === 'complete') {
+    const row = db.prepare('SELECT content FROM document_cache WHERE path = ?').get(docPath);
+    return { text: row?.content || '', partial: false, status };
+  }
+
+  // Legacy rows (truncated at 10 pages), failures and new documents are (re)extracted
+  const job = enqueueExtraction(docPath);
+  await job.ready;
+
+  const latest = getExtractionStatus(docPath);
+  if (latest?.status === 'complete') {
+    const row = db.prepare('SELECT content FROM document_cache WHERE path = ?').get(docPath);
+    return { text: row?.content || '', partial: false, status: latest };
+  }
+
+  return { text: joinPages(getExtractedPages(docPath)), partial: true, status: latest };
+}
+
+/**
+ * Starts the background extraction worker.
+ * Resumes documents whose extraction was interrupted by a restart.
+ */
+export function startExtractionWorker() {
+  // Files deleted while the server was down
+  try {
+    pruneDocumentCache();
+  } catch (error) {
+    console.warn(`[Extraction] Cache pruning failed: ${error.message}`);
+  }
+
+  // Documents cached with a legacy placeholder are extracted again on next access
+  // (this time with OCR)
+  db.prepare('UPDATE document_cache SET status = NULL WHERE content IN (?, ?)').run(
+    ...LEGACY_PLACEHOLDERS
+  );
+
+  const interrupted = db
+    .prepare("SELECT path FROM document_cache WHERE status = 'processing'")
+    .all();
+
+  interrupted.forEach(({ path: docPath }) => {
+    try {
+      enqueueExtraction(docPath);
+    } catch (error) {
+      console.warn(`[Extraction] Skipping ${docPath}: ${error.message}`);
+    }
+  });
+
+  console.log(`[System] Extraction worker started (${interrupted.length} job(s) resumed).`);
+}
@@ -0,0 +1,287 @@
+/**
+ * ==============================================================================
+ * SERVICE: ANSWER FEEDBACK & QUALITY REPORT
+ * ==============================================================================
+ * @fileoverview Thumbs up/down (with an optional comment) on document chat
+ * answers, and the admin report aggregating them. Library chat answers
+ * (library_chat_messages) are not rated.
+ *
+ * Each rating copies the prompt metadata of its answer (provider, model,
+ * retrieved passages, latency): clearing a chat or deleting a thread keeps
+ * the quality signal. The report groups ratings per document, to spot PDFs
+ * whose extraction is broken (no readable text, answers without any passage),
+ * and per model, to spot models that underperform.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js
+ * @dependencies database
+ * ==============================================================================
+ */
+
+// --- 1. MODULE IMPORTS ---
+import db from '../config/database.mjs';
+
+// --- 2. CONFIGURATION CONSTANTS ---
+export const MAX_FEEDBACK_COMMENT_LENGTH = 1000;
+
+// Stored values of the ratings
+const RATINGS = { up: 1, down: -1 };
+
+// Report period (days)
+const DEFAULT_REPORT_DAYS = 30;
+const MAX_REPORT_DAYS = 365;
+
+// A document or model is flagged once it has enough ratings and...
+const MIN_RATINGS_TO_FLAG = 3;
+const LOW_APPROVAL = 0.5; // ...less than half of them are positive,
+const NO_CONTEXT_SHARE = 0.5; // or half of its rated answers had no passage at all
+
+// Latest negative comments listed in the report
+const RECENT_COMMENTS = 20;
+
+/**
+ * ==============================================================================
+ * I. HELPERS
+ * ==============================================================================
+ */
+
+/**
+ * Formats a stored rating for API responses.
+ *
+ * @param {Object} row - A 'chat_feedback' row.
+ * @returns {{rating: 'up'|'down', comment: string|null, updatedAt: string}}
+ */
+function _formatFeedback(row) {
+  return {
+    rating: row.rating === RATINGS.up ? 'up' : 'down',
+    comment: row.comment,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Adds the approval rate and the flag of a report group.
+ *
+ * @param {Object} group - Aggregated row ({ ratings, up, down, no_context, avg_latency_ms, ... }).
+ * @returns {Object} The group with camelCase fields.
+ */
+function _formatGroup({ ratings, up, down, no_context, avg_latency_ms, ...rest }) {
+  const approval = ratings > 0 ? up / ratings : null;
+  const noContextShare = ratings > 0 ? no_context / ratings : 0;
+
+  return {
+    ...rest,
+    ratings,
+    up,
+    down,
+    approval,
+    noContext: no_context,
+    avgLatencyMs: avg_latency_ms == null ? null : Math.round(avg_latency_ms),
+    flagged:
+      rest.textSource === 'none' ||
+      (ratings >= MIN_RATINGS_TO_FLAG &&
+        (approval < LOW_APPROVAL || noContextShare >= NO_CONTEXT_SHARE))
+  };
+}
+
+/**
+ * ==============================================================================
+ * II. RATINGS
+ * ==============================================================================
+ */
+
+/**
+ * Validates submitted feedback.
+ *
+ * @param {*} input - The submitted body ({ rating: 'up'|'down', comment? }).
+ * @returns {string|null} An error message, or null if valid.
+ */
+export function validateFeedback(input) {
+  if (!Object.hasOwn(RATINGS, input?.rating)) {
+    return "rating must be 'up' or 'down'.";
+  }
+  if (input.comment != null && typeof input.comment !== 'string') {
+    return 'comment must be a string.';
+  }
+  if ((input.comment || '').trim().length > MAX_FEEDBACK_COMMENT_LENGTH) {
+    return `comment must be at most ${MAX_FEEDBACK_COMMENT_LENGTH} characters.`;
+  }
+  return null;
+}
+
+/**
+ * Rates an answer of the user (validate first). Rating again replaces the previous
+ * rating and comment.
+ *
+ * @param {number} userId - The user ID.
+ * @param {number} messageId - The assistant message ID.
+ * @param {{rating: 'up'|'down', comment?: string}} input - The feedback.
+ * @returns {Object|null} The stored feedback (see _formatFeedback), or null if the
+ *   message is not an answer of the user.
+ */
+export function saveFeedback(userId, messageId, { rating, comment }) {
+  const answer = db
+    .prepare(
+      `
+        SELECT id, path, provider, model, chunks, latency_ms
+        FROM chat_messages
+        WHERE id = ? AND user_id = ? AND role = 'assistant'
+    `
+    )
+    .get(Number(messageId), userId);
+  if (!answer) return null;
+
+  db.prepare(
+    `
+      INSERT INTO chat_feedback (message_id, user_id, path, rating, comment, provider, model, chunks, latency_ms)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(message_id) DO UPDATE SET
+          rating = excluded.rating,
+          comment = excluded.comment,
+          updated_at = CURRENT_TIMESTAMP
+  `
+  ).run(
+    answer.id,
+    userId,
+    answer.path,
+    RATINGS[rating],
+    (comment || '').trim() || null,
+    answer.provider,
+    answer.model,
+    answer.chunks,
+    answer.latency_ms
+  );
+
+  return getFeedback([answer.id]).get(answer.id);
+}
+
+/**
+ * Removes the rating of an answer.
+ *
+ * @param {number} userId - The user ID.
+ * @param {number} messageId - The assistant message ID.
+ * @returns {boolean} True if a rating existed.
+ */
+export function deleteFeedback(userId, messageId) {
+  return (
+    db
+      .prepare('DELETE FROM chat_feedback WHERE message_id = ? AND user_id = ?')
+      .run(Number(messageId), userId).changes > 0
+  );
+}
+
+/**
+ * Returns the ratings of messages.
+ *
+ * @param {Array<number>} messageIds - Message IDs.
+ * @returns {Map<number, Object>} Feedback (see _formatFeedback) by message ID.
+ */
+export function getFeedback(messageIds) {
+  if (messageIds.length === 0) return new Map();
+
+  const rows = db
+    .prepare(
+      `
+        SELECT message_id, rating, comment, updated_at
+        FROM chat_feedback
+        WHERE message_id IN (${messageIds.map(() => '?').join(', ')})
+    `
+    )
+    .all(...messageIds);
+
+  return new Map(rows.map((row) => [row.message_id, _formatFeedback(row)]));
+}
+
+/**
+ * ==============================================================================
+ * III. QUALITY REPORT
+ * ==============================================================================
+ */
+
+/**
+ * Normalizes the report period.
+ *
+ * @param {*} days - Requested number of days.
+ * @returns {number} An integer between 1 and MAX_REPORT_DAYS.
+ */
+export function normalizeReportDays(days) {
+  const value = Math.floor(Number(days));
+  if (!Number.isFinite(value) || value < 1) return DEFAULT_REPORT_DAYS;
+  return Math.min(value, MAX_REPORT_DAYS);
+}
+
+/**
+ * Aggregates the ratings of a period per document and per model, worst first.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.days=30] - Period (days before now).
+ * @returns {{days: number, totals: Object, documents: Array<Object>, models: Array<Object>, comments: Array<Object>}}
+ *   'flagged' marks documents/models worth a look: low approval, answers without passages,
+ *   or (documents) no readable text.
+ */
+export function getFeedbackReport({ days } = {}) {
+  const period = normalizeReportDays(days);
+  const since = `-${period} days`;
+
+  const aggregates = `
+    COUNT(*) AS ratings,
+    SUM(f.rating = 1) AS up,
+    SUM(f.rating = -1) AS down,
+    COALESCE(SUM(json_array_length(f.chunks) = 0), 0) AS no_context, -- Unknown for older answers
+    AVG(f.latency_ms) AS avg_latency_ms
+  `;
+
+  const documents = db
+    .prepare(
+      `
+        SELECT f.path, d.status, d.text_source AS textSource, d.page_count AS pageCount, ${aggregates}
+        FROM chat_feedback f
+        LEFT JOIN document_cache d ON d.path = f.path
+        WHERE f.created_at >= datetime('now', ?)
+        GROUP BY f.path
+    `
+    )
+    .all(since)
+    .map(_formatGroup);
+
+  const models = db
+    .prepare(
+      `
+        SELECT f.provider, f.model, ${aggregates}
+        FROM chat_feedback f
+        WHERE f.created_at >= datetime('now', ?)
+        GROUP BY f.provider, f.model
+    `
+    )
+    .all(since)
+    .map(_formatGroup);
+
+  const comments = db
+    .prepare(
+      `
+        SELECT path, provider, model, comment, updated_at AS updatedAt
+        FROM chat_feedback
+        WHERE rating = -1 AND comment IS NOT NULL AND created_at >= datetime('now', ?)
+        ORDER BY updated_at DESC
+        LIMIT ?
+    `
+    )
+    .all(since, RECENT_COMMENTS);
+
+  const [totals] = db
+    .prepare(`SELECT ${aggregates} FROM chat_feedback f WHERE f.created_at >= datetime('now', ?)`)
+    .all(since)
+    .map(_formatGroup);
+
+  // Worst first: flagged groups, then lowest approval, then most ratings
+  const byConcern = (a, b) =>
+    b.flagged - a.flagged || a.approval - b.approval || b.ratings - a.ratings;
+
+  return {
+    days: period,
+    totals: { ratings: totals.ratings, up: totals.up || 0, down: totals.down || 0 },
+    documents: documents.sort(byConcern),
+    models: models.sort(byConcern),
+    comments
+  };
+}
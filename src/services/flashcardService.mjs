@@ -0,0 +1,418 @@
+/**
+ * ==============================================================================
+ * SERVICE: FLASHCARDS
+ * ==============================================================================
+ * @fileoverview Flashcard decks (one per user and document) and their spaced
+ * repetition reviews.
+ *
+ * @architecture
+ * - Cards are written by hand (possibly from a note or a snippet), added by
+ *   scripts through the API, or generated by the model from the extracted text
+ *   of the document (with the user's provider chain).
+ * - Reviews follow SM-2 (see utils/flashcards): every answer updates the card's
+ *   schedule and is logged in 'flashcard_reviews'.
+ * - A card is due today when its due date is today or earlier (UTC days), so
+ *   cards scheduled in the evening are already due the next morning. New cards
+ *   are due at once.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js
+ * @dependencies database, aiManager, tokenBudget, flashcards, documentOverview,
+ *   extractionService, aiConfigService, contextWindowService
+ * ==============================================================================
+ */
+
+// --- 1. CORE IMPORTS ---
+import path from 'node:path';
+
+// --- 2. MODULE IMPORTS ---
+import db from '../config/database.mjs';
+import { askAIWithFallback } from '../utils/aiManager.mjs';
+import { estimateMessageTokens, planContextBudget } from '../utils/tokenBudget.mjs';
+import {
+  MAX_BACK_LENGTH,
+  MAX_FRONT_LENGTH,
+  parseFlashcardReply,
+  scheduleReview
+} from '../utils/flashcards.mjs';
+import { splitPagesIntoParts } from '../utils/documentOverview.mjs';
+import { getDocumentText, getExtractedPages } from './extractionService.mjs';
+import { resolveProviderChain } from './aiConfigService.mjs';
+import { resolveChainWindow } from './contextWindowService.mjs';
+
+// --- 3. CONFIGURATION CONSTANTS ---
+
+// Origins of a card a user (or a script) may declare; 'ai' is set by generation only
+export const CARD_SOURCES = ['manual', 'note', 'snippet'];
+
+// Cards generated per request
+export const DEFAULT_GENERATED_CARDS = 10;
+export const MAX_GENERATED_CARDS = 30;
+
+// Largest document excerpt sent to generate cards (longer documents are cut evenly)
+const MAX_SOURCE_TOKENS = 12000;
+
+// Questions of the deck listed in the prompt so the model does not repeat them
+const MAX_EXISTING_FRONTS = 50;
+
+const GENERATION_PROMPT = `You write study flashcards from course documents. The pages of the document are given, each introduced by a marker such as [Page 3]. Write flashcards testing the key facts, definitions and ideas of the text: a short question or cue on the front, a concise answer on the back, in the language of the document. Reply with a JSON list only: [{"front": "...", "back": "...", "page": page number}]. Do not add information that is not in the text.`;
+
+/**
+ * ==============================================================================
+ * I. HELPERS
+ * ==============================================================================
+ */
+
+/**
+ * Formats a Date as an SQLite UTC timestamp ('YYYY-MM-DD HH:MM:SS').
+ * @private
+ */
+function _toSqlDate(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Formats a card row for API responses.
+ *
+ * @param {Object} row - A 'flashcards' row.
+ * @returns {Object} The card.
+ */
+export function formatCard(row) {
+  return {
+    id: row.id,
+    path: row.path,
+    front: row.front,
+    back: row.back,
+    page: row.page,
+    source: row.source,
+    ease: row.ease,
+    intervalDays: row.interval_days,
+    repetitions: row.repetitions,
+    lapses: row.lapses,
+    dueAt: row.due_at,
+    lastReviewedAt: row.last_reviewed_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Validates a submitted card.
+ *
+ * @param {*} input - The submitted card ({ front, back, page?, source? }).
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Fields may be omitted (update).
+ * @returns {string|null} An error message, or null if valid.
+ */
+export function validateCard(input, { partial = false } = {}) {
+  const { front, back, page, source } = input || {};
+
+  if (partial && front === undefined && back === undefined && page === undefined) {
+    return 'Nothing to update: front, back or page.';
+  }
+
+  if (!partial || front !== undefined) {
+    const value = typeof front === 'string' ? front.trim() : '';
+    if (!value || value.length > MAX_FRONT_LENGTH) {
+      return `front must be a non-empty string of at most ${MAX_FRONT_LENGTH} characters.`;
+    }
+  }
+
+  if (!partial || back !== undefined) {
+    const value = typeof back === 'string' ? back.trim() : '';
+    if (!value || value.length > MAX_BACK_LENGTH) {
+      return `back must be a non-empty string of at most ${MAX_BACK_LENGTH} characters.`;
+    }
+  }
+
+  if (page != null && !(Number.isInteger(page) && page > 0)) {
+    return 'page must be a positive integer.';
+  }
+
+  if (!partial && source !== undefined && !CARD_SOURCES.includes(source)) {
+    return `source must be one of: ${CARD_SOURCES.join(', ')}.`;
+  }
+
+  return null;
+}
+
+/**
+ * Returns a card of a user.
+ *
+ * @param {number} userId - The user ID.
+ * @param {number} cardId - The card ID.
+ * @returns {Object|null} The 'flashcards' row.
+ * @private
+ */
+function _getCardRow(userId, cardId) {
+  return (
+    db
+      .prepare('SELECT * FROM flashcards WHERE id = ? AND user_id = ?')
+      .get(Number(cardId), userId) || null
+  );
+}
+
+/**
+ * ==============================================================================
+ * II. DECKS & CARDS
+ * ==============================================================================
+ */
+
+/**
+ * Lists the cards of a user.
+ *
+ * @param {number} userId - The user ID.
+ * @param {Object} [options]
+ * @param {string} [options.path] - Only the deck of this document.
+ * @param {boolean} [options.dueOnly=false] - Only the cards due today, most overdue first.
+ * @returns {Array<Object>} Cards (see formatCard).
+ */
+export function listCards(userId, { path: docPath, dueOnly = false } = {}) {
+  return db
+    .prepare(
+      `
+        SELECT * FROM flashcards
+        WHERE user_id = ? AND (? IS NULL OR path = ?)
+          AND (? = 0 OR date(due_at) <= date('now'))
+        ORDER BY ${dueOnly ? 'due_at, id' : 'path, created_at, id'}
+    `
+    )
+    .all(userId, docPath ?? null, docPath ?? null, dueOnly ? 1 : 0)
+    .map(formatCard);
+}
+
+/**
+ * Lists the decks of a user with their number of cards and of cards due today.
+ *
+ * @param {number} userId - The user ID.
+ * @returns {Array<{path: string, title: string, total: number, due: number}>} Decks,
+ *   those with the most due cards first.
+ */
+export function listDecks(userId) {
+  return db
+    .prepare(
+      `
+        SELECT path, COUNT(*) AS total,
+               SUM(CASE WHEN date(due_at) <= date('now') THEN 1 ELSE 0 END) AS due
+        FROM flashcards
+        WHERE user_id = ?
+        GROUP BY path
+        ORDER BY due DESC, path
+    `
+    )
+    .all(userId)
+    .map((row) => ({
+      path: row.path,
+      title: path.basename(row.path).replace(/\.pdf$/i, ''),
+      total: row.total,
+      due: row.due
+    }));
+}
+
+/**
+ * Adds cards to the deck of a document (validate first).
+ *
+ * @param {number} userId - The user ID.
+ * @param {string} docPath - Relative document path.
+ * @param {Array<{front: string, back: string, page?: number|null, source?: string}>} cards - The cards.
+ * @param {string} [defaultSource='manual'] - Source of the cards that do not declare one.
+ * @returns {Array<Object>} The created cards (see formatCard).
+ */
+export function createCards(userId, docPath, cards, defaultSource = 'manual') {
+  const insert = db.prepare(
+    'INSERT INTO flashcards (user_id, path, front, back, page, source) VALUES (?, ?, ?, ?, ?, ?)'
+  );
+  const select = db.prepare('SELECT * FROM flashcards WHERE id = ?');
+
+  return db.transaction(() =>
+    cards.map((card) => {
+      const { lastInsertRowid } = insert.run(
+        userId,
+        docPath,
+        card.front.trim(),
+        card.back.trim(),
+        card.page ?? null,
+        card.source || defaultSource
+      );
+      return formatCard(select.get(lastInsertRowid));
+    })
+  )();
+}
+
+/**
+ * Rewrites a card (validate first). Its review schedule is kept.
+ *
+ * @param {number} userId - The user ID.
+ * @param {number} cardId - The card ID.
+ * @param {{front?: string, back?: string, page?: number|null}} changes - Fields to change.
+ * @returns {Object|null} The updated card, or null if not found for this user.
+ */
+export function updateCard(userId, cardId, { front, back, page }) {
+  const row = _getCardRow(userId, cardId);
+  if (!row) return null;
+
+  db.prepare(
+    'UPDATE flashcards SET front = ?, back = ?, page = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+  ).run(
+    front !== undefined ? front.trim() : row.front,
+    back !== undefined ? back.trim() : row.back,
+    page !== undefined ? page : row.page,
+    row.id
+  );
+  return formatCard(_getCardRow(userId, row.id));
+}
+
+/**
+ * Deletes a card and its review log.
+ *
+ * @param {number} userId - The user ID.
+ * @param {number} cardId - The card ID.
+ * @returns {boolean} True if the card existed.
+ */
+export function deleteCard(userId, cardId) {
+  return db.transaction(() => {
+    const { changes } = db
+      .prepare('DELETE FROM flashcards WHERE id = ? AND user_id = ?')
+      .run(Number(cardId), userId);
+    if (changes > 0) {
+      db.prepare('DELETE FROM flashcard_reviews WHERE card_id = ?').run(Number(cardId));
+    }
+    return changes > 0;
+  })();
+}
+
+/**
+ * ==============================================================================
+ * III. REVIEWS
+ * ==============================================================================
+ */
+
+/**
+ * Records the answer to a card and schedules its next review.
+ *
+ * @param {number} userId - The user ID.
+ * @param {number} cardId - The card ID.
+ * @param {string} grade - 'again', 'hard', 'good' or 'easy' (see REVIEW_GRADES).
+ * @returns {Object|null} The updated card, or null if not found for this user.
+ * @throws {Error} If the grade is unknown.
+ */
+export function reviewCard(userId, cardId, grade) {
+  const row = _getCardRow(userId, cardId);
+  if (!row) return null;
+
+  const next = scheduleReview(
+    {
+      ease: row.ease,
+      intervalDays: row.interval_days,
+      repetitions: row.repetitions,
+      lapses: row.lapses
+    },
+    grade
+  );
+
+  db.transaction(() => {
+    db.prepare(
+      `
+        UPDATE flashcards
+        SET ease = ?, interval_days = ?, repetitions = ?, lapses = ?, due_at = ?,
+            last_reviewed_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `
+    ).run(
+      next.ease,
+      next.intervalDays,
+      next.repetitions,
+      next.lapses,
+      _toSqlDate(next.dueAt),
+      row.id
+    );
+    db.prepare(
+      'INSERT INTO flashcard_reviews (card_id, user_id, grade, interval_days) VALUES (?, ?, ?, ?)'
+    ).run(row.id, userId, grade, next.intervalDays);
+  })();
+
+  return formatCard(_getCardRow(userId, row.id));
+}
+
+/**
+ * ==============================================================================
+ * IV. GENERATION
+ * ==============================================================================
+ */
+
+/**
+ * Generates cards from the extracted text of a document and adds them to the user's deck.
+ * Questions already in the deck are not repeated.
+ *
+ * @param {number} userId - The user ID (their provider chain is used).
+ * @param {string} docPath - Relative document path.
+ * @param {Object} [options]
+ * @param {number} [options.count=DEFAULT_GENERATED_CARDS] - Number of cards requested.
+ * @param {number} [options.pageStart] - First page of the excerpt (default: whole document).
+ * @param {number} [options.pageEnd] - Last page of the excerpt.
+ * @returns {Promise<{cards: Array<Object>, provider: string, model: string}|null>} The created
+ *   cards (empty if the document has no readable text in the range), or null when no
+ *   provider is configured.
+ * @throws {Error} If the document path is invalid.
+ * @throws {AIChainError} If every provider failed.
+ */
+export async function generateCards(userId, docPath, options = {}) {
+  const { count = DEFAULT_GENERATED_CARDS, pageStart = 1, pageEnd = Infinity } = options;
+
+  const chain = resolveProviderChain(userId);
+  if (chain.length === 0) return null;
+
+  // Waits for the first pages of a document never extracted (see extractionService)
+  await getDocumentText(docPath);
+  const pages = getExtractedPages(docPath).filter((p) => p.page >= pageStart && p.page <= pageEnd);
+
+  const existing = listCards(userId, { path: docPath });
+  const fronts = existing.slice(-MAX_EXISTING_FRONTS).map((card) => `- ${card.front}`);
+  const instructions =
+    `${GENERATION_PROMPT} Write ${count} flashcards.` +
+    (fronts.length > 0
+      ? `\n\nThe deck already has these cards, do not repeat them:\n${fronts.join('\n')}`
+      : '');
+
+  const window = resolveChainWindow(chain);
+  const budget = planContextBudget({
+    contextWindow: window.contextTokens,
+    maxOutputTokens: window.maxOutputTokens,
+    fixedTokens: estimateMessageTokens([{ content: instructions }]),
+    historyLimit: 0
+  });
+
+  // The whole range in a single excerpt: long documents are cut page by page
+  const [excerpt] = splitPagesIntoParts(pages, {
+    maxTokens: Math.min(MAX_SOURCE_TOKENS, budget.available),
+    maxParts: 1
+  });
+  if (!excerpt) return { cards: [], provider: null, model: null };
+
+  const answer = await askAIWithFallback(
+    [
+      { role: 'system', content: instructions },
+      {
+        role: 'user',
+        content: `DOCUMENT: ${path.basename(docPath).replace(/\.pdf$/i, '')}\n\n${excerpt.text}`
+      }
+    ],
+    chain
+  );
+
+  // Pages outside of the excerpt are guesses of the model; known questions are skipped
+  const known = new Set(existing.map((card) => card.front.toLowerCase()));
+  const cards = parseFlashcardReply(answer.content)
+    .filter((card) => !known.has(card.front.toLowerCase()) && known.add(card.front.toLowerCase()))
+    .slice(0, count)
+    .map((card) => ({
+      ...card,
+      page: card.page >= excerpt.pageStart && card.page <= excerpt.pageEnd ? card.page : null
+    }));
+
+  return {
+    cards: createCards(userId, docPath, cards, 'ai'),
+    provider: answer.provider,
+    model: answer.model
+  };
+}
@@ -0,0 +1,685 @@
+/**
+ * ==============================================================================
+ * SERVICE: COURSE GLOSSARIES
+ * ==============================================================================
+ * @fileoverview Builds, in the background, one glossary per category (top-level
+ * folder of 'courses/'): the terms its documents define, with a definition
+ * written by the AI from the text and the pages defining them. Entries can be
+ * added, edited and deleted by users; the glossary is browsable from the
+ * browse page and queryable through the API (course cheat-sheets).
+ *
+ * @architecture
+ * - Glossaries are shared by every user, so terms are extracted with the server
+ *   AI configuration (defaults and fallback chain, see aiConfigService).
+ * - Terms are extracted document by document, part by part (see
+ *   utils/documentOverview), into 'glossary_sources' with the fingerprint of the
+ *   text they come from: a replaced file is extracted again and its terms
+ *   dropped with the rest of its derived data, then extracted again.
+ * - After each document, the glossary of its category is rebuilt from the terms
+ *   of all its documents (see utils/glossary). Rebuilding never overwrites what
+ *   users wrote: edited and manual entries keep their definition (their pages are
+ *   still updated), and deleted AI entries are hidden rather than removed.
+ * - Jobs run one at a time, after the extraction queue has provided the text.
+ *   At startup, glossaries are rebuilt (documents deleted meanwhile) and every
+ *   document of a category without current terms is queued (AI_GLOSSARIES=false
+ *   disables this bulk run).
+ *
+ * @author Sacha Pastor
+ * @environment Node.js
+ * @dependencies database, aiManager, tokenBudget, documentOverview, glossary, fileExplorer,
+ *   jobQueue, extractionService, aiConfigService, contextWindowService
+ * ==============================================================================
+ */
+
+// --- 1. CORE IMPORTS ---
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// --- 2. MODULE IMPORTS ---
+import db, { parseJsonList } from '../config/database.mjs';
+import { askAIWithFallback } from '../utils/aiManager.mjs';
+import { estimateMessageTokens, planContextBudget } from '../utils/tokenBudget.mjs';
+import { splitPagesIntoParts } from '../utils/documentOverview.mjs';
+import {
+  MAX_DEFINITION_LENGTH,
+  MAX_TERM_LENGTH,
+  getDocumentCategory,
+  mergeGlossaryTerms,
+  normalizeTerm,
+  parseGlossaryReply
+} from '../utils/glossary.mjs';
+import { scanCourses } from '../utils/fileExplorer.mjs';
+import { createSerialQueue } from '../utils/jobQueue.mjs';
+import {
+  enqueueExtraction,
+  getExtractedPages,
+  getExtractionStatus,
+  resolveDocumentPath,
+  warmDocument
+} from './extractionService.mjs';
+import { resolveProviderChain } from './aiConfigService.mjs';
+import { resolveChainWindow } from './contextWindowService.mjs';
+
+// --- 3. CONFIGURATION CONSTANTS ---
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const COURSES_ROOT = path.resolve(__dirname, '../../courses');
+
+// Largest part sent in one call, whatever the context window
+const MAX_PART_TOKENS = 12000;
+
+// Most calls spent on the parts of a single document
+const MAX_PARTS = 8;
+
+// Longest search accepted (characters)
+const MAX_QUERY_LENGTH = 100;
+
+const GLOSSARY_PROMPT = `You build the glossary of a course. The pages of a document (or of a part of it) are given, each introduced by a marker such as [Page 3]. List the terms the text defines or explains: technical terms, concepts, acronyms, named laws or methods. Skip common words and terms that are only mentioned. For each term, write a definition of one or two sentences based only on the text, in the language of the document, and give the page where it is defined. Reply with JSON only, at most 20 terms:
+{"terms": [{"term": "...", "definition": "...", "page": page number}]}`;
+
+// Term extraction jobs, keyed by document path (one document at a time).
+const jobs = createSerialQueue();
+
+/**
+ * ==============================================================================
+ * I. HELPERS
+ * ==============================================================================
+ */
+
+/**
+ * Tells whether terms are extracted in the background: the server has an AI provider
+ * and AI_GLOSSARIES is not 'false'.
+ * @private
+ */
+function _backgroundEnabled() {
+  return process.env.AI_GLOSSARIES !== 'false' && resolveProviderChain(null).length > 0;
+}
+
+/**
+ * Tells whether the last term extraction of a document failed on its current text (or,
+ * the text never being read, before any text).
+ * @private
+ */
+function _failedOnCurrentText(docPath) {
+  const row = db
+    .prepare(
+      `
+        SELECT g.status
+        FROM glossary_sources g
+        LEFT JOIN document_cache c ON c.path = g.path
+        WHERE g.path = ? AND g.content_hash IS c.content_hash
+    `
+    )
+    .get(docPath);
+
+  return row?.status === 'failed';
+}
+
+/**
+ * Tells whether the stored terms of a document were extracted from its current text.
+ *
+ * @param {string} docPath - Relative document path.
+ * @returns {boolean}
+ * @private
+ */
+function _isCurrent(docPath) {
+  const row = db
+    .prepare(
+      `
+        SELECT g.status, g.content_hash AS terms_hash, c.content_hash, c.status AS text_status
+        FROM glossary_sources g
+        LEFT JOIN document_cache c ON c.path = g.path
+        WHERE g.path = ?
+    `
+    )
+    .get(docPath);
+
+  return Boolean(
+    row?.status === 'complete' &&
+    row.text_status === 'complete' &&
+    row.content_hash &&
+    row.terms_hash === row.content_hash
+  );
+}
+
+/**
+ * Lists the documents of 'courses/' that belong to a category.
+ *
+ * @returns {{categories: Array<{key: string, label: string, path: string}>, documents: Array<{path: string, category: string}>}}
+ * @private
+ */
+function _scanCategories() {
+  const { categories, flat } = scanCourses(COURSES_ROOT, 'courses');
+  const documents = flat
+    .map((file) => ({ path: file.path, category: getDocumentCategory(file.path) }))
+    .filter((doc) => doc.category);
+  return { categories: categories || [], documents };
+}
+
+/**
+ * Counts the queued jobs of a category.
+ * @private
+ */
+function _pendingCount(category) {
+  return jobs.keys().filter((docPath) => getDocumentCategory(docPath) === category).length;
+}
+
+/**
+ * Extracts the terms defined in a document.
+ *
+ * @param {string} docPath - Relative document path.
+ * @param {Array<{page: number, text: string}>} pages - The extracted pages.
+ * @param {Array<Object>} chain - Provider chain (primary first).
+ * @returns {Promise<{terms: Array<Object>, provider: string, model: string}>}
+ * @private
+ */
+async function _extractTerms(docPath, pages, chain) {
+  const title = path.basename(docPath).replace(/\.pdf$/i, '');
+
+  const window = resolveChainWindow(chain);
+  const budget = planContextBudget({
+    contextWindow: window.contextTokens,
+    maxOutputTokens: window.maxOutputTokens,
+    fixedTokens: estimateMessageTokens([{ content: GLOSSARY_PROMPT }, { content: title }]),
+    historyLimit: 0
+  });
+
+  const parts = splitPagesIntoParts(pages, {
+    maxTokens: Math.min(MAX_PART_TOKENS, budget.available),
+    maxParts: MAX_PARTS
+  });
+  if (parts.length === 0) throw new Error('The document has no readable text.');
+
+  const terms = [];
+  let answer;
+  for (const part of parts) {
+    answer = await askAIWithFallback(
+      [
+        { role: 'system', content: GLOSSARY_PROMPT },
+        {
+          role: 'user',
+          content: `DOCUMENT: ${title} (pages ${part.pageStart}-${part.pageEnd})\n\n${part.text}`
+        }
+      ],
+      chain
+    );
+
+    // A term defined in several parts keeps its first definition
+    const known = new Set(terms.map((item) => normalizeTerm(item.term)));
+    parseGlossaryReply(answer.content, part).forEach((item) => {
+      if (!known.has(normalizeTerm(item.term))) terms.push(item);
+    });
+  }
+
+  return { terms, provider: answer.provider, model: answer.model };
+}
+
+/**
+ * Runs the term extraction job of one document, then rebuilds its glossary.
+ *
+ * @param {string} docPath - Relative document path.
+ * @private
+ */
+async function _runSource(docPath) {
+  const chain = resolveProviderChain(null);
+  if (chain.length === 0) throw new Error('AI is not configured on the server.');
+
+  // --- STEP 1: FULL TEXT (waits for the extraction queue) ---
+  await warmDocument(docPath);
+  if (getExtractionStatus(docPath)?.status !== 'complete') {
+    await enqueueExtraction(docPath).done;
+  }
+
+  const status = getExtractionStatus(docPath);
+  if (status?.status !== 'complete') throw new Error('The text of the document is not available.');
+  if (status.text_source === 'none') throw new Error('The document has no readable text.');
+  if (_isCurrent(docPath)) return;
+
+  const category = getDocumentCategory(docPath);
+  const { content_hash: contentHash } = db
+    .prepare('SELECT content_hash FROM document_cache WHERE path = ?')
+    .get(docPath);
+
+  db.prepare(
+    `
+      INSERT INTO glossary_sources (path, category, status, updated_at)
+      VALUES (?, ?, 'processing', CURRENT_TIMESTAMP)
+      ON CONFLICT(path) DO UPDATE SET status = 'processing', error = NULL,
+          updated_at = CURRENT_TIMESTAMP
+  `
+  ).run(docPath, category);
+
+  // --- STEP 2: EXTRACTION ---
+  const result = await _extractTerms(docPath, getExtractedPages(docPath), chain);
+
+  db.prepare(
+    `
+      UPDATE glossary_sources
+      SET status = 'complete', terms = ?, content_hash = ?, provider = ?, model = ?,
+          error = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE path = ?
+  `
+  ).run(JSON.stringify(result.terms), contentHash, result.provider, result.model, docPath);
+
+  // --- STEP 3: GLOSSARY OF THE CATEGORY ---
+  rebuildGlossary(category);
+  console.log(`[Glossary] Completed ${docPath} (${result.terms.length} term(s)).`);
+}
+
+/**
+ * ==============================================================================
+ * II. GLOSSARY ENTRIES
+ * ==============================================================================
+ */
+
+/**
+ * Formats a 'glossary_terms' row for API responses.
+ *
+ * @param {Object} row - The row (with 'edited_by_name' when joined with the users).
+ * @returns {Object} The entry.
+ */
+export function formatTerm(row) {
+  return {
+    id: row.id,
+    category: row.category,
+    term: row.term,
+    definition: row.definition,
+    references: parseJsonList(row.refs),
+    origin: row.origin,
+    edited: Boolean(row.edited_at),
+    editedBy: row.edited_by_name || null,
+    editedAt: row.edited_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Validates a submitted entry.
+ *
+ * @param {Object} input - { term, definition }.
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Allow missing fields (update).
+ * @returns {string|null} The error message, or null if the entry is valid.
+ */
+export function validateTerm(input, { partial = false } = {}) {
+  const { term, definition } = input || {};
+
+  if (partial && term === undefined && definition === undefined) {
+    return 'Nothing to update: term or definition.';
+  }
+
+  if (!partial || term !== undefined) {
+    const value = typeof term === 'string' ? term.trim() : '';
+    if (!value || value.length > MAX_TERM_LENGTH) {
+      return `term must be a non-empty string of at most ${MAX_TERM_LENGTH} characters.`;
+    }
+  }
+
+  if (!partial || definition !== undefined) {
+    const value = typeof definition === 'string' ? definition.trim() : '';
+    if (!value || value.length > MAX_DEFINITION_LENGTH) {
+      return `definition must be a non-empty string of at most ${MAX_DEFINITION_LENGTH} characters.`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Tells whether a path is a category of 'courses/' (and therefore has a glossary).
+ *
+ * @param {*} category - The submitted category path (e.g. 'courses/biology').
+ * @returns {boolean}
+ */
+export function isGlossaryCategory(category) {
+  return _scanCategories().categories.some((cat) => cat.path === category);
+}
+
+/**
+ * Lists the glossaries (one per category).
+ *
+ * @returns {Array<{category: string, label: string, terms: number, documents: number, pending: number}>}
+ *   'documents' counts the PDFs of the category, 'pending' those queued for extraction.
+ */
+export function listGlossaries() {
+  const { categories, documents } = _scanCategories();
+  const counts = new Map(
+    db
+      .prepare(
+        'SELECT category, COUNT(*) AS terms FROM glossary_terms WHERE hidden = 0 GROUP BY category'
+      )
+      .all()
+      .map((row) => [row.category, row.terms])
+  );
+
+  return categories.map((cat) => ({
+    category: cat.path,
+    label: cat.label,
+    terms: counts.get(cat.path) || 0,
+    documents: documents.filter((doc) => doc.category === cat.path).length,
+    pending: _pendingCount(cat.path)
+  }));
+}
+
+/**
+ * Returns the glossary of a category.
+ *
+ * @param {string} category - The category path (see isGlossaryCategory).
+ * @param {Object} [options]
+ * @param {string} [options.query] - Only the entries whose term or definition contains it.
+ * @returns {{category: string, pending: number, terms: Array<Object>}} Entries in
+ *   alphabetical order ('pending': documents still queued for extraction).
+ */
+export function getGlossary(category, { query } = {}) {
+  const search = typeof query === 'string' ? query.trim().slice(0, MAX_QUERY_LENGTH) : '';
+  const pattern = `%${search.replace(/[\\%_]/g, (char) => `\\${char}`)}%`;
+
+  const rows = db
+    .prepare(
+      `
+        SELECT t.*, u.username AS edited_by_name
+        FROM glossary_terms t
+        LEFT JOIN users u ON u.id = t.edited_by
+        WHERE t.category = ? AND t.hidden = 0
+          AND (? = '' OR t.term LIKE ? ESCAPE '\\' OR t.definition LIKE ? ESCAPE '\\')
+        ORDER BY t.term COLLATE NOCASE
+    `
+    )
+    .all(category, search, pattern, pattern);
+
+  return { category, pending: _pendingCount(category), terms: rows.map(formatTerm) };
+}
+
+/**
+ * Returns an entry of a glossary.
+ *
+ * @param {number} id - The entry ID.
+ * @returns {Object|null} The entry (hidden entries included), or null if not found.
+ */
+export function getTerm(id) {
+  const row = db
+    .prepare(
+      `
+        SELECT t.*, u.username AS edited_by_name
+        FROM glossary_terms t
+        LEFT JOIN users u ON u.id = t.edited_by
+        WHERE t.id = ?
+    `
+    )
+    .get(id);
+  return row ? { ...formatTerm(row), hidden: Boolean(row.hidden) } : null;
+}
+
+/**
+ * Finds the visible entry of a glossary for a term (any case).
+ *
+ * @param {string} category - The category path.
+ * @param {string} term - The term.
+ * @returns {number|null} The ID of the entry, or null if the glossary has none.
+ */
+export function findTerm(category, term) {
+  const key = normalizeTerm(term);
+  const row = db
+    .prepare('SELECT id, term_key, term FROM glossary_terms WHERE category = ? AND hidden = 0')
+    .all(category)
+    .find((entry) => entry.term_key === key || normalizeTerm(entry.term) === key);
+  return row ? row.id : null;
+}
+
+/**
+ * Adds an entry to a glossary. A deleted AI entry for the same term is brought back
+ * with the submitted definition (and keeps its pages).
+ *
+ * @param {number} userId - The author.
+ * @param {string} category - The category path.
+ * @param {{term: string, definition: string}} input - A valid entry (see validateTerm).
+ * @returns {Object} The entry.
+ */
+export function createTerm(userId, category, { term, definition }) {
+  const key = normalizeTerm(term);
+
+  db.prepare(
+    `
+      INSERT INTO glossary_terms (category, term_key, term, definition, refs, origin, edited_by, edited_at)
+      VALUES (?, ?, ?, ?, '[]', 'manual', ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(category, term_key) DO UPDATE SET
+          term = excluded.term, definition = excluded.definition, hidden = 0,
+          edited_by = excluded.edited_by, edited_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+  `
+  ).run(category, key, term.trim(), definition.trim(), userId);
+
+  const { id } = db
+    .prepare('SELECT id FROM glossary_terms WHERE category = ? AND term_key = ?')
+    .get(category, key);
+  return getTerm(id);
+}
+
+/**
+ * Edits an entry. Its definition is then kept by glossary rebuilds, which still match
+ * a renamed entry by the term it was created for.
+ *
+ * @param {number} userId - The editor.
+ * @param {number} id - The entry ID.
+ * @param {{term?: string, definition?: string}} input - A valid update (see validateTerm).
+ * @returns {Object|null} The entry, or null if not found (or deleted).
+ */
+export function updateTerm(userId, id, { term, definition }) {
+  const row = db.prepare('SELECT * FROM glossary_terms WHERE id = ? AND hidden = 0').get(id);
+  if (!row) return null;
+
+  db.prepare(
+    `
+      UPDATE glossary_terms
+      SET term = ?, definition = ?, edited_by = ?, edited_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+  `
+  ).run(
+    term === undefined ? row.term : term.trim(),
+    definition === undefined ? row.definition : definition.trim(),
+    userId,
+    row.id
+  );
+  return getTerm(row.id);
+}
+
+/**
+ * Deletes an entry. AI entries are hidden, so that rebuilds do not bring them back.
+ *
+ * @param {number} userId - The user deleting the entry.
+ * @param {number} id - The entry ID.
+ * @returns {boolean} False if the entry was not found.
+ */
+export function deleteTerm(userId, id) {
+  const row = db.prepare('SELECT * FROM glossary_terms WHERE id = ? AND hidden = 0').get(id);
+  if (!row) return false;
+
+  if (row.origin === 'manual') {
+    db.prepare('DELETE FROM glossary_terms WHERE id = ?').run(row.id);
+  } else {
+    db.prepare(
+      `
+        UPDATE glossary_terms
+        SET hidden = 1, edited_by = ?, edited_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `
+    ).run(userId, row.id);
+  }
+  return true;
+}
+
+/**
+ * Rebuilds the glossary of a category from the current terms of its documents.
+ * Entries written or edited by users keep their definition; AI entries no document
+ * defines anymore are removed (edited, manual and hidden ones lose their pages).
+ *
+ * @param {string} category - The category path.
+ * @returns {number} The number of terms found in the documents.
+ */
+export function rebuildGlossary(category) {
+  const documents = db
+    .prepare(
+      `
+        SELECT g.path, g.terms
+        FROM glossary_sources g
+        JOIN document_cache c ON c.path = g.path
+        WHERE g.category = ? AND g.status = 'complete' AND c.status = 'complete'
+          AND g.content_hash = c.content_hash
+    `
+    )
+    .all(category)
+    .map((row) => ({ path: row.path, terms: parseJsonList(row.terms) }));
+
+  const merged = mergeGlossaryTerms(documents);
+  const existing = new Map(
+    db
+      .prepare('SELECT * FROM glossary_terms WHERE category = ?')
+      .all(category)
+      .map((row) => [row.term_key, row])
+  );
+
+  const insert = db.prepare(
+    `
+      INSERT INTO glossary_terms (category, term_key, term, definition, refs)
+      VALUES (?, ?, ?, ?, ?)
+  `
+  );
+  const update = db.prepare(
+    `
+      UPDATE glossary_terms SET term = ?, definition = ?, refs = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND (term != ? OR definition != ? OR refs IS NOT ?)
+  `
+  );
+
+  db.transaction(() => {
+    for (const entry of merged) {
+      const row = existing.get(entry.key);
+      const refs = JSON.stringify(entry.references);
+      existing.delete(entry.key);
+
+      if (!row) {
+        insert.run(category, entry.key, entry.term, entry.definition, refs);
+      } else if (row.origin === 'ai' && !row.edited_at) {
+        update.run(entry.term, entry.definition, refs, row.id, entry.term, entry.definition, refs);
+      } else {
+        update.run(row.term, row.definition, refs, row.id, row.term, row.definition, refs);
+      }
+    }
+
+    // Terms no document defines anymore
+    for (const row of existing.values()) {
+      if (row.origin === 'ai' && !row.edited_at && !row.hidden) {
+        db.prepare('DELETE FROM glossary_terms WHERE id = ?').run(row.id);
+      } else {
+        update.run(row.term, row.definition, '[]', row.id, row.term, row.definition, '[]');
+      }
+    }
+  })();
+
+  return merged.length;
+}
+
+/**
+ * ==============================================================================
+ * III. BACKGROUND EXTRACTION
+ * ==============================================================================
+ */
+
+/**
+ * Queues the term extraction of a document, unless its terms are current or it is
+ * already queued.
+ *
+ * @param {string} docPath - Relative document path.
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Extract current terms again.
+ * @returns {{done: Promise<void>}|null} The queued job, or null if the terms are current
+ *   or the document belongs to no category.
+ * @throws {Error} If the path is outside 'courses/'.
+ */
+export function enqueueGlossarySource(docPath, { force = false } = {}) {
+  if (jobs.has(docPath)) return jobs.get(docPath);
+
+  resolveDocumentPath(docPath);
+  if (!getDocumentCategory(docPath)) return null;
+  if (!force && _isCurrent(docPath)) return null;
+
+  if (force) {
+    db.prepare('UPDATE glossary_sources SET status = NULL WHERE path = ?').run(docPath);
+  }
+
+  return jobs.enqueue(docPath, () =>
+    _runSource(docPath).catch((error) => {
+      console.error(`[Glossary] Failed for ${docPath}:`, error.message);
+      db.prepare(
+        `
+          INSERT INTO glossary_sources (path, category, status, error, content_hash, updated_at)
+          VALUES (?, ?, 'failed', ?, (SELECT content_hash FROM document_cache WHERE path = ?),
+              CURRENT_TIMESTAMP)
+          ON CONFLICT(path) DO UPDATE SET status = 'failed', error = excluded.error,
+              content_hash = excluded.content_hash, updated_at = CURRENT_TIMESTAMP
+      `
+      ).run(docPath, getDocumentCategory(docPath), error.message, docPath);
+    })
+  );
+}
+
+/**
+ * Queues the term extraction of a document being read, when terms are extracted in the
+ * background (see startGlossaryWorker). An extraction that failed on the current text is
+ * not retried (an admin can extract the terms again).
+ *
+ * @param {string} docPath - Relative document path.
+ * @returns {{done: Promise<void>}|null} The queued job, or null if nothing was queued.
+ * @throws {Error} If the path is outside 'courses/'.
+ */
+export function requestGlossarySource(docPath) {
+  if (!_backgroundEnabled() || _failedOnCurrentText(docPath)) return null;
+  return enqueueGlossarySource(docPath);
+}
+
+/**
+ * Queues the documents of a category (or of every category) without current terms.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.category] - The category path (all categories when omitted).
+ * @param {boolean} [options.force=false] - Extract current terms again.
+ * @returns {number} The number of documents queued.
+ */
+export function enqueueGlossaries({ category, force = false } = {}) {
+  const { documents } = _scanCategories();
+
+  return documents.filter((doc) => {
+    if (category && doc.category !== category) return false;
+    try {
+      return enqueueGlossarySource(doc.path, { force }) !== null;
+    } catch (error) {
+      console.warn(`[Glossary] Skipping ${doc.path}: ${error.message}`);
+      return false;
+    }
+  }).length;
+}
+
+/**
+ * Starts the background glossary worker: rebuilds every glossary, then queues the
+ * documents without current terms, when the server has an AI provider and
+ * AI_GLOSSARIES is not 'false'.
+ */
+export function startGlossaryWorker() {
+  if (process.env.AI_GLOSSARIES === 'false') return;
+
+  // Documents deleted or replaced since the last run leave their glossary
+  _scanCategories().categories.forEach((cat) => rebuildGlossary(cat.path));
+
+  if (resolveProviderChain(null).length === 0) {
+    console.log('[System] Glossary worker not started (no server AI provider).');
+    return;
+  }
+
+  // Interrupted jobs start over
+  db.prepare("UPDATE glossary_sources SET status = NULL WHERE status = 'processing'").run();
+
+  const queued = enqueueGlossaries();
+  console.log(`[System] Glossary worker started (${queued} document(s) queued).`);
+}
@@ -0,0 +1,136 @@
+/**
+ * ==============================================================================
+ * SERVICE: NOTES CONTEXT
+ * ==============================================================================
+ * @fileoverview Selects the user's own notes and snippets added to a document
+ * chat prompt, for threads that opted in (chat_threads.notes_context).
+ *
+ * Scopes:
+ * - 'document': the user's note on the document and the snippets saved from it.
+ * - 'folder': the same, plus the user's notes on the other documents of the
+ *   document's folder (most recently updated first).
+ * Sections are added in that order of priority until the token budget is spent;
+ * the last one that does not fit is cut.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js
+ * @dependencies database, tokenBudget
+ * ==============================================================================
+ */
+
+// --- 1. CORE IMPORTS ---
+import path from 'node:path';
+
+// --- 2. MODULE IMPORTS ---
+import db from '../config/database.mjs';
+import { estimateTokens, truncateToTokens } from '../utils/tokenBudget.mjs';
+
+// --- 3. CONFIGURATION CONSTANTS ---
+
+// Values of chat_threads.notes_context
+export const NOTES_CONTEXT_SCOPES = ['none', 'document', 'folder'];
+
+// Below this many tokens, a cut section would say too little to be worth sending
+const MIN_SECTION_TOKENS = 40;
+
+// Approximate cost of a section's label line and separators
+const SECTION_OVERHEAD_TOKENS = 4;
+
+/**
+ * ==============================================================================
+ * I. HELPERS
+ * ==============================================================================
+ */
+
+/**
+ * Lists every candidate section of a scope, by priority.
+ *
+ * @param {number} userId - The user ID.
+ * @param {string} docPath - The document path.
+ * @param {'document'|'folder'} scope - The notes scope.
+ * @returns {Array<{label: string, content: string}>}
+ * @private
+ */
+function _candidateSections(userId, docPath, scope) {
+  const sections = [];
+
+  const note = db
+    .prepare('SELECT content FROM notes WHERE user_id = ? AND path = ?')
+    .get(userId, docPath);
+  if (note?.content?.trim()) {
+    sections.push({ label: 'Note on this document', content: note.content.trim() });
+  }
+
+  const snippets = db
+    .prepare(
+      'SELECT code, created_at FROM snippets WHERE user_id = ? AND path = ? ORDER BY created_at DESC, id DESC'
+    )
+    .all(userId, docPath);
+  for (const snippet of snippets) {
+    if (!snippet.code?.trim()) continue;
+    sections.push({
+      label: `Snippet saved from this document (${String(snippet.created_at).slice(0, 10)})`,
+      content: snippet.code.trim()
+    });
+  }
+
+  if (scope === 'folder') {
+    const folder = path.posix.dirname(docPath);
+    const siblings = db
+      .prepare(
+        `
+          SELECT path, content FROM notes
+          WHERE user_id = ? AND substr(path, 1, ?) = ? AND path != ?
+          ORDER BY updated_at DESC
+      `
+      )
+      .all(userId, folder.length + 1, `${folder}/`, docPath)
+      // Documents of the folder itself, not of its subfolders
+      .filter((row) => path.posix.dirname(row.path) === folder && row.content?.trim());
+
+    for (const row of siblings) {
+      sections.push({
+        label: `Note on "${path.posix.basename(row.path).replace(/\.pdf$/i, '')}"`,
+        content: row.content.trim()
+      });
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * ==============================================================================
+ * II. PUBLIC API
+ * ==============================================================================
+ */
+
+/**
+ * Selects the notes and snippets of a scope that fit in a token budget.
+ *
+ * @param {number} userId - The user ID.
+ * @param {string} docPath - The document path.
+ * @param {string} scope - 'none', 'document' or 'folder' (see NOTES_CONTEXT_SCOPES).
+ * @param {number} maxTokens - Token budget of the sections (labels included).
+ * @returns {{sections: Array<{label: string, content: string}>, tokens: number}}
+ *   The labelled sections, by priority, and their estimated size.
+ */
+export function loadNotesContext(userId, docPath, scope, maxTokens) {
+  if (!['document', 'folder'].includes(scope)) return { sections: [], tokens: 0 };
+
+  const sections = [];
+  let tokens = 0;
+
+  for (const section of _candidateSections(userId, docPath, scope)) {
+    const labelTokens = estimateTokens(section.label) + SECTION_OVERHEAD_TOKENS;
+    const room = maxTokens - tokens - labelTokens;
+    if (room < MIN_SECTION_TOKENS) break;
+
+    const content = truncateToTokens(section.content, room);
+    if (!content) break;
+    sections.push({ label: section.label, content });
+    tokens += labelTokens + estimateTokens(content);
+  }
+
+  return { sections, tokens };
+}
@@ -0,0 +1,440 @@
+/**
+ * ==============================================================================
+ * SERVICE: DOCUMENT OVERVIEWS
+ * ==============================================================================
+ * @fileoverview Generates, in the background, an overview of each course
+ * document: a short abstract, an outline (sections with their first page and a
+ * one-line summary) and key takeaways. Shown in the reader's "Overview" tab and
+ * on browse cards.
+ *
+ * @architecture
+ * - Overviews are shared by every user, so they are generated with the server
+ *   AI configuration (defaults and fallback chain, see aiConfigService).
+ * - A job first waits for the full text of the document (extractionService).
+ *   Documents fitting in one prompt are summarized in a single call; longer ones
+ *   part by part (see utils/documentOverview), then the abstracts and takeaways
+ *   of the parts are merged by a last call. The outline is the sections of the
+ *   parts, in page order.
+ * - Results are stored in 'document_overviews' with the fingerprint of the text
+ *   they were built from: a replaced file is extracted again and its overview
+ *   dropped with the rest of its derived data, then regenerated.
+ * - Jobs run one at a time, after the extraction queue has provided the text.
+ *   At startup, every document of 'courses/' without a current overview is
+ *   queued (AI_DOCUMENT_OVERVIEWS=false disables this bulk run).
+ *
+ * @author Sacha Pastor
+ * @environment Node.js
+ * @dependencies database, aiManager, tokenBudget, documentOverview, fileExplorer, jobQueue,
+ *   extractionService, aiConfigService, contextWindowService
+ * ==============================================================================
+ */
+
+// --- 1. CORE IMPORTS ---
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// --- 2. MODULE IMPORTS ---
+import db, { parseJsonList } from '../config/database.mjs';
+import { askAIWithFallback } from '../utils/aiManager.mjs';
+import { estimateMessageTokens, planContextBudget } from '../utils/tokenBudget.mjs';
+import { parseOverviewReply, splitPagesIntoParts } from '../utils/documentOverview.mjs';
+import { scanCourses } from '../utils/fileExplorer.mjs';
+import { createSerialQueue } from '../utils/jobQueue.mjs';
+import {
+  enqueueExtraction,
+  getExtractedPages,
+  getExtractionStatus,
+  resolveDocumentPath,
+  warmDocument
+} from './extractionService.mjs';
+import { resolveProviderChain } from './aiConfigService.mjs';
+import { resolveChainWindow } from './contextWindowService.mjs';
+
+// --- 3. CONFIGURATION CONSTANTS ---
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const COURSES_ROOT = path.resolve(__dirname, '../../courses');
+
+// Largest part sent in one call, whatever the context window (long prompts summarize worse)
+const MAX_PART_TOKENS = 12000;
+
+// Most calls spent on the parts of a single document (longer documents are cut, see
+// utils/documentOverview)
+const MAX_PARTS = 12;
+
+const OVERVIEW_PROMPT = `You write study overviews of course documents. The pages of the document (or of a part of it) are given, each introduced by a marker such as [Page 3]. Reply with a JSON object only, in the language of the document:
+{"abstract": "what the text is about, in 2 to 4 sentences", "sections": [{"title": "section or chapter title", "page": first page number, "summary": "one sentence"}], "takeaways": ["a key idea a student must remember", "..."]}
+List the sections in order, using the document's own headings when it has some. Give 3 to 7 takeaways. Do not add information that is not in the text.`;
+
+const MERGE_PROMPT = `You write study overviews of course documents. You are given the abstracts and takeaways of the consecutive parts of one document. Reply with a JSON object only, in the language of the document:
+{"abstract": "what the whole document is about, in 3 to 5 sentences", "takeaways": ["a key idea a student must remember", "..."]}
+Give 5 to 8 takeaways covering the whole document. Do not add information that is not in the parts.`;
+
+// Overview jobs, keyed by document path (one document summarized at a time).
+const jobs = createSerialQueue();
+
+/**
+ * ==============================================================================
+ * I. HELPERS
+ * ==============================================================================
+ */
+
+/**
+ * Tells whether overviews are made in the background: the server has an AI provider
+ * and AI_DOCUMENT_OVERVIEWS is not 'false'.
+ * @private
+ */
+function _backgroundEnabled() {
+  return process.env.AI_DOCUMENT_OVERVIEWS !== 'false' && resolveProviderChain(null).length > 0;
+}
+
+/**
+ * Tells whether the last overview of a document failed on its current text (or, the
+ * text never being read, before any text).
+ * @private
+ */
+function _failedOnCurrentText(docPath) {
+  const row = db
+    .prepare(
+      `
+        SELECT o.status
+        FROM document_overviews o
+        LEFT JOIN document_cache c ON c.path = o.path
+        WHERE o.path = ? AND o.content_hash IS c.content_hash
+    `
+    )
+    .get(docPath);
+
+  return row?.status === 'failed';
+}
+
+/**
+ * Tells whether the stored overview of a document was built from its current text.
+ *
+ * @param {string} docPath - Relative document path.
+ * @returns {boolean}
+ * @private
+ */
+function _isCurrent(docPath) {
+  const row = db
+    .prepare(
+      `
+        SELECT o.status, o.content_hash AS overview_hash, c.content_hash, c.status AS text_status
+        FROM document_overviews o
+        LEFT JOIN document_cache c ON c.path = o.path
+        WHERE o.path = ?
+    `
+    )
+    .get(docPath);
+
+  return Boolean(
+    row?.status === 'complete' &&
+    row.text_status === 'complete' &&
+    row.content_hash &&
+    row.overview_hash === row.content_hash
+  );
+}
+
+/**
+ * Asks the model for an overview and reads its JSON reply.
+ *
+ * @param {string} systemPrompt - OVERVIEW_PROMPT or MERGE_PROMPT.
+ * @param {string} content - The text to summarize.
+ * @param {Array<Object>} chain - Provider chain (primary first).
+ * @returns {Promise<{overview: Object, provider: string, model: string}>}
+ * @throws {Error} If every provider failed or the reply is not a valid overview.
+ * @private
+ */
+async function _askOverview(systemPrompt, content, chain) {
+  const answer = await askAIWithFallback(
+    [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content }
+    ],
+    chain
+  );
+
+  const overview = parseOverviewReply(answer.content);
+  if (!overview) throw new Error('The model did not return a valid overview.');
+  return { overview, provider: answer.provider, model: answer.model };
+}
+
+/**
+ * Builds the overview of a document.
+ *
+ * @param {string} docPath - Relative document path.
+ * @param {Array<{page: number, text: string}>} pages - The extracted pages.
+ * @param {Array<Object>} chain - Provider chain (primary first).
+ * @returns {Promise<{abstract: string, outline: Array<Object>, takeaways: Array<string>, provider: string, model: string}>}
+ * @private
+ */
+async function _summarizeDocument(docPath, pages, chain) {
+  const title = path.basename(docPath).replace(/\.pdf$/i, '');
+
+  const window = resolveChainWindow(chain);
+  const budget = planContextBudget({
+    contextWindow: window.contextTokens,
+    maxOutputTokens: window.maxOutputTokens,
+    fixedTokens: estimateMessageTokens([{ content: OVERVIEW_PROMPT }, { content: title }]),
+    historyLimit: 0
+  });
+
+  const parts = splitPagesIntoParts(pages, {
+    maxTokens: Math.min(MAX_PART_TOKENS, budget.available),
+    maxParts: MAX_PARTS
+  });
+  if (parts.length === 0) throw new Error('The document has no readable text.');
+
+  // --- MAP: one overview per part ---
+  const results = [];
+  for (const part of parts) {
+    const result = await _askOverview(
+      OVERVIEW_PROMPT,
+      parts.length === 1
+        ? `DOCUMENT: ${title}\n\n${part.text}`
+        : `DOCUMENT: ${title} (pages ${part.pageStart}-${part.pageEnd})\n\n${part.text}`,
+      chain
+    );
+
+    // Pages outside of the part are guesses of the model
+    result.overview.sections.forEach((section) => {
+      if (section.page < part.pageStart || section.page > part.pageEnd) section.page = null;
+    });
+    results.push(result);
+  }
+
+  const outline = results.flatMap((r) => r.overview.sections);
+  const last = results[results.length - 1];
+  if (results.length === 1) {
+    return { ...last.overview, outline, provider: last.provider, model: last.model };
+  }
+
+  // --- REDUCE: one abstract and takeaways for the whole document ---
+  const merged = await _askOverview(
+    MERGE_PROMPT,
+    `DOCUMENT: ${title}\n\n` +
+      results
+        .map(
+          (r, idx) =>
+            `PART ${idx + 1} (pages ${parts[idx].pageStart}-${parts[idx].pageEnd})\n` +
+            `Abstract: ${r.overview.abstract}\n` +
+            `Takeaways:\n${r.overview.takeaways.map((t) => `- ${t}`).join('\n')}`
+        )
+        .join('\n\n'),
+    chain
+  );
+
+  return {
+    abstract: merged.overview.abstract,
+    outline,
+    takeaways: merged.overview.takeaways,
+    provider: merged.provider,
+    model: merged.model
+  };
+}
+
+/**
+ * Runs the overview job of one document.
+ *
+ * @param {string} docPath - Relative document path.
+ * @private
+ */
+async function _runOverview(docPath) {
+  const chain = resolveProviderChain(null);
+  if (chain.length === 0) throw new Error('AI is not configured on the server.');
+
+  // --- STEP 1: FULL TEXT (waits for the extraction queue) ---
+  await warmDocument(docPath);
+  if (getExtractionStatus(docPath)?.status !== 'complete') {
+    await enqueueExtraction(docPath).done;
+  }
+
+  const status = getExtractionStatus(docPath);
+  if (status?.status !== 'complete') throw new Error('The text of the document is not available.');
+  if (status.text_source === 'none') throw new Error('The document has no readable text.');
+  if (_isCurrent(docPath)) return;
+
+  const { content_hash: contentHash } = db
+    .prepare('SELECT content_hash FROM document_cache WHERE path = ?')
+    .get(docPath);
+
+  db.prepare(
+    `
+      INSERT INTO document_overviews (path, status, updated_at)
+      VALUES (?, 'processing', CURRENT_TIMESTAMP)
+      ON CONFLICT(path) DO UPDATE SET status = 'processing', error = NULL,
+          updated_at = CURRENT_TIMESTAMP
+  `
+  ).run(docPath);
+
+  // --- STEP 2: SUMMARIZATION ---
+  const overview = await _summarizeDocument(docPath, getExtractedPages(docPath), chain);
+
+  db.prepare(
+    `
+      UPDATE document_overviews
+      SET status = 'complete', abstract = ?, outline = ?, takeaways = ?, content_hash = ?,
+          provider = ?, model = ?, error = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE path = ?
+  `
+  ).run(
+    overview.abstract,
+    JSON.stringify(overview.outline),
+    JSON.stringify(overview.takeaways),
+    contentHash,
+    overview.provider,
+    overview.model,
+    docPath
+  );
+
+  console.log(`[Overview] Completed ${docPath} (${overview.outline.length} section(s)).`);
+}
+
+/**
+ * ==============================================================================
+ * II. PUBLIC API
+ * ==============================================================================
+ */
+
+/**
+ * Returns the overview of a document.
+ *
+ * @param {string} docPath - Relative document path.
+ * @returns {{path: string, status: string, abstract: string|null, outline: Array<{title: string, page: number|null, summary: string}>, takeaways: Array<string>, provider: string|null, model: string|null, error: string|null, updatedAt: string|null}}
+ *   'status' is 'complete', 'processing', 'queued' (waiting in the queue or for the text
+ *   of the document), 'failed' or 'none' (never generated). A complete overview of a
+ *   previous version of the file is 'queued' while it is regenerated, 'none' otherwise.
+ */
+export function getOverview(docPath) {
+  const row = db.prepare('SELECT * FROM document_overviews WHERE path = ?').get(docPath);
+  const current = row?.status === 'complete' && _isCurrent(docPath);
+
+  let status = row?.status || 'none';
+  if (jobs.has(docPath) && status !== 'processing') status = 'queued';
+  else if (status === 'complete' && !current) status = 'none';
+
+  return {
+    path: docPath,
+    status,
+    abstract: current ? row.abstract : null,
+    outline: current ? parseJsonList(row.outline) : [],
+    takeaways: current ? parseJsonList(row.takeaways) : [],
+    provider: current ? row.provider : null,
+    model: current ? row.model : null,
+    error: status === 'failed' ? row.error : null,
+    updatedAt: row?.updated_at || null
+  };
+}
+
+/**
+ * Returns the abstracts of the documents having a current overview (browse cards).
+ *
+ * @param {Array<string>} docPaths - Relative document paths.
+ * @returns {Map<string, string>} Abstracts by document path.
+ */
+export function getOverviewAbstracts(docPaths) {
+  if (docPaths.length === 0) return new Map();
+
+  const rows = db
+    .prepare(
+      `
+        SELECT o.path, o.abstract
+        FROM document_overviews o
+        JOIN document_cache c ON c.path = o.path
+        WHERE o.status = 'complete' AND c.status = 'complete' AND o.content_hash = c.content_hash
+          AND o.path IN (SELECT value FROM json_each(?))
+    `
+    )
+    .all(JSON.stringify(docPaths));
+
+  return new Map(rows.map((row) => [row.path, row.abstract]));
+}
+
+/**
+ * Queues the overview of a document, unless it is current or already queued.
+ *
+ * @param {string} docPath - Relative document path.
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Regenerate a current overview.
+ * @returns {{done: Promise<void>}|null} The queued job, or null if the overview is current.
+ * @throws {Error} If the path is outside 'courses/'.
+ */
+export function enqueueOverview(docPath, { force = false } = {}) {
+  if (jobs.has(docPath)) return jobs.get(docPath);
+
+  resolveDocumentPath(docPath);
+  if (!force && _isCurrent(docPath)) return null;
+
+  if (force) {
+    db.prepare('UPDATE document_overviews SET status = NULL WHERE path = ?').run(docPath);
+  }
+
+  return jobs.enqueue(docPath, () =>
+    _runOverview(docPath).catch((error) => {
+      console.error(`[Overview] Failed for ${docPath}:`, error.message);
+      db.prepare(
+        `
+          INSERT INTO document_overviews (path, status, error, content_hash, updated_at)
+          VALUES (?, 'failed', ?, (SELECT content_hash FROM document_cache WHERE path = ?),
+              CURRENT_TIMESTAMP)
+          ON CONFLICT(path) DO UPDATE SET status = 'failed', error = excluded.error,
+              content_hash = excluded.content_hash, updated_at = CURRENT_TIMESTAMP
+      `
+      ).run(docPath, error.message, docPath);
+    })
+  );
+}
+
+/**
+ * Queues the overview of a document being read, when overviews are made in the background
+ * (see startOverviewWorker). An overview that failed on the current text is not retried
+ * (an admin can regenerate it).
+ *
+ * @param {string} docPath - Relative document path.
+ * @returns {{done: Promise<void>}|null} The queued job, or null if nothing was queued.
+ * @throws {Error} If the path is outside 'courses/'.
+ */
+export function requestOverview(docPath) {
+  if (!_backgroundEnabled() || _failedOnCurrentText(docPath)) return null;
+  return enqueueOverview(docPath);
+}
+
+/**
+ * Queues the overview of every document of 'courses/' that has no current one.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Regenerate current overviews too.
+ * @returns {number} The number of documents queued.
+ */
+export function enqueueAllOverviews({ force = false } = {}) {
+  const { flat } = scanCourses(COURSES_ROOT, 'courses');
+
+  return flat.filter((file) => {
+    try {
+      return enqueueOverview(file.path, { force }) !== null;
+    } catch (error) {
+      console.warn(`[Overview] Skipping ${file.path}: ${error.message}`);
+      return false;
+    }
+  }).length;
+}
+
+/**
+ * Starts the background overview worker: queues the documents without a current
+ * overview, when the server has an AI provider and AI_DOCUMENT_OVERVIEWS is not 'false'.
+ */
+export function startOverviewWorker() {
+  if (process.env.AI_DOCUMENT_OVERVIEWS === 'false') return;
+
+  if (resolveProviderChain(null).length === 0) {
+    console.log('[System] Overview worker not started (no server AI provider).');
+    return;
+  }
+
+  // Interrupted jobs start over
+  db.prepare("UPDATE document_overviews SET status = NULL WHERE status = 'processing'").run();
+
+  const queued = enqueueAllOverviews();
+  console.log(`[System] Overview worker started (${queued} document(s) queued).`);
+}
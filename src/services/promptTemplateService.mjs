@@ -0,0 +1,219 @@
+/**
+ * ==============================================================================
+ * SERVICE: PROMPT TEMPLATES
+ * ==============================================================================
+ * @fileoverview Named system prompts ("Socratic tutor", "Answer in French"...)
+ * picked per chat thread in place of the default document prompt.
+ *
+ * Users save their own templates; administrators publish shared ones (rows
+ * with a NULL user_id), usable by everyone. Templates may use the variables of
+ * utils/promptTemplate ({{CONTEXT}}, {{DOCUMENT_TITLE}}, {{CATEGORY}},
+ * {{USER_NOTES}}). Functions taking an 'ownerId' act on the templates of that
+ * user, or on the shared ones when it is null.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js
+ * @dependencies database, promptTemplate
+ * ==============================================================================
+ */
+
+// --- 1. MODULE IMPORTS ---
+import db from '../config/database.mjs';
+import { TEMPLATE_VARIABLES, findUnknownVariables } from '../utils/promptTemplate.mjs';
+
+// --- 2. CONFIGURATION CONSTANTS ---
+export const MAX_TEMPLATE_NAME_LENGTH = 100;
+export const MAX_TEMPLATE_CONTENT_LENGTH = 8000;
+
+/**
+ * ==============================================================================
+ * I. HELPERS
+ * ==============================================================================
+ */
+
+/**
+ * Formats a template row for API responses.
+ *
+ * @param {Object} row - A 'prompt_templates' row.
+ * @returns {{id: number, name: string, content: string, shared: boolean, createdAt: string, updatedAt: string}}
+ */
+export function formatTemplate(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    content: row.content,
+    shared: row.user_id == null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Validates a submitted template.
+ *
+ * @param {*} input - The submitted body ({ name, content }).
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Fields may be omitted (update).
+ * @returns {string|null} An error message, or null if valid.
+ */
+export function validateTemplate(input, { partial = false } = {}) {
+  const { name, content } = input || {};
+
+  if (partial && name === undefined && content === undefined) {
+    return 'Nothing to update: name or content.';
+  }
+
+  if (!partial || name !== undefined) {
+    const value = typeof name === 'string' ? name.trim() : '';
+    if (!value || value.length > MAX_TEMPLATE_NAME_LENGTH) {
+      return `name must be a non-empty string of at most ${MAX_TEMPLATE_NAME_LENGTH} characters.`;
+    }
+  }
+
+  if (!partial || content !== undefined) {
+    const value = typeof content === 'string' ? content.trim() : '';
+    if (!value || value.length > MAX_TEMPLATE_CONTENT_LENGTH) {
+      return `content must be a non-empty string of at most ${MAX_TEMPLATE_CONTENT_LENGTH} characters.`;
+    }
+
+    const unknown = findUnknownVariables(value);
+    if (unknown.length > 0) {
+      return `Unknown variable(s): ${unknown.map((v) => `{{${v}}}`).join(', ')}. Supported: ${TEMPLATE_VARIABLES.map((v) => `{{${v}}}`).join(', ')}.`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Tells whether a name is already used by another template of the same owner.
+ *
+ * @param {number|null} ownerId - The user ID (null: shared templates).
+ * @param {string} name - The template name (compared case-insensitively).
+ * @param {number|null} [exceptId] - Template being renamed.
+ * @returns {boolean}
+ */
+export function isTemplateNameTaken(ownerId, name, exceptId = null) {
+  return Boolean(
+    db
+      .prepare(
+        `
+          SELECT 1 FROM prompt_templates
+          WHERE user_id IS ? AND name = ? COLLATE NOCASE AND id IS NOT ?
+      `
+      )
+      .get(ownerId, String(name).trim(), exceptId == null ? null : Number(exceptId))
+  );
+}
+
+/**
+ * ==============================================================================
+ * II. PUBLIC API
+ * ==============================================================================
+ */
+
+/**
+ * Lists the templates available to a user: their own, then the shared ones.
+ *
+ * @param {number} userId - The user ID.
+ * @returns {Array<Object>} Templates (see formatTemplate), by name.
+ */
+export function listTemplates(userId) {
+  return db
+    .prepare(
+      `
+        SELECT * FROM prompt_templates
+        WHERE user_id = ? OR user_id IS NULL
+        ORDER BY user_id IS NULL, name COLLATE NOCASE
+    `
+    )
+    .all(userId)
+    .map(formatTemplate);
+}
+
+/**
+ * Lists the shared templates.
+ *
+ * @returns {Array<Object>} Templates (see formatTemplate), by name.
+ */
+export function listSharedTemplates() {
+  return db
+    .prepare('SELECT * FROM prompt_templates WHERE user_id IS NULL ORDER BY name COLLATE NOCASE')
+    .all()
+    .map(formatTemplate);
+}
+
+/**
+ * Returns a template usable by a user (their own or a shared one).
+ *
+ * @param {number} userId - The user ID.
+ * @param {number} templateId - The template ID.
+ * @returns {Object|null} The template (see formatTemplate), or null if not found.
+ */
+export function getTemplate(userId, templateId) {
+  const row = db
+    .prepare('SELECT * FROM prompt_templates WHERE id = ? AND (user_id = ? OR user_id IS NULL)')
+    .get(Number(templateId), userId);
+  return row ? formatTemplate(row) : null;
+}
+
+/**
+ * Creates a template (validate first).
+ *
+ * @param {number|null} ownerId - The user ID (null: shared template).
+ * @param {{name: string, content: string}} input - The template.
+ * @returns {Object} The template (see formatTemplate).
+ */
+export function createTemplate(ownerId, { name, content }) {
+  const { lastInsertRowid } = db
+    .prepare('INSERT INTO prompt_templates (user_id, name, content) VALUES (?, ?, ?)')
+    .run(ownerId, name.trim(), content.trim());
+  return formatTemplate(
+    db.prepare('SELECT * FROM prompt_templates WHERE id = ?').get(lastInsertRowid)
+  );
+}
+
+/**
+ * Renames and/or rewrites a template (validate first).
+ *
+ * @param {number|null} ownerId - The user ID (null: shared template).
+ * @param {number} templateId - The template ID.
+ * @param {{name?: string, content?: string}} changes - Fields to change.
+ * @returns {Object|null} The updated template, or null if not found for this owner.
+ */
+export function updateTemplate(ownerId, templateId, { name, content }) {
+  const row = db
+    .prepare('SELECT * FROM prompt_templates WHERE id = ? AND user_id IS ?')
+    .get(Number(templateId), ownerId);
+  if (!row) return null;
+
+  db.prepare(
+    'UPDATE prompt_templates SET name = ?, content = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+  ).run(
+    name !== undefined ? name.trim() : row.name,
+    content !== undefined ? content.trim() : row.content,
+    row.id
+  );
+  return formatTemplate(db.prepare('SELECT * FROM prompt_templates WHERE id = ?').get(row.id));
+}
+
+/**
+ * Deletes a template. Threads using it go back to the default system prompt.
+ *
+ * @param {number|null} ownerId - The user ID (null: shared template).
+ * @param {number} templateId - The template ID.
+ * @returns {boolean} True if the template existed.
+ */
+export function deleteTemplate(ownerId, templateId) {
+  return db.transaction(() => {
+    const { changes } = db
+      .prepare('DELETE FROM prompt_templates WHERE id = ? AND user_id IS ?')
+      .run(Number(templateId), ownerId);
+    if (changes > 0) {
+      db.prepare('UPDATE chat_threads SET template_id = NULL WHERE template_id = ?').run(
+        Number(templateId)
+      );
+    }
+    return changes > 0;
+  })();
+}
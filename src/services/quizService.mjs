@@ -0,0 +1,460 @@
+/**
+ * ==============================================================================
+ * SERVICE: QUIZZES
+ * ==============================================================================
+ * @fileoverview Quizzes generated from a document (or a page range of it),
+ * attempts graded against the source passages, and score statistics.
+ *
+ * @architecture
+ * - Quizzes are written by the model from the extracted text, with the user's
+ *   provider chain, and stored with their answers. Answers are only returned
+ *   with the results of an attempt.
+ * - Multiple-choice answers are checked locally. Short answers are graded by the
+ *   model in a single call, each against the text of the page its question comes
+ *   from (the whole range when unknown).
+ * - Every attempt is stored with its score (percentage of points earned); the
+ *   dashboard compares the average score of the last 30 days with the previous 30.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js
+ * @dependencies database, aiManager, tokenBudget, quizzes, documentOverview,
+ *   extractionService, aiConfigService, contextWindowService
+ * ==============================================================================
+ */
+
+// --- 1. CORE IMPORTS ---
+import path from 'node:path';
+
+// --- 2. MODULE IMPORTS ---
+import db from '../config/database.mjs';
+import { askAIWithFallback } from '../utils/aiManager.mjs';
+import { estimateMessageTokens, planContextBudget } from '../utils/tokenBudget.mjs';
+import { parseGradingReply, parseQuizReply, scoreAttempt } from '../utils/quizzes.mjs';
+import { splitPagesIntoParts } from '../utils/documentOverview.mjs';
+import { getDocumentText, getExtractedPages } from './extractionService.mjs';
+import { resolveProviderChain } from './aiConfigService.mjs';
+import { resolveChainWindow } from './contextWindowService.mjs';
+
+// --- 3. CONFIGURATION CONSTANTS ---
+
+// Questions generated per quiz
+export const DEFAULT_QUIZ_QUESTIONS = 8;
+export const MAX_QUIZ_QUESTIONS = 20;
+
+// Largest document excerpt sent to write a quiz (longer ranges are cut evenly)
+const MAX_SOURCE_TOKENS = 12000;
+
+// Largest source passage sent to grade a short answer
+const MAX_PASSAGE_TOKENS = 1500;
+
+// Window of the dashboard statistics (the trend compares it with the window before)
+const STATS_WINDOW_DAYS = 30;
+
+const QUIZ_PROMPT = `You write quizzes testing the understanding of course documents. The pages of the document are given, each introduced by a marker such as [Page 3]. Mix multiple-choice questions (one right choice among 4) and short-answer questions (answered in a sentence or two), in the language of the document. Every answer must be found in the text. Reply with JSON only: {"questions": [{"type": "mcq", "question": "...", "choices": ["...", "...", "...", "..."], "answer": index of the right choice (from 0), "explanation": "...", "page": page number}, {"type": "short", "question": "...", "answer": "expected answer", "explanation": "...", "page": page number}]}`;
+
+const GRADING_PROMPT = `You grade a student's short answers to a quiz on a course document. Each question comes with the expected answer and the passage of the document it is based on. Grade the meaning, not the wording: 1 if the answer is right and complete, 0.5 if it is partly right, 0 if it is wrong or empty. Give one or two sentences of feedback to the student, in the language of the question, based on the passage. Reply with a JSON list only: [{"question": question number, "score": 0 | 0.5 | 1, "feedback": "..."}]`;
+
+/**
+ * ==============================================================================
+ * I. HELPERS
+ * ==============================================================================
+ */
+
+/**
+ * Returns the tokens left for document text once the instructions are in the prompt.
+ *
+ * @param {Array<Object>} chain - The provider chain.
+ * @param {string} instructions - The system prompt.
+ * @returns {number} The token budget.
+ * @private
+ */
+function _textBudget(chain, instructions) {
+  const window = resolveChainWindow(chain);
+  return planContextBudget({
+    contextWindow: window.contextTokens,
+    maxOutputTokens: window.maxOutputTokens,
+    fixedTokens: estimateMessageTokens([{ content: instructions }]),
+    historyLimit: 0
+  }).available;
+}
+
+/**
+ * Formats a quiz row for API responses.
+ *
+ * @param {Object} row - A 'quizzes' row (with 'attempts' and 'last_score' when listed).
+ * @param {Object} [options]
+ * @param {boolean} [options.withAnswers=false] - Keep the answers and explanations.
+ * @returns {Object} The quiz.
+ */
+export function formatQuiz(row, { withAnswers = false } = {}) {
+  const questions = JSON.parse(row.questions).map((question) =>
+    withAnswers
+      ? question
+      : {
+          type: question.type,
+          question: question.question,
+          ...(question.choices && { choices: question.choices }),
+          page: question.page
+        }
+  );
+
+  return {
+    id: row.id,
+    path: row.path,
+    pageStart: row.page_start,
+    pageEnd: row.page_end,
+    questions,
+    provider: row.provider,
+    model: row.model,
+    createdAt: row.created_at,
+    ...(row.attempts !== undefined && {
+      attempts: row.attempts,
+      bestScore: row.best_score,
+      lastScore: row.last_score
+    })
+  };
+}
+
+/**
+ * Formats an attempt row for API responses.
+ *
+ * @param {Object} row - A 'quiz_attempts' row.
+ * @returns {{id: number, quizId: number, answers: Array, results: Array, score: number, createdAt: string}}
+ */
+function formatAttempt(row) {
+  return {
+    id: row.id,
+    quizId: row.quiz_id,
+    answers: JSON.parse(row.answers),
+    results: JSON.parse(row.results),
+    score: row.score,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Returns a quiz of a user.
+ *
+ * @param {number} userId - The user ID.
+ * @param {number} quizId - The quiz ID.
+ * @returns {Object|null} The 'quizzes' row.
+ * @private
+ */
+function _getQuizRow(userId, quizId) {
+  return (
+    db.prepare('SELECT * FROM quizzes WHERE id = ? AND user_id = ?').get(Number(quizId), userId) ||
+    null
+  );
+}
+
+/**
+ * ==============================================================================
+ * II. QUIZZES
+ * ==============================================================================
+ */
+
+/**
+ * Lists the quizzes of a user with their number of attempts and scores.
+ *
+ * @param {number} userId - The user ID.
+ * @param {string} [docPath] - Only the quizzes of this document.
+ * @returns {Array<Object>} Quizzes without answers (see formatQuiz), newest first.
+ */
+export function listQuizzes(userId, docPath) {
+  return db
+    .prepare(
+      `
+        SELECT q.*,
+               (SELECT COUNT(*) FROM quiz_attempts a WHERE a.quiz_id = q.id) AS attempts,
+               (SELECT MAX(score) FROM quiz_attempts a WHERE a.quiz_id = q.id) AS best_score,
+               (SELECT score FROM quiz_attempts a WHERE a.quiz_id = q.id
+                ORDER BY a.created_at DESC, a.id DESC LIMIT 1) AS last_score
+        FROM quizzes q
+        WHERE q.user_id = ? AND (? IS NULL OR q.path = ?)
+        ORDER BY q.created_at DESC, q.id DESC
+    `
+    )
+    .all(userId, docPath ?? null, docPath ?? null)
+    .map((row) => formatQuiz(row));
+}
+
+/**
+ * Returns a quiz of a user, without its answers.
+ *
+ * @param {number} userId - The user ID.
+ * @param {number} quizId - The quiz ID.
+ * @returns {Object|null} The quiz, or null if not found for this user.
+ */
+export function getQuiz(userId, quizId) {
+  const row = _getQuizRow(userId, quizId);
+  return row ? formatQuiz(row) : null;
+}
+
+/**
+ * Deletes a quiz and its attempts.
+ *
+ * @param {number} userId - The user ID.
+ * @param {number} quizId - The quiz ID.
+ * @returns {boolean} True if the quiz existed.
+ */
+export function deleteQuiz(userId, quizId) {
+  return db.transaction(() => {
+    const { changes } = db
+      .prepare('DELETE FROM quizzes WHERE id = ? AND user_id = ?')
+      .run(Number(quizId), userId);
+    if (changes > 0) {
+      db.prepare('DELETE FROM quiz_attempts WHERE quiz_id = ?').run(Number(quizId));
+    }
+    return changes > 0;
+  })();
+}
+
+/**
+ * Generates a quiz from the extracted text of a document.
+ *
+ * @param {number} userId - The user ID (their provider chain is used).
+ * @param {string} docPath - Relative document path.
+ * @param {Object} [options]
+ * @param {number} [options.count=DEFAULT_QUIZ_QUESTIONS] - Number of questions requested.
+ * @param {number} [options.pageStart] - First page of the range (default: whole document).
+ * @param {number} [options.pageEnd] - Last page of the range.
+ * @returns {Promise<Object|null>} The quiz without answers (no questions if the range has no
+ *   readable text or the reply held no valid question), or null when no provider is configured.
+ * @throws {Error} If the document path is invalid.
+ * @throws {AIChainError} If every provider failed.
+ */
+export async function generateQuiz(userId, docPath, options = {}) {
+  const { count = DEFAULT_QUIZ_QUESTIONS, pageStart = 1, pageEnd = Infinity } = options;
+
+  const chain = resolveProviderChain(userId);
+  if (chain.length === 0) return null;
+
+  // Waits for the first pages of a document never extracted (see extractionService)
+  await getDocumentText(docPath);
+  const pages = getExtractedPages(docPath).filter((p) => p.page >= pageStart && p.page <= pageEnd);
+
+  const instructions = `${QUIZ_PROMPT}\n\nWrite ${count} questions.`;
+  const [excerpt] = splitPagesIntoParts(pages, {
+    maxTokens: Math.min(MAX_SOURCE_TOKENS, _textBudget(chain, instructions)),
+    maxParts: 1
+  });
+  if (!excerpt) return { questions: [] };
+
+  const answer = await askAIWithFallback(
+    [
+      { role: 'system', content: instructions },
+      {
+        role: 'user',
+        content: `DOCUMENT: ${path.basename(docPath).replace(/\.pdf$/i, '')}\n\n${excerpt.text}`
+      }
+    ],
+    chain
+  );
+
+  // Pages outside of the excerpt are guesses of the model
+  const questions = parseQuizReply(answer.content)
+    .slice(0, count)
+    .map((question) => ({
+      ...question,
+      page:
+        question.page >= excerpt.pageStart && question.page <= excerpt.pageEnd
+          ? question.page
+          : null
+    }));
+  if (questions.length === 0) return { questions: [] };
+
+  const { lastInsertRowid } = db
+    .prepare(
+      `
+        INSERT INTO quizzes (user_id, path, page_start, page_end, questions, provider, model)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `
+    )
+    .run(
+      userId,
+      docPath,
+      excerpt.pageStart,
+      excerpt.pageEnd,
+      JSON.stringify(questions),
+      answer.provider,
+      answer.model
+    );
+  return getQuiz(userId, lastInsertRowid);
+}
+
+/**
+ * ==============================================================================
+ * III. ATTEMPTS
+ * ==============================================================================
+ */
+
+/**
+ * Validates the answers submitted to a quiz.
+ *
+ * @param {Object} quiz - The quiz (see getQuiz).
+ * @param {*} answers - The submitted answers, in question order.
+ * @returns {string|null} An error message, or null if valid.
+ */
+export function validateAnswers(quiz, answers) {
+  if (!Array.isArray(answers) || answers.length !== quiz.questions.length) {
+    return `answers must be a list of ${quiz.questions.length} answers (null when skipped).`;
+  }
+
+  const invalid = quiz.questions.findIndex((question, index) => {
+    const answer = answers[index];
+    if (answer === null) return false;
+    return question.type === 'mcq'
+      ? !(Number.isInteger(answer) && answer >= 0 && answer < question.choices.length)
+      : typeof answer !== 'string';
+  });
+
+  return invalid === -1
+    ? null
+    : `Answer ${invalid + 1} must be a choice index or a text, depending on the question.`;
+}
+
+/**
+ * Tells whether an attempt has short answers to grade with the model (empty ones are not).
+ *
+ * @param {Object} quiz - The quiz (see getQuiz).
+ * @param {Array<number|string|null>} answers - The validated answers.
+ * @returns {boolean}
+ */
+export function needsGrading(quiz, answers) {
+  return quiz.questions.some(
+    (question, index) => question.type === 'short' && Boolean(answers[index]?.trim())
+  );
+}
+
+/**
+ * Grades the short answers of an attempt with the model, each against its source passage.
+ *
+ * @param {Array<Object>} chain - The provider chain.
+ * @param {Object} row - The 'quizzes' row.
+ * @param {Array<Object>} questions - The questions, with their answers.
+ * @param {Array<number|string|null>} answers - The submitted answers.
+ * @returns {Promise<Map<number, {score: number, feedback: string}>>} Grades by question number.
+ * @throws {AIChainError} If every provider failed.
+ * @private
+ */
+async function _gradeShortAnswers(chain, row, questions, answers) {
+  // Empty answers earn no point without asking the model
+  const graded = questions
+    .map((question, index) => ({ question, index }))
+    .filter(({ question, index }) => question.type === 'short' && answers[index]?.trim());
+  if (graded.length === 0) return new Map();
+
+  const pages = getExtractedPages(row.path);
+  const passageBudget = Math.min(
+    MAX_PASSAGE_TOKENS,
+    Math.floor(_textBudget(chain, GRADING_PROMPT) / graded.length)
+  );
+
+  const items = graded.map(({ question, index }) => {
+    const from = question.page ?? row.page_start ?? 1;
+    const to = question.page ?? row.page_end ?? Infinity;
+    const [passage] = splitPagesIntoParts(
+      pages.filter((p) => p.page >= from && p.page <= to),
+      { maxTokens: passageBudget, maxParts: 1 }
+    );
+
+    return [
+      `QUESTION ${index + 1}: ${question.question}`,
+      `EXPECTED ANSWER: ${question.answer}`,
+      `PASSAGE:\n${passage?.text || '(no text)'}`,
+      `STUDENT ANSWER: ${answers[index].trim()}`
+    ].join('\n');
+  });
+
+  const answer = await askAIWithFallback(
+    [
+      { role: 'system', content: GRADING_PROMPT },
+      { role: 'user', content: items.join('\n\n---\n\n') }
+    ],
+    chain
+  );
+  return parseGradingReply(answer.content);
+}
+
+/**
+ * Grades and stores an attempt (validate the answers first).
+ *
+ * @param {number} userId - The user ID (their provider chain grades the short answers).
+ * @param {number} quizId - The quiz ID.
+ * @param {Array<number|string|null>} answers - The answers, in question order.
+ * @returns {Promise<Object|null>} The attempt ({ id, quizId, answers, results, score, createdAt })
+ *   with the quiz and its answers, or null if the quiz was not found for this user.
+ * @throws {Error} If short answers need grading and no provider is configured.
+ * @throws {AIChainError} If every provider failed.
+ */
+export async function submitAttempt(userId, quizId, answers) {
+  const row = _getQuizRow(userId, quizId);
+  if (!row) return null;
+
+  const quiz = formatQuiz(row, { withAnswers: true });
+  const chain = needsGrading(quiz, answers) ? resolveProviderChain(userId) : [];
+  if (needsGrading(quiz, answers) && chain.length === 0) {
+    throw new Error('No AI provider is configured to grade short answers.');
+  }
+
+  const grades = await _gradeShortAnswers(chain, row, quiz.questions, answers);
+  const { score, results } = scoreAttempt(quiz.questions, answers, grades);
+
+  const { lastInsertRowid } = db
+    .prepare(
+      'INSERT INTO quiz_attempts (quiz_id, user_id, answers, results, score) VALUES (?, ?, ?, ?, ?)'
+    )
+    .run(row.id, userId, JSON.stringify(answers), JSON.stringify(results), score);
+
+  const attempt = db.prepare('SELECT * FROM quiz_attempts WHERE id = ?').get(lastInsertRowid);
+  return { ...formatAttempt(attempt), quiz };
+}
+
+/**
+ * Lists the attempts of a quiz, newest first.
+ *
+ * @param {number} userId - The user ID.
+ * @param {number} quizId - The quiz ID.
+ * @returns {Array<Object>|null} The attempts, or null if the quiz was not found for this user.
+ */
+export function listAttempts(userId, quizId) {
+  const row = _getQuizRow(userId, quizId);
+  if (!row) return null;
+
+  return db
+    .prepare(
+      'SELECT * FROM quiz_attempts WHERE quiz_id = ? AND user_id = ? ORDER BY created_at DESC, id DESC'
+    )
+    .all(row.id, userId)
+    .map(formatAttempt);
+}
+
+/**
+ * Returns the quiz statistics of a user (last 30 days).
+ *
+ * @param {number} userId - The user ID.
+ * @returns {{attempts: number, averageScore: number|null, trend: number|null}} Attempts and
+ *   average score of the window, and the change of the average (points) since the window
+ *   before (null without attempts in either window).
+ */
+export function getQuizStats(userId) {
+  const row = db
+    .prepare(
+      `
+        SELECT
+          SUM(CASE WHEN created_at >= datetime('now', '-' || ? || ' days') THEN 1 ELSE 0 END) AS attempts,
+          AVG(CASE WHEN created_at >= datetime('now', '-' || ? || ' days') THEN score END) AS average,
+          AVG(CASE WHEN created_at < datetime('now', '-' || ? || ' days') THEN score END) AS previous
+        FROM quiz_attempts
+        WHERE user_id = ? AND created_at >= datetime('now', '-' || ? || ' days')
+    `
+    )
+    .get(STATS_WINDOW_DAYS, STATS_WINDOW_DAYS, STATS_WINDOW_DAYS, userId, STATS_WINDOW_DAYS * 2);
+
+  const average = row.average === null ? null : Math.round(row.average);
+  return {
+    attempts: row.attempts || 0,
+    averageScore: average,
+    trend: average === null || row.previous === null ? null : average - Math.round(row.previous)
+  };
+}
@@ -0,0 +1,204 @@
+/**
+ * ==============================================================================
+ * SERVICE: PAGE TRANSLATIONS
+ * ==============================================================================
+ * @fileoverview Translates the extracted text of a document page into another
+ * language, on demand (side-by-side pane of the reader).
+ *
+ * @architecture
+ * - Pages are translated with the AI configuration of the user who asks (their
+ *   provider chain, see aiConfigService), one page per call.
+ * - Translations are shared by every user and cached per (path, page, language)
+ *   in 'document_translations', with a fingerprint of the page text they were
+ *   made from: a page read again (OCR with other language packs) is translated
+ *   again, and a replaced file drops its translations with the rest of its
+ *   derived data (see extractionService).
+ * - A page that is not extracted yet is reported as 'pending' (its extraction is
+ *   queued); concurrent requests for the same translation share one call.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js
+ * @dependencies database, aiManager, tokenBudget, translation, extractionService,
+ *   aiConfigService, contextWindowService
+ * ==============================================================================
+ */
+
+// --- 1. CORE IMPORTS ---
+import crypto from 'node:crypto';
+
+// --- 2. MODULE IMPORTS ---
+import db from '../config/database.mjs';
+import { AIProviderError, askAIWithFallback } from '../utils/aiManager.mjs';
+import {
+  estimateMessageTokens,
+  planContextBudget,
+  truncateToTokens
+} from '../utils/tokenBudget.mjs';
+import { cleanTranslationReply, languageName } from '../utils/translation.mjs';
+import { getExtractionStatus, warmDocument } from './extractionService.mjs';
+import { resolveProviderChain } from './aiConfigService.mjs';
+import { resolveChainWindow } from './contextWindowService.mjs';
+
+// --- 3. CONFIGURATION CONSTANTS ---
+
+const TRANSLATION_PROMPT = `You translate pages of course documents. Translate the page given by the user into {{LANGUAGE}}. Keep the layout (paragraphs, lists, headings), numbers, formulas, code and proper names. Translate everything, do not summarize or explain. Reply with the translation only.`;
+
+// Translations being made, keyed by 'path|page|language'.
+const inflight = new Map();
+
+/**
+ * ==============================================================================
+ * I. HELPERS
+ * ==============================================================================
+ */
+
+/**
+ * Fingerprints the text of a page.
+ * @private
+ */
+function _hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Formats a translation result.
+ * @private
+ */
+function _result(docPath, page, language, status, row = null, cached = false) {
+  return {
+    path: docPath,
+    page,
+    language,
+    status,
+    content: row?.content ?? null,
+    provider: row?.provider ?? null,
+    model: row?.model ?? null,
+    cached
+  };
+}
+
+/**
+ * Asks the model for the translation of a page.
+ *
+ * @param {string} text - The text of the page.
+ * @param {string} language - Target language code.
+ * @param {Array<Object>} chain - Provider chain (primary first).
+ * @returns {Promise<{content: string, provider: string, model: string}>}
+ * @throws {AIChainError|AIProviderError} If every provider failed or the reply is empty.
+ * @private
+ */
+async function _translate(text, language, chain) {
+  const systemPrompt = TRANSLATION_PROMPT.replace('{{LANGUAGE}}', languageName(language));
+
+  // The translation is about as long as the page: the page may not exceed the answer budget
+  const window = resolveChainWindow(chain);
+  const budget = planContextBudget({
+    contextWindow: window.contextTokens,
+    maxOutputTokens: window.maxOutputTokens,
+    fixedTokens: estimateMessageTokens([{ content: systemPrompt }]),
+    historyLimit: 0
+  });
+
+  const answer = await askAIWithFallback(
+    [
+      { role: 'system', content: systemPrompt },
+      {
+        role: 'user',
+        content: truncateToTokens(text, Math.min(budget.available, budget.answer))
+      }
+    ],
+    chain
+  );
+
+  const content = cleanTranslationReply(answer.content);
+  if (!content) {
+    throw new AIProviderError('The model returned an empty translation.', {
+      kind: 'empty_response',
+      provider: answer.provider,
+      model: answer.model
+    });
+  }
+  return { content, provider: answer.provider, model: answer.model };
+}
+
+/**
+ * ==============================================================================
+ * II. PUBLIC API
+ * ==============================================================================
+ */
+
+/**
+ * Translates a page of a document, from the cache when possible.
+ *
+ * @param {number} userId - The user asking (their provider chain is used).
+ * @param {string} docPath - Relative document path.
+ * @param {number} page - Page number (1-based).
+ * @param {string} language - Target language code (checked by the caller, see utils/translation).
+ * @returns {Promise<{path: string, page: number, language: string, status: string, content: string|null, provider: string|null, model: string|null, cached: boolean}|null>}
+ *   null when no AI provider is configured. 'status' is 'complete', 'pending' (page not
+ *   extracted yet), 'empty' (no text on the page) or 'out_of_range'.
+ * @throws {Error} If the path is outside 'courses/', or every provider failed.
+ */
+export async function translatePage(userId, docPath, page, language) {
+  // Revalidates the cached text (a replaced file drops its translations) and queues extraction
+  await warmDocument(docPath);
+
+  const status = getExtractionStatus(docPath);
+  const complete = status?.status === 'complete';
+  if (status?.page_count && page > status.page_count) {
+    return _result(docPath, page, language, 'out_of_range');
+  }
+
+  const row = db
+    .prepare('SELECT content FROM document_pages WHERE path = ? AND page_number = ?')
+    .get(docPath, page);
+  const text = row?.content?.trim();
+
+  // A blank page of a document still being read may be filled by OCR
+  if (!text) return _result(docPath, page, language, complete ? 'empty' : 'pending');
+
+  const sourceHash = _hashText(text);
+  const cached = db
+    .prepare(
+      'SELECT * FROM document_translations WHERE path = ? AND page = ? AND language = ? AND source_hash = ?'
+    )
+    .get(docPath, page, language, sourceHash);
+  if (cached) return _result(docPath, page, language, 'complete', cached, true);
+
+  const chain = resolveProviderChain(userId);
+  if (chain.length === 0) return null;
+
+  const key = `${docPath}|${page}|${language}`;
+  if (!inflight.has(key)) {
+    const job = _translate(text, language, chain)
+      .then((translation) => {
+        db.prepare(
+          `
+            INSERT INTO document_translations
+                (path, page, language, content, source_hash, provider, model)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(path, page, language) DO UPDATE SET
+                content = excluded.content,
+                source_hash = excluded.source_hash,
+                provider = excluded.provider,
+                model = excluded.model,
+                created_at = CURRENT_TIMESTAMP
+        `
+        ).run(
+          docPath,
+          page,
+          language,
+          translation.content,
+          sourceHash,
+          translation.provider,
+          translation.model
+        );
+        return translation;
+      })
+      .finally(() => inflight.delete(key));
+    inflight.set(key, job);
+  }
+
+  const translation = await inflight.get(key);
+  return _result(docPath, page, language, 'complete', translation);
+}
@@ -13,6 +13,7 @@
 // --- 1. IMPORTS ---
 import crypto from 'node:crypto';
 import db from '../config/database.mjs';
+import { openSecret } from '../utils/secretBox.mjs';
 
 // --- 2. CONFIGURATION CONSTANTS ---
 const RETRY_INTERVAL_MS = 15_000; // 15 seconds
@@ -23,13 +24,14 @@ const BATCH_SIZE = 10;
  * Generates a HMAC SHA256 signature to verify payload integrity.
  * Structure: sha256(timestamp + "." + body)
  *
- * @param {string} secret - The shared secret key for the webhook.
+ * @param {string} secret - The shared secret key for the webhook, as stored
+ *   (encrypted at rest; decrypted here).
  * @param {number} timestamp - The current timestamp (ms).
  * @param {string} body - The raw JSON string body.
  * @returns {string} The hex-encoded signature.
  */
 function signWebhook(secret, timestamp, body) {
-  const h = crypto.createHmac('sha256', secret);
+  const h = crypto.createHmac('sha256', openSecret(secret));
   h.update(String(timestamp));
   h.update('.');
   h.update(body);
@@ -58,10 +60,10 @@ export async function dispatchWebhook(userId, event, payloadObj) {
   // We use forEach here specifically to avoid 'await' blocking the loop.
   hooks.forEach(async (hook) => {
     const timestamp = Date.now();
-    const signature = signWebhook(hook.secret, timestamp, payload);
 
     try {
-      // A. Attempt Delivery
+      // A. Attempt Delivery (signing fails if the secret cannot be decrypted)
+      const signature = signWebhook(hook.secret, timestamp, payload);
       await fetch(hook.url, {
         method: 'POST',
         headers: {
@@ -123,10 +125,10 @@ export function startWebhookWorker() {
       // 2. Process Retries
       for (const row of undelivered) {
         const timestamp = Date.now();
-        const signature = signWebhook(row.secret, timestamp, row.payload);
 
         try {
           // A. Retry Delivery
+          const signature = signWebhook(row.secret, timestamp, row.payload);
           await fetch(row.url, {
             method: 'POST',
             headers: {
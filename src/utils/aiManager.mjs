@@ -5,204 +5,351 @@
  * @fileoverview Centralized interface for Large Language Model (LLM) interactions.
  *
  * This module implements the Adapter Pattern to decouple the application logic
- * from specific AI providers. The rest of the application remains agnostic
- * to whether the underlying provider is Ollama, OpenAI, or Gemini.
+ * from specific AI providers. Adapters live in './providers/' and register into
+ * a provider registry; the rest of the application remains agnostic to whether
+ * the underlying provider is Ollama, OpenAI, Gemini, Anthropic or any
+ * OpenAI-compatible server.
  *
  * @author Sacha Pastor
  * @environment Node.js (Fetch API available in Node 18+)
  * ==============================================================================
  */
 
-import { GoogleGenAI } from '@google/genai';
-// import fetch from 'node-fetch'; // Uncomment if using Node.js < 18
+import { getProvider } from './providers/index.mjs';
+import { AIProviderError, AIChainError } from './providers/errors.mjs';
+
+export { registerProvider, getProvider, listProviders } from './providers/index.mjs';
+export { AIProviderError, AIChainError } from './providers/errors.mjs';
+
+// Provider used when a configuration does not name one.
+const DEFAULT_PROVIDER = 'ollama';
+
+/**
+ * Resolves the adapter for a configuration.
+ *
+ * @param {Object} config - The AI configuration object.
+ * @returns {Object} The provider definition.
+ * @throws {AIProviderError} If the configured provider is not registered.
+ * @private
+ */
+function _resolveProvider(config) {
+  const id = config.provider || DEFAULT_PROVIDER;
+  const provider = getProvider(id);
+  if (!provider) {
+    throw new AIProviderError(`[AI MANAGER] Unsupported AI Provider: ${id}`, {
+      kind: 'unsupported',
+      provider: id
+    });
+  }
+  return provider;
+}
+
+/**
+ * Returns the model a configuration will actually use (explicit or provider default).
+ *
+ * @param {Object} config - The AI configuration object.
+ * @returns {string|null} The model name.
+ */
+export function getEffectiveModel(config) {
+  return config.model || getProvider(config.provider || DEFAULT_PROVIDER)?.defaultModel || null;
+}
 
 /**
  * Main entry point to query the configured AI provider.
- * Dispatches the request to the specific internal adapter based on the provided configuration.
+ * Dispatches the request to the registered adapter.
  *
  * @param {Array<Object>} messages - Conversation history in standard format: [{role: 'user', content: '...'}].
  * @param {Object} config - The AI configuration object { provider, model, apiUrl, apiKey }.
+ * @param {AbortSignal} [signal] - Aborts the upstream request when triggered (a timeout
+ *   signal fails with kind 'timeout').
  * @returns {Promise<string>} The textual content of the AI's response.
- * @throws {Error} If the configured provider is not supported.
+ * @throws {AIProviderError} If the provider is unsupported, fails, or returns an empty answer.
  */
-export async function askAI(messages, config) {
-  // 1. Configuration: Load provider from config object or default to 'ollama'
-  const provider = config.provider || 'ollama';
-  const model = config.model || 'mistral';
+export async function askAI(messages, config, signal) {
+  const provider = _resolveProvider(config);
+  const model = getEffectiveModel(config);
 
-  // console.log(`[AI MANAGER] Dispatching request to provider: ${provider} (Model: ${model})...`);
+  let content;
+  try {
+    content = await provider.chat(messages, config, signal);
+  } catch (error) {
+    if (signal?.reason?.name === 'TimeoutError') {
+      throw new AIProviderError(`${provider.label} did not answer in time.`, {
+        kind: 'timeout',
+        provider: provider.id,
+        model,
+        cause: error
+      });
+    }
+    throw AIProviderError.from(error, provider.id, model);
+  }
 
-  // 2. Dispatch Strategy (Adapter Pattern)
-  switch (provider) {
-    case 'ollama':
-      return await _callOllama(messages, config);
+  if (!content || !content.trim()) {
+    throw new AIProviderError(`${provider.label} returned an empty response.`, {
+      kind: 'empty_response',
+      provider: provider.id,
+      model
+    });
+  }
+  return content;
+}
 
-    case 'openai':
-      return await _callOpenAI(messages, config);
+/**
+ * ==============================================================================
+ * FALLBACK CHAINS
+ * ==============================================================================
+ * A chain is an ordered list of configurations (primary first). Each provider is
+ * tried in turn until one answers; the result records which one did.
+ */
 
-    case 'gemini':
-      return await _callGemini(messages, config);
+// Time each provider of a chain gets to answer before the next one is tried.
+const REQUEST_TIMEOUT_MS = Number(process.env.AI_REQUEST_TIMEOUT_MS) || 120_000;
 
-    default:
-      throw new Error(`[AI MANAGER] Unsupported AI Provider: ${provider}`);
+/**
+ * Queries a fallback chain.
+ *
+ * @param {Array<Object>} messages - Conversation history.
+ * @param {Array<Object>} chain - Ordered AI configurations ({ provider, model, apiUrl, apiKey }).
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Time each provider gets to answer (AI_REQUEST_TIMEOUT_MS
+ *   or 2 minutes by default).
+ * @returns {Promise<{content: string, provider: string, model: string|null, failures: Array<AIProviderError>}>}
+ *   The answer, the provider/model that produced it and the errors of skipped providers.
+ * @throws {AIChainError} If every provider failed.
+ */
+export async function askAIWithFallback(messages, chain, options = {}) {
+  const failures = [];
+
+  for (const config of chain) {
+    try {
+      // A provider that accepts the request but never answers must not hold the chain
+      const signal = AbortSignal.timeout(options.timeoutMs || REQUEST_TIMEOUT_MS);
+      const content = await askAI(messages, config, signal);
+      return { content, provider: config.provider, model: getEffectiveModel(config), failures };
+    } catch (error) {
+      const typed = AIProviderError.from(error, config.provider, getEffectiveModel(config));
+      console.warn(`[AI MANAGER] ${typed.provider} failed (${typed.kind}): ${typed.message}`);
+      failures.push(typed);
+    }
   }
+
+  throw new AIChainError(failures);
 }
 
 /**
  * ==============================================================================
- * INTERNAL ADAPTERS
+ * STREAMING
  * ==============================================================================
+ * Token-by-token variant of askAI() used by the Server-Sent Events chat endpoint.
+ * Every adapter honours an AbortSignal for client cancellation (a cancelled
+ * stream resolves with the partial text).
  */
 
 /**
- * Adapter for Ollama (Self-Hosted LLM).
- * Handles the specific API signature and error management for local Ollama instances.
+ * Streams the response of the configured AI provider.
  *
- * @param {Array<Object>} messages - The conversation history.
- * @param {Object} config - Configuration containing apiUrl and model.
- * @returns {Promise<string>} The AI response text or a user-friendly error message.
- * @private
+ * @param {Array<Object>} messages - Conversation history: [{role: 'user', content: '...'}].
+ * @param {Object} config - The AI configuration object { provider, model, apiUrl, apiKey }.
+ * @param {Object} [options] - Streaming options.
+ * @param {Function} [options.onToken] - Called with each text delta as it arrives.
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request when triggered.
+ * @returns {Promise<string>} The full response text (concatenation of all deltas).
+ *   When aborted, resolves with the text generated so far instead of throwing.
+ * @throws {AIProviderError} If the provider is unsupported, unreachable or silent.
  */
-async function _callOllama(messages, config) {
-  // Configuration: Default to localhost standard port if not specified
-  const url = config.apiUrl || 'http://127.0.0.1:11434/api/chat';
-  const model = config.model || 'mistral';
+export async function streamAI(messages, config, options = {}) {
+  const provider = _resolveProvider(config);
+  const model = getEffectiveModel(config);
+  const onToken = options.onToken || (() => {});
+
+  let fullText = '';
+  const emit = (delta) => {
+    if (!delta) return;
+    fullText += delta;
+    onToken(delta);
+  };
 
   try {
-    // 1. Construct the Payload
-    const payload = {
-      model: model,
-      messages: messages,
-      stream: false
-    };
+    if (typeof provider.stream === 'function') {
+      await provider.stream(messages, config, emit, options.signal);
+    } else {
+      // Adapters without streaming support answer in a single token
+      emit(await provider.chat(messages, config));
+    }
+  } catch (error) {
+    // Cancellation is not a failure: keep the partial answer
+    if (!options.signal?.aborted) throw AIProviderError.from(error, provider.id, model);
+  }
 
-    // 2. Execute API Call
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
+  if (!fullText.trim() && !options.signal?.aborted) {
+    throw new AIProviderError(`${provider.label} returned an empty response.`, {
+      kind: 'empty_response',
+      provider: provider.id,
+      model
     });
+  }
 
-    // 3. Network/Protocol Error Handling
-    if (!response.ok) {
-      throw new Error(
-        `Ollama API responded with status: ${response.statusText} (${response.status})`
-      );
-    }
+  return fullText;
+}
+
+/**
+ * Streams from a fallback chain. A provider is only replaced if it fails before
+ * emitting its first token: text already sent to the client cannot be taken back.
+ *
+ * @param {Array<Object>} messages - Conversation history.
+ * @param {Array<Object>} chain - Ordered AI configurations.
+ * @param {Object} [options] - Streaming options (see streamAI).
+ * @returns {Promise<{content: string, provider: string, model: string|null, failures: Array<AIProviderError>}>}
+ * @throws {AIChainError} If every provider failed before answering.
+ * @throws {AIProviderError} If a provider failed mid-answer.
+ */
+export async function streamAIWithFallback(messages, chain, options = {}) {
+  const failures = [];
 
-    // 4. Parse Response
-    const data = await response.json();
+  for (const config of chain) {
+    let started = false;
+    try {
+      const content = await streamAI(messages, config, {
+        ...options,
+        onToken: (delta) => {
+          started = true;
+          options.onToken?.(delta);
+        }
+      });
+      return { content, provider: config.provider, model: getEffectiveModel(config), failures };
+    } catch (error) {
+      const typed = AIProviderError.from(error, config.provider, getEffectiveModel(config));
+      if (started) throw typed;
 
-    // Return only the content string to maintain the agnostic interface contract
-    return data.message.content;
-  } catch (error) {
-    // console.error('[AI ADAPTER] Ollama Connection Error:', error);
-    return '⚠️ Error: Unable to reach local AI service. Please verify that Ollama is running.';
+      console.warn(`[AI MANAGER] ${typed.provider} failed (${typed.kind}): ${typed.message}`);
+      failures.push(typed);
+    }
   }
+
+  throw new AIChainError(failures);
 }
 
 /**
- * Adapter for OpenAI (Cloud LLM).
- * Handles interactions with the standard OpenAI Chat Completion API.
+ * ==============================================================================
+ * EMBEDDINGS
+ * ==============================================================================
+ * Unlike chat completions, embedding failures are thrown rather than converted
+ * into user-facing strings: callers (RAG retrieval) fall back to lexical search.
+ */
+
+/**
+ * Resolves the embedding model to use for a given AI configuration.
  *
- * @param {Array<Object>} messages - The conversation history.
- * @param {Object} config - Configuration containing apiKey and model.
- * @returns {Promise<string>} The AI response text.
- * @private
+ * @param {Object} config - The AI configuration object { provider, embeddingModel }.
+ * @returns {string} The embedding model identifier.
  */
-async function _callOpenAI(messages, config) {
-  if (!config.apiKey) {
-    throw new Error('OpenAI Provider requires an API Key.');
-  }
+export function getEmbeddingModel(config) {
+  return (
+    config.embeddingModel ||
+    process.env.AI_EMBEDDING_MODEL ||
+    getProvider(config.provider || DEFAULT_PROVIDER)?.defaultEmbeddingModel ||
+    getProvider(DEFAULT_PROVIDER).defaultEmbeddingModel
+  );
+}
 
-  const url = 'https://api.openai.com/v1/chat/completions';
-  const model = config.model || 'gpt-3.5-turbo';
+/**
+ * Computes vector embeddings for a batch of texts with the configured provider.
+ *
+ * @param {Array<string>} texts - The texts to embed.
+ * @param {Object} config - The AI configuration object { provider, apiUrl, apiKey, embeddingModel }.
+ * @returns {Promise<Array<Array<number>>>} One vector per input text, in the same order.
+ * @throws {AIProviderError} If the provider is unsupported, has no embeddings API, or the remote call fails.
+ */
+export async function embedTexts(texts, config) {
+  const provider = _resolveProvider(config);
 
-  try {
-    // 1. Construct the Payload
-    const payload = {
-      model: model,
-      messages: messages,
-      temperature: 0.7
-    };
+  if (!texts.length) return [];
 
-    // 2. Execute API Call
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${config.apiKey}`
-      },
-      body: JSON.stringify(payload)
+  if (typeof provider.embed !== 'function') {
+    throw new AIProviderError(`[AI MANAGER] ${provider.label} does not provide embeddings.`, {
+      kind: 'unsupported',
+      provider: provider.id
     });
-
-    // 3. Error Handling
-    if (!response.ok) {
-      const errData = await response.json().catch(() => ({}));
-      throw new Error(
-        `OpenAI API Error: ${errData.error?.message || response.statusText} (${response.status})`
-      );
-    }
-
-    // 4. Parse Response
-    const data = await response.json();
-    return data.choices[0].message.content;
-  } catch (error) {
-    // console.error('[AI ADAPTER] OpenAI Connection Error:', error);
-    return `⚠️ Error connecting to OpenAI: ${error.message}`;
   }
+
+  return await provider.embed(texts, config, getEmbeddingModel(config));
 }
 
 /**
- * Adapter for Google Gemini.
- * Uses the official @google/genai SDK (v1 beta).
+ * ==============================================================================
+ * DISCOVERY & DIAGNOSTICS
+ * ==============================================================================
+ * Used by the Settings page to help users pick a model and check their setup.
+ */
+
+// Time budget of discovery calls (a mistyped host should not hang the form).
+const MODEL_LIST_TIMEOUT_MS = 10_000;
+const CONNECTION_TEST_TIMEOUT_MS = 30_000;
+
+// Tiny prompt used to test a configuration.
+const TEST_PROMPT = [{ role: 'user', content: 'Reply with the single word: pong' }];
+
+/**
+ * Lists the models offered by the configured provider.
  *
- * @param {Array<Object>} messages - The conversation history.
- * @param {Object} config - Configuration containing apiKey and model.
- * @returns {Promise<string>} The AI response text.
- * @private
+ * @param {Object} config - The AI configuration object { provider, apiUrl, apiKey }.
+ * @returns {Promise<Array<string>>} Model ids, sorted.
+ * @throws {AIProviderError} If the provider cannot list models or the remote call fails.
  */
-async function _callGemini(messages, config) {
-  if (!config.apiKey) {
-    throw new Error('Gemini Provider requires an API Key.');
+export async function listModels(config) {
+  const provider = _resolveProvider(config);
+
+  if (typeof provider.listModels !== 'function') {
+    throw new AIProviderError(`[AI MANAGER] ${provider.label} cannot list its models.`, {
+      kind: 'unsupported',
+      provider: provider.id
+    });
   }
 
   try {
-    const client = new GoogleGenAI({ apiKey: config.apiKey });
-
-    // 1. Message Transformation
-    // Gemini SDK separates the System Instruction from the conversation history.
-    // It also expects roles to be 'user' or 'model' (not 'assistant').
-    let systemInstruction = undefined;
-    const conversation = [];
-
-    for (const msg of messages) {
-      if (msg.role === 'system') {
-        systemInstruction = msg.content;
-      } else {
-        conversation.push({
-          role: msg.role === 'assistant' ? 'model' : 'user',
-          parts: [{ text: msg.content }]
-        });
-      }
-    }
+    const models = await provider.listModels(config, AbortSignal.timeout(MODEL_LIST_TIMEOUT_MS));
+    return [...new Set(models)].sort((a, b) => a.localeCompare(b));
+  } catch (error) {
+    throw AIProviderError.from(error, provider.id, null);
+  }
+}
 
-    // 2. Execute API Call
-    // Default model fallback is gemini-1.5-flash if not specified
-    const response = await client.models.generateContent({
-      model: config.model || 'gemini-1.5-flash',
-      config: {
-        systemInstruction: systemInstruction
-      },
-      contents: conversation
-    });
+/**
+ * Sends a tiny prompt to a configuration and reports the outcome.
+ * Never throws: failures are part of the report.
+ *
+ * @param {Object} config - The AI configuration object { provider, model, apiUrl, apiKey }.
+ * @returns {Promise<{ok: boolean, provider: string, model: string|null, latencyMs: number, reply?: string, error?: Object}>}
+ *   'error' is the serialized AIProviderError (kind, status, message).
+ */
+export async function testConnection(config) {
+  const report = { provider: config.provider, model: getEffectiveModel(config) };
+  const started = Date.now();
+
+  // The request is aborted when the test times out
+  const signal = AbortSignal.timeout(CONNECTION_TEST_TIMEOUT_MS);
 
-    // 3. Return Text
-    return response.text();
+  try {
+    const reply = await askAI(TEST_PROMPT, config, signal);
+    return {
+      ok: true,
+      ...report,
+      latencyMs: Date.now() - started,
+      reply: reply.trim().slice(0, 200)
+    };
   } catch (error) {
-    // console.error('[AI ADAPTER] Gemini Connection Error:', error);
-    return `⚠️ Error connecting to Gemini: ${error.message}`;
+    const failure = signal.aborted
+      ? new AIProviderError(`No answer after ${CONNECTION_TEST_TIMEOUT_MS / 1000}s.`, {
+          kind: 'timeout',
+          provider: config.provider,
+          model: report.model
+        })
+      : error;
+    return {
+      ok: false,
+      ...report,
+      latencyMs: Date.now() - started,
+      error: AIProviderError.from(failure, config.provider, report.model).toJSON()
+    };
   }
 }
@@ -0,0 +1,145 @@
+/**
+ * ==============================================================================
+ * UTILITY: ANSWER CITATIONS
+ * ==============================================================================
+ * @fileoverview Turns the passage markers written by the model ([S1], [S1, S3])
+ * into structured citations: document path, page numbers and the quoted span
+ * of the passage that best supports the cited sentence.
+ *
+ * Markers are renumbered by order of first appearance ([1], [2], ...) so the
+ * stored answer and its citation list stay in sync.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js (ES Modules)
+ * ==============================================================================
+ */
+
+// --- 1. CONFIGURATION CONSTANTS ---
+
+// Passage markers: [S1], [S1, S2], [S1; S2] (case-insensitive)
+const MARKER_REGEX = /\[\s*(S\d+(?:\s*[,;]\s*S?\d+)*)\s*\]/gi;
+
+// Maximum length of a quoted span (characters).
+const MAX_QUOTE_CHARS = 220;
+
+/**
+ * ==============================================================================
+ * I. HELPER FUNCTIONS
+ * ==============================================================================
+ */
+
+/**
+ * Lowercases and splits text into comparable terms (accents stripped, short words dropped).
+ * @private
+ */
+function _terms(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length > 2);
+}
+
+/**
+ * Returns the answer sentence that ends at a marker position.
+ * @private
+ */
+function _sentenceBefore(answer, index) {
+  const before = answer.slice(0, index);
+  const start = Math.max(
+    before.lastIndexOf('. '),
+    before.lastIndexOf('\n'),
+    before.lastIndexOf('! '),
+    before.lastIndexOf('? ')
+  );
+  return before.slice(start + 1).replace(MARKER_REGEX, '');
+}
+
+/**
+ * Selects the passage sentence sharing the most terms with the cited answer sentence.
+ *
+ * @param {string} passage - The passage content.
+ * @param {string} claim - The answer sentence citing the passage.
+ * @returns {string} The quoted span (truncated to MAX_QUOTE_CHARS).
+ * @private
+ */
+function _bestQuote(passage, claim) {
+  const sentences = passage
+    .split(/(?<=[.!?;:])\s+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (sentences.length === 0) return '';
+
+  const claimTerms = new Set(_terms(claim));
+  let best = sentences[0];
+  let bestScore = -1;
+
+  for (const sentence of sentences) {
+    const score = _terms(sentence).filter((t) => claimTerms.has(t)).length;
+    if (score > bestScore) {
+      best = sentence;
+      bestScore = score;
+    }
+  }
+
+  return best.length > MAX_QUOTE_CHARS ? best.slice(0, MAX_QUOTE_CHARS - 1) + '…' : best;
+}
+
+/**
+ * ==============================================================================
+ * II. PUBLIC API
+ * ==============================================================================
+ */
+
+/**
+ * Extracts structured citations from an answer written against labelled passages.
+ *
+ * @param {string} answer - The raw model answer containing [S<n>] markers.
+ * @param {Array<{path: string, pageStart: number, pageEnd: number, content: string}>} passages
+ *   Passages in label order (passages[0] is S1).
+ * @param {Object} [options] - Extraction options.
+ * @param {Function} [options.locatePage] - (path, quote, pageStart, pageEnd) => page number.
+ *   Used to pin a quote spanning several pages to the exact page; defaults to pageStart.
+ * @returns {{content: string, citations: Array<{n: number, path: string, page: number, pageStart: number, pageEnd: number, quote: string}>}}
+ *   The answer with renumbered markers, and one citation per distinct cited passage.
+ */
+export function extractCitations(answer, passages, options = {}) {
+  const text = String(answer || '');
+  const citations = [];
+  const numberByLabel = new Map();
+
+  const content = text.replace(MARKER_REGEX, (match, labels, offset) => {
+    const numbers = [];
+
+    for (const label of labels.split(/[,;]/)) {
+      const passageIndex = parseInt(label.trim().replace(/^s/i, ''), 10) - 1;
+      const passage = passages[passageIndex];
+      if (!passage) continue; // Hallucinated label: dropped
+
+      if (!numberByLabel.has(passageIndex)) {
+        const quote = _bestQuote(passage.content, _sentenceBefore(text, offset));
+        const page = options.locatePage
+          ? options.locatePage(passage.path, quote, passage.pageStart, passage.pageEnd)
+          : passage.pageStart;
+
+        numberByLabel.set(passageIndex, citations.length + 1);
+        citations.push({
+          n: citations.length + 1,
+          path: passage.path,
+          page: page || passage.pageStart,
+          pageStart: passage.pageStart,
+          pageEnd: passage.pageEnd,
+          quote
+        });
+      }
+
+      const n = numberByLabel.get(passageIndex);
+      if (!numbers.includes(n)) numbers.push(n);
+    }
+
+    return numbers.map((n) => `[${n}]`).join('');
+  });
+
+  return { content, citations };
+}
@@ -0,0 +1,69 @@
+/**
+ * ==============================================================================
+ * UTILITY: CONVERSATION MEMORY
+ * ==============================================================================
+ * @fileoverview Decides which messages of a chat branch are replayed verbatim and
+ * which are folded into its rolling summary (see chatSummaryService).
+ *
+ * A stored summary covers the branch up to 'covered_until' (a message ID). It only
+ * applies to a branch containing that message: after an edit or a regeneration,
+ * the summary of another branch is ignored.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js (ES Modules)
+ * ==============================================================================
+ */
+
+// --- 1. MODULE IMPORTS ---
+import { estimateMessageTokens } from './tokenBudget.mjs';
+
+// --- 2. CONFIGURATION CONSTANTS ---
+
+// Most recent messages always replayed verbatim (the last exchange)
+export const MIN_RECENT_MESSAGES = 2;
+
+/**
+ * ==============================================================================
+ * I. PUBLIC API
+ * ==============================================================================
+ */
+
+/**
+ * Returns the part of a branch that a stored summary does not cover yet.
+ *
+ * @param {Array<{id: number}>} branch - Messages of the branch, chronological.
+ * @param {{covered_until: number}|null} stored - The stored summary, if any.
+ * @returns {{previous: Object|null, messages: Array<Object>}} The summary applying to the
+ *   branch (null if none or if it covers a message outside of it) and the messages after it.
+ */
+export function resumeFromSummary(branch, stored) {
+  const coveredAt = stored ? branch.findIndex((m) => m.id === stored.covered_until) : -1;
+
+  return {
+    previous: coveredAt === -1 ? null : stored,
+    messages: branch.slice(coveredAt + 1)
+  };
+}
+
+/**
+ * Splits chronological messages into the older ones to summarize and the most
+ * recent ones fitting in a token budget. The last MIN_RECENT_MESSAGES messages are
+ * always recent, even over budget.
+ *
+ * @param {Array<{content: string}>} messages - Chronological messages.
+ * @param {number} budget - Token budget of the recent part.
+ * @returns {{older: Array<Object>, recent: Array<Object>}}
+ */
+export function splitByBudget(messages, budget) {
+  let used = 0;
+  let start = messages.length;
+
+  while (start > 0) {
+    const cost = estimateMessageTokens([messages[start - 1]]);
+    if (messages.length - start >= MIN_RECENT_MESSAGES && used + cost > budget) break;
+    used += cost;
+    start -= 1;
+  }
+
+  return { older: messages.slice(0, start), recent: messages.slice(start) };
+}
@@ -0,0 +1,153 @@
+/**
+ * ==============================================================================
+ * UTILITY: DOCUMENT OVERVIEWS
+ * ==============================================================================
+ * @fileoverview Pure helpers of the document overview job (see overviewService):
+ * splitting extracted pages into parts that fit in a prompt, and reading the
+ * JSON overview returned by the model.
+ *
+ * @architecture
+ * - Consecutive pages are grouped into parts of at most 'maxTokens' tokens, each
+ *   page introduced by a '[Page n]' marker so the model can locate sections.
+ * - Long documents are never split into more than 'maxParts' parts: pages are then
+ *   spread evenly over the parts and cut to an equal share of a part, so the whole
+ *   document is still covered (the beginning of each page more than its end).
+ *
+ * @author Sacha Pastor
+ * @environment Node.js (ES Modules)
+ * ==============================================================================
+ */
+
+// --- 1. MODULE IMPORTS ---
+import { estimateTokens, truncateToTokens } from './tokenBudget.mjs';
+import { extractJSON } from './modelReply.mjs';
+
+// --- 2. CONFIGURATION CONSTANTS ---
+
+// Longest texts kept from a reply (characters)
+const MAX_ABSTRACT_LENGTH = 2000;
+const MAX_ITEM_LENGTH = 500;
+
+// Most sections and takeaways kept from a reply
+const MAX_SECTIONS = 60;
+const MAX_TAKEAWAYS = 12;
+
+/**
+ * ==============================================================================
+ * I. HELPERS
+ * ==============================================================================
+ */
+
+/**
+ * Trims a reply value to a string of bounded length.
+ *
+ * @param {*} value - The value.
+ * @param {number} maxLength - Longest string kept.
+ * @returns {string} The string ('' if the value is not a string).
+ * @private
+ */
+function _cleanText(value, maxLength) {
+  if (typeof value !== 'string') return '';
+  const text = value.replace(/\s+/g, ' ').trim();
+  return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+}
+
+/**
+ * Groups page blocks into parts.
+ *
+ * @param {Array<{page: number, text: string}>} blocks - Marked pages, in order.
+ * @param {number} pageBudget - Token budget of a page.
+ * @param {Function} isFull - Tells whether a part cannot take a page of 'tokens' tokens.
+ * @returns {Array<{pageStart: number, pageEnd: number, texts: Array<string>, tokens: number}>}
+ * @private
+ */
+function _groupPages(blocks, pageBudget, isFull) {
+  const parts = [];
+
+  for (const block of blocks) {
+    // A page whose first word does not even fit keeps its marker
+    const text = truncateToTokens(block.text, pageBudget) || block.text.split('\n')[0];
+    const tokens = estimateTokens(text);
+    let current = parts[parts.length - 1];
+
+    if (!current || isFull(current, tokens)) {
+      current = { pageStart: block.page, pageEnd: block.page, texts: [], tokens: 0 };
+      parts.push(current);
+    }
+    current.pageEnd = block.page;
+    current.texts.push(text);
+    current.tokens += tokens;
+  }
+
+  return parts;
+}
+
+/**
+ * ==============================================================================
+ * II. PUBLIC API
+ * ==============================================================================
+ */
+
+/**
+ * Groups the pages of a document into parts fitting in a token budget.
+ *
+ * @param {Array<{page: number, text: string}>} pages - Extracted pages, in order.
+ * @param {Object} options
+ * @param {number} options.maxTokens - Token budget of a part.
+ * @param {number} [options.maxParts=Infinity] - Most parts returned.
+ * @returns {Array<{pageStart: number, pageEnd: number, text: string}>} The parts, in order
+ *   (pages without text are skipped).
+ */
+export function splitPagesIntoParts(pages, { maxTokens, maxParts = Infinity }) {
+  const blocks = pages
+    .filter((p) => String(p.text || '').trim())
+    .map((p) => ({ page: p.page, text: `[Page ${p.page}]\n${String(p.text).trim()}` }));
+  if (blocks.length === 0) return [];
+
+  // Consecutive pages grouped while they fit (a longer page is cut)
+  let parts = _groupPages(blocks, maxTokens, (part, tokens) => part.tokens + tokens > maxTokens);
+
+  // Too many parts: pages are spread evenly over 'maxParts' parts, each one cut to its
+  // share of a part (one token is left for the '…' marking the cut)
+  if (parts.length > maxParts) {
+    const perPart = Math.ceil(blocks.length / maxParts);
+    const pageBudget = Math.max(1, Math.floor(maxTokens / perPart) - 1);
+    parts = _groupPages(blocks, pageBudget, (part) => part.texts.length >= perPart);
+  }
+
+  return parts.map(({ pageStart, pageEnd, texts }) => ({
+    pageStart,
+    pageEnd,
+    text: texts.join('\n\n')
+  }));
+}
+
+/**
+ * Reads the overview returned by the model:
+ * { "abstract": "...", "sections": [{ "title", "page", "summary" }], "takeaways": ["..."] }.
+ *
+ * @param {string} reply - The model's reply.
+ * @returns {{abstract: string, sections: Array<{title: string, page: number|null, summary: string}>, takeaways: Array<string>}|null}
+ *   The cleaned overview, or null if the reply holds no JSON object with an abstract.
+ */
+export function parseOverviewReply(reply) {
+  const data = extractJSON(reply, '{');
+  const abstract = _cleanText(data?.abstract, MAX_ABSTRACT_LENGTH);
+  if (!abstract) return null;
+
+  const sections = (Array.isArray(data.sections) ? data.sections : [])
+    .map((s) => ({
+      title: _cleanText(s?.title, MAX_ITEM_LENGTH),
+      page: Number.isInteger(Number(s?.page)) && Number(s.page) > 0 ? Number(s.page) : null,
+      summary: _cleanText(s?.summary, MAX_ITEM_LENGTH)
+    }))
+    .filter((s) => s.title)
+    .slice(0, MAX_SECTIONS);
+
+  const takeaways = (Array.isArray(data.takeaways) ? data.takeaways : [])
+    .map((t) => _cleanText(t, MAX_ITEM_LENGTH))
+    .filter(Boolean)
+    .slice(0, MAX_TAKEAWAYS);
+
+  return { abstract, sections, takeaways };
+}
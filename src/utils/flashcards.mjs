@@ -0,0 +1,121 @@
+/**
+ * ==============================================================================
+ * UTILITY: FLASHCARDS
+ * ==============================================================================
+ * @fileoverview Review scheduling of flashcards (SM-2 spaced repetition) and
+ * reading of the cards generated by the model.
+ *
+ * @architecture
+ * - Reviews are graded 'again', 'hard', 'good' or 'easy' (SM-2 qualities 1, 3, 4
+ *   and 5). A card answered correctly comes back after 1 day, then 6 days, then
+ *   its previous interval times its ease factor ('easy' adds a bonus). 'again'
+ *   resets the card: it is due again at once (end of today's queue), then
+ *   restarts at 1 day.
+ * - The ease factor starts at 2.5, follows the SM-2 update after every review and
+ *   never drops below 1.3, so hard cards come back more often.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js (ES Modules)
+ * ==============================================================================
+ */
+
+// --- 1. MODULE IMPORTS ---
+import { extractJSON } from './modelReply.mjs';
+
+// --- 2. CONFIGURATION CONSTANTS ---
+
+// Grades of a review, from forgotten to effortless
+export const REVIEW_GRADES = ['again', 'hard', 'good', 'easy'];
+
+// SM-2 quality (0-5) of each grade
+const GRADE_QUALITY = { again: 1, hard: 3, good: 4, easy: 5 };
+
+export const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+// Interval multiplier of 'easy' answers
+const EASY_BONUS = 1.3;
+
+// Intervals (days) of the first two successful reviews
+const FIRST_INTERVALS = [1, 6];
+
+// Longest texts kept from a generated card (characters)
+export const MAX_FRONT_LENGTH = 500;
+export const MAX_BACK_LENGTH = 2000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ==============================================================================
+ * I. PUBLIC API
+ * ==============================================================================
+ */
+
+/**
+ * Schedules the next review of a card.
+ *
+ * @param {{ease?: number, intervalDays?: number, repetitions?: number, lapses?: number}} card -
+ *   The current review state (a new card has none).
+ * @param {string} grade - One of REVIEW_GRADES.
+ * @param {Date} [now=new Date()] - Time of the review.
+ * @returns {{ease: number, intervalDays: number, repetitions: number, lapses: number, dueAt: Date}}
+ *   The new review state.
+ * @throws {Error} If the grade is unknown.
+ */
+export function scheduleReview(card, grade, now = new Date()) {
+  const quality = GRADE_QUALITY[grade];
+  if (quality === undefined) throw new Error(`Unknown grade: ${grade}`);
+
+  const { ease = DEFAULT_EASE, intervalDays = 0, repetitions = 0, lapses = 0 } = card;
+
+  // SM-2 ease update: +0.1 for 'easy', unchanged for 'good', lower for 'hard' and 'again'
+  const miss = 5 - quality;
+  const nextEase = Math.max(MIN_EASE, ease + 0.1 - miss * (0.08 + miss * 0.02));
+
+  if (quality < 3) {
+    return {
+      ease: Math.round(nextEase * 100) / 100,
+      intervalDays: 0,
+      repetitions: 0,
+      lapses: lapses + 1,
+      dueAt: now
+    };
+  }
+
+  let nextInterval =
+    repetitions < FIRST_INTERVALS.length
+      ? FIRST_INTERVALS[repetitions]
+      : Math.round(intervalDays * ease);
+  if (grade === 'easy') nextInterval = Math.round(nextInterval * EASY_BONUS);
+
+  return {
+    ease: Math.round(nextEase * 100) / 100,
+    intervalDays: nextInterval,
+    repetitions: repetitions + 1,
+    lapses,
+    dueAt: new Date(now.getTime() + nextInterval * DAY_MS)
+  };
+}
+
+/**
+ * Reads the flashcards returned by the model: [{ "front", "back", "page" }, ...].
+ *
+ * @param {string} reply - The model's reply.
+ * @returns {Array<{front: string, back: string, page: number|null}>} The valid cards
+ *   (empty if the reply holds no JSON list).
+ */
+export function parseFlashcardReply(reply) {
+  const data = extractJSON(reply, '[');
+  if (!Array.isArray(data)) return [];
+
+  const clean = (value, maxLength) =>
+    typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+
+  return data
+    .map((card) => ({
+      front: clean(card?.front, MAX_FRONT_LENGTH),
+      back: clean(card?.back, MAX_BACK_LENGTH),
+      page: Number.isInteger(card?.page) && card.page > 0 ? card.page : null
+    }))
+    .filter((card) => card.front && card.back);
+}
@@ -0,0 +1,143 @@
+/**
+ * ==============================================================================
+ * UTILITY: GLOSSARIES
+ * ==============================================================================
+ * @fileoverview Pure helpers of the course glossaries (see glossaryService):
+ * reading the terms extracted by the model from a document, and merging the
+ * terms of every document of a course folder into one glossary.
+ *
+ * @architecture
+ * - A glossary belongs to a category: a top-level folder of 'courses/' (see
+ *   fileExplorer). Documents at the root of 'courses/' belong to none.
+ * - Terms are compared by their key: lower case, single spaces ('ATP  synthase'
+ *   and 'atp synthase' are the same entry).
+ * - A term found in several documents is merged into one entry: the definition
+ *   of the first document (in path order) and the pages of all of them.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js (ES Modules)
+ * ==============================================================================
+ */
+
+// --- 1. MODULE IMPORTS ---
+import { extractJSON } from './modelReply.mjs';
+
+// --- 2. CONFIGURATION CONSTANTS ---
+
+// Longest term and definition kept (characters)
+export const MAX_TERM_LENGTH = 120;
+export const MAX_DEFINITION_LENGTH = 1500;
+
+/**
+ * ==============================================================================
+ * I. HELPERS
+ * ==============================================================================
+ */
+
+/**
+ * Trims a string to a maximum length, collapsing whitespace.
+ * @private
+ */
+function _clean(value, maxLength) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, maxLength) : '';
+}
+
+/**
+ * ==============================================================================
+ * II. PUBLIC API
+ * ==============================================================================
+ */
+
+/**
+ * Returns the key identifying a term within a glossary.
+ *
+ * @param {string} term - The term.
+ * @returns {string} The term in lower case with single spaces.
+ */
+export function normalizeTerm(term) {
+  return _clean(term, MAX_TERM_LENGTH).toLowerCase();
+}
+
+/**
+ * Returns the category (glossary) of a document.
+ *
+ * @param {string} docPath - Relative document path (e.g. 'courses/biology/cell.pdf').
+ * @returns {string|null} The category path (e.g. 'courses/biology'), or null for a
+ *   document at the root of 'courses/'.
+ */
+export function getDocumentCategory(docPath) {
+  const segments = String(docPath || '').split('/');
+  return segments.length > 2 && segments[0] === 'courses' ? segments.slice(0, 2).join('/') : null;
+}
+
+/**
+ * Reads the terms returned by the model for a part of a document:
+ * { "terms": [{ "term", "definition", "page" }, ...] }
+ *
+ * @param {string} reply - The model's reply.
+ * @param {Object} [range] - Pages of the part (pages outside of it are guesses of the model).
+ * @param {number} [range.pageStart]
+ * @param {number} [range.pageEnd]
+ * @returns {Array<{term: string, definition: string, page: number|null}>} The valid terms,
+ *   first occurrence of each key only (empty if the reply holds no terms).
+ */
+export function parseGlossaryReply(reply, { pageStart = 1, pageEnd = Infinity } = {}) {
+  const data = extractJSON(reply, '{');
+  if (!Array.isArray(data?.terms)) return [];
+
+  const seen = new Set();
+  return data.terms
+    .map((item) => {
+      const term = _clean(item?.term, MAX_TERM_LENGTH);
+      const definition = _clean(item?.definition, MAX_DEFINITION_LENGTH);
+      const key = normalizeTerm(term);
+      if (!term || !definition || seen.has(key)) return null;
+      seen.add(key);
+
+      const page =
+        Number.isInteger(item.page) && item.page >= pageStart && item.page <= pageEnd
+          ? item.page
+          : null;
+      return { term, definition, page };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Merges the terms of the documents of a category into glossary entries.
+ *
+ * @param {Array<{path: string, terms: Array<{term: string, definition: string, page: number|null}>}>} documents
+ *   The documents and their terms (see parseGlossaryReply).
+ * @returns {Array<{key: string, term: string, definition: string, references: Array<{path: string, page: number|null}>}>}
+ *   One entry per term key, sorted alphabetically. References are listed in path then
+ *   page order, without duplicates.
+ */
+export function mergeGlossaryTerms(documents) {
+  const entries = new Map();
+  const sorted = [...documents].sort((a, b) => a.path.localeCompare(b.path));
+
+  for (const document of sorted) {
+    for (const item of document.terms) {
+      const key = normalizeTerm(item.term);
+      if (!key) continue;
+
+      if (!entries.has(key)) {
+        entries.set(key, { key, term: item.term, definition: item.definition, references: [] });
+      }
+      const { references } = entries.get(key);
+      const duplicate = references.some(
+        (ref) => ref.path === document.path && ref.page === item.page
+      );
+      if (!duplicate) references.push({ path: document.path, page: item.page });
+    }
+  }
+
+  return [...entries.values()]
+    .map((entry) => ({
+      ...entry,
+      references: entry.references.sort(
+        (a, b) => a.path.localeCompare(b.path) || (a.page ?? 0) - (b.page ?? 0)
+      )
+    }))
+    .sort((a, b) => a.term.localeCompare(b.term, undefined, { sensitivity: 'base' }));
+}
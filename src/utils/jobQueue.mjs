@@ -0,0 +1,54 @@
+/**
+ * ==============================================================================
+ * UTILITY: SERIAL JOB QUEUE
+ * ==============================================================================
+ * @fileoverview In-memory queue running background jobs one at a time, in the
+ * order they were queued, with at most one job per key (e.g. a document path).
+ *
+ * @architecture
+ * - Used by the background workers (extraction, embeddings, overviews,
+ *   glossaries): queuing a key already queued or running returns its job.
+ * - A job handles its own errors; a failing job never stops the queue.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js (ES Modules)
+ * ==============================================================================
+ */
+
+/**
+ * ==============================================================================
+ * I. PUBLIC API
+ * ==============================================================================
+ */
+
+/**
+ * Creates a serial job queue.
+ *
+ * @returns {{enqueue: Function, has: Function, get: Function, keys: Function}} The queue:
+ *   - enqueue(key, task, [job]): queues task(job) unless the key is queued or running,
+ *     and returns the job record ('job' extended with 'done', the promise of the task).
+ *   - has(key) / get(key): the job of a key while it is queued or running.
+ *   - keys(): the keys queued or running.
+ */
+export function createSerialQueue() {
+  // Active and queued jobs, by key
+  const jobs = new Map();
+
+  // Serial execution chain (one job at a time)
+  let tail = Promise.resolve();
+
+  return {
+    enqueue(key, task, job = {}) {
+      if (jobs.has(key)) return jobs.get(key);
+
+      job.done = tail.then(() => task(job)).finally(() => jobs.delete(key));
+      tail = job.done.catch(() => {});
+
+      jobs.set(key, job);
+      return job;
+    },
+    has: (key) => jobs.has(key),
+    get: (key) => jobs.get(key),
+    keys: () => [...jobs.keys()]
+  };
+}
@@ -0,0 +1,46 @@
+/**
+ * ==============================================================================
+ * UTILITY: MODEL REPLIES
+ * ==============================================================================
+ * @fileoverview Reading of the JSON that jobs ask the model for (overviews,
+ * flashcards, quizzes, glossaries).
+ *
+ * @architecture
+ * - Models often wrap JSON in code fences or add a sentence around it: the value
+ *   is read from the first opening bracket of the reply to its last closing one.
+ * - Callers validate the shape of the value: this module only finds and parses it.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js (ES Modules)
+ * ==============================================================================
+ */
+
+// Closing bracket of each opening one
+const CLOSING = { '{': '}', '[': ']' };
+
+/**
+ * ==============================================================================
+ * I. PUBLIC API
+ * ==============================================================================
+ */
+
+/**
+ * Parses the JSON object or list found in a model reply.
+ *
+ * @param {string} reply - The model's reply.
+ * @param {string} open - '{' for an object, '[' for a list.
+ * @returns {*} The parsed value, or null if the reply holds no valid JSON between
+ *   the first 'open' and the last matching closing bracket.
+ */
+export function extractJSON(reply, open) {
+  const text = String(reply || '');
+  const start = text.indexOf(open);
+  const end = text.lastIndexOf(CLOSING[open]);
+  if (start === -1 || end <= start) return null;
+
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * ==============================================================================
+ * OCR ENGINE (TESSERACT WASM)
+ * ==============================================================================
+ * @fileoverview Recognizes the text of scanned / image-only PDF pages.
+ * Pages are rendered with PDF.js (on an @napi-rs/canvas surface) and read by
+ * tesseract.js, which runs fully offline once its language data is available.
+ *
+ * Both libraries are optional dependencies, loaded on first use: without them
+ * OCR is simply reported as unavailable.
+ *
+ * Language data ('<lang>.traineddata') is looked up in OCR_LANG_PATH (a local
+ * directory or URL; defaults to the tesseract.js CDN) and cached in data/tessdata.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js (ES Modules)
+ * @dependencies tesseract.js, @napi-rs/canvas (optional), pdfjs-dist
+ * ==============================================================================
+ */
+
+// --- 1. CORE IMPORTS ---
+import path from 'node:path';
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { loadPdfDocument } from './pdfHandler.mjs';
+
+// --- 2. CONFIGURATION CONSTANTS ---
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const CACHE_DIR = path.resolve(__dirname, '../../data/tessdata');
+
+// Rendering scale (PDF points -> pixels). 2x is ~144 DPI, enough for lecture scans.
+const RENDER_SCALE = 2;
+
+// Default language pack(s), '+'-separated (e.g. 'eng+fra').
+export const DEFAULT_OCR_LANGS = process.env.OCR_LANGS || 'eng';
+
+// Lazily loaded tesseract.js module (null once known to be missing).
+let tesseract;
+
+/**
+ * Loads tesseract.js and the canvas backend on first use.
+ *
+ * @returns {Promise<Object|null>} The tesseract.js module, or null if OCR is not installed.
+ * @private
+ */
+async function _loadTesseract() {
+  if (tesseract !== undefined) return tesseract;
+
+  try {
+    // PDF.js needs a canvas implementation to render pages in Node
+    await import('@napi-rs/canvas');
+    tesseract = await import('tesseract.js');
+  } catch (error) {
+    console.warn(`[OCR] Unavailable (install tesseract.js and @napi-rs/canvas): ${error.message}`);
+    tesseract = null;
+  }
+  return tesseract;
+}
+
+/**
+ * Tells whether OCR can run on this server.
+ *
+ * @returns {Promise<boolean>}
+ */
+export async function isOcrAvailable() {
+  return Boolean(await _loadTesseract());
+}
+
+/**
+ * Normalizes a language list ('eng+fra', 'eng, fra' ...) into tesseract's format.
+ *
+ * @param {string} [langs] - Requested languages.
+ * @returns {string} '+'-separated language codes.
+ * @throws {Error} If a code is malformed.
+ */
+export function normalizeOcrLangs(langs = DEFAULT_OCR_LANGS) {
+  const codes = String(langs)
+    .split(/[+,\s]+/)
+    .filter(Boolean);
+
+  if (codes.length === 0 || !codes.every((code) => /^[a-z]{3}(_[a-z]+)?$/i.test(code))) {
+    throw new Error(`Invalid OCR language list: "${langs}" (expected codes like eng+fra).`);
+  }
+  return codes.join('+');
+}
+
+/**
+ * Runs OCR on pages of a PDF, one page at a time.
+ *
+ * @param {string} absolutePath - The absolute file system path to the PDF.
+ * @param {Object} options - OCR options.
+ * @param {Array<number>} options.pages - Page numbers to recognize.
+ * @param {string} [options.langs] - Language pack(s), e.g. 'eng+fra'.
+ * @param {Function} [options.onPage] - Async callback invoked with { page, text, confidence }
+ *   (confidence is tesseract's mean word confidence, 0-100).
+ * @returns {Promise<void>}
+ * @throws {Error} If OCR is not installed or the language data cannot be loaded.
+ */
+export async function ocrPdfPages(absolutePath, { pages, langs, onPage }) {
+  const lib = await _loadTesseract();
+  if (!lib) throw new Error('OCR is not installed on this server.');
+
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  const worker = await lib.createWorker(normalizeOcrLangs(langs), lib.OEM.LSTM_ONLY, {
+    cachePath: CACHE_DIR,
+    ...(process.env.OCR_LANG_PATH ? { langPath: process.env.OCR_LANG_PATH } : {})
+  });
+  const pdfDocument = await loadPdfDocument(absolutePath);
+
+  try {
+    for (const pageNumber of pages) {
+      const page = await pdfDocument.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: RENDER_SCALE });
+      const { canvas, context } = pdfDocument.canvasFactory.create(viewport.width, viewport.height);
+
+      await page.render({ canvasContext: context, canvas, viewport }).promise;
+      const image = canvas.toBuffer('image/png');
+
+      page.cleanup();
+      pdfDocument.canvasFactory.destroy({ canvas, context });
+
+      const { data } = await worker.recognize(image);
+      if (onPage) {
+        await onPage({ page: pageNumber, text: data.text.trim(), confidence: data.confidence });
+      }
+
+      // Yield to the event loop between pages
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+  } finally {
+    await worker.terminate();
+    await pdfDocument.destroy();
+  }
+}
@@ -5,6 +5,8 @@
  * @fileoverview robust PDF text extraction module designed for Node.js.
  * It utilizes the legacy build of PDF.js to parse complex documents (including
  * those generated by tools like Canva) without requiring OCR.
+ * Every page is processed (no page cap), one at a time: extractPdfPages() hands
+ * each page to a callback, and joinPages() builds the text with page markers.
  *
  * @author Sacha Pastor
  * @environment Node.js (ES Modules)
@@ -25,81 +27,91 @@ const pdfjsLib = await import('pdfjs-dist/legacy/build/pdf.mjs');
 
 // --- 3. CONFIGURATION CONSTANTS ---
 
-// Maximum number of pages to scan to avoid memory overload on massive documents.
-const MAX_PAGES_TO_SCAN = 10;
-
 // Minimum character count to consider extraction successful.
-const MIN_TEXT_THRESHOLD = 50;
+export const MIN_TEXT_THRESHOLD = 50;
 
 /**
- * Extracts text content from a PDF file page by page.
+ * Loads a PDF document with the Node-safe PDF.js configuration.
  *
  * @param {string} absolutePath - The absolute file system path to the PDF.
- * @returns {Promise<string>} The extracted text content joined by newlines.
+ * @returns {Promise<Object>} The PDF.js document proxy.
  * @throws {Error} If the file does not exist.
  */
-export async function extractPdfText(absolutePath) {
+export async function loadPdfDocument(absolutePath) {
   // 1. Validation: Ensure the file exists before attempting processing
   if (!fs.existsSync(absolutePath)) {
     throw new Error(`File not found at path: ${absolutePath}`);
   }
 
+  // 2. Data Preparation: Read file into a Uint8Array buffer
+  // PDF.js requires a TypedArray (Uint8Array) rather than a standard Node Buffer.
+  const buffer = fs.readFileSync(absolutePath);
+  const uint8Array = new Uint8Array(buffer);
+
+  // 3. Document Loading & Configuration
+  // CRITICAL CONFIGURATION:
+  // - disableWorker: true -> Forces execution on the main thread.
+  //   This is necessary in Node.js to avoid "Invalid workerSrc type" errors.
+  // - isEvalSupported: false -> Security measure to disable code evaluation.
+  const loadingTask = pdfjsLib.getDocument({
+    data: uint8Array,
+    disableWorker: true,
+    isEvalSupported: false
+  });
+
+  return await loadingTask.promise;
+}
+
+/**
+ * Extracts the text of every page of a PDF, one page at a time.
+ * The event loop is released between pages so a large textbook does not
+ * starve concurrent HTTP requests.
+ *
+ * @param {string} absolutePath - The absolute file system path to the PDF.
+ * @param {Object} [options] - Extraction options.
+ * @param {number} [options.startPage=1] - First page to extract (used to resume a job).
+ * @param {Function} [options.onPage] - Async callback invoked with { page, text, numPages }.
+ * @returns {Promise<{numPages: number}>} The total page count of the document.
+ * @throws {Error} If the file does not exist or PDF.js fails to parse it.
+ */
+export async function extractPdfPages(absolutePath, { startPage = 1, onPage } = {}) {
+  const pdfDocument = await loadPdfDocument(absolutePath);
+  const numPages = pdfDocument.numPages;
+
   try {
-    // 2. Data Preparation: Read file into a Uint8Array buffer
-    // PDF.js requires a TypedArray (Uint8Array) rather than a standard Node Buffer.
-    const buffer = fs.readFileSync(absolutePath);
-    const uint8Array = new Uint8Array(buffer);
-
-    // 3. Document Loading & Configuration
-    // CRITICAL CONFIGURATION:
-    // - disableWorker: true -> Forces execution on the main thread.
-    //   This is necessary in Node.js to avoid "Invalid workerSrc type" errors.
-    // - isEvalSupported: false -> Security measure to disable code evaluation.
-    const loadingTask = pdfjsLib.getDocument({
-      data: uint8Array,
-      disableWorker: true,
-      isEvalSupported: false
-    });
-
-    const pdfDocument = await loadingTask.promise;
-
-    let fullText = '';
-
-    // Determine the loop limit (actual pages vs safety limit)
-    const pagesToProcess = Math.min(pdfDocument.numPages, MAX_PAGES_TO_SCAN);
-
-    // 4. Page Iteration and Extraction
-    for (let i = 1; i <= pagesToProcess; i++) {
-      // Get page reference
+    for (let i = Math.max(1, startPage); i <= numPages; i++) {
+      // Get page reference and its text content items
       const page = await pdfDocument.getPage(i);
-
-      // Extract text content items
       const textContent = await page.getTextContent();
 
       // Reconstruct text from the content items.
       // Items are often fragmented; joining with a space preserves basic readability.
       const pageText = textContent.items.map((item) => item.str).join(' ');
 
-      // Append to full text if content exists
-      if (pageText.trim().length > 0) {
-        fullText += `\n--- PAGE ${i} ---\n\n${pageText}`;
-      }
-    }
+      // Release page resources immediately (memory stays flat on huge documents)
+      page.cleanup();
 
-    // 5. Result Verification
-    // Check if the extracted text meets the minimum threshold.
-    // If not, the PDF might be an image-only scan or encrypted.
-    if (!fullText || fullText.trim().length < MIN_TEXT_THRESHOLD) {
-      console.warn(
-        `[PDF WARN] Extracted text is empty or insufficient (${fullText.length} chars).`
-      );
-      return '[SYSTEM] The document appears to be empty, image-based, or protected. Native extraction failed.';
-    }
+      if (onPage) await onPage({ page: i, text: pageText, numPages });
 
-    return fullText;
-  } catch (error) {
-    // Log the critical error for debugging purposes
-    console.error('[PDF ERROR] Critical failure in pdfjs-dist:', error);
-    return '[ERROR] Unable to read the PDF file due to an internal error.';
+      // Yield to the event loop between pages
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+  } finally {
+    await pdfDocument.destroy();
   }
+
+  return { numPages };
+}
+
+/**
+ * Joins per-page texts into the legacy single-string format with page markers.
+ *
+ * @param {Array<{page: number, text: string}>} pages - Extracted pages.
+ * @returns {string} Text with `--- PAGE n ---` markers (empty pages skipped).
+ */
+export function joinPages(pages) {
+  return pages
+    .filter((p) => p.text && p.text.trim().length > 0)
+    .map((p) => `\n--- PAGE ${p.page} ---\n\n${p.text}`)
+    .join('');
 }
@@ -0,0 +1,71 @@
+/**
+ * ==============================================================================
+ * UTILITY: PROMPT TEMPLATES
+ * ==============================================================================
+ * @fileoverview Fills the variables of a system prompt template, e.g.
+ * 'You tutor {{CATEGORY}} students. DOCUMENT CONTEXT: {{CONTEXT}}'.
+ *
+ * Variables are written {{NAME}} (spaces inside the braces are allowed).
+ * Values are inserted verbatim: '$' sequences in a document are not expanded.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js (ES Modules)
+ * ==============================================================================
+ */
+
+// --- 1. CONFIGURATION CONSTANTS ---
+
+// Variables a template may use
+export const TEMPLATE_VARIABLES = ['CONTEXT', 'DOCUMENT_TITLE', 'CATEGORY', 'USER_NOTES'];
+
+// {{NAME}} placeholders
+const VARIABLE_REGEX = /\{\{\s*([A-Za-z_]+)\s*\}\}/g;
+
+/**
+ * ==============================================================================
+ * I. PUBLIC API
+ * ==============================================================================
+ */
+
+/**
+ * Lists the variables of a template that are not supported.
+ *
+ * @param {string} template - The template text.
+ * @returns {Array<string>} Unknown variable names (deduplicated, in order of appearance).
+ */
+export function findUnknownVariables(template) {
+  const unknown = new Set();
+  for (const [, name] of String(template).matchAll(VARIABLE_REGEX)) {
+    if (!TEMPLATE_VARIABLES.includes(name.toUpperCase())) unknown.add(name);
+  }
+  return [...unknown];
+}
+
+/**
+ * Tells whether a template uses a variable.
+ *
+ * @param {string} template - The template text.
+ * @param {string} name - The variable name (e.g. 'CONTEXT').
+ * @returns {boolean}
+ */
+export function usesVariable(template, name) {
+  return [...String(template).matchAll(VARIABLE_REGEX)].some(
+    ([, found]) => found.toUpperCase() === name
+  );
+}
+
+/**
+ * Replaces the variables of a template with their values.
+ * Variables without a value are replaced with an empty string; unknown ones are kept.
+ *
+ * @param {string} template - The template text.
+ * @param {Object<string, string|null>} values - Values by variable name.
+ * @returns {string} The filled template.
+ */
+export function renderPromptTemplate(template, values) {
+  return String(template).replace(VARIABLE_REGEX, (placeholder, name) => {
+    const key = name.toUpperCase();
+    if (!TEMPLATE_VARIABLES.includes(key)) return placeholder;
+    return values[key] ?? '';
+  });
+}
@@ -0,0 +1,122 @@
+/**
+ * ==============================================================================
+ * PROVIDER: ANTHROPIC (MESSAGES API)
+ * ==============================================================================
+ * @fileoverview Adapter for the Anthropic Messages API.
+ *
+ * The system prompt is a top-level field, and the conversation must alternate
+ * user/assistant turns starting with a user turn. Anthropic does not offer an
+ * embeddings endpoint, so retrieval falls back to lexical ranking.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js (Fetch API available in Node 18+)
+ * ==============================================================================
+ */
+
+import { getJSON, postJSON, readEventData } from './http.mjs';
+import { AIProviderError } from './errors.mjs';
+
+const DEFAULT_URL = 'https://api.anthropic.com/v1/messages';
+const MODELS_URL = 'https://api.anthropic.com/v1/models?limit=100';
+const DEFAULT_MODEL = 'claude-3-5-haiku-latest';
+const API_VERSION = '2023-06-01';
+
+// The Messages API requires an explicit output budget: the answer reservation of the
+// prompt budget when the config carries it, else this one.
+const MAX_OUTPUT_TOKENS = 2048;
+
+/**
+ * Builds the Messages API payload from standard messages.
+ * Consecutive turns of the same role are merged to keep the alternation valid.
+ *
+ * @param {Array<Object>} messages - The conversation history.
+ * @param {Object} config - The AI configuration.
+ * @returns {Object} The request body.
+ * @private
+ */
+function _toPayload(messages, config) {
+  const system = [];
+  const conversation = [];
+
+  for (const msg of messages) {
+    if (msg.role === 'system') {
+      system.push(msg.content);
+      continue;
+    }
+
+    const role = msg.role === 'assistant' ? 'assistant' : 'user';
+    const last = conversation[conversation.length - 1];
+
+    if (last?.role === role) {
+      last.content += `\n\n${msg.content}`;
+    } else if (!last && role === 'assistant') {
+      continue; // The first turn must come from the user
+    } else {
+      conversation.push({ role, content: msg.content });
+    }
+  }
+
+  return {
+    model: config.model || DEFAULT_MODEL,
+    max_tokens: config.answerTokens || MAX_OUTPUT_TOKENS,
+    ...(system.length ? { system: system.join('\n\n') } : {}),
+    messages: conversation
+  };
+}
+
+/**
+ * Returns the request headers.
+ * @private
+ */
+function _headers(config) {
+  if (!config.apiKey) {
+    throw new AIProviderError('Anthropic Provider requires an API Key.', { kind: 'config' });
+  }
+  return { 'x-api-key': config.apiKey, 'anthropic-version': API_VERSION };
+}
+
+export default {
+  id: 'anthropic',
+  label: 'Anthropic',
+  requiresKey: true,
+  usesUrl: false,
+  defaultModel: DEFAULT_MODEL,
+  modelHint: 'claude-3-5-haiku-latest, claude-3-5-sonnet-latest',
+
+  async chat(messages, config, signal) {
+    const data = await postJSON(DEFAULT_URL, _toPayload(messages, config), {
+      headers: _headers(config),
+      label: 'Anthropic',
+      signal
+    });
+
+    return (data.content || [])
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('');
+  },
+
+  async stream(messages, config, emit, signal) {
+    const response = await postJSON(
+      DEFAULT_URL,
+      { ..._toPayload(messages, config), stream: true },
+      { headers: _headers(config), label: 'Anthropic', signal, raw: true }
+    );
+
+    await readEventData(response.body, (data) => {
+      if (data.type === 'error') {
+        throw new AIProviderError(`Anthropic: ${data.error?.message}`, { kind: 'unavailable' });
+      }
+      if (data.type === 'content_block_delta') emit(data.delta?.text);
+    });
+  },
+
+  async listModels(config, signal) {
+    const data = await getJSON(MODELS_URL, {
+      headers: _headers(config),
+      label: 'Anthropic',
+      signal
+    });
+    return (data.data || []).map((m) => m.id);
+  }
+};
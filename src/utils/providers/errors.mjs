@@ -0,0 +1,118 @@
+/**
+ * ==============================================================================
+ * PROVIDERS: TYPED ERRORS
+ * ==============================================================================
+ * @fileoverview Errors raised by the AI Manager instead of user-facing strings.
+ *
+ * - AIProviderError: one provider failed (with a machine-readable 'kind').
+ * - AIChainError: every provider of a fallback chain failed.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js (ES Modules)
+ * ==============================================================================
+ */
+
+/**
+ * Maps an HTTP status to an error kind.
+ * @private
+ */
+function _kindFromStatus(status) {
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 404) return 'not_found';
+  if (status === 429) return 'rate_limited';
+  if (status >= 500) return 'unavailable';
+  if (status >= 400) return 'bad_request';
+  return 'unavailable';
+}
+
+/**
+ * A single provider failure.
+ * kind: 'config' | 'auth' | 'not_found' | 'rate_limited' | 'bad_request' |
+ *       'unavailable' | 'timeout' | 'empty_response' | 'unsupported'
+ */
+export class AIProviderError extends Error {
+  /**
+   * @param {string} message - Human-readable description.
+   * @param {Object} [details] - Error details.
+   * @param {string} [details.kind] - Error kind (derived from status when omitted).
+   * @param {number} [details.status] - HTTP status returned by the provider.
+   * @param {string} [details.provider] - Provider id.
+   * @param {string} [details.model] - Model name.
+   * @param {Error} [details.cause] - Underlying error.
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = 'AIProviderError';
+    this.status = details.status || null;
+    this.kind = details.kind || _kindFromStatus(details.status);
+    this.provider = details.provider || null;
+    this.model = details.model || null;
+  }
+
+  /**
+   * Serializable summary (used in API error payloads and logs).
+   */
+  toJSON() {
+    return {
+      provider: this.provider,
+      model: this.model,
+      kind: this.kind,
+      status: this.status,
+      message: this.message
+    };
+  }
+
+  /**
+   * Wraps any error thrown by an adapter into an AIProviderError.
+   *
+   * @param {Error} error - The original error.
+   * @param {string} provider - Provider id.
+   * @param {string} model - Model name.
+   * @returns {AIProviderError}
+   */
+  static from(error, provider, model) {
+    if (error instanceof AIProviderError) {
+      error.provider = error.provider || provider;
+      error.model = error.model || model;
+      return error;
+    }
+
+    // SDK errors (e.g. @google/genai) carry a numeric status; fetch failures do not
+    const status = typeof error?.status === 'number' ? error.status : null;
+
+    // fetch() reports network failures as "fetch failed"; the reason is in 'cause'
+    let message = error?.message || String(error);
+    const reason = error?.cause?.code || error?.cause?.message;
+    if (reason && !message.includes(reason)) message = `${message} (${reason})`;
+
+    return new AIProviderError(message, {
+      status,
+      kind: status ? undefined : 'unavailable',
+      provider,
+      model,
+      cause: error
+    });
+  }
+}
+
+/**
+ * Every provider of a fallback chain failed.
+ */
+export class AIChainError extends Error {
+  /**
+   * @param {Array<AIProviderError>} errors - One error per attempted provider, in order.
+   */
+  constructor(errors) {
+    const summary = errors.map((e) => `${e.provider}: ${e.message}`).join(' | ');
+    super(`All AI providers failed (${summary})`);
+    this.name = 'AIChainError';
+    this.errors = errors;
+  }
+
+  /**
+   * Serializable list of the failed attempts.
+   */
+  get attempts() {
+    return this.errors.map((e) => e.toJSON());
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * ==============================================================================
+ * PROVIDER: GOOGLE GEMINI
+ * ==============================================================================
+ * @fileoverview Adapter built on the official @google/genai SDK.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js
+ * ==============================================================================
+ */
+
+import { GoogleGenAI } from '@google/genai';
+import { AIProviderError } from './errors.mjs';
+
+const DEFAULT_MODEL = 'gemini-1.5-flash';
+
+/**
+ * Creates an SDK client for the configured key.
+ * @private
+ */
+function _client(config) {
+  if (!config.apiKey) {
+    throw new AIProviderError('Gemini Provider requires an API Key.', { kind: 'config' });
+  }
+  return new GoogleGenAI({ apiKey: config.apiKey });
+}
+
+/**
+ * Converts standard messages into the Gemini SDK format.
+ * Gemini separates the System Instruction from the conversation history,
+ * and expects roles to be 'user' or 'model' (not 'assistant').
+ *
+ * @param {Array<Object>} messages - The conversation history.
+ * @returns {{systemInstruction: string|undefined, conversation: Array<Object>}}
+ * @private
+ */
+function _toGeminiContents(messages) {
+  let systemInstruction = undefined;
+  const conversation = [];
+
+  for (const msg of messages) {
+    if (msg.role === 'system') {
+      systemInstruction = msg.content;
+    } else {
+      conversation.push({
+        role: msg.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: msg.content }]
+      });
+    }
+  }
+
+  return { systemInstruction, conversation };
+}
+
+export default {
+  id: 'gemini',
+  label: 'Google Gemini',
+  requiresKey: true,
+  usesUrl: false,
+  defaultModel: DEFAULT_MODEL,
+  defaultEmbeddingModel: 'text-embedding-004',
+  modelHint: 'gemini-1.5-flash, gemini-1.5-pro',
+
+  async chat(messages, config, signal) {
+    const { systemInstruction, conversation } = _toGeminiContents(messages);
+
+    const response = await _client(config).models.generateContent({
+      model: config.model || DEFAULT_MODEL,
+      config: { systemInstruction, abortSignal: signal },
+      contents: conversation
+    });
+
+    // NOTE: 'text' is a getter in @google/genai (it was a method in the legacy SDK)
+    return response.text;
+  },
+
+  async stream(messages, config, emit, signal) {
+    const { systemInstruction, conversation } = _toGeminiContents(messages);
+
+    const stream = await _client(config).models.generateContentStream({
+      model: config.model || DEFAULT_MODEL,
+      config: { systemInstruction, abortSignal: signal },
+      contents: conversation
+    });
+
+    for await (const chunk of stream) {
+      if (signal?.aborted) break;
+      emit(chunk.text);
+    }
+  },
+
+  async embed(texts, config, model) {
+    const response = await _client(config).models.embedContent({ model, contents: texts });
+    return (response.embeddings || []).map((e) => e.values);
+  },
+
+  /**
+   * Lists the models able to generate content (names come as 'models/<id>').
+   */
+  async listModels(config, signal) {
+    const pager = await _client(config).models.list({ config: { abortSignal: signal } });
+
+    const models = [];
+    for await (const model of pager) {
+      if (model.supportedActions && !model.supportedActions.includes('generateContent')) continue;
+      models.push(model.name.replace(/^models\//, ''));
+    }
+    return models;
+  }
+};
@@ -0,0 +1,113 @@
+/**
+ * ==============================================================================
+ * PROVIDERS: HTTP HELPERS
+ * ==============================================================================
+ * @fileoverview Small fetch helpers shared by the HTTP-based provider adapters
+ * (JSON calls with readable errors, line-based streaming bodies).
+ *
+ * @author Sacha Pastor
+ * @environment Node.js (Fetch API available in Node 18+)
+ * ==============================================================================
+ */
+
+import { AIProviderError } from './errors.mjs';
+
+/**
+ * POSTs a JSON payload and returns the parsed JSON response.
+ *
+ * @param {string} url - The endpoint.
+ * @param {Object} payload - The request body.
+ * @param {Object} [options] - Request options.
+ * @param {Object} [options.headers] - Extra headers.
+ * @param {AbortSignal} [options.signal] - Abort signal.
+ * @param {string} [options.label='API'] - Provider label used in error messages.
+ * @param {boolean} [options.raw=false] - Return the Response itself (for streamed bodies).
+ * @returns {Promise<Object|Response>} The parsed JSON, or the unread Response when `raw`.
+ * @throws {AIProviderError} If the server responds with a non-2xx status.
+ */
+export async function postJSON(url, payload, options = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+    body: JSON.stringify(payload),
+    signal: options.signal
+  });
+
+  await _assertOk(response, options.label);
+  return options.raw ? response : await response.json();
+}
+
+/**
+ * GETs a JSON resource (e.g. a model list).
+ *
+ * @param {string} url - The endpoint.
+ * @param {Object} [options] - Request options (headers, signal, label), as for postJSON().
+ * @returns {Promise<Object>} The parsed JSON.
+ * @throws {AIProviderError} If the server responds with a non-2xx status.
+ */
+export async function getJSON(url, options = {}) {
+  const response = await fetch(url, { headers: options.headers, signal: options.signal });
+
+  await _assertOk(response, options.label);
+  return await response.json();
+}
+
+/**
+ * Throws a readable AIProviderError for non-2xx responses.
+ *
+ * @param {Response} response - The fetch response.
+ * @param {string} [label='API'] - Provider label used in error messages.
+ * @private
+ */
+async function _assertOk(response, label) {
+  if (response.ok) return;
+
+  const errData = await response.json().catch(() => ({}));
+  const detail = errData.error?.message || errData.error || response.statusText;
+  throw new AIProviderError(`${label || 'API'} Error: ${detail} (${response.status})`, {
+    status: response.status
+  });
+}
+
+/**
+ * Reads a streamed HTTP body line by line (NDJSON and SSE are both line-based).
+ *
+ * @param {ReadableStream} body - The fetch response body.
+ * @param {Function} onLine - Called with each non-empty line.
+ */
+export async function readLines(body, onLine) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line) onLine(line);
+    }
+  }
+
+  const rest = (buffer + decoder.decode()).trim();
+  if (rest) onLine(rest);
+}
+
+/**
+ * Reads a Server-Sent Events body and calls `onData` with each parsed `data:` payload.
+ * The OpenAI `[DONE]` sentinel is skipped.
+ *
+ * @param {ReadableStream} body - The fetch response body.
+ * @param {Function} onData - Called with each JSON payload.
+ */
+export async function readEventData(body, onData) {
+  await readLines(body, (line) => {
+    if (!line.startsWith('data:')) return;
+
+    const payload = line.slice('data:'.length).trim();
+    if (!payload || payload === '[DONE]') return;
+
+    onData(JSON.parse(payload));
+  });
+}
@@ -0,0 +1,82 @@
+/**
+ * ==============================================================================
+ * AI PROVIDER REGISTRY
+ * ==============================================================================
+ * @fileoverview Registry of the LLM adapters known to the AI Manager.
+ *
+ * Each provider is a plain object:
+ * - Metadata: id, label, requiresKey, acceptsKey, usesUrl, defaultUrl, defaultModel,
+ *   defaultEmbeddingModel, modelHint, urlHint.
+ * - chat(messages, config, signal): Promise<string>
+ * - stream(messages, config, emit, signal): Promise<void>
+ * - embed(texts, config, model): Promise<Array<Array<number>>> (optional)
+ * - listModels(config, signal): Promise<Array<string>> (optional, model ids)
+ *
+ * Besides { provider, model, apiUrl, apiKey }, a config may carry the limits its
+ * prompt was sized for: 'contextTokens' and 'answerTokens' (see contextWindowService).
+ *
+ * Adapters throw on failure (preferably an AIProviderError, see errors.mjs);
+ * the AI Manager normalizes errors and handles fallback chains.
+ * Settings validation and the Settings form are driven from this registry,
+ * so registering an adapter is enough to make it selectable.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js (ES Modules)
+ * ==============================================================================
+ */
+
+import ollama from './ollama.mjs';
+import { openai, openaiCompatible } from './openai.mjs';
+import gemini from './gemini.mjs';
+import anthropic from './anthropic.mjs';
+
+// Registered providers, in display order.
+const providers = new Map();
+
+/**
+ * Registers a provider adapter (replaces any adapter with the same id).
+ *
+ * @param {Object} provider - The provider definition.
+ * @throws {Error} If the definition lacks an id, a label or a chat() implementation.
+ */
+export function registerProvider(provider) {
+  if (!provider?.id || !provider.label || typeof provider.chat !== 'function') {
+    throw new Error('[AI PROVIDERS] A provider needs an id, a label and a chat() function.');
+  }
+  providers.set(provider.id, provider);
+}
+
+/**
+ * Returns a registered provider by id.
+ *
+ * @param {string} id - The provider id (e.g. 'ollama').
+ * @returns {Object|null} The provider definition, or null if unknown.
+ */
+export function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+/**
+ * Lists the public metadata of every registered provider (no functions),
+ * suitable for API responses and view rendering.
+ *
+ * @returns {Array<Object>} Provider descriptors in registration order.
+ */
+export function listProviders() {
+  return [...providers.values()].map((p) => ({
+    id: p.id,
+    label: p.label,
+    requiresKey: Boolean(p.requiresKey),
+    acceptsKey: Boolean(p.requiresKey || p.acceptsKey),
+    usesUrl: Boolean(p.usesUrl),
+    defaultUrl: p.defaultUrl || null,
+    defaultModel: p.defaultModel || null,
+    modelHint: p.modelHint || '',
+    urlHint: p.urlHint || '',
+    supportsEmbeddings: typeof p.embed === 'function',
+    supportsModelList: typeof p.listModels === 'function'
+  }));
+}
+
+// --- BUILT-IN ADAPTERS ---
+[ollama, openai, openaiCompatible, gemini, anthropic].forEach(registerProvider);
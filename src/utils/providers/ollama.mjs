@@ -0,0 +1,100 @@
+/**
+ * ==============================================================================
+ * PROVIDER: OLLAMA (SELF-HOSTED)
+ * ==============================================================================
+ * @fileoverview Adapter for a local Ollama instance (`/api/chat`, `/api/embeddings`,
+ * `/api/tags`).
+ *
+ * @author Sacha Pastor
+ * @environment Node.js (Fetch API available in Node 18+)
+ * ==============================================================================
+ */
+
+import { getJSON, postJSON, readLines } from './http.mjs';
+import { AIProviderError } from './errors.mjs';
+
+const DEFAULT_URL = 'http://127.0.0.1:11434/api/chat';
+const DEFAULT_MODEL = 'mistral';
+
+/**
+ * Builds the chat payload. Ollama runs models with a small window (2k-4k tokens) unless
+ * told otherwise, and cuts the start of longer prompts: the window the prompt was sized
+ * for is sent as 'num_ctx'.
+ * @private
+ */
+function _toPayload(messages, config, stream) {
+  return {
+    model: config.model || DEFAULT_MODEL,
+    messages,
+    stream,
+    ...(config.contextTokens ? { options: { num_ctx: config.contextTokens } } : {})
+  };
+}
+
+export default {
+  id: 'ollama',
+  label: 'Ollama (Local)',
+  requiresKey: false,
+  usesUrl: true,
+  defaultUrl: DEFAULT_URL,
+  defaultModel: DEFAULT_MODEL,
+  defaultEmbeddingModel: 'nomic-embed-text',
+  modelHint: 'mistral, llama3',
+  urlHint: 'Default is localhost:11434.',
+
+  /**
+   * Returns the full response text.
+   */
+  async chat(messages, config, signal) {
+    const data = await postJSON(config.apiUrl || DEFAULT_URL, _toPayload(messages, config, false), {
+      label: 'Ollama',
+      signal
+    });
+    return data.message.content;
+  },
+
+  /**
+   * Streams the response (`stream: true` returns one JSON object per line).
+   */
+  async stream(messages, config, emit, signal) {
+    const response = await postJSON(
+      config.apiUrl || DEFAULT_URL,
+      _toPayload(messages, config, true),
+      { label: 'Ollama', signal, raw: true }
+    );
+
+    await readLines(response.body, (line) => {
+      const data = JSON.parse(line);
+      if (data.error) throw new AIProviderError(`Ollama: ${data.error}`, { kind: 'unavailable' });
+      emit(data.message?.content);
+    });
+  },
+
+  /**
+   * The `/api/embeddings` endpoint accepts a single prompt, so texts are sent sequentially.
+   * The host is derived from the configured chat URL.
+   */
+  async embed(texts, config, model) {
+    const url = new URL('/api/embeddings', config.apiUrl || DEFAULT_URL).toString();
+
+    const vectors = [];
+    for (const text of texts) {
+      const data = await postJSON(url, { model, prompt: text }, { label: 'Ollama embeddings' });
+
+      if (!Array.isArray(data.embedding) || data.embedding.length === 0) {
+        throw new Error(`Ollama returned no embedding (is '${model}' pulled?)`);
+      }
+      vectors.push(data.embedding);
+    }
+    return vectors;
+  },
+
+  /**
+   * Lists the models pulled on the instance (`/api/tags`).
+   */
+  async listModels(config, signal) {
+    const url = new URL('/api/tags', config.apiUrl || DEFAULT_URL).toString();
+    const data = await getJSON(url, { label: 'Ollama', signal });
+    return (data.models || []).map((m) => m.name);
+  }
+};
@@ -0,0 +1,123 @@
+/**
+ * ==============================================================================
+ * PROVIDER: OPENAI & OPENAI-COMPATIBLE SERVERS
+ * ==============================================================================
+ * @fileoverview Adapters for the Chat Completions / Embeddings API.
+ *
+ * The same wire format is spoken by OpenAI and by most self-hosted servers
+ * (LM Studio, vLLM, llama.cpp server, LocalAI), so both providers are built
+ * from one factory. The compatible variant honours the configured base URL
+ * and only sends an API key when one is set.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js (Fetch API available in Node 18+)
+ * ==============================================================================
+ */
+
+import { getJSON, postJSON, readEventData } from './http.mjs';
+import { AIProviderError } from './errors.mjs';
+
+/**
+ * Normalizes a configured URL into an API base ('.../v1').
+ * Accepts either the base itself or a full '/chat/completions' endpoint.
+ *
+ * @param {string} url - The configured URL.
+ * @returns {string} The base URL without trailing slash.
+ * @private
+ */
+function _toBaseUrl(url) {
+  return url.replace(/\/+$/, '').replace(/\/chat\/completions$/, '');
+}
+
+/**
+ * Builds a Chat Completions adapter.
+ *
+ * @param {Object} definition - Provider metadata (id, label, defaults, ...).
+ * @param {Function} definition.baseUrl - (config) => API base URL.
+ * @returns {Object} The provider definition.
+ * @private
+ */
+function _createAdapter(definition) {
+  const headers = (config) => {
+    if (definition.requiresKey && !config.apiKey) {
+      throw new AIProviderError(`${definition.label} Provider requires an API Key.`, {
+        kind: 'config'
+      });
+    }
+    return config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {};
+  };
+
+  return {
+    ...definition,
+
+    async chat(messages, config, signal) {
+      const data = await postJSON(
+        `${definition.baseUrl(config)}/chat/completions`,
+        { model: config.model || definition.defaultModel, messages, temperature: 0.7 },
+        { headers: headers(config), label: definition.label, signal }
+      );
+      return data.choices[0].message.content;
+    },
+
+    async stream(messages, config, emit, signal) {
+      const response = await postJSON(
+        `${definition.baseUrl(config)}/chat/completions`,
+        {
+          model: config.model || definition.defaultModel,
+          messages,
+          temperature: 0.7,
+          stream: true
+        },
+        { headers: headers(config), label: definition.label, signal, raw: true }
+      );
+
+      await readEventData(response.body, (data) => emit(data.choices?.[0]?.delta?.content));
+    },
+
+    async embed(texts, config, model) {
+      const data = await postJSON(
+        `${definition.baseUrl(config)}/embeddings`,
+        { model, input: texts },
+        { headers: headers(config), label: `${definition.label} Embeddings` }
+      );
+
+      // The API may not preserve order, sort by the returned index to be safe
+      return data.data.sort((a, b) => a.index - b.index).map((item) => item.embedding);
+    },
+
+    async listModels(config, signal) {
+      const data = await getJSON(`${definition.baseUrl(config)}/models`, {
+        headers: headers(config),
+        label: definition.label,
+        signal
+      });
+      return (data.data || []).map((m) => m.id);
+    }
+  };
+}
+
+export const openai = _createAdapter({
+  id: 'openai',
+  label: 'OpenAI',
+  requiresKey: true,
+  usesUrl: false,
+  defaultModel: 'gpt-3.5-turbo',
+  defaultEmbeddingModel: 'text-embedding-3-small',
+  modelHint: 'gpt-3.5-turbo, gpt-4o',
+  baseUrl: () => 'https://api.openai.com/v1'
+});
+
+export const openaiCompatible = _createAdapter({
+  id: 'openai-compatible',
+  label: 'OpenAI-compatible',
+  requiresKey: false,
+  acceptsKey: true,
+  usesUrl: true,
+  defaultUrl: 'http://127.0.0.1:1234/v1',
+  defaultModel: 'local-model',
+  defaultEmbeddingModel: 'nomic-embed-text',
+  modelHint: 'The model name loaded in your server',
+  urlHint:
+    'Base URL of your LM Studio, vLLM, llama.cpp or LocalAI server (usually ending in /v1). The API key is optional.',
+  baseUrl: (config) => _toBaseUrl(config.apiUrl || 'http://127.0.0.1:1234/v1')
+});
@@ -0,0 +1,156 @@
+/**
+ * ==============================================================================
+ * UTILITY: QUIZZES
+ * ==============================================================================
+ * @fileoverview Reading of the quizzes written by the model, of its grading of
+ * short answers, and scoring of an attempt.
+ *
+ * @architecture
+ * - A quiz mixes multiple-choice questions ('mcq': choices and the index of the
+ *   right one) and short-answer questions ('short': the expected answer).
+ * - Multiple-choice answers are checked here; short answers are graded by the
+ *   model against the source passage (0, 0.5 or 1 point each, with feedback).
+ * - The score of an attempt is the percentage of points earned (0-100).
+ *
+ * @author Sacha Pastor
+ * @environment Node.js (ES Modules)
+ * ==============================================================================
+ */
+
+// --- 1. MODULE IMPORTS ---
+import { extractJSON } from './modelReply.mjs';
+
+// --- 2. CONFIGURATION CONSTANTS ---
+
+export const QUESTION_TYPES = ['mcq', 'short'];
+
+// Choices of a multiple-choice question
+const MIN_CHOICES = 2;
+const MAX_CHOICES = 6;
+
+// Longest texts kept from a generated question (characters)
+const MAX_QUESTION_LENGTH = 500;
+const MAX_CHOICE_LENGTH = 300;
+const MAX_EXPLANATION_LENGTH = 1000;
+
+// Longest short answer and feedback kept (characters)
+export const MAX_ANSWER_LENGTH = 2000;
+const MAX_FEEDBACK_LENGTH = 1000;
+
+/**
+ * ==============================================================================
+ * I. HELPERS
+ * ==============================================================================
+ */
+
+/**
+ * Trims a string to a maximum length.
+ * @private
+ */
+function _clean(value, maxLength) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+/**
+ * ==============================================================================
+ * II. PUBLIC API
+ * ==============================================================================
+ */
+
+/**
+ * Reads the quiz returned by the model:
+ * { "questions": [{ "type", "question", "choices"?, "answer", "explanation", "page" }, ...] }
+ * ('answer': index of the right choice for 'mcq', expected answer for 'short').
+ *
+ * @param {string} reply - The model's reply.
+ * @returns {Array<Object>} The valid questions (empty if the reply holds no quiz).
+ */
+export function parseQuizReply(reply) {
+  const data = extractJSON(reply, '{');
+  if (!Array.isArray(data?.questions)) return [];
+
+  return data.questions
+    .map((item) => {
+      const question = _clean(item?.question, MAX_QUESTION_LENGTH);
+      const explanation = _clean(item?.explanation, MAX_EXPLANATION_LENGTH);
+      const page = Number.isInteger(item?.page) && item.page > 0 ? item.page : null;
+      if (!question) return null;
+
+      if (item.type === 'mcq') {
+        const choices = Array.isArray(item.choices)
+          ? item.choices.map((choice) => _clean(choice, MAX_CHOICE_LENGTH))
+          : [];
+        const valid =
+          choices.length >= MIN_CHOICES &&
+          choices.length <= MAX_CHOICES &&
+          choices.every(Boolean) &&
+          Number.isInteger(item.answer) &&
+          item.answer >= 0 &&
+          item.answer < choices.length;
+        return valid
+          ? { type: 'mcq', question, choices, answer: item.answer, explanation, page }
+          : null;
+      }
+
+      if (item.type === 'short') {
+        const answer = _clean(item.answer, MAX_ANSWER_LENGTH);
+        return answer ? { type: 'short', question, answer, explanation, page } : null;
+      }
+
+      return null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Reads the grading of short answers returned by the model:
+ * [{ "question": number, "score": 0 | 0.5 | 1, "feedback": "..." }, ...]
+ *
+ * @param {string} reply - The model's reply.
+ * @returns {Map<number, {score: number, feedback: string}>} Grades by question number
+ *   (scores clamped to 0-1; empty if the reply holds no JSON list).
+ */
+export function parseGradingReply(reply) {
+  const data = extractJSON(reply, '[');
+  const grades = new Map();
+  if (!Array.isArray(data)) return grades;
+
+  data.forEach((item) => {
+    const score = Number(item?.score);
+    if (!Number.isInteger(item?.question) || !Number.isFinite(score)) return;
+    grades.set(item.question, {
+      score: Math.min(1, Math.max(0, score)),
+      feedback: _clean(item.feedback, MAX_FEEDBACK_LENGTH)
+    });
+  });
+  return grades;
+}
+
+/**
+ * Scores an attempt.
+ *
+ * @param {Array<Object>} questions - The questions of the quiz (see parseQuizReply).
+ * @param {Array<number|string|null>} answers - The answers, in question order (choice index
+ *   for 'mcq', text for 'short', null when skipped).
+ * @param {Map<number, {score: number, feedback: string}>} [shortGrades] - Grades of the short
+ *   answers by question number (1-based; an ungraded short answer earns no point).
+ * @returns {{score: number, results: Array<{score: number, correct: boolean, feedback: string}>}}
+ *   The score (percentage of points earned) and the result of each question.
+ */
+export function scoreAttempt(questions, answers, shortGrades = new Map()) {
+  const results = questions.map((question, index) => {
+    if (question.type === 'mcq') {
+      const correct = answers[index] === question.answer;
+      return { score: correct ? 1 : 0, correct, feedback: '' };
+    }
+
+    const grade = shortGrades.get(index + 1) || { score: 0, feedback: '' };
+    return { score: grade.score, correct: grade.score === 1, feedback: grade.feedback };
+  });
+
+  const earned = results.reduce((sum, result) => sum + result.score, 0);
+  return {
+    score: questions.length > 0 ? Math.round((earned / questions.length) * 100) : 0,
+    results
+  };
+}
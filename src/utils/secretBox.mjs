@@ -0,0 +1,221 @@
+/**
+ * ==============================================================================
+ * UTILITY: SECRET BOX (ENVELOPE ENCRYPTION)
+ * ==============================================================================
+ * @fileoverview Encrypts secrets stored in the database (provider API keys,
+ * webhook secrets) with AES-256-GCM.
+ *
+ * @architecture
+ * - Each secret is encrypted with its own random data key.
+ * - The data key is itself encrypted ("wrapped") with the server master key
+ *   (SECRETS_MASTER_KEY). Rotating the master key only re-wraps data keys.
+ * - Sealed values are self-describing strings:
+ *     enc:v1:<key id>:<wrapped data key>:<iv>:<auth tag>:<ciphertext>  (base64url)
+ *   The key id is a fingerprint of the master key, so a wrong key is reported
+ *   as such instead of failing on an opaque authentication error.
+ * - Values without the "enc:v1:" prefix are legacy plaintext and are returned as-is.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js
+ * ==============================================================================
+ */
+
+import crypto from 'node:crypto';
+
+// --- CONFIGURATION CONSTANTS ---
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+let warnedMissingKey = false;
+
+/**
+ * Decodes a master key given as 64 hex characters or 32 base64 bytes
+ * (e.g. the output of `openssl rand -base64 32`).
+ *
+ * @param {string} raw - The encoded key.
+ * @returns {Buffer} The 32-byte key.
+ * @throws {Error} If the value does not decode to 32 bytes.
+ */
+export function parseMasterKey(raw) {
+  const value = String(raw || '').trim();
+  const key = /^[0-9a-f]{64}$/i.test(value)
+    ? Buffer.from(value, 'hex')
+    : Buffer.from(value, 'base64');
+
+  if (key.length !== KEY_BYTES) {
+    throw new Error('Master key must be 32 bytes, encoded as hex or base64.');
+  }
+  return key;
+}
+
+/**
+ * Reads the master key from the environment.
+ *
+ * @returns {Buffer|null} The key, or null when SECRETS_MASTER_KEY is not set.
+ */
+export function getMasterKey() {
+  const raw = process.env.SECRETS_MASTER_KEY;
+  return raw ? parseMasterKey(raw) : null;
+}
+
+/**
+ * Short, non-reversible fingerprint identifying a master key.
+ * @private
+ */
+function _keyId(masterKey) {
+  return crypto.createHash('sha256').update(masterKey).digest('base64url').slice(0, 8);
+}
+
+/**
+ * AES-256-GCM encryption.
+ * @returns {{iv: Buffer, tag: Buffer, data: Buffer}}
+ * @private
+ */
+function _encrypt(key, plaintext) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), data };
+}
+
+/**
+ * AES-256-GCM decryption (throws if the data was tampered with).
+ * @private
+ */
+function _decrypt(key, { iv, tag, data }) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+}
+
+/**
+ * Wraps a data key with the master key: iv | tag | encrypted key.
+ * @private
+ */
+function _wrap(masterKey, dataKey) {
+  const { iv, tag, data } = _encrypt(masterKey, dataKey);
+  return Buffer.concat([iv, tag, data]);
+}
+
+/**
+ * Unwraps a data key produced by _wrap().
+ * @private
+ */
+function _unwrap(masterKey, wrapped) {
+  return _decrypt(masterKey, {
+    iv: wrapped.subarray(0, IV_BYTES),
+    tag: wrapped.subarray(IV_BYTES, IV_BYTES + 16),
+    data: wrapped.subarray(IV_BYTES + 16)
+  });
+}
+
+/**
+ * Splits a sealed value into its parts.
+ * @private
+ */
+function _parse(sealed) {
+  const [keyId, ...parts] = sealed.slice(PREFIX.length).split(':');
+  if (parts.length !== 4) throw new Error('Malformed encrypted secret.');
+
+  const [wrapped, iv, tag, data] = parts.map((p) => Buffer.from(p, 'base64url'));
+  return { keyId, wrapped, iv, tag, data };
+}
+
+/**
+ * Joins the parts of a sealed value.
+ * @private
+ */
+function _format(keyId, wrapped, { iv, tag, data }) {
+  return (
+    PREFIX + [keyId, ...[wrapped, iv, tag, data].map((b) => b.toString('base64url'))].join(':')
+  );
+}
+
+/**
+ * Tells whether a stored value is encrypted.
+ *
+ * @param {*} value - A stored value.
+ * @returns {boolean}
+ */
+export function isSealed(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypts a secret for storage.
+ * Without a master key the value is stored as plaintext (a warning is logged once).
+ *
+ * @param {string|null} plaintext - The secret.
+ * @param {Buffer|null} [masterKey=getMasterKey()] - The master key.
+ * @returns {string|null} The sealed value (null/empty values are returned unchanged).
+ */
+export function sealSecret(plaintext, masterKey = getMasterKey()) {
+  if (!plaintext || isSealed(plaintext)) return plaintext;
+
+  if (!masterKey) {
+    if (!warnedMissingKey) {
+      console.warn('⚠️  [Secrets] SECRETS_MASTER_KEY is not set: secrets are stored in plaintext.');
+      warnedMissingKey = true;
+    }
+    return plaintext;
+  }
+
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  const sealed = _format(
+    _keyId(masterKey),
+    _wrap(masterKey, dataKey),
+    _encrypt(dataKey, Buffer.from(plaintext, 'utf8'))
+  );
+  dataKey.fill(0);
+  return sealed;
+}
+
+/**
+ * Decrypts a stored secret. Plaintext (legacy) values are returned as-is.
+ *
+ * @param {string|null} value - The stored value.
+ * @param {Buffer|null} [masterKey=getMasterKey()] - The master key.
+ * @returns {string|null} The secret.
+ * @throws {Error} If the value is sealed and the master key is missing or wrong.
+ */
+export function openSecret(value, masterKey = getMasterKey()) {
+  if (!isSealed(value)) return value;
+  if (!masterKey) throw new Error('Encrypted secret found but SECRETS_MASTER_KEY is not set.');
+
+  const { keyId, wrapped, ...payload } = _parse(value);
+  if (keyId !== _keyId(masterKey)) {
+    throw new Error('Encrypted secret was sealed with a different master key.');
+  }
+
+  const dataKey = _unwrap(masterKey, wrapped);
+  const plaintext = _decrypt(dataKey, payload).toString('utf8');
+  dataKey.fill(0);
+  return plaintext;
+}
+
+/**
+ * Re-wraps the data key of a sealed value under a new master key
+ * (the ciphertext itself is unchanged). Plaintext values are sealed.
+ *
+ * @param {string|null} value - The stored value.
+ * @param {Buffer} oldKey - The current master key.
+ * @param {Buffer} newKey - The new master key.
+ * @returns {string|null} The value sealed under the new key.
+ */
+export function rewrapSecret(value, oldKey, newKey) {
+  if (!value) return value;
+  if (!isSealed(value)) return sealSecret(value, newKey);
+
+  const { keyId, wrapped, ...payload } = _parse(value);
+  if (keyId === _keyId(newKey)) return value; // Already rotated
+  if (!oldKey || keyId !== _keyId(oldKey)) {
+    throw new Error('Encrypted secret was sealed with a different master key.');
+  }
+
+  const dataKey = _unwrap(oldKey, wrapped);
+  const rewrapped = _format(_keyId(newKey), _wrap(newKey, dataKey), payload);
+  dataKey.fill(0);
+  return rewrapped;
+}
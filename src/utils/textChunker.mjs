@@ -0,0 +1,149 @@
+/**
+ * ==============================================================================
+ * UTILITY: PAGE-AWARE TEXT CHUNKER
+ * ==============================================================================
+ * @fileoverview Splits extracted document text into overlapping chunks suitable
+ * for embedding and retrieval. Chunks remember which PDF pages they were cut
+ * from so answers can later be traced back to the source.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js (ES Modules)
+ * ==============================================================================
+ */
+
+// --- 1. CONFIGURATION CONSTANTS ---
+
+// Target size of a single chunk (characters). ~250-300 tokens for most models.
+const DEFAULT_CHUNK_CHARS = 1200;
+
+// Characters repeated between two consecutive chunks to preserve context at boundaries.
+const DEFAULT_OVERLAP_CHARS = 200;
+
+// Marker emitted by pdfHandler.joinPages() between pages.
+const PAGE_MARKER_REGEX = /\n?--- PAGE (\d+) ---\n/g;
+
+/**
+ * Parses text produced by joinPages() back into individual pages.
+ * Text that does not contain any page marker is treated as a single page 1.
+ *
+ * @param {string} text - Raw extracted text with `--- PAGE n ---` markers.
+ * @returns {Array<{page: number, text: string}>} Pages in document order.
+ */
+export function splitIntoPages(text) {
+  if (!text) return [];
+
+  const pages = [];
+  const markers = [...text.matchAll(PAGE_MARKER_REGEX)];
+
+  // No markers: the whole text belongs to an unknown page, default to 1.
+  if (markers.length === 0) {
+    const trimmed = text.trim();
+    return trimmed ? [{ page: 1, text: trimmed }] : [];
+  }
+
+  for (let i = 0; i < markers.length; i++) {
+    const start = markers[i].index + markers[i][0].length;
+    const end = i + 1 < markers.length ? markers[i + 1].index : text.length;
+    const pageText = text.slice(start, end).trim();
+
+    if (pageText) {
+      pages.push({ page: Number(markers[i][1]), text: pageText });
+    }
+  }
+
+  return pages;
+}
+
+/**
+ * Splits a page into sentence-like segments so chunk boundaries fall on
+ * natural breaks rather than in the middle of a word.
+ *
+ * @param {string} text - The page text.
+ * @param {number} maxChars - Hard upper bound for a single segment.
+ * @returns {Array<string>} Ordered segments.
+ * @private
+ */
+function _segmentText(text, maxChars) {
+  const sentences = text
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!?;:])\s+/)
+    .filter(Boolean);
+
+  // Sentences longer than a chunk (tables, bullet soup) are hard-wrapped.
+  const segments = [];
+  for (const sentence of sentences) {
+    if (sentence.length <= maxChars) {
+      segments.push(sentence);
+      continue;
+    }
+    for (let i = 0; i < sentence.length; i += maxChars) {
+      segments.push(sentence.slice(i, i + maxChars));
+    }
+  }
+  return segments;
+}
+
+/**
+ * Groups pages into overlapping chunks while tracking the page range of each chunk.
+ *
+ * @param {Array<{page: number, text: string}>} pages - Output of splitIntoPages().
+ * @param {Object} [options] - Chunking options.
+ * @param {number} [options.chunkChars=1200] - Target chunk size in characters.
+ * @param {number} [options.overlapChars=200] - Characters carried over into the next chunk.
+ * @returns {Array<{index: number, pageStart: number, pageEnd: number, content: string}>}
+ */
+export function chunkPages(pages, options = {}) {
+  const chunkChars = options.chunkChars || DEFAULT_CHUNK_CHARS;
+  const overlapChars = Math.min(options.overlapChars ?? DEFAULT_OVERLAP_CHARS, chunkChars / 2);
+
+  const chunks = [];
+
+  // Current buffer: list of { page, text } segments
+  let buffer = [];
+  let bufferLength = 0;
+
+  // Segments added since the last flush (the overlap alone is not worth a chunk)
+  let freshSegments = 0;
+
+  const flush = () => {
+    if (freshSegments === 0) return;
+
+    chunks.push({
+      index: chunks.length,
+      pageStart: buffer[0].page,
+      pageEnd: buffer[buffer.length - 1].page,
+      content: buffer.map((s) => s.text).join(' ')
+    });
+
+    // Keep the tail of the buffer as overlap for the next chunk
+    const carry = [];
+    let carryLength = 0;
+    for (let i = buffer.length - 1; i >= 0; i--) {
+      if (carryLength + buffer[i].text.length > overlapChars) break;
+      carry.unshift(buffer[i]);
+      carryLength += buffer[i].text.length + 1;
+    }
+
+    // Never carry the whole buffer, otherwise we would loop forever
+    if (carry.length === buffer.length) carry.shift();
+
+    buffer = carry;
+    bufferLength = carry.reduce((sum, s) => sum + s.text.length + 1, 0);
+    freshSegments = 0;
+  };
+
+  for (const { page, text } of pages) {
+    for (const segment of _segmentText(text, chunkChars)) {
+      if (bufferLength + segment.length > chunkChars && bufferLength > 0) {
+        flush();
+      }
+      buffer.push({ page, text: segment });
+      bufferLength += segment.length + 1;
+      freshSegments += 1;
+    }
+  }
+
+  flush();
+
+  return chunks;
+}
@@ -0,0 +1,208 @@
+/**
+ * ==============================================================================
+ * UTILITY: TOKEN ESTIMATION & CONTEXT BUDGET
+ * ==============================================================================
+ * @fileoverview Estimates token counts without a model-specific tokenizer, cuts
+ * texts to a token budget, and splits a model's context window between the
+ * parts of a prompt.
+ *
+ * @architecture
+ * - Estimation follows how BPE tokenizers behave on average: short words are one
+ *   token, long words are split every ~4 characters, punctuation marks are tokens
+ *   of their own, and CJK characters count as one token each. Results are slightly
+ *   pessimistic on purpose (prompts must never overflow the window).
+ * - Context windows are matched by model name: exact names first, then the longest
+ *   'prefix*' pattern (e.g. 'gpt-4o*' matches 'gpt-4o-mini').
+ * - The budget reserves room for the answer, then the fixed system instructions,
+ *   and splits what remains between conversation history and retrieved passages.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js
+ * ==============================================================================
+ */
+
+// --- CONFIGURATION CONSTANTS ---
+
+// Window assumed for models not found in any table (AI_CONTEXT_WINDOW overrides it)
+export const DEFAULT_CONTEXT_WINDOW = Number(process.env.AI_CONTEXT_WINDOW) || 8192;
+
+// Tokens reserved for the answer when the model's output limit is unknown
+const DEFAULT_ANSWER_TOKENS = 1024;
+
+// Upper bound of the window share reserved for the answer
+const MAX_ANSWER_SHARE = 0.25;
+
+// Share of the window kept free to absorb estimation errors and message framing
+const SAFETY_MARGIN = 0.05;
+
+// Upper bound of the remaining budget given to the conversation history
+const HISTORY_SHARE = 0.3;
+
+// Approximate framing cost of a chat message (role, separators)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Built-in context windows (tokens). Admin entries take precedence.
+export const BUILTIN_CONTEXT_WINDOWS = [
+  { model: 'gpt-4.1*', contextTokens: 1047576, maxOutputTokens: 32768 },
+  { model: 'gpt-4o*', contextTokens: 128000, maxOutputTokens: 16384 },
+  { model: 'gpt-4-turbo*', contextTokens: 128000, maxOutputTokens: 4096 },
+  { model: 'gpt-4*', contextTokens: 8192, maxOutputTokens: 4096 },
+  { model: 'gpt-3.5-turbo*', contextTokens: 16385, maxOutputTokens: 4096 },
+  { model: 'o1*', contextTokens: 200000, maxOutputTokens: 100000 },
+  { model: 'o3*', contextTokens: 200000, maxOutputTokens: 100000 },
+  { model: 'o4*', contextTokens: 200000, maxOutputTokens: 100000 },
+  { model: 'claude*', contextTokens: 200000, maxOutputTokens: 8192 },
+  { model: 'gemini*', contextTokens: 1048576, maxOutputTokens: 8192 },
+  { model: 'llama3.1*', contextTokens: 128000, maxOutputTokens: null },
+  { model: 'llama3.2*', contextTokens: 128000, maxOutputTokens: null },
+  { model: 'llama3*', contextTokens: 8192, maxOutputTokens: null },
+  { model: 'mistral*', contextTokens: 32768, maxOutputTokens: null },
+  { model: 'qwen2.5*', contextTokens: 32768, maxOutputTokens: null },
+  { model: 'phi3*', contextTokens: 4096, maxOutputTokens: null }
+];
+
+// Words up to this length are usually a single token
+const SHORT_WORD_CHARS = 6;
+
+// Ideographic and syllabic scripts: roughly one token per character
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/u;
+
+// Words (letters and digits) and single punctuation marks
+const PIECE_PATTERN = /[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu;
+
+/**
+ * ==============================================================================
+ * I. ESTIMATION
+ * ==============================================================================
+ */
+
+/**
+ * Estimates the number of tokens of a word or punctuation mark.
+ * @private
+ */
+function _pieceTokens(piece) {
+  if (CJK_PATTERN.test(piece)) return [...piece].length;
+  return piece.length <= SHORT_WORD_CHARS ? 1 : Math.ceil(piece.length / 4);
+}
+
+/**
+ * Estimates the number of tokens of a text.
+ *
+ * @param {string} text - The text.
+ * @returns {number} The estimated token count.
+ */
+export function estimateTokens(text) {
+  const pieces = String(text || '').match(PIECE_PATTERN) || [];
+  return pieces.reduce((sum, piece) => sum + _pieceTokens(piece), 0);
+}
+
+/**
+ * Cuts a text to an estimated number of tokens, before the first word that does
+ * not fit ('…' marks the cut).
+ *
+ * @param {string} text - The text.
+ * @param {number} maxTokens - The token budget.
+ * @returns {string} The text, unchanged if it fits ('' if not even one word fits).
+ */
+export function truncateToTokens(text, maxTokens) {
+  const value = String(text || '');
+
+  let tokens = 0;
+  for (const match of value.matchAll(PIECE_PATTERN)) {
+    tokens += _pieceTokens(match[0]);
+    if (tokens > maxTokens) {
+      const kept = value.slice(0, match.index).trimEnd();
+      return kept ? `${kept}…` : '';
+    }
+  }
+  return value;
+}
+
+/**
+ * Estimates the number of tokens of chat messages, framing included.
+ *
+ * @param {Array<{content: string}>} messages - The messages.
+ * @returns {number}
+ */
+export function estimateMessageTokens(messages) {
+  return messages.reduce((sum, m) => sum + estimateTokens(m.content) + MESSAGE_OVERHEAD_TOKENS, 0);
+}
+
+/**
+ * ==============================================================================
+ * II. CONTEXT WINDOWS
+ * ==============================================================================
+ */
+
+/**
+ * Finds the context window entry matching a model name.
+ * Exact names win over patterns; among patterns, the longest prefix wins.
+ *
+ * @param {string|null} model - The model name (e.g. 'gpt-4o-mini', 'llama3.1:8b').
+ * @param {Array<{model: string}>} entries - Entries ('name' or 'prefix*'), in priority order.
+ * @returns {Object|null} The matching entry.
+ */
+export function findContextWindow(model, entries) {
+  const name = String(model || '').toLowerCase();
+  if (!name) return null;
+
+  let best = null;
+  for (const entry of entries) {
+    const pattern = entry.model.toLowerCase();
+
+    if (!pattern.endsWith('*')) {
+      if (pattern === name) return entry;
+      continue;
+    }
+
+    const prefix = pattern.slice(0, -1);
+    if (name.startsWith(prefix) && (!best || prefix.length > best.model.length - 1)) {
+      best = entry;
+    }
+  }
+  return best;
+}
+
+/**
+ * ==============================================================================
+ * III. BUDGET ALLOCATION
+ * ==============================================================================
+ */
+
+/**
+ * Returns the tokens reserved for the answer in a context window.
+ *
+ * @param {number} contextWindow - The model's context window (tokens).
+ * @param {number|null} [maxOutputTokens] - The model's output limit, if known.
+ * @returns {number}
+ */
+export function reserveAnswerTokens(contextWindow, maxOutputTokens) {
+  return Math.min(
+    maxOutputTokens || DEFAULT_ANSWER_TOKENS,
+    Math.floor(contextWindow * MAX_ANSWER_SHARE)
+  );
+}
+
+/**
+ * Splits a context window between the answer, the fixed instructions, the history
+ * and the retrieved context.
+ *
+ * @param {Object} options
+ * @param {number} options.contextWindow - The model's context window (tokens).
+ * @param {number|null} [options.maxOutputTokens] - The model's output limit, if known.
+ * @param {number} options.fixedTokens - System instructions and question (always sent).
+ * @param {number} [options.historyLimit] - Upper bound of the history budget.
+ * @returns {{contextWindow: number, answer: number, fixed: number, history: number, available: number}}
+ *   'available' is shared by the history and the context: the context gets what the
+ *   history does not use.
+ */
+export function planContextBudget({ contextWindow, maxOutputTokens, fixedTokens, historyLimit }) {
+  const answer = reserveAnswerTokens(contextWindow, maxOutputTokens);
+  const available = Math.max(
+    0,
+    contextWindow - answer - fixedTokens - Math.ceil(contextWindow * SAFETY_MARGIN)
+  );
+  const history = Math.min(historyLimit ?? Infinity, Math.floor(available * HISTORY_SHARE));
+
+  return { contextWindow, answer, fixed: fixedTokens, history, available };
+}
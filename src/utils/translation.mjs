@@ -0,0 +1,87 @@
+/**
+ * ==============================================================================
+ * UTILITY: TRANSLATION
+ * ==============================================================================
+ * @fileoverview Languages offered by the translation view and the chat (answer
+ * language of a thread), and cleaning of the pages translated by the model.
+ *
+ * @architecture
+ * - Languages are identified by their ISO 639-1 code; the model is given their
+ *   English name.
+ * - Models sometimes wrap a translation in code fences, repeat the page marker
+ *   or introduce it with a sentence ending in a colon: these are removed.
+ *
+ * @author Sacha Pastor
+ * @environment Node.js (ES Modules)
+ * ==============================================================================
+ */
+
+// --- 1. CONFIGURATION CONSTANTS ---
+
+// Languages offered, by ISO 639-1 code
+export const LANGUAGES = {
+  ar: 'Arabic',
+  de: 'German',
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  hi: 'Hindi',
+  it: 'Italian',
+  ja: 'Japanese',
+  ko: 'Korean',
+  nl: 'Dutch',
+  pl: 'Polish',
+  pt: 'Portuguese',
+  ru: 'Russian',
+  sv: 'Swedish',
+  tr: 'Turkish',
+  uk: 'Ukrainian',
+  vi: 'Vietnamese',
+  zh: 'Chinese (Simplified)'
+};
+
+// Introductions models put before a translation ("Here is the translation:")
+const PREAMBLE_PATTERN = /^(here is|here's|voici|translation|traduction)[^\n]*:\s*\n/i;
+
+/**
+ * ==============================================================================
+ * I. PUBLIC API
+ * ==============================================================================
+ */
+
+/**
+ * Tells whether a language code is offered.
+ *
+ * @param {*} code - The submitted code (e.g. 'fr').
+ * @returns {boolean}
+ */
+export function isSupportedLanguage(code) {
+  return typeof code === 'string' && Object.hasOwn(LANGUAGES, code);
+}
+
+/**
+ * Returns the English name of a language, as given to the model.
+ *
+ * @param {string} code - A supported code (see isSupportedLanguage).
+ * @returns {string|null} The name, or null for an unknown code.
+ */
+export function languageName(code) {
+  return isSupportedLanguage(code) ? LANGUAGES[code] : null;
+}
+
+/**
+ * Extracts the translation from the model's reply.
+ *
+ * @param {string} reply - The model's reply.
+ * @returns {string} The translated text (without fences, page marker or preamble).
+ */
+export function cleanTranslationReply(reply) {
+  let text = String(reply || '')
+    .trim()
+    .replace(PREAMBLE_PATTERN, '');
+
+  const fenced = text.match(/^```[\w-]*\n([\s\S]*?)\n```$/);
+  if (fenced) text = fenced[1].trim();
+
+  return text.replace(/^\[Page \d+\]\s*/i, '').trim();
+}
@@ -0,0 +1,133 @@
+import crypto from 'node:crypto';
+
+// In-memory database: set before the modules using it are loaded
+process.env.DATABASE_FILE = ':memory:';
+
+const { default: db, initDB } = await import('../src/config/database.mjs');
+const { resolveEffectiveAIConfig, saveServerAIConfig, saveUserAIConfig } =
+  await import('../src/services/aiConfigService.mjs');
+const { getProvider } = await import('../src/utils/aiManager.mjs');
+const { sealSecret } = await import('../src/utils/secretBox.mjs');
+
+initDB();
+
+describe('AI Configuration Precedence', () => {
+  const ENV_KEYS = ['AI_PROVIDER', 'AI_MODEL', 'AI_API_URL', 'AI_API_KEY'];
+  const savedEnv = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+  let userId;
+
+  const setEnv = (values) => {
+    ENV_KEYS.forEach((key) => delete process.env[key]);
+    Object.assign(process.env, values);
+  };
+
+  beforeAll(() => {
+    userId = db
+      .prepare("INSERT INTO users (username, password) VALUES ('student', 'x')")
+      .run().lastInsertRowid;
+  });
+
+  beforeEach(() => {
+    db.prepare('DELETE FROM user_ai_config').run();
+    db.prepare('DELETE FROM server_ai_config').run();
+    setEnv({});
+  });
+
+  afterAll(() => {
+    setEnv(Object.fromEntries(Object.entries(savedEnv).filter(([, value]) => value != null)));
+  });
+
+  // A user URL must not receive the server key (or the env key)
+  it('resolveEffectiveAIConfig should not send the server key to a user URL', () => {
+    setEnv({ AI_API_KEY: 'sk-env' });
+    saveServerAIConfig({ provider: 'openai', api_key: 'sk-server' });
+    saveUserAIConfig(userId, { provider: 'openai', api_url: 'https://example.test/v1' });
+
+    const { config, sources } = resolveEffectiveAIConfig(userId);
+    expect(config.apiUrl).toBe('https://example.test/v1');
+    expect(config.apiKey).toBeNull();
+    expect(sources).toMatchObject({ apiUrl: 'user', apiKey: null });
+
+    // The user's own key goes with the user's URL
+    saveUserAIConfig(userId, {
+      provider: 'openai',
+      api_url: 'https://example.test/v1',
+      api_key: 'sk-user'
+    });
+    expect(resolveEffectiveAIConfig(userId).config.apiKey).toBe('sk-user');
+  });
+
+  // The same rule one layer down: the env key never reaches a server URL
+  it('resolveEffectiveAIConfig should not send the env key to a server URL', () => {
+    setEnv({ AI_PROVIDER: 'openai', AI_API_KEY: 'sk-env' });
+    saveServerAIConfig({ provider: 'openai', api_url: 'https://proxy.test/v1' });
+
+    const { config, sources } = resolveEffectiveAIConfig(userId);
+    expect(config).toMatchObject({ apiUrl: 'https://proxy.test/v1', apiKey: null });
+    expect(sources.apiKey).toBeNull();
+  });
+
+  // Model, URL and key of another provider are not inherited
+  it('resolveEffectiveAIConfig should not inherit fields from another provider', () => {
+    setEnv({ AI_PROVIDER: 'openai', AI_MODEL: 'gpt-4o', AI_API_KEY: 'sk-env' });
+    saveServerAIConfig({
+      provider: 'openai',
+      model: 'gpt-4o-mini',
+      api_url: 'https://api.openai.com/v1',
+      api_key: 'sk-server'
+    });
+    saveUserAIConfig(userId, { provider: 'ollama' });
+
+    const { config, sources } = resolveEffectiveAIConfig(userId);
+    expect(config).toEqual({
+      provider: 'ollama',
+      model: getProvider('ollama').defaultModel,
+      apiUrl: null,
+      apiKey: null
+    });
+    expect(sources).toEqual({ provider: 'user', model: 'default', apiUrl: null, apiKey: null });
+  });
+
+  // Server settings win over env ones, field by field
+  it('resolveEffectiveAIConfig should prefer server fields over env fields', () => {
+    setEnv({
+      AI_PROVIDER: 'openai',
+      AI_MODEL: 'gpt-3.5-turbo',
+      AI_API_URL: 'https://env.test/v1',
+      AI_API_KEY: 'sk-env'
+    });
+    saveServerAIConfig({ provider: 'openai', model: 'gpt-4o' });
+
+    let { config, sources } = resolveEffectiveAIConfig(userId);
+    expect(config).toEqual({
+      provider: 'openai',
+      model: 'gpt-4o',
+      apiUrl: 'https://env.test/v1',
+      apiKey: 'sk-env'
+    });
+    expect(sources).toEqual({ provider: 'server', model: 'server', apiUrl: 'env', apiKey: 'env' });
+
+    // A server key goes with the env URL (a less specific layer)
+    saveServerAIConfig({ provider: 'openai', model: 'gpt-4o', api_key: 'sk-server' });
+    ({ config, sources } = resolveEffectiveAIConfig(userId));
+    expect(config.apiKey).toBe('sk-server');
+    expect(sources.apiKey).toBe('server');
+  });
+
+  // A key sealed with another master key is ignored, not an error
+  it('resolveEffectiveAIConfig should skip a key it cannot decrypt', () => {
+    saveServerAIConfig({ provider: 'openai', api_key: 'sk-server' });
+    db.prepare(
+      "INSERT INTO user_ai_config (user_id, provider, api_key) VALUES (?, 'openai', ?)"
+    ).run(userId, sealSecret('sk-user', crypto.randomBytes(32)));
+
+    const { config, sources } = resolveEffectiveAIConfig(userId);
+    expect(config).toMatchObject({ provider: 'openai', apiKey: 'sk-server' });
+    expect(sources.apiKey).toBe('server');
+  });
+
+  // No layer names a provider
+  it('resolveEffectiveAIConfig should return null without any provider', () => {
+    expect(resolveEffectiveAIConfig(userId)).toBeNull();
+  });
+});
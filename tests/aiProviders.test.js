@@ -0,0 +1,214 @@
+import {
+  askAI,
+  askAIWithFallback,
+  streamAI,
+  streamAIWithFallback,
+  embedTexts,
+  listModels,
+  testConnection,
+  registerProvider,
+  listProviders,
+  AIProviderError,
+  AIChainError
+} from '../src/utils/aiManager.mjs';
+
+describe('AI Provider Registry', () => {
+  // Built-in adapters are registered and exposed without their functions
+  it('listProviders should describe the built-in adapters', () => {
+    const providers = listProviders();
+    const ids = providers.map((p) => p.id);
+
+    expect(ids).toEqual(
+      expect.arrayContaining(['ollama', 'openai', 'openai-compatible', 'gemini', 'anthropic'])
+    );
+    expect(providers.find((p) => p.id === 'anthropic')).toMatchObject({
+      requiresKey: true,
+      supportsEmbeddings: false
+    });
+    expect(providers.find((p) => p.id === 'openai-compatible')).toMatchObject({
+      usesUrl: true,
+      acceptsKey: true,
+      requiresKey: false
+    });
+  });
+
+  // A registered adapter is dispatched to; failures are typed errors
+  it('askAI and streamAI should dispatch to registered adapters', async () => {
+    registerProvider({
+      id: 'echo',
+      label: 'Echo',
+      chat: async (messages) => {
+        if (messages[0].content === 'fail') throw new Error('boom');
+        return `echo: ${messages[0].content}`;
+      }
+    });
+
+    const config = { provider: 'echo' };
+    expect(await askAI([{ role: 'user', content: 'hi' }], config)).toBe('echo: hi');
+    await expect(askAI([{ role: 'user', content: 'fail' }], config)).rejects.toMatchObject({
+      name: 'AIProviderError',
+      provider: 'echo',
+      kind: 'unavailable',
+      message: 'boom'
+    });
+
+    // Adapters without stream() answer in a single token
+    const tokens = [];
+    const text = await streamAI([{ role: 'user', content: 'hi' }], config, {
+      onToken: (t) => tokens.push(t)
+    });
+    expect(text).toBe('echo: hi');
+    expect(tokens).toEqual(['echo: hi']);
+
+    await expect(embedTexts(['x'], config)).rejects.toThrow('does not provide embeddings');
+  });
+
+  // Discovery helpers used by the Settings page
+  it('listModels and testConnection should report models, latency and errors', async () => {
+    registerProvider({
+      id: 'catalog',
+      label: 'Catalog',
+      defaultModel: 'b-model',
+      chat: async () => 'pong',
+      listModels: async () => ['b-model', 'a-model', 'b-model']
+    });
+
+    expect(await listModels({ provider: 'catalog' })).toEqual(['a-model', 'b-model']);
+    await expect(listModels({ provider: 'echo' })).rejects.toMatchObject({ kind: 'unsupported' });
+
+    const ok = await testConnection({ provider: 'catalog' });
+    expect(ok).toMatchObject({ ok: true, provider: 'catalog', model: 'b-model', reply: 'pong' });
+    expect(typeof ok.latencyMs).toBe('number');
+
+    const failed = await testConnection({ provider: 'nope', model: 'x' });
+    expect(failed).toMatchObject({ ok: false, model: 'x', error: { kind: 'unsupported' } });
+  });
+
+  // The limits the prompt was sized for reach the providers whose defaults are smaller
+  it('askAI should send the context window to Ollama and the answer budget to Anthropic', async () => {
+    const realFetch = global.fetch;
+    const bodies = [];
+    global.fetch = async (url, init) => {
+      bodies.push(JSON.parse(init.body));
+      return new Response(
+        JSON.stringify({
+          message: { content: 'ollama' },
+          content: [{ type: 'text', text: 'anthropic' }]
+        })
+      );
+    };
+
+    try {
+      const limits = { contextTokens: 32768, answerTokens: 8192 };
+      await askAI([{ role: 'user', content: 'hi' }], { provider: 'ollama', ...limits });
+      await askAI([{ role: 'user', content: 'hi' }], {
+        provider: 'anthropic',
+        apiKey: 'k',
+        ...limits
+      });
+      await askAI([{ role: 'user', content: 'hi' }], { provider: 'ollama' });
+    } finally {
+      global.fetch = realFetch;
+    }
+
+    expect(bodies[0].options).toEqual({ num_ctx: 32768 });
+    expect(bodies[1].max_tokens).toBe(8192);
+    expect(bodies[2].options).toBeUndefined();
+  });
+
+  it('should reject unknown providers and incomplete definitions', async () => {
+    await expect(askAI([], { provider: 'nope' })).rejects.toThrow('Unsupported AI Provider');
+    expect(() => registerProvider({ id: 'broken' })).toThrow();
+  });
+});
+
+describe('AI Fallback Chains', () => {
+  beforeAll(() => {
+    registerProvider({
+      id: 'down',
+      label: 'Down',
+      chat: async () => {
+        throw new AIProviderError('Service Unavailable', { status: 503 });
+      }
+    });
+    registerProvider({
+      id: 'up',
+      label: 'Up',
+      defaultModel: 'up-1',
+      chat: async () => 'answer',
+      stream: async (messages, config, emit) => {
+        emit('ans');
+        emit('wer');
+      }
+    });
+    registerProvider({
+      id: 'hang',
+      label: 'Hang',
+      // Accepts the request and never answers (until the request is aborted, as fetch does)
+      chat: (messages, config, signal) =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(signal.reason));
+        })
+    });
+    registerProvider({
+      id: 'half',
+      label: 'Half',
+      chat: async () => 'never',
+      stream: async (messages, config, emit) => {
+        emit('partial');
+        throw new Error('connection reset');
+      }
+    });
+  });
+
+  const messages = [{ role: 'user', content: 'hi' }];
+
+  // The first healthy provider answers and is recorded
+  it('askAIWithFallback should skip failing providers', async () => {
+    const result = await askAIWithFallback(messages, [{ provider: 'down' }, { provider: 'up' }]);
+
+    expect(result).toMatchObject({ content: 'answer', provider: 'up', model: 'up-1' });
+    expect(result.failures.map((f) => [f.provider, f.kind])).toEqual([['down', 'unavailable']]);
+  });
+
+  // A provider that never answers times out and the next one is tried
+  it('askAIWithFallback should move on when a provider does not answer in time', async () => {
+    const result = await askAIWithFallback(messages, [{ provider: 'hang' }, { provider: 'up' }], {
+      timeoutMs: 50
+    });
+
+    expect(result).toMatchObject({ content: 'answer', provider: 'up' });
+    expect(result.failures[0]).toMatchObject({
+      name: 'AIProviderError',
+      provider: 'hang',
+      kind: 'timeout'
+    });
+  });
+
+  it('askAIWithFallback should throw an AIChainError when every provider fails', async () => {
+    const error = await askAIWithFallback(messages, [{ provider: 'down' }, { provider: 'nope' }])
+      .then(() => null)
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(AIChainError);
+    expect(error.attempts.map((a) => a.kind)).toEqual(['unavailable', 'unsupported']);
+  });
+
+  // Streaming only falls back before the first token has been sent
+  it('streamAIWithFallback should not switch provider mid-answer', async () => {
+    const tokens = [];
+    const result = await streamAIWithFallback(
+      messages,
+      [{ provider: 'down' }, { provider: 'up' }],
+      {
+        onToken: (t) => tokens.push(t)
+      }
+    );
+    expect(result).toMatchObject({ content: 'answer', provider: 'up' });
+    expect(tokens).toEqual(['ans', 'wer']);
+
+    await expect(
+      streamAIWithFallback(messages, [{ provider: 'half' }, { provider: 'up' }])
+    ).rejects.toMatchObject({ name: 'AIProviderError', provider: 'half' });
+  });
+});
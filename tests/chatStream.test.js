@@ -0,0 +1,128 @@
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// In-memory database and a fake provider: set before the modules using them are loaded
+process.env.DATABASE_FILE = ':memory:';
+process.env.AI_PROVIDER = 'test-stream';
+
+const { app } = await import('../server.mjs');
+const { default: db } = await import('../src/config/database.mjs');
+const { registerProvider } = await import('../src/utils/aiManager.mjs');
+const { insertApiKey } = await import('../src/services/authService.mjs');
+
+describe('Chat Streaming', () => {
+  // Scratch folder inside 'courses/' (the services only read documents from there)
+  const coursesRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../courses');
+  let folder;
+  let docPath;
+  let apiKey;
+  let server;
+
+  // What the provider streams before waiting for the client to leave
+  let streamed = '';
+  let cancelled;
+
+  const answers = () =>
+    db
+      .prepare("SELECT content FROM chat_messages WHERE path = ? AND role = 'assistant'")
+      .all(docPath)
+      .map((row) => row.content);
+
+  /**
+   * Posts a question to the streaming route and disconnects once the stream has started
+   * (after the first token when the provider sends one).
+   */
+  const askAndLeave = (content) =>
+    new Promise((resolve, reject) => {
+      const req = http.request(
+        {
+          port: server.address().port,
+          path: '/api/v1/chat/stream',
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'X-API-Key': apiKey }
+        },
+        (res) => {
+          if (!streamed) return req.destroy();
+          res.on('data', (chunk) => {
+            if (String(chunk).includes('event: token')) req.destroy();
+          });
+        }
+      );
+      req.on('error', (error) => (error.code === 'ECONNRESET' ? resolve() : reject(error)));
+      req.on('close', resolve);
+      req.end(JSON.stringify({ path: docPath, content }));
+    });
+
+  beforeAll(async () => {
+    registerProvider({
+      id: 'test-stream',
+      label: 'Test Stream',
+      defaultModel: 'test-model',
+      chat: async () => 'Thread title',
+      // Sends its tokens, then holds the answer open until the request is cancelled
+      stream: (messages, config, emit, signal) =>
+        new Promise((resolve) => {
+          emit(streamed);
+          signal.addEventListener('abort', () => {
+            resolve();
+            setImmediate(cancelled.resolve);
+          });
+        })
+    });
+
+    folder = fs.mkdtempSync(path.join(coursesRoot, 'test-stream-'));
+    const absolutePath = path.join(folder, 'notes.pdf');
+    fs.writeFileSync(absolutePath, '%PDF-1.4');
+    docPath = `courses/${path.basename(folder)}/notes.pdf`;
+
+    // Already extracted: the chat answers from the cache
+    const stat = fs.statSync(absolutePath);
+    db.prepare(
+      `
+        INSERT INTO document_cache (path, content, status, page_count, pages_extracted, text_source, file_size, file_mtime)
+        VALUES (?, '\n--- PAGE 1 ---\n\nCells are the unit of life.', 'complete', 1, 1, 'native', ?, ?)
+    `
+    ).run(docPath, stat.size, Math.trunc(stat.mtimeMs));
+
+    const userId = db
+      .prepare("INSERT INTO users (username, password) VALUES ('streamer', 'x')")
+      .run().lastInsertRowid;
+    apiKey = insertApiKey(userId).key;
+
+    server = app.listen(0);
+  });
+
+  beforeEach(() => {
+    let resolve;
+    cancelled = { promise: new Promise((r) => (resolve = r)) };
+    cancelled.resolve = resolve;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  // Closing the connection keeps what was generated so far
+  it('postChatStream should store the partial answer of a cancelled stream', async () => {
+    streamed = 'Cells are';
+
+    await askAndLeave('What are cells?');
+    await cancelled.promise;
+
+    expect(answers()).toEqual(['Cells are']);
+  });
+
+  // Nothing was generated: no question or answer is stored
+  it('postChatStream should store nothing when cancelled before the first token', async () => {
+    streamed = '';
+    const before = db.prepare('SELECT COUNT(*) AS n FROM chat_messages').get().n;
+
+    await askAndLeave('Another question?');
+    await cancelled.promise;
+
+    expect(db.prepare('SELECT COUNT(*) AS n FROM chat_messages').get().n).toBe(before);
+  });
+});
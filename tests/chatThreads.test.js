@@ -0,0 +1,114 @@
+// In-memory database: set before the modules using it are loaded
+process.env.DATABASE_FILE = ':memory:';
+
+const { default: db, initDB } = await import('../src/config/database.mjs');
+const { getActiveBranch, getBranch, getThread, listThreads, selectBranch } =
+  await import('../src/services/chatThreadService.mjs');
+
+initDB();
+
+describe('Chat Threads', () => {
+  const docPath = 'courses/bio/cells.pdf';
+  let userId;
+
+  const insertMessage = db.prepare(
+    `
+      INSERT INTO chat_messages (user_id, path, thread_id, parent_id, role, content, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+  `
+  );
+  const addMessage = (threadId, parentId, role, content) =>
+    Number(
+      insertMessage.run(userId, docPath, threadId, parentId, role, content, '2024-01-01 10:00:00')
+        .lastInsertRowid
+    );
+
+  beforeAll(() => {
+    userId = Number(
+      db.prepare("INSERT INTO users (username, password) VALUES ('student', 'x')").run()
+        .lastInsertRowid
+    );
+  });
+
+  // History written before threads and branches: moved into one thread, chained in order
+  it('initDB should thread and link legacy chat history', () => {
+    ['What is a cell?', 'The basic unit of life.', 'And a tissue?'].forEach((content, i) => {
+      insertMessage.run(
+        userId,
+        docPath,
+        null,
+        null,
+        i % 2 ? 'assistant' : 'user',
+        content,
+        `2023-05-0${i + 1} 09:00:00`
+      );
+    });
+
+    initDB();
+
+    const [thread] = listThreads(userId, docPath);
+    expect(thread.title).toBe('Conversation');
+
+    const branch = getActiveBranch(thread);
+    expect(branch.map((m) => m.content)).toEqual([
+      'What is a cell?',
+      'The basic unit of life.',
+      'And a tissue?'
+    ]);
+    expect(branch[0].parent_id).toBeNull();
+    expect(branch[1].parent_id).toBe(branch[0].id);
+    expect(thread.leafId).toBe(branch[2].id);
+  });
+
+  describe('branches', () => {
+    let threadId, question, answer, regenerated, edited, editedAnswer;
+
+    beforeAll(() => {
+      threadId = Number(
+        db
+          .prepare("INSERT INTO chat_threads (user_id, path, title) VALUES (?, ?, 'Branches')")
+          .run(userId, docPath).lastInsertRowid
+      );
+
+      // Q1 -> A1, then A1 regenerated (A1'), then Q1 edited (Q1' -> A1'')
+      question = addMessage(threadId, null, 'user', 'Q1');
+      answer = addMessage(threadId, question, 'assistant', 'A1');
+      regenerated = addMessage(threadId, question, 'assistant', "A1'");
+      edited = addMessage(threadId, null, 'user', "Q1'");
+      editedAnswer = addMessage(threadId, edited, 'assistant', "A1''");
+    });
+
+    // The recursive query walks the parents up to the first question
+    it('getBranch should return a message and its ancestors in order', () => {
+      expect(getBranch(threadId, regenerated).map((m) => m.id)).toEqual([question, regenerated]);
+      expect(getBranch(threadId, editedAnswer).map((m) => m.id)).toEqual([edited, editedAnswer]);
+      expect(getBranch(threadId, null)).toEqual([]);
+
+      // A message of another thread is not followed
+      expect(getBranch(threadId + 1, regenerated)).toEqual([]);
+    });
+
+    // Alternatives share the previous message and the role, oldest first
+    it('getActiveBranch should list the siblings of every message', () => {
+      const branch = getActiveBranch({ id: threadId, leafId: regenerated });
+
+      expect(branch.map((m) => m.siblings)).toEqual([
+        [question, edited],
+        [answer, regenerated]
+      ]);
+    });
+
+    // Selecting a message shows its most recent descendant
+    it('selectBranch should move the leaf to the newest descendant', () => {
+      expect(selectBranch(threadId, question)).toBe(regenerated);
+      expect(getThread(userId, threadId).leafId).toBe(regenerated);
+
+      expect(selectBranch(threadId, answer)).toBe(answer);
+      expect(selectBranch(threadId, edited)).toBe(editedAnswer);
+      expect(getThread(userId, threadId).leafId).toBe(editedAnswer);
+
+      expect(selectBranch(threadId, 999999)).toBeNull();
+      expect(getThread(userId, threadId).leafId).toBe(editedAnswer);
+    });
+  });
+});
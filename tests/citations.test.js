@@ -0,0 +1,53 @@
+import { extractCitations } from '../src/utils/citations.mjs';
+
+describe('Answer Citations', () => {
+  const passages = [
+    {
+      path: 'courses/bio/cells.pdf',
+      pageStart: 2,
+      pageEnd: 3,
+      content: 'Cells are the basic unit of life. Mitochondria produce most of the ATP.'
+    },
+    {
+      path: 'courses/bio/cells.pdf',
+      pageStart: 7,
+      pageEnd: 7,
+      content: 'Ribosomes build proteins.'
+    }
+  ];
+
+  // Markers are renumbered by first appearance and linked to the best supporting sentence
+  it('extractCitations should build numbered citations with quotes', () => {
+    const answer = 'Ribosomes make proteins [S2]. Mitochondria produce ATP [S1, S2].';
+    const { content, citations } = extractCitations(answer, passages, {
+      locatePage: (path, quote, pageStart) => (quote.includes('ATP') ? 3 : pageStart)
+    });
+
+    expect(content).toBe('Ribosomes make proteins [1]. Mitochondria produce ATP [2][1].');
+    expect(citations).toEqual([
+      {
+        n: 1,
+        path: 'courses/bio/cells.pdf',
+        page: 7,
+        pageStart: 7,
+        pageEnd: 7,
+        quote: 'Ribosomes build proteins.'
+      },
+      {
+        n: 2,
+        path: 'courses/bio/cells.pdf',
+        page: 3,
+        pageStart: 2,
+        pageEnd: 3,
+        quote: 'Mitochondria produce most of the ATP.'
+      }
+    ]);
+  });
+
+  // Labels that do not match any passage must not produce citations
+  it('extractCitations should drop unknown labels', () => {
+    const { content, citations } = extractCitations('Nothing here [S9].', passages);
+    expect(content).toBe('Nothing here .');
+    expect(citations).toEqual([]);
+  });
+});
@@ -0,0 +1,48 @@
+import { resumeFromSummary, splitByBudget } from '../src/utils/conversationMemory.mjs';
+import { estimateMessageTokens } from '../src/utils/tokenBudget.mjs';
+
+describe('Conversation Memory', () => {
+  const branch = [
+    { id: 1, role: 'user', content: 'What is a cell?' },
+    { id: 2, role: 'assistant', content: 'The basic unit of life.' },
+    { id: 3, role: 'user', content: 'And a tissue?' },
+    { id: 4, role: 'assistant', content: 'A group of similar cells working together.' }
+  ];
+
+  // Only the messages after 'covered_until' are left to replay
+  it('resumeFromSummary should resume after the covered message', () => {
+    const stored = { content: 'Cells were defined.', covered_until: 2 };
+    const { previous, messages } = resumeFromSummary(branch, stored);
+
+    expect(previous).toBe(stored);
+    expect(messages.map((m) => m.id)).toEqual([3, 4]);
+  });
+
+  // A summary written on another branch (edited question, regenerated answer) does not apply
+  it('resumeFromSummary should ignore a summary outside the current branch', () => {
+    const { previous, messages } = resumeFromSummary(branch, { covered_until: 42 });
+
+    expect(previous).toBeNull();
+    expect(messages).toEqual(branch);
+    expect(resumeFromSummary(branch, null).messages).toEqual(branch);
+  });
+
+  // The newest messages fitting in the budget are kept, the rest is summarized
+  it('splitByBudget should keep the newest messages within the budget', () => {
+    const budget = estimateMessageTokens(branch.slice(1));
+    const { older, recent } = splitByBudget(branch, budget);
+
+    expect(older.map((m) => m.id)).toEqual([1]);
+    expect(recent.map((m) => m.id)).toEqual([2, 3, 4]);
+    expect(estimateMessageTokens(recent)).toBeLessThanOrEqual(budget);
+    expect(splitByBudget(branch, 10_000).older).toEqual([]);
+  });
+
+  // The last exchange is always replayed, even over budget
+  it('splitByBudget should keep the last exchange over budget', () => {
+    const { older, recent } = splitByBudget(branch, 1);
+
+    expect(older.map((m) => m.id)).toEqual([1, 2]);
+    expect(recent.map((m) => m.id)).toEqual([3, 4]);
+  });
+});
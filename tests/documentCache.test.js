@@ -0,0 +1,126 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// In-memory database: set before the modules using it are loaded
+process.env.DATABASE_FILE = ':memory:';
+
+const { default: db, initDB } = await import('../src/config/database.mjs');
+const { enqueueExtraction, pruneDocumentCache, revalidateDocument } =
+  await import('../src/services/extractionService.mjs');
+
+initDB();
+
+describe('Document Cache Validity', () => {
+  // Scratch folder inside 'courses/' (the services only read documents from there)
+  const coursesRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../courses');
+  let folder;
+
+  const docPathOf = (name) => `courses/${path.basename(folder)}/${name}`;
+  const count = (table, docPath) =>
+    db.prepare(`SELECT COUNT(*) AS n FROM ${table} WHERE path = ?`).get(docPath).n;
+
+  // A cached document with a page, a chunk and an overview derived from its text
+  const cacheDocument = (docPath, { size, mtime, hash }) => {
+    db.prepare(
+      `
+        INSERT INTO document_cache (path, content, status, ocr_langs, file_size, file_mtime, content_hash)
+        VALUES (?, 'Cached text', 'complete', 'fra', ?, ?, ?)
+    `
+    ).run(docPath, size, mtime, hash);
+    db.prepare(
+      "INSERT INTO document_pages (path, page_number, content) VALUES (?, 1, 'Cached text')"
+    ).run(docPath);
+    db.prepare(
+      "INSERT INTO document_chunks (path, chunk_index, content) VALUES (?, 0, 'Cached text')"
+    ).run(docPath);
+    db.prepare("INSERT INTO document_overviews (path, status) VALUES (?, 'complete')").run(docPath);
+  };
+
+  const writeFile = (name, content) => {
+    const absolutePath = path.join(folder, name);
+    fs.writeFileSync(absolutePath, content);
+    return {
+      docPath: docPathOf(name),
+      hash: crypto.createHash('sha256').update(content).digest('hex'),
+      stat: fs.statSync(absolutePath)
+    };
+  };
+
+  beforeAll(() => {
+    folder = fs.mkdtempSync(path.join(coursesRoot, 'test-cache-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  // A touched file with the same content keeps its cache and records the new size/mtime
+  it('revalidateDocument should adopt the fingerprint of an identical file', async () => {
+    const { docPath, hash, stat } = writeFile('touched.pdf', 'same bytes');
+    cacheDocument(docPath, { size: 1, mtime: 1, hash });
+
+    expect(await revalidateDocument(docPath)).toBe(false);
+
+    const row = db.prepare('SELECT * FROM document_cache WHERE path = ?').get(docPath);
+    expect(row).toMatchObject({
+      content: 'Cached text',
+      status: 'complete',
+      file_size: stat.size,
+      file_mtime: Math.trunc(stat.mtimeMs),
+      content_hash: hash
+    });
+    expect(count('document_chunks', docPath)).toBe(1);
+  });
+
+  // A replaced file drops everything derived from the old text, but keeps its settings
+  it('revalidateDocument should purge a document whose content changed', async () => {
+    const { docPath } = writeFile('replaced.pdf', 'new bytes');
+    cacheDocument(docPath, { size: 1, mtime: 1, hash: 'old-hash' });
+
+    expect(await revalidateDocument(docPath)).toBe(true);
+
+    const row = db.prepare('SELECT * FROM document_cache WHERE path = ?').get(docPath);
+    expect(row).toMatchObject({
+      content: null,
+      status: null,
+      content_hash: null,
+      ocr_langs: 'fra'
+    });
+    expect(count('document_pages', docPath)).toBe(0);
+    expect(count('document_chunks', docPath)).toBe(0);
+    expect(count('document_overviews', docPath)).toBe(0);
+  });
+
+  // Rows of files gone from disk are deleted, those of existing files are kept
+  it('pruneDocumentCache should drop the rows of deleted files', () => {
+    const kept = writeFile('kept.pdf', 'kept bytes');
+    cacheDocument(kept.docPath, { size: kept.stat.size, mtime: 1, hash: kept.hash });
+    const deleted = docPathOf('deleted.pdf');
+    cacheDocument(deleted, { size: 1, mtime: 1, hash: 'gone' });
+
+    expect(pruneDocumentCache()).toBe(1);
+
+    expect(count('document_cache', deleted)).toBe(0);
+    expect(count('document_pages', deleted)).toBe(0);
+    expect(count('document_chunks', deleted)).toBe(0);
+    expect(count('document_overviews', deleted)).toBe(0);
+    expect(count('document_cache', kept.docPath)).toBe(1);
+  });
+
+  // A running extraction records its own fingerprint: it is neither revalidated nor pruned
+  it('revalidateDocument and pruneDocumentCache should skip documents being extracted', async () => {
+    const { docPath } = writeFile('queued.pdf', 'changed bytes');
+    cacheDocument(docPath, { size: 1, mtime: 1, hash: 'old-hash' });
+    const job = enqueueExtraction(docPath);
+
+    expect(await revalidateDocument(docPath)).toBe(false);
+    fs.rmSync(path.join(folder, 'queued.pdf'));
+    expect(pruneDocumentCache()).toBe(0);
+    expect(count('document_chunks', docPath)).toBe(1);
+
+    await job.done; // Fails (the file is gone): the row is marked as such, not purged
+    expect(count('document_cache', docPath)).toBe(1);
+  });
+});
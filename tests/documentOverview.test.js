@@ -0,0 +1,58 @@
+import { parseOverviewReply, splitPagesIntoParts } from '../src/utils/documentOverview.mjs';
+
+describe('Document Overviews', () => {
+  const pages = [
+    { page: 1, text: 'Cells are the basic unit of life.' },
+    { page: 2, text: '   ' },
+    { page: 3, text: 'Mitochondria produce energy for the cell.' },
+    { page: 4, text: 'Ribosomes build proteins from amino acids.' }
+  ];
+
+  // Pages are marked and grouped while they fit; empty pages are skipped
+  it('splitPagesIntoParts should group consecutive pages within the budget', () => {
+    const parts = splitPagesIntoParts(pages, { maxTokens: 30 });
+
+    expect(parts.map((p) => [p.pageStart, p.pageEnd])).toEqual([
+      [1, 3],
+      [4, 4]
+    ]);
+    expect(parts[0].text).toBe(
+      '[Page 1]\nCells are the basic unit of life.\n\n[Page 3]\nMitochondria produce energy for the cell.'
+    );
+    expect(splitPagesIntoParts([{ page: 1, text: '' }], { maxTokens: 30 })).toEqual([]);
+  });
+
+  // Over 'maxParts' parts, pages are spread evenly and cut so the whole document still fits
+  it('splitPagesIntoParts should cut pages when there would be too many parts', () => {
+    expect(splitPagesIntoParts(pages, { maxTokens: 20 })).toHaveLength(3);
+    expect(splitPagesIntoParts(pages, { maxTokens: 20, maxParts: 2 })).toEqual([
+      {
+        pageStart: 1,
+        pageEnd: 3,
+        text: '[Page 1]\nCells are the basic unit…\n\n[Page 3]\nMitochondria produce…'
+      },
+      { pageStart: 4, pageEnd: 4, text: '[Page 4]\nRibosomes build…' }
+    ]);
+  });
+
+  // JSON is read inside fences or prose, values are cleaned and bounded
+  it('parseOverviewReply should read and clean the JSON overview', () => {
+    const reply =
+      'Here is the overview:\n```json\n{"abstract": " An  introduction to cells. ",' +
+      '"sections": [{"title": "Organelles", "page": "3", "summary": "Parts of the cell."},' +
+      '{"title": "", "page": 1}, {"title": "Proteins", "page": -2}],' +
+      '"takeaways": ["Cells are alive.", 42, ""]}\n```';
+
+    expect(parseOverviewReply(reply)).toEqual({
+      abstract: 'An introduction to cells.',
+      sections: [
+        { title: 'Organelles', page: 3, summary: 'Parts of the cell.' },
+        { title: 'Proteins', page: null, summary: '' }
+      ],
+      takeaways: ['Cells are alive.']
+    });
+    expect(parseOverviewReply('{"sections": []}')).toBeNull();
+    expect(parseOverviewReply('{"abstract": "broken"')).toBeNull();
+    expect(parseOverviewReply('No JSON here.')).toBeNull();
+  });
+});
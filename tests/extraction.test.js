@@ -0,0 +1,119 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// In-memory database: set before the modules using it are loaded
+process.env.DATABASE_FILE = ':memory:';
+
+const { default: db, initDB } = await import('../src/config/database.mjs');
+const { extractPdfPages } = await import('../src/utils/pdfHandler.mjs');
+const { enqueueExtraction, getExtractedPages, getExtractionStatus, startExtractionWorker } =
+  await import('../src/services/extractionService.mjs');
+
+initDB();
+
+/**
+ * Builds a minimal PDF with one line of text per page.
+ */
+function buildPdf(texts) {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${texts.map((t, i) => `${4 + 2 * i} 0 R`).join(' ')}] /Count ${texts.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  texts.forEach((text, i) => {
+    const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + 2 * i} 0 R >>`,
+      `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+    );
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return pdf;
+}
+
+describe('Document Extraction', () => {
+  // Scratch folder inside 'courses/' (the services only read documents from there)
+  const coursesRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../courses');
+  const texts = [
+    'First page of the extraction test document',
+    'Second page of the extraction test document',
+    'Third page of the extraction test document'
+  ];
+  let folder;
+  let absolutePath;
+  let docPath;
+
+  beforeAll(() => {
+    folder = fs.mkdtempSync(path.join(coursesRoot, 'test-extraction-'));
+    absolutePath = path.join(folder, 'book.pdf');
+    fs.writeFileSync(absolutePath, buildPdf(texts));
+    docPath = `courses/${path.basename(folder)}/book.pdf`;
+  });
+
+  afterAll(() => {
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  // Pages before 'startPage' are not read again
+  it('extractPdfPages should start at the requested page', async () => {
+    const pages = [];
+    const { numPages } = await extractPdfPages(absolutePath, {
+      startPage: 2,
+      onPage: ({ page, text }) => pages.push({ page, text })
+    });
+
+    expect(numPages).toBe(3);
+    expect(pages).toEqual([
+      { page: 2, text: texts[1] },
+      { page: 3, text: texts[2] }
+    ]);
+  });
+
+  // A job interrupted after two pages resumes at the third one on restart
+  it('startExtractionWorker should resume an interrupted extraction', async () => {
+    db.prepare(
+      "INSERT INTO document_cache (path, status, page_count, pages_extracted) VALUES (?, 'processing', 3, 2)"
+    ).run(docPath);
+    const insertPage = db.prepare(
+      'INSERT INTO document_pages (path, page_number, content) VALUES (?, ?, ?)'
+    );
+    insertPage.run(docPath, 1, 'Page 1 stored before the restart');
+    insertPage.run(docPath, 2, 'Page 2 stored before the restart');
+
+    startExtractionWorker();
+    await enqueueExtraction(docPath).done; // The job queued by the worker
+
+    expect(getExtractedPages(docPath).map((p) => p.text)).toEqual([
+      'Page 1 stored before the restart',
+      'Page 2 stored before the restart',
+      texts[2]
+    ]);
+    expect(getExtractionStatus(docPath)).toMatchObject({
+      status: 'complete',
+      page_count: 3,
+      pages_extracted: 3,
+      text_source: 'native'
+    });
+  });
+
+  // Any other state starts over from the first page
+  it('enqueueExtraction should start over a document that is not being extracted', async () => {
+    db.prepare("UPDATE document_cache SET status = 'failed' WHERE path = ?").run(docPath);
+
+    await enqueueExtraction(docPath).done;
+
+    expect(getExtractedPages(docPath).map((p) => p.text)).toEqual(texts);
+    expect(getExtractionStatus(docPath).status).toBe('complete');
+  });
+});
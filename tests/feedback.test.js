@@ -0,0 +1,84 @@
+// In-memory database: set before the modules using it are loaded
+process.env.DATABASE_FILE = ':memory:';
+
+const { default: db, initDB } = await import('../src/config/database.mjs');
+const { MAX_FEEDBACK_COMMENT_LENGTH, getFeedbackReport, normalizeReportDays, validateFeedback } =
+  await import('../src/services/feedbackService.mjs');
+
+initDB();
+
+describe('Answer Feedback', () => {
+  // Only 'up' and 'down', an optional string comment of bounded length
+  it('validateFeedback should check the rating and the comment', () => {
+    expect(validateFeedback({ rating: 'up' })).toBeNull();
+    expect(validateFeedback({ rating: 'down', comment: 'No passage quoted.' })).toBeNull();
+    expect(validateFeedback({ rating: 'down', comment: null })).toBeNull();
+
+    expect(validateFeedback(undefined)).toMatch(/rating/);
+    expect(validateFeedback({ rating: 'meh' })).toMatch(/rating/);
+    expect(validateFeedback({ rating: 'toString' })).toMatch(/rating/);
+    expect(validateFeedback({ rating: 'up', comment: 42 })).toMatch(/string/);
+    expect(
+      validateFeedback({ rating: 'up', comment: 'x'.repeat(MAX_FEEDBACK_COMMENT_LENGTH + 1) })
+    ).toMatch(/at most/);
+  });
+
+  // Whole days between 1 and a year, 30 by default
+  it('normalizeReportDays should clamp the period', () => {
+    expect(normalizeReportDays(undefined)).toBe(30);
+    expect(normalizeReportDays('abc')).toBe(30);
+    expect(normalizeReportDays(0)).toBe(30);
+    expect(normalizeReportDays(-7)).toBe(30);
+    expect(normalizeReportDays('7')).toBe(7);
+    expect(normalizeReportDays(7.9)).toBe(7);
+    expect(normalizeReportDays(5000)).toBe(365);
+  });
+
+  // Flagged: no readable text, or enough ratings with low approval or many answers
+  // without passages
+  it('getFeedbackReport should flag documents worth a look', () => {
+    const userId = db
+      .prepare("INSERT INTO users (username, password) VALUES ('student', 'x')")
+      .run().lastInsertRowid;
+    const insert = db.prepare(
+      `
+        INSERT INTO chat_feedback (message_id, user_id, path, rating, provider, model, chunks)
+        VALUES (?, ?, ?, ?, 'ollama', 'mistral', ?)
+    `
+    );
+    let messageId = 0;
+    const rate = (docPath, ratings, chunks = '[{"id":1}]') =>
+      ratings.forEach((rating) => insert.run(++messageId, userId, docPath, rating, chunks));
+
+    rate('courses/few.pdf', [-1, -1]); // Below MIN_RATINGS_TO_FLAG
+    rate('courses/disliked.pdf', [1, -1, -1]); // Approval under LOW_APPROVAL
+    rate('courses/half.pdf', [1, 1, -1, -1]); // Approval exactly LOW_APPROVAL
+    rate('courses/liked.pdf', [1, 1, 1]);
+    rate('courses/no-context.pdf', [1, 1], '[]'); // Half of the answers without passages
+    rate('courses/no-context.pdf', [1, 1]);
+    rate('courses/scan.pdf', [1]); // No readable text, whatever the ratings
+    db.prepare(
+      "INSERT INTO document_cache (path, status, text_source) VALUES ('courses/scan.pdf', 'complete', 'none')"
+    ).run();
+
+    const report = getFeedbackReport({ days: 7 });
+    const flagged = Object.fromEntries(report.documents.map((d) => [d.path, d.flagged]));
+
+    expect(flagged).toEqual({
+      'courses/few.pdf': false,
+      'courses/disliked.pdf': true,
+      'courses/half.pdf': false,
+      'courses/liked.pdf': false,
+      'courses/no-context.pdf': true,
+      'courses/scan.pdf': true
+    });
+    expect(report.documents.slice(0, 3).every((d) => d.flagged)).toBe(true);
+
+    const noContext = report.documents.find((d) => d.path === 'courses/no-context.pdf');
+    expect(noContext).toMatchObject({ ratings: 4, up: 4, approval: 1, noContext: 2 });
+
+    expect(report.days).toBe(7);
+    expect(report.totals).toEqual({ ratings: 17, up: 11, down: 6 });
+    expect(report.models).toHaveLength(1);
+  });
+});
@@ -0,0 +1,48 @@
+import { parseFlashcardReply, scheduleReview } from '../src/utils/flashcards.mjs';
+
+describe('Flashcards', () => {
+  const now = new Date('2026-01-10T08:00:00Z');
+  const daysLater = (state) => (state.dueAt - now) / (24 * 60 * 60 * 1000);
+
+  // 1 day, 6 days, then the previous interval times the ease factor
+  it('scheduleReview should follow the SM-2 intervals', () => {
+    const first = scheduleReview({}, 'good', now);
+    expect(first).toMatchObject({ ease: 2.5, intervalDays: 1, repetitions: 1, lapses: 0 });
+    expect(daysLater(first)).toBe(1);
+
+    const second = scheduleReview(first, 'good', now);
+    expect(second.intervalDays).toBe(6);
+
+    const third = scheduleReview(second, 'good', now);
+    expect(third.intervalDays).toBe(15);
+    expect(daysLater(third)).toBe(15);
+
+    // 'hard' lowers the ease, 'easy' raises it and lengthens the interval
+    expect(scheduleReview(second, 'hard', now)).toMatchObject({ ease: 2.36, intervalDays: 15 });
+    expect(scheduleReview(second, 'easy', now)).toMatchObject({ ease: 2.6, intervalDays: 20 });
+  });
+
+  // A forgotten card starts over and is due at once; the ease never drops below 1.3
+  it('scheduleReview should reset lapsed cards', () => {
+    const lapsed = scheduleReview({ ease: 1.5, intervalDays: 30, repetitions: 5 }, 'again', now);
+
+    expect(lapsed).toMatchObject({ ease: 1.3, intervalDays: 0, repetitions: 0, lapses: 1 });
+    expect(lapsed.dueAt).toEqual(now);
+    expect(scheduleReview(lapsed, 'good', now).intervalDays).toBe(1);
+    expect(() => scheduleReview({}, 'perfect', now)).toThrow('Unknown grade');
+  });
+
+  // JSON is read inside fences or prose; incomplete cards are dropped
+  it('parseFlashcardReply should read the generated cards', () => {
+    const reply =
+      'Here are your cards:\n```json\n[{"front": " What is ATP? ", "back": "The energy currency.", "page": 4},' +
+      '{"front": "Empty back", "back": ""}, {"front": "Ribosome?", "back": "Builds proteins.", "page": "2"}]\n```';
+
+    expect(parseFlashcardReply(reply)).toEqual([
+      { front: 'What is ATP?', back: 'The energy currency.', page: 4 },
+      { front: 'Ribosome?', back: 'Builds proteins.', page: null }
+    ]);
+    expect(parseFlashcardReply('[{"front": "broken"')).toEqual([]);
+    expect(parseFlashcardReply('{"front": "a", "back": "b"}')).toEqual([]);
+  });
+});
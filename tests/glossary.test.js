@@ -0,0 +1,71 @@
+import {
+  getDocumentCategory,
+  mergeGlossaryTerms,
+  normalizeTerm,
+  parseGlossaryReply
+} from '../src/utils/glossary.mjs';
+
+describe('Glossaries', () => {
+  // Terms are keyed by their lower-case form; documents at the root have no glossary
+  it('normalizeTerm and getDocumentCategory should identify terms and glossaries', () => {
+    expect(normalizeTerm('  ATP \n Synthase ')).toBe('atp synthase');
+    expect(getDocumentCategory('courses/biology/cells/atp.pdf')).toBe('courses/biology');
+    expect(getDocumentCategory('courses/intro.pdf')).toBeNull();
+    expect(getDocumentCategory('other/biology/atp.pdf')).toBeNull();
+  });
+
+  // Pages outside of the part are dropped, and so are duplicates and incomplete terms
+  it('parseGlossaryReply should read the extracted terms', () => {
+    const reply =
+      'Here are the terms:\n```json\n{"terms": [' +
+      '{"term": " Mitochondrion ", "definition": "Organelle  producing ATP.", "page": 12},' +
+      '{"term": "Ribosome", "definition": "Makes proteins.", "page": 40},' +
+      '{"term": "mitochondrion", "definition": "Duplicate.", "page": 13},' +
+      '{"term": "Nucleus"}]}\n```';
+
+    expect(parseGlossaryReply(reply, { pageStart: 10, pageEnd: 20 })).toEqual([
+      { term: 'Mitochondrion', definition: 'Organelle producing ATP.', page: 12 },
+      { term: 'Ribosome', definition: 'Makes proteins.', page: null }
+    ]);
+    expect(parseGlossaryReply('[{"term": "ATP"}]')).toEqual([]);
+    expect(parseGlossaryReply('{"terms": [')).toEqual([]);
+  });
+
+  // The first document (path order) gives the definition; every document gives pages
+  it('mergeGlossaryTerms should merge the terms of the documents', () => {
+    const merged = mergeGlossaryTerms([
+      {
+        path: 'courses/bio/b.pdf',
+        terms: [
+          { term: 'ATP', definition: 'Second definition.', page: 3 },
+          { term: 'cytoplasm', definition: 'Cell content.', page: null }
+        ]
+      },
+      {
+        path: 'courses/bio/a.pdf',
+        terms: [
+          { term: 'atp', definition: 'Energy carrier.', page: 7 },
+          { term: 'atp', definition: 'Same page again.', page: 7 }
+        ]
+      }
+    ]);
+
+    expect(merged).toEqual([
+      {
+        key: 'atp',
+        term: 'atp',
+        definition: 'Energy carrier.',
+        references: [
+          { path: 'courses/bio/a.pdf', page: 7 },
+          { path: 'courses/bio/b.pdf', page: 3 }
+        ]
+      },
+      {
+        key: 'cytoplasm',
+        term: 'cytoplasm',
+        definition: 'Cell content.',
+        references: [{ path: 'courses/bio/b.pdf', page: null }]
+      }
+    ]);
+  });
+});
@@ -0,0 +1,37 @@
+import { createSerialQueue } from '../src/utils/jobQueue.mjs';
+
+describe('Job Queue', () => {
+  // One job at a time, in order; a key already queued returns its job
+  it('createSerialQueue should run jobs one by one and share a queued key', async () => {
+    const queue = createSerialQueue();
+    const events = [];
+    const task = (name) => async () => {
+      events.push(`start ${name}`);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      events.push(`end ${name}`);
+    };
+
+    const a = queue.enqueue('a', task('a'));
+    const b = queue.enqueue('b', task('b'));
+    expect(queue.enqueue('a', task('a again'))).toBe(a);
+    expect(queue.keys()).toEqual(['a', 'b']);
+
+    await b.done;
+    expect(events).toEqual(['start a', 'end a', 'start b', 'end b']);
+    expect(queue.has('a')).toBe(false);
+  });
+
+  // The job record is passed to the task; a failure does not stop the next jobs
+  it('createSerialQueue should keep running after a failed job', async () => {
+    const queue = createSerialQueue();
+
+    const failed = queue.enqueue('x', async () => {
+      throw new Error('boom');
+    });
+    const next = queue.enqueue('y', async (job) => job.label, { label: 'record' });
+
+    await expect(failed.done).rejects.toThrow('boom');
+    await expect(next.done).resolves.toBe('record');
+    expect(next.label).toBe('record');
+  });
+});
@@ -0,0 +1,18 @@
+import { extractJSON } from '../src/utils/modelReply.mjs';
+
+describe('Model Replies', () => {
+  // Fences and sentences around the JSON are ignored
+  it('extractJSON should read the value between the outer brackets', () => {
+    expect(extractJSON('Here it is:\n```json\n{"a": {"b": 1}}\n```', '{')).toEqual({ a: { b: 1 } });
+    expect(extractJSON('Cards: [{"front": "x"}] Done.', '[')).toEqual([{ front: 'x' }]);
+  });
+
+  // No bracket, brackets in the wrong order or invalid JSON: no value
+  it('extractJSON should return null without valid JSON', () => {
+    expect(extractJSON('No JSON here', '{')).toBeNull();
+    expect(extractJSON('} reversed {', '{')).toBeNull();
+    expect(extractJSON('{"a": 1,}', '{')).toBeNull();
+    expect(extractJSON('{"list": []}', '[')).toEqual([]);
+    expect(extractJSON(null, '[')).toBeNull();
+  });
+});
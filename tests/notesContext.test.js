@@ -0,0 +1,83 @@
+// In-memory database: set before the modules using it are loaded
+process.env.DATABASE_FILE = ':memory:';
+
+const { default: db, initDB } = await import('../src/config/database.mjs');
+const { loadNotesContext } = await import('../src/services/notesContextService.mjs');
+const { estimateTokens } = await import('../src/utils/tokenBudget.mjs');
+
+initDB();
+
+describe('Notes Context', () => {
+  const docPath = 'courses/bio/cells.pdf';
+  let userId;
+
+  const addNote = (owner, notePath, content, updatedAt) =>
+    db
+      .prepare('INSERT INTO notes (path, user_id, content, updated_at) VALUES (?, ?, ?, ?)')
+      .run(notePath, owner, content, updatedAt);
+
+  const contents = (context) => context.sections.map((s) => s.content);
+
+  beforeAll(() => {
+    const addUser = db.prepare('INSERT INTO users (username, password) VALUES (?, ?)');
+    userId = addUser.run('student', 'x').lastInsertRowid;
+    const otherId = addUser.run('other', 'x').lastInsertRowid;
+
+    addNote(userId, docPath, 'Mitochondria make ATP.', '2024-01-01 10:00:00');
+    db.prepare(
+      "INSERT INTO snippets (path, user_id, code, created_at) VALUES (?, ?, 'ATP synthase', '2024-01-02 10:00:00')"
+    ).run(docPath, userId);
+
+    addNote(userId, 'courses/bio/tissues.pdf', 'Tissues group cells.', '2024-01-03 10:00:00');
+    addNote(userId, 'courses/bio/organs.pdf', 'Organs group tissues.', '2024-01-04 10:00:00');
+    addNote(userId, 'courses/bio/advanced/genes.pdf', 'Subfolder note.', '2024-01-05 10:00:00');
+    addNote(userId, 'courses/biology/plants.pdf', 'Other folder note.', '2024-01-05 10:00:00');
+    addNote(otherId, 'courses/bio/tissues.pdf', 'Not my note.', '2024-01-05 10:00:00');
+  });
+
+  // Threads that did not opt in get nothing
+  it('loadNotesContext should return nothing without a scope', () => {
+    expect(loadNotesContext(userId, docPath, 'none', 1000)).toEqual({ sections: [], tokens: 0 });
+    expect(loadNotesContext(userId, docPath, undefined, 1000)).toEqual({ sections: [], tokens: 0 });
+  });
+
+  // The note on the document, then its snippets
+  it('loadNotesContext should keep the document scope to the document', () => {
+    const context = loadNotesContext(userId, docPath, 'document', 1000);
+
+    expect(contents(context)).toEqual(['Mitochondria make ATP.', 'ATP synthase']);
+  });
+
+  // Notes on the documents of the folder itself, most recent first (not its subfolders,
+  // not a folder sharing its prefix, not other users')
+  it('loadNotesContext should add the notes of the folder, not of its subfolders', () => {
+    const context = loadNotesContext(userId, docPath, 'folder', 1000);
+
+    expect(contents(context)).toEqual([
+      'Mitochondria make ATP.',
+      'ATP synthase',
+      'Organs group tissues.',
+      'Tissues group cells.'
+    ]);
+    expect(context.sections[2].label).toBe('Note on "organs"');
+  });
+
+  // The reported size counts the labels and never exceeds the budget; the last section is cut
+  it('loadNotesContext should fill the token budget', () => {
+    const full = loadNotesContext(userId, docPath, 'folder', 1000);
+    const size = (s) => estimateTokens(s.label) + estimateTokens(s.content);
+    expect(full.tokens).toBeGreaterThan(full.sections.reduce((sum, s) => sum + size(s), 0));
+
+    const longNote = Array.from({ length: 200 }, (_, i) => `word${i}`).join(' ');
+    addNote(userId, 'courses/bio/long.pdf', longNote, '2030-01-01 10:00:00');
+
+    const cut = loadNotesContext(userId, docPath, 'folder', 150);
+    expect(cut.tokens).toBeLessThanOrEqual(150);
+    expect(cut.sections.at(-1).content.endsWith('…')).toBe(true);
+    expect(contents(cut)).not.toContain('Tissues group cells.');
+
+    // Too small for a useful section, or nothing left
+    expect(loadNotesContext(userId, docPath, 'folder', 20).sections).toEqual([]);
+    expect(loadNotesContext(userId, docPath, 'folder', 0).sections).toEqual([]);
+  });
+});
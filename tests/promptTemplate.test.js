@@ -0,0 +1,31 @@
+import {
+  findUnknownVariables,
+  renderPromptTemplate,
+  usesVariable
+} from '../src/utils/promptTemplate.mjs';
+
+describe('Prompt Templates', () => {
+  // Every occurrence is filled, values are inserted verbatim, unknown variables are kept
+  it('renderPromptTemplate should fill known variables', () => {
+    const template =
+      'Tutor for {{ CATEGORY }} ({{DOCUMENT_TITLE}}). Notes: {{USER_NOTES}}\n{{CONTEXT}} {{OTHER}}';
+
+    expect(
+      renderPromptTemplate(template, {
+        CATEGORY: 'biology',
+        DOCUMENT_TITLE: 'Cells',
+        CONTEXT: 'Costs $& 5'
+      })
+    ).toBe('Tutor for biology (Cells). Notes: \nCosts $& 5 {{OTHER}}');
+  });
+
+  it('findUnknownVariables and usesVariable should inspect placeholders', () => {
+    expect(findUnknownVariables('{{CONTEXT}} {{LANG}} {{lang}} {{LANG}}')).toEqual([
+      'LANG',
+      'lang'
+    ]);
+    expect(findUnknownVariables('{{ context }}')).toEqual([]);
+    expect(usesVariable('Answer from {{ CONTEXT }}', 'CONTEXT')).toBe(true);
+    expect(usesVariable('Answer in French', 'CONTEXT')).toBe(false);
+  });
+});
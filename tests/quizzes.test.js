@@ -0,0 +1,68 @@
+import { parseGradingReply, parseQuizReply, scoreAttempt } from '../src/utils/quizzes.mjs';
+
+describe('Quizzes', () => {
+  // Multiple-choice answers are choice indexes; invalid questions are dropped
+  it('parseQuizReply should read the generated questions', () => {
+    const reply =
+      'Here is your quiz:\n```json\n{"questions": [' +
+      '{"type": "mcq", "question": "Powerhouse of the cell?", "choices": ["Nucleus", "Mitochondria"], "answer": 1, "page": 3},' +
+      '{"type": "mcq", "question": "Out of range", "choices": ["a", "b"], "answer": 2},' +
+      '{"type": "short", "question": " What does ATP store? ", "answer": "Energy", "explanation": "See the ATP cycle.", "page": "4"},' +
+      '{"type": "essay", "question": "Discuss", "answer": "..."}]}\n```';
+
+    expect(parseQuizReply(reply)).toEqual([
+      {
+        type: 'mcq',
+        question: 'Powerhouse of the cell?',
+        choices: ['Nucleus', 'Mitochondria'],
+        answer: 1,
+        explanation: '',
+        page: 3
+      },
+      {
+        type: 'short',
+        question: 'What does ATP store?',
+        answer: 'Energy',
+        explanation: 'See the ATP cycle.',
+        page: null
+      }
+    ]);
+    expect(parseQuizReply('[{"type": "mcq"}]')).toEqual([]);
+    expect(parseQuizReply('{"questions": [')).toEqual([]);
+  });
+
+  // Scores are clamped to 0-1 and keyed by question number
+  it('parseGradingReply should read the grades of short answers', () => {
+    const grades = parseGradingReply(
+      'Grades: [{"question": 2, "score": 0.5, "feedback": " Partly right. "}, {"question": 3, "score": 4}, {"score": 1}]'
+    );
+
+    expect([...grades.entries()]).toEqual([
+      [2, { score: 0.5, feedback: 'Partly right.' }],
+      [3, { score: 1, feedback: '' }]
+    ]);
+    expect(parseGradingReply('not graded').size).toBe(0);
+  });
+
+  // Each question is worth one point; ungraded short answers earn none
+  it('scoreAttempt should score the answers', () => {
+    const questions = [
+      { type: 'mcq', answer: 1 },
+      { type: 'short', answer: 'Energy' },
+      { type: 'mcq', answer: 0 },
+      { type: 'short', answer: 'Proteins' }
+    ];
+    const grades = new Map([[2, { score: 0.5, feedback: 'Incomplete.' }]]);
+
+    expect(scoreAttempt(questions, [1, 'Power', 2, ''], grades)).toEqual({
+      score: 38,
+      results: [
+        { score: 1, correct: true, feedback: '' },
+        { score: 0.5, correct: false, feedback: 'Incomplete.' },
+        { score: 0, correct: false, feedback: '' },
+        { score: 0, correct: false, feedback: '' }
+      ]
+    });
+    expect(scoreAttempt([], []).score).toBe(0);
+  });
+});
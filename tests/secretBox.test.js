@@ -0,0 +1,55 @@
+import crypto from 'node:crypto';
+import {
+  isSealed,
+  openSecret,
+  parseMasterKey,
+  rewrapSecret,
+  sealSecret
+} from '../src/utils/secretBox.mjs';
+
+describe('Secret Box', () => {
+  const oldKey = crypto.randomBytes(32);
+  const newKey = crypto.randomBytes(32);
+
+  // Sealed values round-trip and never contain the plaintext
+  it('sealSecret and openSecret should round-trip', () => {
+    const sealed = sealSecret('sk-live-123', oldKey);
+
+    expect(isSealed(sealed)).toBe(true);
+    expect(sealed).not.toContain('sk-live-123');
+    expect(sealSecret('sk-live-123', oldKey)).not.toBe(sealed); // Random data key and IV
+    expect(openSecret(sealed, oldKey)).toBe('sk-live-123');
+
+    // Legacy plaintext and empty values pass through
+    expect(openSecret('plain', oldKey)).toBe('plain');
+    expect(sealSecret(null, oldKey)).toBeNull();
+  });
+
+  it('openSecret should reject a wrong key and tampered data', () => {
+    const sealed = sealSecret('secret', oldKey);
+    expect(() => openSecret(sealed, newKey)).toThrow('different master key');
+    expect(() => openSecret(sealed, null)).toThrow('SECRETS_MASTER_KEY');
+
+    const parts = sealed.split(':');
+    parts[6] = Buffer.from('tampered').toString('base64url');
+    expect(() => openSecret(parts.join(':'), oldKey)).toThrow();
+  });
+
+  // Rotation re-wraps the data key; the ciphertext is unchanged
+  it('rewrapSecret should move a secret to a new master key', () => {
+    const sealed = sealSecret('secret', oldKey);
+    const rotated = rewrapSecret(sealed, oldKey, newKey);
+
+    expect(openSecret(rotated, newKey)).toBe('secret');
+    expect(rotated.split(':').pop()).toBe(sealed.split(':').pop());
+    expect(rewrapSecret(rotated, oldKey, newKey)).toBe(rotated);
+    expect(openSecret(rewrapSecret('plain', null, newKey), newKey)).toBe('plain');
+  });
+
+  it('parseMasterKey should accept 32-byte hex or base64 keys only', () => {
+    const key = crypto.randomBytes(32);
+    expect(parseMasterKey(key.toString('hex'))).toEqual(key);
+    expect(parseMasterKey(key.toString('base64'))).toEqual(key);
+    expect(() => parseMasterKey('too-short')).toThrow('32 bytes');
+  });
+});
@@ -0,0 +1,26 @@
+import { splitIntoPages, chunkPages } from '../src/utils/textChunker.mjs';
+
+describe('Text Chunker', () => {
+  // Page markers emitted by joinPages() must be parsed back into pages
+  it('splitIntoPages should parse page markers', () => {
+    const text = '\n--- PAGE 1 ---\n\nFirst page.\n--- PAGE 3 ---\n\nThird page.';
+    expect(splitIntoPages(text)).toEqual([
+      { page: 1, text: 'First page.' },
+      { page: 3, text: 'Third page.' }
+    ]);
+  });
+
+  // Chunks must keep track of the pages they span and stay close to the target size
+  it('chunkPages should produce page-aware chunks', () => {
+    const pages = [
+      { page: 1, text: 'Alpha sentence. '.repeat(60) },
+      { page: 2, text: 'Beta sentence. '.repeat(60) }
+    ];
+    const chunks = chunkPages(pages, { chunkChars: 500, overlapChars: 100 });
+
+    expect(chunks.length).toBeGreaterThan(2);
+    expect(chunks[0].pageStart).toBe(1);
+    expect(chunks[chunks.length - 1].pageEnd).toBe(2);
+    chunks.forEach((c) => expect(c.content.length).toBeLessThanOrEqual(600));
+  });
+});
@@ -0,0 +1,56 @@
+import {
+  BUILTIN_CONTEXT_WINDOWS,
+  estimateTokens,
+  findContextWindow,
+  planContextBudget,
+  truncateToTokens
+} from '../src/utils/tokenBudget.mjs';
+
+describe('Token Budget', () => {
+  // Short words are one token, long words several, punctuation and CJK one each
+  it('estimateTokens should follow BPE-like counts', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens('The cell is alive.')).toBe(5);
+    expect(estimateTokens('photosynthesis')).toBe(4);
+    expect(estimateTokens('光合作用')).toBe(4);
+  });
+
+  // Cut before the first word that overflows, the ellipsis marking the cut
+  it('truncateToTokens should keep the words fitting in the budget', () => {
+    expect(truncateToTokens('The cell is alive.', 10)).toBe('The cell is alive.');
+    expect(truncateToTokens('The cell is alive.', 3)).toBe('The cell is…');
+    expect(truncateToTokens('photosynthesis', 2)).toBe('');
+  });
+
+  // Exact names win, then the longest prefix pattern
+  it('findContextWindow should prefer exact names and longest prefixes', () => {
+    const entries = [
+      { model: 'llama3*', contextTokens: 8192 },
+      { model: 'llama3.1*', contextTokens: 128000 },
+      { model: 'llama3.1:8b', contextTokens: 16000 }
+    ];
+
+    expect(findContextWindow('llama3.1:8b', entries).contextTokens).toBe(16000);
+    expect(findContextWindow('llama3.1:70b', entries).contextTokens).toBe(128000);
+    expect(findContextWindow('LLAMA3:latest', entries).contextTokens).toBe(8192);
+    expect(findContextWindow('mistral', entries)).toBeNull();
+    expect(findContextWindow('gpt-4o-mini', BUILTIN_CONTEXT_WINDOWS).contextTokens).toBe(128000);
+  });
+
+  // The answer reservation is capped, and the history gets a share of what remains
+  it('planContextBudget should split the window', () => {
+    const small = planContextBudget({ contextWindow: 4096, fixedTokens: 300, historyLimit: 2000 });
+    expect(small.answer).toBe(1024);
+    expect(small.available).toBe(4096 - 1024 - 300 - 205);
+    expect(small.history).toBe(Math.floor(small.available * 0.3));
+
+    const large = planContextBudget({
+      contextWindow: 128000,
+      maxOutputTokens: 16384,
+      fixedTokens: 300,
+      historyLimit: 2000
+    });
+    expect(large.answer).toBe(16384);
+    expect(large.history).toBe(2000);
+  });
+});
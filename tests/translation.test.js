@@ -0,0 +1,31 @@
+import {
+  cleanTranslationReply,
+  isSupportedLanguage,
+  languageName
+} from '../src/utils/translation.mjs';
+
+describe('Translation', () => {
+  // Languages are identified by their ISO 639-1 code
+  it('isSupportedLanguage and languageName should only accept the offered languages', () => {
+    expect(isSupportedLanguage('fr')).toBe(true);
+    expect(isSupportedLanguage('xx')).toBe(false);
+    expect(isSupportedLanguage('toString')).toBe(false);
+    expect(isSupportedLanguage(undefined)).toBe(false);
+    expect(languageName('zh')).toBe('Chinese (Simplified)');
+    expect(languageName('klingon')).toBeNull();
+  });
+
+  // Fences, an echoed page marker and a preamble are removed; the layout is kept
+  it('cleanTranslationReply should extract the translated text', () => {
+    expect(
+      cleanTranslationReply(
+        'Here is the translation:\n```\n[Page 3]\nLa cellule.\n\n- Noyau\n- Membrane\n```'
+      )
+    ).toBe('La cellule.\n\n- Noyau\n- Membrane');
+    expect(cleanTranslationReply('```text\n[Page 3]\nLa cellule.\n\n- Noyau\n```')).toBe(
+      'La cellule.\n\n- Noyau'
+    );
+    expect(cleanTranslationReply('Voici la traduction :\nLa cellule.')).toBe('La cellule.');
+    expect(cleanTranslationReply(null)).toBe('');
+  });
+});